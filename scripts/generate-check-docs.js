@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+
+// Regenerates docs/checks.md from the check registry in src/checks.js.
+// Usage: node scripts/generate-check-docs.js
+
+const fs = require('fs');
+const path = require('path');
+const { CHECKS, CATEGORIES } = require('../src/checks');
+const { explainCheck, configSnippet, codeBlock } = require('../src/explain');
+
+function render() {
+  const lines = [
+    '# Checks',
+    '',
+    '<!-- Generated by scripts/generate-check-docs.js. Do not edit by hand. -->',
+    '',
+    'Every issue cursor-doctor reports carries a stable check ID. Use the ID with',
+    '`lint --ignore=<id>` or in `--json` output to filter and track issues, and',
+    'in `.cursor-doctor.json` to turn checks off, change severity or set options.',
+    'Run `cursor-doctor explain <id>` to see the same documentation in the terminal.',
+    '',
+  ];
+
+  for (const category of Object.keys(CATEGORIES)) {
+    const ids = Object.keys(CHECKS).filter(id => CHECKS[id].category === category);
+    if (ids.length === 0) continue;
+    lines.push('## ' + CATEGORIES[category], '');
+    for (const id of ids) {
+      const entry = explainCheck(id);
+      lines.push('### ' + id, '');
+      lines.push(entry.title + '.', '');
+      lines.push(entry.description, '');
+      lines.push('**Why it matters:** ' + entry.rationale, '');
+      if (entry.bad) lines.push('Bad:', '', codeBlock(entry.bad), '');
+      if (entry.good) lines.push('Good:', '', codeBlock(entry.good), '');
+      lines.push('- Default severity: `' + entry.severity + '`');
+      lines.push('- Auto-fixable: ' + (entry.fixable ? 'yes' : 'no'));
+      if (entry.aliases) lines.push('- Also accepted as: ' + entry.aliases.map(a => '`' + a + '`').join(', '));
+      if (entry.options) {
+        const opts = Object.keys(entry.options).map(name => '`' + name + '` (default `' + JSON.stringify(entry.options[name]) + '`)');
+        lines.push('- Options: ' + opts.join(', '));
+        lines.push('', codeBlock(configSnippet(entry)));
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  const out = path.join(__dirname, '..', 'docs', 'checks.md');
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, render(), 'utf-8');
+  console.log('Wrote ' + path.relative(process.cwd(), out));
+}
+
+module.exports = { render };
@@ -1,15 +1,15 @@
 #!/usr/bin/env bash
 # cursor-doctor pre-commit hook
-# Validates Cursor rules before each commit
-# Install: cp scripts/pre-commit-hook.sh .git/hooks/pre-commit && chmod +x .git/hooks/pre-commit
+# Lints the staged versions of Cursor rules before each commit
+# Install: npx cursor-doctor hook install (remove: npx cursor-doctor hook uninstall)
 
-# Check if any .mdc files or .cursorrules are staged
-STAGED=$(git diff --cached --name-only --diff-filter=ACM | grep -E '\.mdc$|\.cursorrules$|CLAUDE\.md$|AGENTS\.md$')
+# Check if any rule, skill or context files are staged
+STAGED=$(git diff --cached --name-only --diff-filter=ACMR | grep -E '\.mdc$|\.cursorrules$|CLAUDE\.md$|AGENTS\.md$|SKILL\.md$')
 
 if [ -z "$STAGED" ]; then
   exit 0
 fi
 
 echo "cursor-doctor: checking staged rule files..."
-npx cursor-doctor check
+npx cursor-doctor lint --staged --quiet
 exit $?
@@ -6,6 +6,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { normalizeIssues } = require('./checks');
+const { loadConfig, applyConfig } = require('./config');
+const { createLocator, locateIssues } = require('./positions');
 
 // Max recommended sizes (bytes)
 var MAX_CLAUDE_SIZE = 32000;   // ~8k tokens
@@ -22,13 +25,13 @@ var CLAUDE_SECTIONS = [
 
 // Anti-patterns to flag
 var ANTIPATTERNS = [
-  { regex: /you are an? (helpful|expert|senior|skilled|experienced)/i, message: 'Persona instruction detected — AI agent files should contain project facts, not persona prompts', severity: 'warning' },
-  { regex: /^(please|try to|you should|i want you to)\b/mi, message: 'Conversational phrasing detected — use direct instructions instead', severity: 'info' },
-  { regex: /\b(gpt-?4|sonnet|opus|gemini|copilot)\b/i, message: 'Model name reference — instructions should be model-agnostic', severity: 'info' },
-  { regex: /\bclaude\b(?!\.md)/i, message: 'Model name reference — instructions should be model-agnostic', severity: 'info' },
-  { regex: /```[\s\S]{2000,}?```/m, message: 'Large code block (>2KB) — consider referencing a file instead of inlining', severity: 'warning' },
-  { regex: /\balways\b[\s\S]{0,50}\bnever\b/i, message: 'Contradictory absolutes near each other — "always" and "never" may conflict', severity: 'warning' },
-  { regex: /\bnever\b[\s\S]{0,50}\balways\b/i, message: 'Contradictory absolutes near each other — "never" and "always" may conflict', severity: 'warning' },
+  { id: 'agents-persona', regex: /you are an? (helpful|expert|senior|skilled|experienced)/i, message: 'Persona instruction detected — AI agent files should contain project facts, not persona prompts', severity: 'warning' },
+  { id: 'agents-conversational', regex: /^(please|try to|you should|i want you to)\b/mi, message: 'Conversational phrasing detected — use direct instructions instead', severity: 'info' },
+  { id: 'agents-model-reference', regex: /\b(gpt-?4|sonnet|opus|gemini|copilot)\b/i, message: 'Model name reference — instructions should be model-agnostic', severity: 'info' },
+  { id: 'agents-model-reference', regex: /\bclaude\b(?!\.md)/i, message: 'Model name reference — instructions should be model-agnostic', severity: 'info' },
+  { id: 'agents-large-code-block', regex: /```[\s\S]{2000,}?```/m, message: 'Large code block (>2KB) — consider referencing a file instead of inlining', severity: 'warning' },
+  { id: 'agents-contradictory-absolutes', regex: /\balways\b[\s\S]{0,50}\bnever\b/i, message: 'Contradictory absolutes near each other — "always" and "never" may conflict', severity: 'warning' },
+  { id: 'agents-contradictory-absolutes', regex: /\bnever\b[\s\S]{0,50}\balways\b/i, message: 'Contradictory absolutes near each other — "never" and "always" may conflict', severity: 'warning' },
 ];
 
 // Checks for .cursor/agents/*.md files
@@ -38,7 +41,14 @@ var AGENT_CHECKS = [
   { regex: /^#+\s*(constraints?|limits?|boundaries|don.?t)/mi, name: 'Constraints/boundaries' },
 ];
 
-function lintClaudeMd(dir) {
+// Content of a root agent file, taken from the project model when there is one
+function readAgentFile(dir, name, project) {
+  var content = project ? project.read(name) : null;
+  if (content !== null) return content;
+  return fs.readFileSync(path.join(dir, name), 'utf-8');
+}
+
+function lintClaudeMd(dir, project) {
   var issues = [];
   var filePath = path.join(dir, 'CLAUDE.md');
 
@@ -47,15 +57,17 @@ function lintClaudeMd(dir) {
   }
 
   var content;
-  try { content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) {
-    return { file: 'CLAUDE.md', exists: true, size: 0, issues: [{ severity: 'error', message: 'Cannot read file: ' + e.code }] };
+  try { content = readAgentFile(dir, 'CLAUDE.md', project).replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) {
+    return { file: 'CLAUDE.md', exists: true, size: 0, issues: [{ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + e.code, line: 1, column: 1, endLine: 1, endColumn: 1 }] };
   }
   var lines = content.split('\n');
   var size = Buffer.byteLength(content, 'utf-8');
+  var loc = createLocator(content);
 
   // Size check
   if (size > MAX_CLAUDE_SIZE) {
     issues.push({
+      id: 'agents-file-too-large',
       severity: 'warning',
       message: 'CLAUDE.md is very large (' + Math.round(size / 1024) + 'KB) — may hit context limits',
       hint: 'Split into CLAUDE.md (core) + .cursor/rules/*.mdc (specific rules)',
@@ -64,11 +76,12 @@ function lintClaudeMd(dir) {
 
   if (size === 0) {
     issues.push({
+      id: 'agents-file-empty',
       severity: 'error',
       message: 'CLAUDE.md is empty',
       hint: 'Add project overview, build commands, testing instructions, and code style guidelines',
     });
-    return { file: 'CLAUDE.md', exists: true, size: size, issues: issues };
+    return { file: 'CLAUDE.md', exists: true, size: size, issues: locateIssues(issues, loc) };
   }
 
   // Check for heading structure
@@ -77,6 +90,7 @@ function lintClaudeMd(dir) {
 
   if (!hasH1 && !hasH2) {
     issues.push({
+      id: 'agents-no-headings',
       severity: 'warning',
       message: 'No markdown headings found — file may be hard for AI to parse',
       hint: 'Use ## sections to organize instructions',
@@ -93,6 +107,7 @@ function lintClaudeMd(dir) {
 
   if (missingSections.length > 2) {
     issues.push({
+      id: 'agents-missing-sections',
       severity: 'info',
       message: 'Missing common sections: ' + missingSections.join(', '),
       hint: 'Consider adding these to help Claude understand your project',
@@ -103,19 +118,11 @@ function lintClaudeMd(dir) {
   for (var i = 0; i < ANTIPATTERNS.length; i++) {
     var ap = ANTIPATTERNS[i];
     if (ap.regex.test(content)) {
-      // Find line number
-      var lineNum = 0;
-      for (var j = 0; j < lines.length; j++) {
-        if (ap.regex.test(lines[j])) {
-          lineNum = j + 1;
-          break;
-        }
-      }
-      issues.push({
+      issues.push(Object.assign({
+        id: ap.id,
         severity: ap.severity,
         message: ap.message,
-        line: lineNum,
-      });
+      }, loc.find(ap.regex)));
     }
   }
 
@@ -127,6 +134,7 @@ function lintClaudeMd(dir) {
       var heading = hMatch[2].toLowerCase().trim();
       if (headings[heading]) {
         issues.push({
+          id: 'agents-duplicate-heading',
           severity: 'warning',
           message: 'Duplicate heading "' + hMatch[2] + '" (also at line ' + headings[heading] + ')',
           line: i + 1,
@@ -142,6 +150,7 @@ function lintClaudeMd(dir) {
   for (var i = 0; i < lines.length; i++) {
     if (lines[i].length > 500 && !lines[i].startsWith('```') && !lines[i].startsWith('|')) {
       issues.push({
+        id: 'agents-long-line',
         severity: 'info',
         message: 'Very long line (' + lines[i].length + ' chars) — may be hard to parse',
         line: i + 1,
@@ -173,6 +182,7 @@ function lintClaudeMd(dir) {
       // Only flag if next heading is same level or higher (not a subsection)
       if (nextHeading && nextHeading[1].length <= currentLevel) {
         issues.push({
+          id: 'agents-empty-section',
           severity: 'warning',
           message: 'Empty section — heading with no content',
           line: i + 1,
@@ -182,10 +192,10 @@ function lintClaudeMd(dir) {
     }
   }
 
-  return { file: 'CLAUDE.md', exists: true, size: size, lineCount: lines.length, issues: issues };
+  return { file: 'CLAUDE.md', exists: true, size: size, lineCount: lines.length, issues: locateIssues(issues, loc) };
 }
 
-function lintAgentsMd(dir) {
+function lintAgentsMd(dir, project) {
   var issues = [];
   var filePath = path.join(dir, 'AGENTS.md');
 
@@ -194,14 +204,16 @@ function lintAgentsMd(dir) {
   }
 
   var content;
-  try { content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) {
-    return { file: 'AGENTS.md', exists: true, size: 0, issues: [{ severity: 'error', message: 'Cannot read file: ' + e.code }] };
+  try { content = readAgentFile(dir, 'AGENTS.md', project).replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) {
+    return { file: 'AGENTS.md', exists: true, size: 0, issues: [{ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + e.code, line: 1, column: 1, endLine: 1, endColumn: 1 }] };
   }
   var lines = content.split('\n');
   var size = Buffer.byteLength(content, 'utf-8');
+  var loc = createLocator(content);
 
   if (size > MAX_AGENTS_SIZE) {
     issues.push({
+      id: 'agents-file-too-large',
       severity: 'warning',
       message: 'AGENTS.md is very large (' + Math.round(size / 1024) + 'KB)',
       hint: 'Split agent-specific instructions into .cursor/agents/*.md files',
@@ -210,11 +222,12 @@ function lintAgentsMd(dir) {
 
   if (size === 0) {
     issues.push({
+      id: 'agents-file-empty',
       severity: 'error',
       message: 'AGENTS.md is empty',
       hint: 'Add project-wide agent instructions or remove the file',
     });
-    return { file: 'AGENTS.md', exists: true, size: size, issues: issues };
+    return { file: 'AGENTS.md', exists: true, size: size, issues: locateIssues(issues, loc) };
   }
 
   // Same structural checks
@@ -223,6 +236,7 @@ function lintAgentsMd(dir) {
 
   if (!hasH1 && !hasH2) {
     issues.push({
+      id: 'agents-no-headings',
       severity: 'warning',
       message: 'No markdown headings found',
       hint: 'Use ## sections to organize agent instructions',
@@ -233,18 +247,11 @@ function lintAgentsMd(dir) {
   for (var i = 0; i < ANTIPATTERNS.length; i++) {
     var ap = ANTIPATTERNS[i];
     if (ap.regex.test(content)) {
-      var lineNum = 0;
-      for (var j = 0; j < lines.length; j++) {
-        if (ap.regex.test(lines[j])) {
-          lineNum = j + 1;
-          break;
-        }
-      }
-      issues.push({
+      issues.push(Object.assign({
+        id: ap.id,
         severity: ap.severity,
         message: ap.message,
-        line: lineNum,
-      });
+      }, loc.find(ap.regex)));
     }
   }
 
@@ -256,6 +263,7 @@ function lintAgentsMd(dir) {
       var heading = hMatch[2].toLowerCase().trim();
       if (headings[heading]) {
         issues.push({
+          id: 'agents-duplicate-heading',
           severity: 'warning',
           message: 'Duplicate heading "' + hMatch[2] + '"',
           line: i + 1,
@@ -266,7 +274,7 @@ function lintAgentsMd(dir) {
     }
   }
 
-  return { file: 'AGENTS.md', exists: true, size: size, lineCount: lines.length, issues: issues };
+  return { file: 'AGENTS.md', exists: true, size: size, lineCount: lines.length, issues: locateIssues(issues, loc) };
 }
 
 function lintAgentFiles(dir) {
@@ -286,9 +294,11 @@ function lintAgentFiles(dir) {
     try { content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) { continue; }
     var lines = content.split('\n');
     var size = Buffer.byteLength(content, 'utf-8');
+    var loc = createLocator(content);
 
     if (size > MAX_AGENT_FILE_SIZE) {
       issues.push({
+        id: 'agents-file-too-large',
         severity: 'warning',
         message: 'Agent file is large (' + Math.round(size / 1024) + 'KB)',
         hint: 'Keep agent definitions focused — split into separate files if needed',
@@ -297,11 +307,12 @@ function lintAgentFiles(dir) {
 
     if (size === 0) {
       issues.push({
+        id: 'agents-file-empty',
         severity: 'error',
         message: 'Agent file is empty',
         hint: 'Add agent role, tools, and constraints, or remove the file',
       });
-      results.push({ file: '.cursor/agents/' + files[i], exists: true, size: size, issues: issues });
+      results.push({ file: '.cursor/agents/' + files[i], exists: true, size: size, issues: locateIssues(issues, loc) });
       continue;
     }
 
@@ -315,6 +326,7 @@ function lintAgentFiles(dir) {
 
     if (missingSections.length === AGENT_CHECKS.length) {
       issues.push({
+        id: 'agents-no-agent-sections',
         severity: 'info',
         message: 'No standard agent sections found (role, tools, constraints)',
         hint: 'Well-structured agent files typically define role, capabilities, and boundaries',
@@ -325,29 +337,36 @@ function lintAgentFiles(dir) {
     for (var j = 0; j < ANTIPATTERNS.length; j++) {
       var ap = ANTIPATTERNS[j];
       if (ap.regex.test(content)) {
-        issues.push({ severity: ap.severity, message: ap.message });
+        issues.push(Object.assign({ id: ap.id, severity: ap.severity, message: ap.message }, loc.find(ap.regex)));
       }
     }
 
-    results.push({ file: '.cursor/agents/' + files[i], exists: true, size: size, lineCount: lines.length, issues: issues });
+    results.push({ file: '.cursor/agents/' + files[i], exists: true, size: size, lineCount: lines.length, issues: locateIssues(issues, loc) });
   }
 
   return results;
 }
 
 // Main entry: lint all agent config files
-function lintAgentConfigs(dir) {
+function lintAgentConfigs(dir, options) {
+  var config = (options && options.config) || loadConfig(dir);
   var results = [];
 
-  var claudeResult = lintClaudeMd(dir);
+  var project = options && options.project;
+
+  var claudeResult = lintClaudeMd(dir, project);
   results.push(claudeResult);
 
-  var agentsResult = lintAgentsMd(dir);
+  var agentsResult = lintAgentsMd(dir, project);
   results.push(agentsResult);
 
   var agentFiles = lintAgentFiles(dir);
   results = results.concat(agentFiles);
 
+  for (var i = 0; i < results.length; i++) {
+    results[i].issues = applyConfig(normalizeIssues(results[i].issues), config);
+  }
+
   return results;
 }
 
@@ -388,7 +407,7 @@ function formatAgentLint(results, colors) {
     for (var j = 0; j < fileIssues.length; j++) {
       var issue = fileIssues[j];
       var icon = issue.severity === 'error' ? RED + '\u2717' : issue.severity === 'warning' ? YELLOW + '\u26A0' : CYAN + '\u2139';
-      var lineRef = issue.line ? DIM + ':' + issue.line + RESET : '';
+      var lineRef = issue.line ? DIM + ':' + issue.line + (issue.column ? ':' + issue.column : '') + RESET : '';
       lines.push('    ' + icon + RESET + lineRef + ' ' + issue.message);
       if (issue.hint) {
         lines.push('      ' + DIM + issue.hint + RESET);
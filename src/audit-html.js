@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * Self-contained HTML audit report (`audit --html`). One file with inline
+ * CSS and script and no external assets, so it can be archived or mailed
+ * around for rules reviews: grade, sortable issue table, token budget chart,
+ * conflicts side by side, redundancy clusters and a drill-down per rule.
+ */
+
+const path = require('path');
+const { redundancyClusters } = require('./audit');
+const { relativePath } = require('./formatters/paths');
+
+const VERSION = require('../package.json').version;
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const GRADE_COLORS = { A: '#2da44e', B: '#2da44e', C: '#bf8700', D: '#d1242f', F: '#d1242f' };
+
+const STYLE = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; margin: 0 auto; max-width: 1100px; padding: 24px; }
+h1 { margin: 0 0 4px; font-size: 24px; }
+h2 { margin: 32px 0 12px; font-size: 18px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+.meta { color: #656d76; }
+.grade { display: inline-block; width: 64px; height: 64px; line-height: 64px; text-align: center; font-size: 36px; font-weight: 700; color: #fff; border-radius: 8px; margin-right: 16px; vertical-align: middle; }
+.summary { display: flex; align-items: center; margin: 16px 0; }
+.counts span { margin-right: 16px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+th[data-sort] { cursor: pointer; user-select: none; }
+th[data-sort]::after { content: " \\2195"; color: #8c959f; }
+.sev { font-weight: 600; }
+.sev-error { color: #d1242f; }
+.sev-warning { color: #9a6700; }
+.sev-info { color: #0969da; }
+.bar-row { display: flex; align-items: center; margin: 2px 0; }
+.bar-label { width: 280px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.bar { height: 14px; border-radius: 2px; margin-right: 8px; }
+.tier-always { background: #d1242f; }
+.tier-glob { background: #0969da; }
+.tier-manual { background: #8c959f; }
+.legend span { display: inline-block; margin-right: 16px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+.conflict { border: 1px solid #d0d7de; border-radius: 6px; margin: 8px 0; }
+.conflict header { padding: 6px 10px; background: #f6f8fa; border-bottom: 1px solid #d0d7de; }
+.sides { display: grid; grid-template-columns: 1fr 1fr; }
+.sides > div { padding: 6px 10px; overflow-x: auto; }
+.sides > div + div { border-left: 1px solid #d0d7de; }
+pre, code { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+pre { background: #f6f8fa; padding: 8px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; margin: 4px 0; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: 6px 0; padding: 6px 10px; }
+summary { cursor: pointer; }
+.empty { color: #2da44e; }
+`;
+
+// Click a header to sort its table; click again to reverse
+const SCRIPT = `
+document.querySelectorAll('th[data-sort]').forEach(function (th) {
+  th.addEventListener('click', function () {
+    var table = th.closest('table');
+    var body = table.tBodies[0];
+    var col = Array.prototype.indexOf.call(th.parentNode.children, th);
+    var numeric = th.dataset.sort === 'number';
+    var dir = th.dataset.dir === 'asc' ? -1 : 1;
+    th.dataset.dir = dir === 1 ? 'asc' : 'desc';
+    Array.prototype.slice.call(body.rows).sort(function (a, b) {
+      var x = a.cells[col].dataset.value || a.cells[col].textContent;
+      var y = b.cells[col].dataset.value || b.cells[col].textContent;
+      if (numeric) return dir * ((parseFloat(x) || 0) - (parseFloat(y) || 0));
+      return dir * x.localeCompare(y);
+    }).forEach(function (row) { body.appendChild(row); });
+  });
+});
+`;
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function severityCell(severity) {
+  return `<td class="sev sev-${escapeHtml(severity)}" data-value="${SEVERITY_ORDER[severity] !== undefined ? SEVERITY_ORDER[severity] : 3}">${escapeHtml(severity)}</td>`;
+}
+
+function issueTable(dir, issues) {
+  if (issues.length === 0) return '<p class="empty">No lint issues found.</p>';
+  const rows = issues.map(i => '<tr>' +
+    severityCell(i.severity) +
+    `<td><code>${escapeHtml(i.id)}</code></td>` +
+    `<td>${escapeHtml(relativePath(dir, i.file))}</td>` +
+    `<td data-value="${i.line || 0}">${i.line || ''}</td>` +
+    `<td>${escapeHtml(i.message)}${i.hint ? `<br><span class="meta">${escapeHtml(i.hint)}</span>` : ''}</td>` +
+    '</tr>');
+  return '<table id="issues"><thead><tr>' +
+    '<th data-sort="number">Severity</th><th data-sort="text">Check</th><th data-sort="text">File</th><th data-sort="number">Line</th><th data-sort="text">Message</th>' +
+    '</tr></thead><tbody>\n' + rows.join('\n') + '\n</tbody></table>';
+}
+
+function budgetChart(budget) {
+  const max = Math.max(1, ...budget.files.map(f => f.tokens));
+  const bars = budget.files.map(f => '<div class="bar-row">' +
+    `<span class="bar-label" title="${escapeHtml(f.file)}">${escapeHtml(f.file)}</span>` +
+    `<span class="bar tier-${escapeHtml(f.tier)}" style="width:${Math.max(1, Math.round((f.tokens / max) * 500))}px"></span>` +
+    `<span>~${f.tokens} tokens</span></div>`);
+  return `<p>Always loaded: <strong>~${budget.alwaysLoaded}</strong> tokens &middot; Conditional (max): <strong>~${budget.conditionalMax}</strong> tokens &middot; Total: <strong>~${budget.total}</strong> tokens</p>` +
+    '<p class="legend"><span><i class="tier-always"></i>always</span><span><i class="tier-glob"></i>glob</span><span><i class="tier-manual"></i>manual</span></p>' +
+    (bars.length ? bars.join('\n') : '<p class="meta">No rules.</p>');
+}
+
+function sideBySide(title, fileA, excerptA, fileB, excerptB) {
+  return '<div class="conflict">' +
+    `<header>${title}</header>` +
+    '<div class="sides">' +
+    `<div><strong>${escapeHtml(fileA)}</strong><pre>${escapeHtml(excerptA)}</pre></div>` +
+    `<div><strong>${escapeHtml(fileB)}</strong><pre>${escapeHtml(excerptB)}</pre></div>` +
+    '</div></div>';
+}
+
+function conflictList(report) {
+  const items = [];
+  for (const c of report.conflicts) {
+    for (const e of c.excerpts) {
+      items.push(sideBySide(escapeHtml(`${c.fileA} vs ${c.fileB}`), c.fileA, e.a, c.fileB, e.b));
+    }
+  }
+  for (const c of report.crossConflicts) {
+    items.push(sideBySide(escapeHtml(`"${c.directiveA}" vs "${c.directiveB}"`),
+      c.lineA ? `${c.fileA}:${c.lineA}` : c.fileA, c.textA,
+      c.lineB ? `${c.fileB}:${c.lineB}` : c.fileB, c.textB));
+  }
+  return items.length ? items.join('\n') : '<p class="empty">No conflicts detected.</p>';
+}
+
+function clusterList(redundant) {
+  const clusters = redundancyClusters(redundant);
+  if (clusters.length === 0) return '<p class="empty">No redundant rules found.</p>';
+  return clusters.map(cluster => '<details open>' +
+    `<summary>${cluster.files.map(escapeHtml).join(', ')}</summary><ul>` +
+    cluster.pairs.map(p => `<li>${escapeHtml(p.fileA)} &harr; ${escapeHtml(p.fileB)}: ${p.overlapPct}% overlap (${p.sharedLines} shared lines)</li>`).join('') +
+    '</ul></details>').join('\n');
+}
+
+function ruleDrillDown(dir, rules) {
+  if (rules.length === 0) return '<p class="meta">No .mdc rules found.</p>';
+  return rules.map(rule => {
+    const counts = rule.issues.length ? ` &middot; ${rule.issues.length} issue${rule.issues.length === 1 ? '' : 's'}` : '';
+    const issues = rule.issues.map(i => `<li><span class="sev sev-${escapeHtml(i.severity)}">${escapeHtml(i.severity)}</span> ` +
+      `${i.line ? `line ${i.line}: ` : ''}${escapeHtml(i.message)} <code>${escapeHtml(i.id)}</code></li>`).join('');
+    return `<details id="rule-${escapeHtml(rule.file)}">` +
+      `<summary><strong>${escapeHtml(rule.file)}</strong> <span class="meta">${escapeHtml(rule.tier)} &middot; ~${rule.tokens} tokens${counts}</span></summary>` +
+      '<table>' +
+      `<tr><th>Path</th><td>${escapeHtml(relativePath(dir, rule.path))}</td></tr>` +
+      `<tr><th>Description</th><td>${escapeHtml(rule.description || '')}</td></tr>` +
+      `<tr><th>Globs</th><td>${rule.globs.length ? rule.globs.map(g => `<code>${escapeHtml(g)}</code>`).join(' ') : '<span class="meta">none</span>'}</td></tr>` +
+      '</table>' +
+      (issues ? `<ul>${issues}</ul>` : '<p class="empty">No issues.</p>') +
+      `<pre>${escapeHtml(rule.body)}</pre>` +
+      '</details>';
+  }).join('\n');
+}
+
+function suggestedFixes(report) {
+  const section = report.sections.find(s => s.title === 'Suggested Fixes');
+  if (!section) return '';
+  return '<ul>' + section.items.map(i => `<li>${escapeHtml(i.text)}</li>`).join('') + '</ul>';
+}
+
+/** Render a fullAudit() report for project `dir` as one HTML page. */
+function formatAuditHtml(report, dir) {
+  const color = GRADE_COLORS[report.grade] || '#656d76';
+  const errors = report.issues.filter(i => i.severity === 'error').length;
+  const warnings = report.issues.filter(i => i.severity === 'warning').length;
+  const info = report.issues.length - errors - warnings;
+  const stack = [...report.stack.frameworks, ...report.stack.languages];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>cursor-doctor audit: ${escapeHtml(path.basename(dir))}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>cursor-doctor audit</h1>
+<p class="meta">${escapeHtml(path.basename(dir))} &middot; cursor-doctor v${VERSION} &middot; ${new Date().toISOString().slice(0, 10)}</p>
+<div class="summary">
+<span class="grade" style="background:${color}">${escapeHtml(report.grade)}</span>
+<div>
+<div><strong>${report.percentage}%</strong> health score</div>
+<div class="counts"><span class="sev-error">${errors} errors</span><span class="sev-warning">${warnings} warnings</span><span class="sev-info">${info} info</span><span>${report.rules.length} rules</span></div>
+${stack.length ? `<div class="meta">Stack: ${stack.map(escapeHtml).join(', ')}</div>` : ''}
+</div>
+</div>
+<h2>Issues</h2>
+${issueTable(dir, report.issues)}
+<h2>Token budget</h2>
+${budgetChart(report.budget)}
+<h2>Conflicts</h2>
+${conflictList(report)}
+<h2>Redundancy</h2>
+${clusterList(report.redundant)}
+<h2>Suggested fixes</h2>
+${suggestedFixes(report)}
+<h2>Rules</h2>
+${ruleDrillDown(dir, report.rules)}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { formatAuditHtml };
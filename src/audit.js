@@ -3,51 +3,43 @@ const path = require('path');
 const { lintProject, parseFrontmatter } = require('./index');
 const { showStats } = require('./stats');
 const { analyzeTokenBudget } = require('./token-budget');
-const { extractDirectives, findDirectiveConflicts, subjectsSimilar, normalizeSubject } = require('./directives');
+const { extractDirectives, conflictingDirectives, subjectsSimilar, normalizeSubject } = require('./directives');
 const { detectCrossFormatConflicts } = require('./cross-conflicts');
+const { loadProject } = require('./project');
+const { doctor } = require('./doctor');
 
-function detectStack(dir) {
-  const stack = { frameworks: [], languages: [], packageManager: null };
-  
-  const pkgPath = path.join(dir, 'package.json');
-  if (fs.existsSync(pkgPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-      const allDeps = { ...pkg.dependencies, ...pkg.devDependencies };
-      
-      if (allDeps.next) stack.frameworks.push(`Next.js ${allDeps.next}`);
-      if (allDeps.react) stack.frameworks.push(`React ${allDeps.react}`);
-      if (allDeps.vue) stack.frameworks.push(`Vue ${allDeps.vue}`);
-      if (allDeps.svelte || allDeps['@sveltejs/kit']) stack.frameworks.push('SvelteKit');
-      if (allDeps.express) stack.frameworks.push(`Express ${allDeps.express}`);
-      if (allDeps['@nestjs/core']) stack.frameworks.push('NestJS');
-      if (allDeps['@angular/core']) stack.frameworks.push('Angular');
-      if (allDeps.tailwindcss) stack.frameworks.push('Tailwind CSS');
-      if (allDeps.prisma || allDeps['@prisma/client']) stack.frameworks.push('Prisma');
-      if (allDeps.drizzle || allDeps['drizzle-orm']) stack.frameworks.push('Drizzle');
-      
-      if (allDeps.typescript) stack.languages.push('TypeScript');
-      stack.languages.push('JavaScript');
-      
-      if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) stack.packageManager = 'pnpm';
-      else if (fs.existsSync(path.join(dir, 'yarn.lock'))) stack.packageManager = 'yarn';
-      else if (fs.existsSync(path.join(dir, 'bun.lockb'))) stack.packageManager = 'bun';
-      else stack.packageManager = 'npm';
-    } catch {}
-  }
-  
-  if (fs.existsSync(path.join(dir, 'requirements.txt')) || fs.existsSync(path.join(dir, 'pyproject.toml'))) {
-    stack.languages.push('Python');
-    if (fs.existsSync(path.join(dir, 'manage.py'))) stack.frameworks.push('Django');
-  }
-  if (fs.existsSync(path.join(dir, 'Gemfile'))) {
-    stack.languages.push('Ruby');
-    if (fs.existsSync(path.join(dir, 'config', 'routes.rb'))) stack.frameworks.push('Rails');
-  }
-  if (fs.existsSync(path.join(dir, 'go.mod'))) stack.languages.push('Go');
-  if (fs.existsSync(path.join(dir, 'Cargo.toml'))) stack.languages.push('Rust');
-  
-  return stack;
+// Display names for detected stack IDs, with the package that carries the version
+const STACK_FRAMEWORKS = [
+  { id: 'nextjs', label: 'Next.js', dep: 'next' },
+  { id: 'react', label: 'React', dep: 'react' },
+  { id: 'vue', label: 'Vue', dep: 'vue' },
+  { id: 'svelte', label: 'SvelteKit' },
+  { id: 'express', label: 'Express', dep: 'express' },
+  { id: 'nestjs', label: 'NestJS' },
+  { id: 'angular', label: 'Angular' },
+  { id: 'tailwind', label: 'Tailwind CSS' },
+  { id: 'prisma', label: 'Prisma' },
+  { id: 'drizzle', label: 'Drizzle' },
+  { id: 'django', label: 'Django' },
+  { id: 'rails', label: 'Rails' },
+];
+const STACK_LANGUAGES = [
+  { id: 'typescript', label: 'TypeScript' },
+  { id: 'javascript', label: 'JavaScript' },
+  { id: 'python', label: 'Python' },
+  { id: 'ruby', label: 'Ruby' },
+  { id: 'go', label: 'Go' },
+  { id: 'rust', label: 'Rust' },
+];
+
+// The project's detected stack as audit lists it
+function describeStack(stack) {
+  const has = (entry) => stack.ids.includes(entry.id);
+  return {
+    frameworks: STACK_FRAMEWORKS.filter(has).map(f => (f.dep && stack.deps[f.dep] ? `${f.label} ${stack.deps[f.dep]}` : f.label)),
+    languages: STACK_LANGUAGES.filter(has).map(l => l.label),
+    packageManager: stack.packageManager,
+  };
 }
 
 function findConflicts(rules) {
@@ -70,12 +62,14 @@ function findConflicts(rules) {
       const bDirectives = extractDirectives(b.body);
       
       // Find conflicting directives
-      const contradictions = findDirectiveConflicts(aDirectives, bDirectives);
+      const contradictions = conflictingDirectives(aDirectives, bDirectives);
       if (contradictions.length > 0) {
         conflicts.push({
           fileA: a.file,
           fileB: b.file,
-          reason: contradictions.join('; '),
+          reason: contradictions.map(p => `"${p.a.action} ${p.a.subject}" vs "${p.b.action} ${p.b.subject}"`).join('; '),
+          // The contradicting lines from each file
+          excerpts: contradictions.map(p => ({ a: p.a.line, b: p.b.line })),
           severity: 'warning',
         });
       }
@@ -129,6 +123,31 @@ function findRedundancy(rules) {
   return redundant;
 }
 
+// Join redundant pairs that share a rule into clusters: [{ files, pairs }]
+function redundancyClusters(redundant) {
+  const clusters = [];
+  const byFile = new Map();
+  for (const pair of redundant) {
+    const a = byFile.get(pair.fileA);
+    const b = byFile.get(pair.fileB);
+    let cluster = a || b;
+    if (!cluster) {
+      cluster = { files: [], pairs: [] };
+      clusters.push(cluster);
+    } else if (a && b && a !== b) {
+      // The pair links two clusters: fold b into a
+      for (const file of b.files) { a.files.push(file); byFile.set(file, a); }
+      a.pairs.push(...b.pairs);
+      clusters.splice(clusters.indexOf(b), 1);
+    }
+    for (const file of [pair.fileA, pair.fileB]) {
+      if (!byFile.has(file)) { cluster.files.push(file); byFile.set(file, cluster); }
+    }
+    cluster.pairs.push(pair);
+  }
+  return clusters;
+}
+
 function tokenBudgetBreakdown(stats) {
   const breakdown = {
     alwaysLoaded: 0,
@@ -175,7 +194,9 @@ function loadRules(dir) {
     if (fm.found && fm.data) {
       alwaysApply = fm.data.alwaysApply === true;
       const globVal = fm.data.globs;
-      if (typeof globVal === 'string') {
+      if (Array.isArray(globVal)) {
+        globs = globVal.map(g => String(g).trim()).filter(Boolean);
+      } else if (typeof globVal === 'string') {
         const trimmed = globVal.trim();
         if (trimmed.startsWith('[')) {
           globs = trimmed.slice(1, -1).split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
@@ -191,11 +212,12 @@ function loadRules(dir) {
   return rules;
 }
 
-async function fullAudit(dir) {
+async function fullAudit(dir, options) {
   const report = { sections: [] };
+  const project = (options && options.project) || loadProject(dir, options);
   
   // 1. Stack detection
-  const stack = detectStack(dir);
+  const stack = describeStack(project.stack);
   report.sections.push({
     title: 'Detected Stack',
     items: [
@@ -206,9 +228,9 @@ async function fullAudit(dir) {
   });
   
   // 2. Token budget breakdown (enhanced with smart analysis)
-  const stats = showStats(dir);
+  const stats = showStats(dir, { project });
   const budget = tokenBudgetBreakdown(stats);
-  const tokenAnalysis = analyzeTokenBudget(dir, { pro: true });
+  const tokenAnalysis = analyzeTokenBudget(dir, { pro: true, project });
   
   const budgetItems = [
     { text: `Always loaded: ~${tokenAnalysis.alwaysLoadedTokens} tokens (${tokenAnalysis.contextWindowPct}% of context window)`, type: tokenAnalysis.contextWindowPct > 15 ? 'warning' : 'info' },
@@ -256,7 +278,7 @@ async function fullAudit(dir) {
   });
   
   // 3. Lint issues
-  const lintResults = await lintProject(dir);
+  const lintResults = await lintProject(dir, { project });
   let errors = 0, warnings = 0;
   const issues = [];
   for (const r of lintResults) {
@@ -339,13 +361,30 @@ async function fullAudit(dir) {
       : fixes,
   });
   
+  const health = await doctor(dir, { project, cache: options && options.cache });
+  
+  report.grade = health.grade;
+  report.percentage = health.percentage;
   report.stack = stack;
   report.stats = stats;
   report.budget = budget;
+  report.issues = issues;
   report.conflicts = conflicts;
+  report.crossConflicts = crossConflicts;
   report.redundant = redundant;
   report.lintErrors = errors;
   report.lintWarnings = warnings;
+  // Per-rule detail for the HTML drill-down
+  report.rules = project.rules.map(rule => ({
+    file: rule.label,
+    path: rule.path,
+    tier: rule.tier,
+    globs: rule.globs,
+    description: rule.description,
+    tokens: stats.mdcFiles.find(f => f.file === rule.label).tokens,
+    body: rule.body,
+    issues: issues.filter(i => i.file === rule.path),
+  }));
   
   return report;
 }
@@ -365,4 +404,4 @@ function formatAuditMarkdown(report) {
   return md;
 }
 
-module.exports = { fullAudit, formatAuditMarkdown, detectStack, findConflicts, findRedundancy, tokenBudgetBreakdown, loadRules };
+module.exports = { fullAudit, formatAuditMarkdown, describeStack, findConflicts, findRedundancy, redundancyClusters, tokenBudgetBreakdown, loadRules };
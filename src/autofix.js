@@ -4,6 +4,8 @@ const { lintProject, parseFrontmatter } = require('./index');
 const { loadRules, findRedundancy, findConflicts } = require('./audit');
 const { getTemplate } = require('./templates');
 const { showStats } = require('./stats');
+const { loadConfig, checkOptions, isCheckEnabled } = require('./config');
+const { applyCustomFixes } = require('./custom-checks');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // FRONTMATTER FIXES (7)
@@ -160,14 +162,14 @@ function fixDescriptionMarkdown(content) {
   return { content, changes };
 }
 
-// 6. Fix unknown frontmatter keys: remove unknown keys
-function fixUnknownFrontmatterKeys(content) {
+// 6. Fix unknown frontmatter keys: remove unknown keys (allowedKeys come from config)
+function fixUnknownFrontmatterKeys(content, allowedKeys) {
   const changes = [];
   const fm = parseFrontmatter(content);
   
   if (!fm.found || !fm.data) return { content, changes };
   
-  const validKeys = ['description', 'globs', 'alwaysApply'];
+  const validKeys = ['description', 'globs', 'alwaysApply', 'verify'].concat(allowedKeys || []);
   const unknownKeys = Object.keys(fm.data).filter(k => !validKeys.includes(k));
   
   if (unknownKeys.length === 0) return { content, changes };
@@ -179,7 +181,14 @@ function fixUnknownFrontmatterKeys(content) {
   const lines = yaml.split('\n');
   const filteredLines = [];
   
+  let dropping = false;
   for (const line of lines) {
+    // Indented lines and list items belong to the key above (verify: blocks, globs lists)
+    if (/^(\s+\S|-(\s|$))/.test(line)) {
+      if (!dropping) filteredLines.push(line);
+      continue;
+    }
+    dropping = false;
     const colonIdx = line.indexOf(':');
     if (colonIdx === -1) {
       filteredLines.push(line);
@@ -191,6 +200,7 @@ function fixUnknownFrontmatterKeys(content) {
       filteredLines.push(line);
     } else {
       changes.push(`Removed unknown frontmatter key: ${key}`);
+      dropping = true;
     }
   }
   
@@ -386,8 +396,11 @@ function fixCommentedHTML(content) {
   const frontmatter = fmMatch[0];
   let body = content.slice(frontmatter.length);
   
-  if (/<!--[\s\S]*?-->/.test(body)) {
-    body = body.replace(/<!--[\s\S]*?-->/g, '');
+  // Keep cursor-doctor suppression comments (see suppressions.js)
+  const isDirective = (comment) => /^<!--\s*cursor-doctor-disable/.test(comment);
+  const comments = body.match(/<!--[\s\S]*?-->/g) || [];
+  if (comments.some(c => !isDirective(c))) {
+    body = body.replace(/<!--[\s\S]*?-->/g, c => isDirective(c) ? c : '');
     content = frontmatter + body;
     changes.push('Removed commented-out HTML sections');
   }
@@ -681,14 +694,14 @@ function splitOversizedFile(filePath, maxTokens = 1500) {
   };
 }
 
-async function autoFix(dir, options = {}) {
-  const results = { fixed: [], splits: [], deduped: [], merged: [], annotated: [], generated: [], errors: [] };
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  
-  if (!fs.existsSync(rulesDir)) {
-    results.errors.push('No .cursor/rules/ directory found');
-    return results;
-  }
+/**
+ * Run every per-file fixer over one rule's content, in memory.
+ * Returns { content, changes }, or { skip, skipReason } when the file
+ * shouldn't be touched. Shared by autoFix and SARIF fix suggestions.
+ */
+async function fixContent(filePath, content, config) {
+  const entry = path.basename(filePath);
+  const allowedKeys = checkOptions(config, 'unknown-frontmatter-key').allowedKeys;
   
   // All fixers in order (simple fixers that don't need filename)
   const fixers = [
@@ -698,7 +711,7 @@ async function autoFix(dir, options = {}) {
     fixEmptyGlobsArray,
     fixDuplicateGlobs,
     fixDescriptionMarkdown,
-    fixUnknownFrontmatterKeys,
+    isCheckEnabled(config, 'unknown-frontmatter-key') ? content => fixUnknownFrontmatterKeys(content, allowedKeys) : null,
     fixDescriptionRule,
     fixDescriptionSentence,
     fixExcessiveBlankLines,
@@ -730,7 +743,7 @@ async function autoFix(dir, options = {}) {
     fixJavaScriptSyntaxRules,
     fixPersonalityTuning,
     fixProjectDescription,
-  ];
+  ].filter(Boolean);
   
   // Fixers that need filename
   const filenameFixers = [
@@ -739,6 +752,53 @@ async function autoFix(dir, options = {}) {
     fixDescriptionIdenticalToFilename,
   ];
   
+  const changes = [];
+  
+  // Apply each simple fixer in sequence
+  for (const fixer of fixers) {
+    const result = fixer(content);
+    content = result.content;
+    changes.push(...result.changes);
+  }
+  
+  // Apply filename-aware fixers
+  for (const fixer of filenameFixers) {
+    const result = fixer(content, entry);
+    if (result.skip) {
+      return { skip: true, skipReason: result.skipReason || 'Skipped' };
+    }
+    content = result.content;
+    changes.push(...result.changes);
+  }
+  
+  // Legacy frontmatter fixer (for cases not covered by new fixers)
+  // Only run if content doesn't already have valid frontmatter (avoid double-frontmatter)
+  const preLegacyFm = parseFrontmatter(content);
+  if (!preLegacyFm.found || preLegacyFm.error) {
+    const legacyFixed = fixFrontmatter(content);
+    if (legacyFixed !== content) {
+      content = legacyFixed;
+      changes.push('frontmatter repaired');
+    }
+  }
+  
+  // Fixers shipped by project plugins run last, on the repaired content
+  const custom = await applyCustomFixes(filePath, content, config);
+  changes.push(...custom.changes);
+  return { content: custom.content, changes };
+}
+
+async function autoFix(dir, options = {}) {
+  const results = { fixed: [], splits: [], deduped: [], merged: [], annotated: [], generated: [], errors: [] };
+  const rulesDir = path.join(dir, '.cursor', 'rules');
+  
+  if (!fs.existsSync(rulesDir)) {
+    results.errors.push('No .cursor/rules/ directory found');
+    return results;
+  }
+
+  const config = options.config || loadConfig(dir);
+  
   // 1. Apply all fixers to each .mdc file
   const entries = fs.readdirSync(rulesDir);
   var filesFixed = 0;
@@ -750,43 +810,13 @@ async function autoFix(dir, options = {}) {
     const filePath = path.join(rulesDir, entry);
     let content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     const original = content;
-    const allChanges = [];
-    
-    // Apply each simple fixer in sequence
-    for (const fixer of fixers) {
-      const result = fixer(content);
-      content = result.content;
-      allChanges.push(...result.changes);
-    }
-    
-    // Apply filename-aware fixers
-    let skipFile = false;
-    let skipReason = '';
-    for (const fixer of filenameFixers) {
-      const result = fixer(content, entry);
-      if (result.skip) {
-        skipFile = true;
-        skipReason = result.skipReason || 'Skipped';
-        break;
-      }
-      content = result.content;
-      allChanges.push(...result.changes);
-    }
-    if (skipFile) {
-      results.fixed.push({ file: entry, change: skipReason });
+    const fixed = await fixContent(filePath, content, config);
+    if (fixed.skip) {
+      results.fixed.push({ file: entry, change: fixed.skipReason });
       continue;
     }
-    
-    // Legacy frontmatter fixer (for cases not covered by new fixers)
-    // Only run if content doesn't already have valid frontmatter (avoid double-frontmatter)
-    const preLegacyFm = parseFrontmatter(content);
-    if (!preLegacyFm.found || preLegacyFm.error) {
-      const legacyFixed = fixFrontmatter(content);
-      if (legacyFixed !== content) {
-        content = legacyFixed;
-        allChanges.push('frontmatter repaired');
-      }
-    }
+    content = fixed.content;
+    const allChanges = fixed.changes;
     
     if (content !== original) {
       if (!options.dryRun) {
@@ -1748,6 +1778,7 @@ function fixProjectDescription(content) {
 
 module.exports = {
   autoFix,
+  fixContent,
   fixFrontmatter,
   splitOversizedFile,
   // New fixers (v1.8.0+)
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Issue baseline (`lint --write-baseline`, `check --baseline`) for adopting
+ * cursor-doctor on a project with existing issues. The baseline is a
+ * checked-in .cursor-doctor-baseline.json listing a fingerprint per issue;
+ * `check --baseline` then fails only on issues that aren't in it.
+ *
+ * Fingerprints are the ones CI reports use (issueFingerprints in checks.js),
+ * so they survive edits that shift lines. Each entry also records an
+ * excerpt, the issue's line with whitespace collapsed, for readers of the
+ * file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { issueFingerprints } = require('./checks');
+const { relativePath } = require('./formatters/paths');
+
+const BASELINE_FILE = '.cursor-doctor-baseline.json';
+const BASELINE_FORMAT = 2;
+const MAX_EXCERPT = 200;
+
+function normalizeExcerpt(text) {
+  return text.replace(/\s+/g, ' ').trim().slice(0, MAX_EXCERPT);
+}
+
+function readLines(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  } catch (e) {
+    return null; // Directories (cross-file results) and deleted files
+  }
+}
+
+/** Baseline entries ({ fingerprint, file, id, excerpt }) for lintProject results. */
+function baselineEntries(dir, results) {
+  const entries = [];
+  for (const r of results) {
+    if (r.issues.length === 0) continue;
+    const file = relativePath(dir, r.file);
+    const lines = readLines(r.file);
+    const fingerprints = issueFingerprints(file, r.issues);
+    r.issues.forEach((issue, i) => {
+      const line = lines && issue.line ? lines[issue.line - 1] : undefined;
+      const excerpt = normalizeExcerpt(line !== undefined && line.trim() ? line : issue.message);
+      entries.push({ fingerprint: fingerprints[i], file, id: issue.id, excerpt, issue });
+    });
+  }
+  return entries;
+}
+
+function baselinePath(dir, location) {
+  return path.resolve(dir, location || BASELINE_FILE);
+}
+
+/** Record the issues in `results` as the baseline. Returns { path, count }. */
+function writeBaseline(dir, results, location) {
+  const file = baselinePath(dir, location);
+  const issues = baselineEntries(dir, results)
+    .map(e => ({ fingerprint: e.fingerprint, file: e.file, id: e.id, excerpt: e.excerpt }))
+    .sort((a, b) => a.file.localeCompare(b.file) || a.id.localeCompare(b.id) || a.fingerprint.localeCompare(b.fingerprint));
+  fs.writeFileSync(file, JSON.stringify({ format: BASELINE_FORMAT, issues }, null, 2) + '\n', 'utf-8');
+  return { path: file, count: issues.length };
+}
+
+/** The baseline's entries. Throws when it is missing or unreadable. */
+function readBaseline(dir, location) {
+  const file = baselinePath(dir, location);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new Error('No baseline at ' + relativePath(dir, file) + '. Create one with: cursor-doctor lint --write-baseline');
+    throw new Error('Cannot read baseline ' + relativePath(dir, file) + ': ' + e.message);
+  }
+  if (!data || data.format !== BASELINE_FORMAT || !Array.isArray(data.issues)) {
+    throw new Error('Unsupported baseline format in ' + relativePath(dir, file) + '. Recreate it with: cursor-doctor lint --write-baseline');
+  }
+  return data.issues;
+}
+
+/**
+ * Split lintProject results against a baseline. Returns { results, fresh,
+ * known, fixed }: `results` keeps only issues not in the baseline, `fresh`
+ * counts them, `known` counts the baselined issues still present and
+ * `fixed` lists baseline entries no longer found.
+ */
+function compareBaseline(dir, results, baseline) {
+  const remaining = new Map(baseline.map(e => [e.fingerprint, e]));
+  const freshIssues = new Set();
+  let known = 0;
+  for (const entry of baselineEntries(dir, results)) {
+    if (remaining.has(entry.fingerprint)) {
+      remaining.delete(entry.fingerprint);
+      known++;
+    } else {
+      freshIssues.add(entry.issue);
+    }
+  }
+  const filtered = results
+    .map(r => ({ file: r.file, issues: r.issues.filter(i => freshIssues.has(i)) }))
+    .filter(r => r.issues.length > 0);
+  return { results: filtered, fresh: freshIssues.size, known, fixed: Array.from(remaining.values()) };
+}
+
+module.exports = { BASELINE_FILE, baselineEntries, writeBaseline, readBaseline, compareBaseline };
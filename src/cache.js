@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Opt-in lint cache (`lint --cache`), stored in .cursor-doctor-cache.json.
+ * Reuses per-file lint results and pairwise conflict results while rule
+ * content is unchanged. Entries are keyed by content hash, like diff.js
+ * snapshots, plus whether the files a rule references exist; the whole
+ * cache is dropped when the cursor-doctor version or the project config
+ * (including plugin sources) changes.
+ *
+ * Plugin checks that read other files through ctx.project are cached with
+ * the rule they run on, so delete the cache after changing what they read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent } = require('./diff');
+const { pluginPaths } = require('./custom-checks');
+
+const CACHE_FILE = '.cursor-doctor-cache.json';
+const CACHE_FORMAT = 1;
+const VERSION = require('../package.json').version;
+
+// Hash of everything besides rule content that changes lint results.
+function configHash(config) {
+  const parts = [JSON.stringify({ checks: config.checks, customChecks: config.customChecks, plugins: config.plugins })];
+  for (const file of pluginPaths(config)) {
+    try { parts.push(fs.readFileSync(file, 'utf-8')); } catch (e) { parts.push(file); }
+  }
+  return hashContent(parts.join('\0'));
+}
+
+function readCacheFile(cachePath) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+  } catch (e) {
+    // Missing or corrupt: start over
+    return null;
+  }
+}
+
+/**
+ * Open the cache for a project. `options.location` overrides the file path;
+ * `options.memory` keeps the cache in memory only (watch mode).
+ * Returns { path, getFile, setFile, getPair, setPair, save, stats }.
+ */
+function openCache(dir, config, options) {
+  const cachePath = path.resolve(dir, (options && options.location) || CACHE_FILE);
+  const memory = !!(options && options.memory);
+  const hash = configHash(config);
+  const saved = memory ? null : readCacheFile(cachePath);
+  const valid = saved && saved.format === CACHE_FORMAT && saved.version === VERSION && saved.configHash === hash;
+  const data = valid ? saved : { format: CACHE_FORMAT, version: VERSION, configHash: hash, files: {}, pairs: {} };
+  const usedPairs = new Set();
+  const stats = { hits: 0, misses: 0 };
+  let dirty = !valid;
+
+  function fileKey(filePath) {
+    return path.relative(path.dirname(cachePath), filePath).split(path.sep).join('/');
+  }
+
+  // Content plus whatever else the file's results depend on (`extra`)
+  function entryHash(content, extra) {
+    return hashContent(extra ? content + '\0' + extra : content);
+  }
+
+  // Per-file issues for this exact content and `extra` state, or null
+  function getFile(filePath, content, extra) {
+    const entry = data.files[fileKey(filePath)];
+    if (entry && entry.hash === entryHash(content, extra)) {
+      stats.hits++;
+      return entry.issues;
+    }
+    stats.misses++;
+    return null;
+  }
+
+  function setFile(filePath, content, issues, extra) {
+    data.files[fileKey(filePath)] = { hash: entryHash(content, extra), issues };
+    dirty = true;
+  }
+
+  // Pair results depend on both rules' names and content, in order
+  function pairKey(a, b) {
+    return hashContent(a.file + '\0' + a.content) + ':' + hashContent(b.file + '\0' + b.content);
+  }
+
+  function getPair(a, b) {
+    const key = pairKey(a, b);
+    if (!data.pairs[key]) return null;
+    usedPairs.add(key);
+    return data.pairs[key];
+  }
+
+  function setPair(a, b, issues) {
+    const key = pairKey(a, b);
+    data.pairs[key] = issues;
+    usedPairs.add(key);
+    dirty = true;
+  }
+
+  // Write back, dropping files that are gone and pairs this run no longer needed.
+  function save() {
+    for (const key of Object.keys(data.files)) {
+      if (!fs.existsSync(path.resolve(path.dirname(cachePath), key))) { delete data.files[key]; dirty = true; }
+    }
+    if (usedPairs.size > 0) {
+      for (const key of Object.keys(data.pairs)) {
+        if (!usedPairs.has(key)) { delete data.pairs[key]; dirty = true; }
+      }
+    }
+    // The next run (watch mode, or doctor after lint) starts a new tally
+    usedPairs.clear();
+    if (!dirty || memory) return;
+    const tmp = cachePath + '.' + process.pid + '.tmp';
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(data), 'utf-8');
+    fs.renameSync(tmp, cachePath);
+    dirty = false;
+  }
+
+  return { path: cachePath, getFile, setFile, getPair, setPair, save, stats };
+}
+
+module.exports = { CACHE_FILE, openCache };
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Files changed in git, for `lint --changed`, `lint --since=<ref>` and
+ * `lint --staged`.
+ *
+ * --changed is everything that differs from HEAD: staged and unstaged edits
+ * plus untracked files. --since=<ref> adds the commits made since the branch
+ * left <ref> (diffed against the merge base, the way a pull request shows
+ * them), so CI can run `lint --since=origin/main`. --staged is what the next
+ * commit changes, read from the index rather than the working tree.
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Output as a string; `options` go to execFileSync, e.g. { input } or { encoding: null } for a Buffer
+function git(dir, args, options) {
+  return execFileSync('git', args, Object.assign({ cwd: dir, encoding: 'utf-8', timeout: 10000, maxBuffer: 50 * 1024 * 1024, stdio: ['pipe', 'pipe', 'pipe'] }, options));
+}
+
+// -z output: NUL-separated, no quoting of unusual file names
+function names(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+function requireRepo(dir, flag) {
+  try {
+    git(dir, ['rev-parse', '--is-inside-work-tree']);
+  } catch (e) {
+    throw new Error(flag + ' needs a git repository: ' + dir);
+  }
+}
+
+function verifyRef(dir, ref, flag) {
+  try {
+    git(dir, ['rev-parse', '--verify', '--quiet', ref + '^{commit}']);
+  } catch (e) {
+    throw new Error('Unknown git ref for ' + flag + ': ' + ref);
+  }
+}
+
+/**
+ * Absolute paths of added, modified, renamed or copied files under `dir`.
+ * `options.since` is the git ref to compare against (default HEAD);
+ * `options.head` compares it with that ref instead of the working tree, as
+ * a pull request would; `options.staged` limits them to what is staged for
+ * the next commit.
+ */
+function changedFiles(dir, options) {
+  const since = options && options.since;
+  const head = options && options.head;
+  if (options && options.staged) {
+    requireRepo(dir, '--staged');
+    return new Set(names(git(dir, ['diff', '--cached', '--name-only', '-z', '--relative', '--diff-filter=AMRC'])).map(f => path.join(dir, f)));
+  }
+  requireRepo(dir, since ? '--since' : '--changed');
+
+  let base = null;
+  if (since) {
+    verifyRef(dir, since, '--since');
+    if (head) verifyRef(dir, head, '--head');
+    try {
+      base = git(dir, ['merge-base', since, head || 'HEAD']).trim();
+    } catch (e) {
+      base = since; // Unrelated histories: compare with the ref itself
+    }
+  } else {
+    try {
+      base = git(dir, ['rev-parse', '--verify', '--quiet', 'HEAD']).trim();
+    } catch (e) {
+      base = null; // No commits yet
+    }
+  }
+
+  // --relative limits the diff to `dir` and prints paths relative to it
+  if (head) {
+    return new Set(names(git(dir, ['diff', '--name-only', '-z', '--relative', '--diff-filter=AMRC', base || head, head])).map(f => path.join(dir, f)));
+  }
+  const tracked = base
+    ? git(dir, ['diff', '--name-only', '-z', '--relative', '--diff-filter=AMRC', base])
+    : git(dir, ['ls-files', '-z', '--cached']);
+  const untracked = git(dir, ['ls-files', '-z', '--others', '--exclude-standard']);
+
+  return new Set(names(tracked).concat(names(untracked)).map(f => path.join(dir, f)));
+}
+
+/**
+ * A loadProject() readFile that returns the staged content of a file under
+ * `dir`, or null when the file is not in the index.
+ */
+function stagedReader(dir) {
+  return function(fullPath) {
+    const rel = path.relative(dir, fullPath).split(path.sep).join('/');
+    try {
+      return git(dir, ['show', ':./' + rel]);
+    } catch (e) {
+      return null;
+    }
+  };
+}
+
+module.exports = { changedFiles, stagedReader, git, requireRepo, verifyRef };
@@ -0,0 +1,1452 @@
+'use strict';
+
+/**
+ * Check registry — one entry per check ID.
+ * Checks with tunable thresholds declare their defaults under `options`;
+ * .cursor-doctor.json can override them per project (see config.js).
+ * Every linter (rules, skills, CLAUDE.md/AGENTS.md, MCP configs, plugins)
+ * tags its issues with an ID from this table; normalizeIssue() fills in the
+ * shared fields so all output paths (CLI, --json, MCP server, LSP) agree.
+ *
+ * Each entry also documents the check: `description` (what it flags),
+ * `rationale` (why it matters) and, where one helps, `bad` and `good`
+ * examples as arrays of lines. `cursor-doctor explain`, the LSP hover and
+ * docs/checks.md are all rendered from these fields (see explain.js).
+ * `aliases` lists short names that suppression comments and
+ * .cursor-doctor.json accept in place of the ID.
+ */
+
+const crypto = require('crypto');
+
+const DOCS_BASE_URL = 'https://github.com/nedcodes-ok/cursor-doctor/blob/main/docs/checks.md';
+
+// Category display names, in the order checks are listed
+const CATEGORIES = {
+  file: 'Files',
+  frontmatter: 'Frontmatter',
+  description: 'Description',
+  globs: 'Globs',
+  content: 'Body content',
+  prompt: 'Prompt style',
+  'ai-generated': 'AI-generated filler',
+  security: 'Security',
+  skills: 'Skills',
+  project: 'Project',
+  conflicts: 'Cross-rule conflicts',
+  agents: 'CLAUDE.md / AGENTS.md / .cursor/agents',
+  mcp: 'MCP configs',
+  plugin: 'Cursor plugins',
+  custom: 'Custom checks',
+};
+
+const CHECKS = {
+  // ── Files ──────────────────────────────────────────────────────────────────
+  'file-unreadable': {
+    category: 'file', severity: 'error', fixable: false, title: 'File cannot be read',
+    description: 'A rule file exists but reading it failed, usually because of file permissions.',
+    rationale: 'Cursor cannot load a rule it cannot read, so its instructions are silently missing from every request.',
+  },
+  'binary-file': {
+    category: 'file', severity: 'warning', fixable: false, title: 'Binary file in rules directory',
+    description: 'A file in .cursor/rules/ contains binary data instead of text.',
+    rationale: 'Rules are plain text. Binary files (images, archives, editor swap files) are never useful to the model and may be fed to it as noise.',
+  },
+
+  // ── Frontmatter ────────────────────────────────────────────────────────────
+  'missing-frontmatter': {
+    category: 'frontmatter', severity: 'error', fixable: true, title: 'Missing YAML frontmatter',
+    description: 'The rule has no --- frontmatter block at the top.',
+    rationale: 'Cursor reads description, globs and alwaysApply from the frontmatter to decide when to load a rule. Without it the rule only applies when referenced by hand.',
+    bad: ['Use named exports for React components.'],
+    good: ['---', 'description: React component conventions', 'globs: ["**/*.tsx"]', '---', 'Use named exports for React components.'],
+  },
+  'frontmatter-syntax': {
+    category: 'frontmatter', severity: 'error', fixable: true, title: 'YAML frontmatter syntax error',
+    description: 'The frontmatter block is not valid YAML. Repeated keys (the last one wins), stray lines without "key: value" and an unclosed `[` are tolerated. ` #` starts a comment in unquoted values, so quote a description like "Fix issue #12".',
+    rationale: 'When the YAML does not parse, Cursor cannot read any of the rule\'s settings, so it may never load or load at the wrong time.',
+    bad: ['---', 'description: API conventions', '  globs: ["src/api/**"]', '---'],
+    good: ['---', 'description: API conventions', 'globs: ["src/api/**"]', '---'],
+  },
+  'missing-always-apply': {
+    category: 'frontmatter', severity: 'warning', fixable: true, title: 'No alwaysApply or globs set',
+    description: 'The frontmatter sets neither alwaysApply nor globs.',
+    rationale: 'Without either, Cursor only attaches the rule when the agent decides its description is relevant or someone mentions it, which is easy to miss.',
+    bad: ['---', 'description: Testing conventions', '---'],
+    good: ['---', 'description: Testing conventions', 'globs: ["**/*.test.ts"]', '---'],
+  },
+  'missing-description': {
+    category: 'frontmatter', severity: 'warning', fixable: true, title: 'Missing or empty description',
+    description: 'The frontmatter has no description, or it is empty.',
+    rationale: 'Cursor uses the description to decide when a rule is relevant. Rules without one are hard to pick up automatically and hard for teammates to scan.',
+    bad: ['---', 'description:', 'alwaysApply: true', '---'],
+    good: ['---', 'description: TypeScript conventions', 'alwaysApply: true', '---'],
+  },
+  'never-loads': {
+    category: 'frontmatter', severity: 'error', fixable: true, title: 'Rule will never load',
+    description: 'alwaysApply is false and no globs are set.',
+    rationale: 'A rule that is neither global nor scoped to files is never attached automatically, so its instructions have no effect.',
+    bad: ['---', 'description: Database conventions', 'alwaysApply: false', '---'],
+    good: ['---', 'description: Database conventions', 'globs: ["src/db/**/*.ts"]', 'alwaysApply: false', '---'],
+  },
+  'unknown-frontmatter-key': {
+    category: 'frontmatter', severity: 'warning', fixable: true, title: 'Unknown frontmatter key', options: { allowedKeys: [] },
+    description: 'The frontmatter has a key other than description, globs, alwaysApply and verify (cursor-doctor\'s own verify: blocks).',
+    rationale: 'Cursor ignores unknown keys, so a typo such as "glob" or "always_apply" silently disables the setting it was meant to be. List keys your team uses on purpose in allowedKeys.',
+    bad: ['---', 'description: Styling conventions', 'glob: ["**/*.css"]', '---'],
+    good: ['---', 'description: Styling conventions', 'globs: ["**/*.css"]', '---'],
+  },
+  'verify-invalid-regex': {
+    category: 'frontmatter', severity: 'error', fixable: false, title: 'Invalid regex in verify block',
+    description: 'A pattern or antipattern in the rule\'s verify: blocks is not a valid JavaScript regular expression, or its flags are not i, m, s and u.',
+    rationale: '`cursor-doctor verify` cannot run a block whose regex does not compile, so the check it was meant to enforce silently stops happening.',
+    bad: ['verify:', '  - antipattern: "console.log("', '    message: Use the logger'],
+    good: ['verify:', '  - antipattern: "console\\\\.log\\\\("', '    message: Use the logger'],
+  },
+  'verify-invalid-block': {
+    category: 'frontmatter', severity: 'warning', fixable: false, title: 'Malformed verify block',
+    description: 'A verify: block sets none or several of pattern, antipattern, required and forbidden, has an unknown key, or has an invalid severity, count, flags, multiline or replace setting.',
+    rationale: 'verify skips blocks it cannot interpret, so a misspelled key such as "antipatern" turns the block into a no-op.',
+    bad: ['verify:', '  - antipatern: "console\\\\.log"'],
+    good: ['verify:', '  - antipattern: "console\\\\.log"', '    severity: warning'],
+  },
+  'boolean-strings': {
+    category: 'frontmatter', severity: 'error', fixable: true, title: 'Quoted boolean in frontmatter',
+    description: 'alwaysApply is a quoted string ("true" or "false") instead of a boolean.',
+    rationale: 'A quoted value is a string, not a boolean, and may not be read the way you expect.',
+    bad: ['---', 'description: Logging conventions', 'alwaysApply: "true"', '---'],
+    good: ['---', 'description: Logging conventions', 'alwaysApply: true', '---'],
+  },
+  'frontmatter-tabs': {
+    category: 'frontmatter', severity: 'warning', fixable: true, title: 'Tabs in frontmatter',
+    description: 'The frontmatter is indented with tabs.',
+    rationale: 'YAML does not allow tabs for indentation, so tab-indented lists and values may fail to parse.',
+    bad: ['---', 'globs:', '\t- "**/*.ts"', '---'],
+    good: ['---', 'globs:', '  - "**/*.ts"', '---'],
+  },
+  'always-apply-with-globs': {
+    category: 'frontmatter', severity: 'info', fixable: false, title: 'alwaysApply with globs',
+    description: 'alwaysApply is true and globs are set as well.',
+    rationale: 'With alwaysApply: true the rule loads on every request and the globs no longer filter anything. That is fine if intended, but usually one of the two settings is a leftover.',
+    bad: ['---', 'description: Python conventions', 'globs: ["**/*.py"]', 'alwaysApply: true', '---'],
+    good: ['---', 'description: Python conventions', 'globs: ["**/*.py"]', 'alwaysApply: false', '---'],
+  },
+  'always-apply-specific-globs': {
+    category: 'frontmatter', severity: 'warning', fixable: true, title: 'alwaysApply with very specific globs',
+    description: 'alwaysApply is true but the globs name specific files or deep paths.',
+    rationale: 'Very specific globs show the rule is meant for certain files, but alwaysApply: true loads it everywhere and spends tokens on every unrelated request.',
+    bad: ['---', 'description: Webpack config conventions', 'globs: ["webpack.config.js"]', 'alwaysApply: true', '---'],
+    good: ['---', 'description: Webpack config conventions', 'globs: ["webpack.config.js"]', 'alwaysApply: false', '---'],
+  },
+  'always-apply-file-specific': {
+    category: 'frontmatter', severity: 'warning', fixable: false, title: 'alwaysApply on a file-specific rule',
+    description: 'The description says the rule is for certain files (e.g. "for React components") but alwaysApply is true.',
+    rationale: 'A rule for one kind of file spends context on every request when it is always applied. Scoping it with globs keeps it out of unrelated work.',
+    bad: ['---', 'description: Conventions for React components', 'alwaysApply: true', '---'],
+    good: ['---', 'description: Conventions for React components', 'globs: ["**/*.tsx"]', '---'],
+  },
+
+  // ── Description ────────────────────────────────────────────────────────────
+  'description-markdown': {
+    category: 'description', severity: 'warning', fixable: true, title: 'Markdown in description',
+    description: 'The description contains markdown such as **bold**, `code` or links.',
+    rationale: 'The description is a plain-text label Cursor matches against. Formatting adds noise there and is better kept for the rule body.',
+    bad: ['description: "**Important** rules for `api/`"'],
+    good: ['description: API route conventions'],
+  },
+  'description-too-short': {
+    category: 'description', severity: 'warning', fixable: false, title: 'Description too short', options: { minChars: 10 },
+    description: 'The description is shorter than minChars characters.',
+    rationale: 'A one-word description gives Cursor little to decide relevance with and tells teammates nothing about the rule.',
+    bad: ['description: TS'],
+    good: ['description: TypeScript naming and typing conventions'],
+  },
+  'description-too-long': {
+    category: 'description', severity: 'warning', fixable: false, title: 'Description too long', options: { maxChars: 200 },
+    description: 'The description is longer than maxChars characters.',
+    rationale: 'Descriptions are for deciding when to apply a rule. Long ones usually hold instructions that belong in the body.',
+    bad: ['description: Use strict TypeScript, prefer interfaces over types, never use any, always add return types, and keep files under 300 lines because...'],
+    good: ['description: TypeScript typing conventions'],
+  },
+  'description-is-filename': {
+    category: 'description', severity: 'warning', fixable: true, title: 'Description repeats the filename',
+    description: 'The description is the same as the file name.',
+    rationale: 'Repeating the filename tells Cursor nothing new about when the rule applies.',
+    bad: ['# react-hooks.mdc', 'description: react-hooks'],
+    good: ['# react-hooks.mdc', 'description: Rules for writing custom React hooks'],
+  },
+  'description-says-rule': {
+    category: 'description', severity: 'info', fixable: true, title: 'Description contains "rule"',
+    description: 'The description includes the word "rule".',
+    rationale: 'Every description belongs to a rule, so the word adds nothing. Name the topic instead.',
+    bad: ['description: Rule for TypeScript'],
+    good: ['description: TypeScript conventions'],
+  },
+  'description-sentence': {
+    category: 'description', severity: 'info', fixable: true, title: 'Description is a full sentence',
+    description: 'The description is a capitalized sentence ending in punctuation.',
+    rationale: 'Short noun phrases are easier to scan and to match than full sentences.',
+    bad: ['description: This rule enforces TypeScript conventions.'],
+    good: ['description: TypeScript conventions'],
+  },
+  'description-non-ascii': {
+    category: 'description', severity: 'info', fixable: false, title: 'Non-ASCII characters in description',
+    description: 'The description contains characters outside ASCII, such as emoji or smart quotes.',
+    rationale: 'Special characters can interfere with how descriptions are matched and displayed.',
+    bad: ['description: ✨ React “best practices”'],
+    good: ['description: React component conventions'],
+  },
+  'description-repeated': {
+    category: 'description', severity: 'warning', fixable: true, title: 'Body starts with the description',
+    description: 'The first line of the body repeats the description.',
+    rationale: 'The description is already sent with the rule. Repeating it in the body spends tokens on every request.',
+    bad: ['---', 'description: Error handling conventions', '---', 'Error handling conventions', '', 'Wrap async handlers in try/catch.'],
+    good: ['---', 'description: Error handling conventions', '---', 'Wrap async handlers in try/catch.'],
+  },
+
+  // ── Globs ──────────────────────────────────────────────────────────────────
+  'comma-separated-globs': {
+    category: 'globs', severity: 'warning', fixable: true, title: 'Comma-separated globs string',
+    description: 'globs is one comma-separated string instead of a YAML list.',
+    rationale: 'Comma-separated strings can fail to match in some Cursor versions. A list is unambiguous.',
+    bad: ['globs: "*.ts, *.tsx"'],
+    good: ['globs:', '  - "*.ts"', '  - "*.tsx"'],
+  },
+  'empty-globs': {
+    category: 'globs', severity: 'warning', fixable: true, title: 'Empty globs array',
+    description: 'globs is set to an empty list.',
+    rationale: 'An empty list targets no files, so the rule only loads if alwaysApply is true. Either add patterns or remove the key.',
+    bad: ['globs: []'],
+    good: ['globs: ["**/*.ts", "**/*.tsx"]'],
+  },
+  'broad-glob': {
+    category: 'globs', severity: 'warning', fixable: false, title: 'Overly broad glob',
+    description: 'A glob such as "*" or "**/*" matches every file.',
+    rationale: 'A glob that matches everything behaves like alwaysApply while hiding that intent. Use specific patterns, or alwaysApply: true if the rule really is global.',
+    bad: ['globs: ["**/*"]'],
+    good: ['globs: ["src/**/*.ts"]'],
+  },
+  'glob-spaces': {
+    category: 'globs', severity: 'warning', fixable: false, title: 'Glob contains spaces',
+    description: 'A glob pattern contains a space.',
+    rationale: 'Spaces are usually a leftover from comma-separated lists and stop the pattern from matching.',
+    bad: ['globs: ["src/** /*.ts"]'],
+    good: ['globs: ["src/**/*.ts"]'],
+  },
+  'glob-missing-extension': {
+    category: 'globs', severity: 'warning', fixable: false, title: 'Glob has no extension after the dot',
+    description: 'A glob ends in a dot with no extension, such as "*.".',
+    rationale: 'A pattern ending in "." matches almost nothing, so the rule never loads.',
+    bad: ['globs: ["src/*."]'],
+    good: ['globs: ["src/*.ts"]'],
+  },
+  'glob-backslashes': {
+    category: 'globs', severity: 'warning', fixable: true, title: 'Glob uses backslashes',
+    description: 'A glob uses Windows-style backslashes as path separators.',
+    rationale: 'Glob patterns use forward slashes on every platform. Backslashes fail to match on macOS and Linux.',
+    bad: ['globs: ["src\\\\components\\\\*.tsx"]'],
+    good: ['globs: ["src/components/*.tsx"]'],
+  },
+  'glob-trailing-slash': {
+    category: 'globs', severity: 'warning', fixable: true, title: 'Glob has a trailing slash',
+    description: 'A glob ends with a slash.',
+    rationale: 'Globs match files, not directories. A trailing slash matches nothing.',
+    bad: ['globs: ["src/components/"]'],
+    good: ['globs: ["src/components/**"]'],
+  },
+  'glob-dot-slash': {
+    category: 'globs', severity: 'info', fixable: true, title: 'Glob starts with ./',
+    description: 'A glob starts with "./".',
+    rationale: 'Cursor resolves globs from the project root, so the prefix is unnecessary and may stop the pattern from matching.',
+    bad: ['globs: ["./src/**/*.ts"]'],
+    good: ['globs: ["src/**/*.ts"]'],
+  },
+  'glob-negation': {
+    category: 'globs', severity: 'warning', fixable: false, title: 'Negated glob',
+    description: 'A glob starts with "!" to exclude files.',
+    rationale: 'Cursor may not support negation in rule globs, so the exclusion can be ignored or the pattern can match nothing.',
+    bad: ['globs: ["**/*.ts", "!**/*.test.ts"]'],
+    good: ['globs: ["src/**/*.ts"]'],
+  },
+  'glob-no-wildcard': {
+    category: 'globs', severity: 'info', fixable: false, title: 'Glob has no wildcard',
+    description: 'A glob is a literal file name with no wildcard.',
+    rationale: 'A bare name only matches that exact path from the project root. Use "**/" to match it anywhere.',
+    bad: ['globs: ["package.json"]'],
+    good: ['globs: ["**/package.json"]'],
+  },
+  'glob-targets-rules': {
+    category: 'globs', severity: 'warning', fixable: false, title: 'Glob targets .mdc files',
+    description: 'A glob matches .mdc files.',
+    rationale: 'Rules do not apply to rule files, so a rule scoped to *.mdc never loads while you work on your code.',
+    bad: ['globs: ["*.mdc"]'],
+    good: ['globs: ["src/**/*.ts"]'],
+  },
+  'glob-regex-syntax': {
+    category: 'globs', severity: 'error', fixable: true, title: 'Regex syntax in glob',
+    description: 'A glob uses regular expression syntax such as "\\.", "$" or ".*".',
+    rationale: 'Globs use *, ? and {}, not regex. A regex in a glob matches nothing, so the rule never loads.',
+    bad: ['globs: [".*\\\\.ts$"]'],
+    good: ['globs: ["**/*.ts"]'],
+  },
+  'duplicate-globs': {
+    category: 'globs', severity: 'warning', fixable: true, title: 'Duplicate globs',
+    description: 'The same glob appears more than once.',
+    rationale: 'Duplicates have no effect and usually hide a typo in a pattern that was meant to differ.',
+    bad: ['globs: ["**/*.ts", "**/*.tsx", "**/*.ts"]'],
+    good: ['globs: ["**/*.ts", "**/*.tsx"]'],
+  },
+  'simplifiable-globs': {
+    category: 'globs', severity: 'info', fixable: false, title: 'Globs could be combined',
+    description: 'Several globs differ only in their extension.',
+    rationale: 'One brace pattern is shorter and easier to keep in sync than a list of near-identical globs.',
+    bad: ['globs: ["*.ts", "*.tsx", "*.js", "*.jsx"]'],
+    good: ['globs: ["*.{ts,tsx,js,jsx}"]'],
+  },
+
+  // ── Body content ───────────────────────────────────────────────────────────
+  'vague-rule': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Vague instruction',
+    aliases: ['vague'],
+    description: 'The body uses a vague phrase such as "write clean code" or "follow best practices".',
+    rationale: 'The model already tries to write good code. Vague phrases spend tokens without saying which tool, pattern or format you actually want.',
+    bad: ['Follow best practices and write clean code.'],
+    good: ['Use early returns instead of nested if/else. Keep functions under 40 lines.'],
+  },
+  'body-long': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Rule body is long', options: { maxChars: 2000 },
+    description: 'The body is longer than maxChars characters.',
+    rationale: 'Long rules spend context on every request they load for, and the model follows short, focused rules more reliably.',
+  },
+  'body-too-long': {
+    category: 'content', severity: 'error', fixable: true, title: 'Rule body is too long', options: { maxChars: 5000 },
+    description: 'The body is longer than maxChars characters.',
+    rationale: 'Rules this long crowd out the code the model is working on and bury the instructions that matter. Split them into focused rules.',
+  },
+  'empty-body': {
+    category: 'content', severity: 'error', fixable: false, title: 'Rule has no instructions',
+    description: 'The rule has frontmatter but nothing after it.',
+    rationale: 'An empty rule loads but tells the model nothing.',
+    bad: ['---', 'description: Testing conventions', 'globs: ["**/*.test.ts"]', '---'],
+    good: ['---', 'description: Testing conventions', 'globs: ["**/*.test.ts"]', '---', 'Use vitest. Name tests after the behaviour they check.'],
+  },
+  'no-examples': {
+    category: 'content', severity: 'info', fixable: false, title: 'No code examples',
+    description: 'A rule longer than 500 characters has no code block.',
+    rationale: 'A short example shows the model exactly what you mean and is followed more reliably than prose alone.',
+    bad: ['Wrap API handlers so errors are logged and returned as JSON with a status code...'],
+    good: ['Wrap API handlers so errors are logged and returned as JSON:', '', '```ts', 'export const GET = withErrors(async (req) => { ... });', '```'],
+  },
+  'url-only-body': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Body is just a URL',
+    description: 'The body is only a link, with little or no other text.',
+    rationale: 'Cursor does not follow links in rules, so the model only sees the URL.',
+    bad: ['https://example.com/our-style-guide'],
+    good: ['Use 2-space indentation and single quotes.', 'Full guide: https://example.com/our-style-guide'],
+  },
+  'xml-tags': {
+    category: 'content', severity: 'warning', fixable: false, title: 'XML/HTML tags in body',
+    description: 'The body contains XML or HTML tags outside code blocks.',
+    rationale: 'Tags such as <instructions> are prompt scaffolding copied from chat prompts. Markdown headings and lists are clearer in a rule.',
+    bad: ['<instructions>', 'Use named exports.', '</instructions>'],
+    good: ['## Exports', '', '- Use named exports.'],
+  },
+  'broken-links': {
+    category: 'content', severity: 'warning', fixable: true, title: 'Broken markdown links',
+    description: 'The body has malformed markdown links, such as an unclosed "(" or "][" with no reference.',
+    rationale: 'Broken link syntax leaves stray brackets in the text and may swallow the instructions that follow.',
+    bad: ['See the [API guide](docs/api.md for details.'],
+    good: ['See the [API guide](docs/api.md) for details.'],
+  },
+  'todo-comments': {
+    category: 'content', severity: 'warning', fixable: true, title: 'TODO/FIXME comments',
+    description: 'The body contains TODO, FIXME or HACK notes.',
+    rationale: 'Notes to yourself are read by the model as instructions and make the rule look unfinished.',
+    bad: ['Use zod for validation. TODO: add examples for forms'],
+    good: ['Use zod for validation.'],
+  },
+  'heading-level-skip': {
+    category: 'content', severity: 'warning', fixable: true, title: 'Heading levels skip',
+    description: 'Headings jump levels, for example from # to ###.',
+    rationale: 'A consistent heading hierarchy makes the structure of the rule clear to the model and to readers.',
+    bad: ['# API', '### Errors'],
+    good: ['# API', '## Errors'],
+  },
+  'deep-headings': {
+    category: 'content', severity: 'warning', fixable: true, title: 'Deeply nested headings',
+    description: 'The body uses four or more heading levels.',
+    rationale: 'Deep nesting is a sign the rule covers too much. Flatten it or split it into several rules.',
+    bad: ['# Frontend', '## React', '### Hooks', '#### Effects'],
+    good: ['# React hooks', '## Effects'],
+  },
+  'excessive-blank-lines': {
+    category: 'content', severity: 'info', fixable: true, title: 'Excessive blank lines',
+    description: 'The body has more than three blank lines in a row.',
+    rationale: 'Extra whitespace spends tokens without separating anything further.',
+    bad: ['Use named exports.', '', '', '', '', 'Prefer const.'],
+    good: ['Use named exports.', '', 'Prefer const.'],
+  },
+  'numbered-lists': {
+    category: 'content', severity: 'info', fixable: true, title: 'Numbered list without order',
+    description: 'The body has a long numbered list but nothing suggests the order matters.',
+    rationale: 'Numbers imply a sequence. Bullets are clearer when the items are independent.',
+    bad: ['1. Use const', '2. Use named exports', '3. Avoid any', '4. Prefer interfaces', '5. Add return types'],
+    good: ['- Use const', '- Use named exports', '- Use unknown instead of any', '- Prefer interfaces', '- Add return types'],
+  },
+  'missing-file-reference': {
+    category: 'content', severity: 'info', fixable: false, title: 'Referenced file may not exist',
+    description: 'The body mentions a file path that does not exist in the project.',
+    rationale: 'Rules that point to moved or deleted files send the model looking for code that is not there.',
+    bad: ['Follow the patterns in src/legacy/api-client.ts.'],
+    good: ['Follow the patterns in src/api/client.ts.'],
+  },
+  'mixed-concerns': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Rule mixes concerns',
+    description: 'One rule covers three or more unrelated topics, such as testing, styling, naming and architecture.',
+    rationale: 'Rules that cover everything load for everything. Focused rules can be scoped with globs and are easier to keep up to date.',
+  },
+  'absolute-paths': {
+    category: 'content', severity: 'error', fixable: false, title: 'Absolute paths in body',
+    description: 'The body contains machine-specific absolute paths like /Users/... or C:\\.',
+    rationale: 'Absolute paths only exist on one machine. Everyone else\'s agent is pointed at files that are not there.',
+    bad: ['Shared types live in /Users/alex/projects/app/src/types.'],
+    good: ['Shared types live in src/types.'],
+  },
+  'env-vars': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Environment variables in body',
+    description: 'The body refers to machine-specific environment variables like $HOME or %USERPROFILE%.',
+    rationale: 'These resolve differently on every machine, so instructions built on them are fragile.',
+    bad: ['Write logs to $HOME/app/logs.'],
+    good: ['Write logs to the logs/ directory at the project root.'],
+  },
+  'emoji-overload': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Too many emoji',
+    description: 'The body contains five or more emoji.',
+    rationale: 'Emoji cost tokens and do not make instructions clearer to the model.',
+    bad: ['✅ Use const 🚀', '❌ No var 🔥', '⚠️ Check types'],
+    good: ['- Use const.', '- Use let only when reassigning.'],
+  },
+  'base64-content': {
+    category: 'content', severity: 'error', fixable: false, title: 'Base64 or data URI in body',
+    description: 'The body contains base64 data or a data: URI.',
+    rationale: 'Encoded blobs cost a huge number of tokens and mean nothing to the model.',
+    bad: ['![logo](data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA...)'],
+    good: ['The logo lives in public/logo.png.'],
+  },
+  'inconsistent-list-markers': {
+    category: 'content', severity: 'info', fixable: true, title: 'Mixed list markers',
+    description: 'Lists in the body mix the -, * and + markers.',
+    rationale: 'Consistent markers keep the rule tidy and make edits and diffs easier to read.',
+    bad: ['- Use const', '* Use named exports', '+ Prefer interfaces'],
+    good: ['- Use const', '- Use named exports', '- Prefer interfaces'],
+  },
+  'repeated-instruction': {
+    category: 'content', severity: 'warning', fixable: true, title: 'Repeated instruction',
+    description: 'The same sentence appears more than once in the body.',
+    rationale: 'Repeating an instruction does not make it stick. It only costs tokens.',
+    bad: ['Always validate request bodies with zod. ... Always validate request bodies with zod.'],
+    good: ['Always validate request bodies with zod.'],
+  },
+  'ui-actions': {
+    category: 'content', severity: 'warning', fixable: false, title: 'References editor UI actions',
+    description: 'The body tells someone to click menus or press shortcuts.',
+    rationale: 'Rules are read by the model, which cannot click anything. UI steps belong in a README.',
+    bad: ['Press Cmd+S and click File > Preferences to enable format on save.'],
+    good: ['Format code with Prettier using the project\'s .prettierrc.'],
+  },
+  'commented-out': {
+    category: 'content', severity: 'info', fixable: true, title: 'Commented-out sections',
+    description: 'The body contains HTML comments or // comment lines.',
+    rationale: 'Comments are still sent to the model and cost tokens. Delete disabled instructions instead of commenting them out.',
+    bad: ['Use named exports.', '<!-- Use default exports for pages -->'],
+    good: ['Use named exports.'],
+  },
+  'unused-suppression': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Unused suppression comment',
+    description: 'A cursor-doctor-disable comment does not suppress any issue.',
+    rationale: 'Stale suppressions hide future issues that were never reviewed. Remove them once the issue is gone.',
+    bad: ['<!-- cursor-doctor-disable-next-line vague-rule -->', 'Use early returns.'],
+    good: ['Use early returns.'],
+  },
+  'trailing-whitespace': {
+    category: 'content', severity: 'info', fixable: true, title: 'Trailing whitespace',
+    description: 'Lines in the body end with spaces or tabs.',
+    rationale: 'Trailing whitespace costs tokens and creates noisy diffs.',
+  },
+  'mostly-code': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Body is mostly code blocks',
+    description: 'More than 70% of the body is code blocks.',
+    rationale: 'Examples need instructions around them. Without text the model has to guess what the code is meant to teach.',
+    bad: ['```ts', 'export function useUser() { ... }', '```'],
+    good: ['Fetch data in custom hooks named use<Thing>, never inside components:', '', '```ts', 'export function useUser() { ... }', '```'],
+  },
+  'long-lines': {
+    category: 'content', severity: 'info', fixable: false, title: 'Very long lines',
+    description: 'The body has lines longer than 500 characters.',
+    rationale: 'Long lines usually pack several instructions together. Bullet points are easier to follow and to edit.',
+  },
+  'model-names': {
+    category: 'content', severity: 'warning', fixable: false, title: 'References model names',
+    description: 'The body mentions specific models such as GPT-4 or Claude.',
+    rationale: 'Rules apply whichever model is selected. Model-specific instructions go stale and may confuse the model that reads them.',
+    bad: ['When using GPT-4, prefer shorter answers.'],
+    good: ['Keep explanations to one paragraph.'],
+  },
+  'stale-dates': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Dates that will go stale',
+    description: 'The body contains phrases like "As of March 2024" or "Updated: 2024-03-01".',
+    rationale: 'Dated statements turn wrong silently. Rules should describe how things are, and git keeps the history.',
+    bad: ['As of March 2024 we use Next.js 14.'],
+    good: ['Use the Next.js version in package.json and the App Router.'],
+  },
+  'legacy-cursorrules-reference': {
+    category: 'content', severity: 'warning', fixable: true, title: 'References .cursorrules',
+    description: 'The body refers to the old .cursorrules file.',
+    rationale: 'Cursor moved to .cursor/rules/*.mdc. References to .cursorrules point the model at a file that may no longer be read.',
+    bad: ['See .cursorrules for the rest of the conventions.'],
+    good: ['See the other rules in .cursor/rules/ for the rest of the conventions.'],
+  },
+  'excessive-emphasis': {
+    category: 'content', severity: 'info', fixable: false, title: 'Excessive bold/italic',
+    description: 'The body uses more than ten bold or italic spans.',
+    rationale: 'When everything is emphasized nothing stands out, and the markup costs tokens.',
+    bad: ['**Always** use **const** and **never** use **var**. **Important:** ...'],
+    good: ['Use const. Use let only when a variable is reassigned.'],
+  },
+  'raw-json': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Raw JSON without explanation',
+    description: 'The body contains a JSON block with no text around it.',
+    rationale: 'The model cannot tell whether a bare JSON blob is an example, a config to copy or a schema to follow.',
+    bad: ['{ "semi": false, "singleQuote": true }'],
+    good: ['Match the Prettier settings in .prettierrc:', '', '```json', '{ "semi": false, "singleQuote": true }', '```'],
+  },
+  'language-mismatch': {
+    category: 'content', severity: 'info', fixable: false, title: 'Body language differs from description',
+    description: 'The description is in English but the body contains a lot of non-English text.',
+    rationale: 'Cursor matches on the description. When it and the body are in different languages, teammates and tools can misjudge what the rule covers.',
+  },
+  'line-number-references': {
+    category: 'content', severity: 'warning', fixable: false, title: 'References line numbers',
+    description: 'The body refers to code by line number, such as "on line 42".',
+    rationale: 'Line numbers change with every edit. Refer to functions, files or patterns instead.',
+    bad: ['Do not change the retry logic on line 42 of client.ts.'],
+    good: ['Do not change the retry logic in fetchWithRetry() in client.ts.'],
+  },
+  'unclosed-code-block': {
+    category: 'content', severity: 'error', fixable: true, title: 'Unclosed code block',
+    description: 'A ``` code fence is opened but never closed.',
+    rationale: 'Everything after an unclosed fence is read as code, so the instructions that follow are lost.',
+    bad: ['```ts', 'const x = 1;', '', 'Use named exports.'],
+    good: ['```ts', 'const x = 1;', '```', '', 'Use named exports.'],
+  },
+  'shell-commands': {
+    category: 'content', severity: 'warning', fixable: false, title: 'Shell commands without context',
+    description: 'The body contains commands like npm install or git commit outside code blocks.',
+    rationale: 'Bare commands read like orders to run them. Say when and why a command is used, and put it in a code block.',
+    bad: ['npm install zod'],
+    good: ['Validate input with zod. If it is missing, add it with:', '', '```sh', 'npm install zod', '```'],
+  },
+
+  // ── Prompt style ───────────────────────────────────────────────────────────
+  'self-contradiction': {
+    category: 'prompt', severity: 'error', fixable: false, title: 'Contradiction within one rule',
+    description: 'The same rule tells the model to do something and also not to do it.',
+    rationale: 'The model cannot follow both instructions, so it picks one unpredictably.',
+    bad: ['Always use semicolons.', 'Never use semicolons in TypeScript.'],
+    good: ['Always use semicolons.'],
+  },
+  'weak-language': {
+    category: 'prompt', severity: 'warning', fixable: false, title: 'Weak language',
+    description: 'The body uses hedged phrasing such as "try to", "consider" or "maybe".',
+    rationale: 'Models follow direct commands more reliably than suggestions. Hedging invites them to skip the instruction.',
+    bad: ['Try to use TypeScript strict mode if possible.'],
+    good: ['Use TypeScript strict mode.'],
+  },
+  'negation-without-alternative': {
+    category: 'prompt', severity: 'warning', fixable: false, title: 'Negation without an alternative',
+    description: 'The body says what not to do ("don\'t use X") without saying what to do instead.',
+    rationale: 'A prohibition leaves the model guessing which alternative you want. Naming it gives clear direction and avoids swapping one bad pattern for another.',
+    bad: ['Don\'t use moment.js.'],
+    good: ['Use date-fns instead of moment.js.'],
+  },
+  'no-actionable-instructions': {
+    category: 'prompt', severity: 'warning', fixable: false, title: 'No actionable instructions',
+    description: 'The body has no imperative verbs such as use, write, create or ensure.',
+    rationale: 'A rule that only describes things gives the model nothing to act on.',
+    bad: ['Our API is RESTful and JSON-based.'],
+    good: ['Return JSON from every API route. Use plural nouns for resource paths.'],
+  },
+  'only-negative': {
+    category: 'prompt', severity: 'warning', fixable: false, title: 'Only negative instructions',
+    description: 'Every instruction in the rule is a prohibition.',
+    rationale: 'A list of don\'ts tells the model what to avoid but not what good code looks like.',
+    bad: ['Never use any.', 'Don\'t use var.', 'Avoid classes.'],
+    good: ['Use unknown instead of any.', 'Use const, or let when reassigning.', 'Write plain functions instead of classes.'],
+  },
+  'first-person': {
+    category: 'prompt', severity: 'info', fixable: true, title: 'First-person phrasing',
+    description: 'The body uses first-person phrasing like "I want you to".',
+    rationale: 'Direct commands are shorter and clearer than requests.',
+    bad: ['I want you to use named exports.'],
+    good: ['Use named exports.'],
+  },
+  'politeness': {
+    category: 'prompt', severity: 'info', fixable: true, title: 'Please/thank you',
+    description: 'The body says please or thank you.',
+    rationale: 'Courtesy words cost tokens on every request and do not change how the model follows the rule.',
+    bad: ['Please use named exports. Thank you!'],
+    good: ['Use named exports.'],
+  },
+
+  // ── AI-generated filler ────────────────────────────────────────────────────
+  'role-preamble': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'Role-playing preamble',
+    description: 'The rule opens with a role assignment such as "You are an expert senior developer".',
+    rationale: 'Role preambles come from chatbot prompts. Cursor\'s agent already knows it is coding, so the tokens are better spent on concrete instructions.',
+    bad: ['You are an expert TypeScript developer with 20 years of experience.', 'Use strict mode.'],
+    good: ['Use strict mode.'],
+  },
+  'meta-instructions': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'Thinking-process meta-instructions',
+    description: 'The body tells the model how to think, e.g. "think step by step".',
+    rationale: 'Reasoning prompts are chatbot prompt engineering. Rules work best when they say what to do in this codebase.',
+    bad: ['Think step by step before writing any code.'],
+    good: ['Before adding an endpoint, check src/api/ for an existing handler to extend.'],
+  },
+  'stacked-adjectives': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'Stacked quality adjectives',
+    description: 'The body strings together quality adjectives like "correct, bug-free, secure, performant".',
+    rationale: 'Adjective lists describe a wish, not a practice. Replace them with the patterns, checks and tests that produce that quality.',
+    bad: ['Write correct, bug-free, secure, performant and efficient code.'],
+    good: ['Validate all request input with zod. Add a unit test for every exported function.'],
+  },
+  'js-syntax-format': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'JavaScript/JSON used as rule format',
+    description: 'The rule is written as a JavaScript or JSON data structure instead of prose.',
+    rationale: 'The model reads the text, not the data structure. Brackets and quotes cost tokens and make the instructions harder to follow.',
+    bad: ['const rules = [', '  "use named exports",', '  "prefer const",', '];'],
+    good: ['- Use named exports.', '- Prefer const.'],
+  },
+  'personality-tuning': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'Chatbot personality tuning',
+    description: 'The body tunes chat behaviour, e.g. "don\'t apologize" or "cut the fluff".',
+    rationale: 'Personality resets come from chat prompts and do nothing for code. Use the tokens for rules about your project.',
+    bad: ['Don\'t apologize. Be casual. Cut the fluff.'],
+    good: ['Keep commit messages under 72 characters.'],
+  },
+  'confirmation-prompt': {
+    category: 'ai-generated', severity: 'warning', fixable: false, title: 'Asks the agent to confirm first',
+    description: 'The body asks the agent to confirm or ask permission before writing code.',
+    rationale: 'Agent mode is designed to act. Confirmation steps stall every task; review changes in diffs or branches instead.',
+    bad: ['Always ask for confirmation before making any changes.'],
+    good: ['Make changes on a feature branch; never commit to main.'],
+  },
+  'no-placeholder-instruction': {
+    category: 'ai-generated', severity: 'info', fixable: false, title: '"Leave no TODOs" filler',
+    description: 'The body contains a generic "leave no TODOs or placeholders" instruction.',
+    rationale: 'This is common AI-generated filler. If incomplete code is a real problem, state the specific requirement.',
+    bad: ['Leave NO todos, placeholders or missing pieces.'],
+    good: ['Implement every function body; do not leave empty stubs that throw "not implemented".'],
+  },
+  'uncertainty-disclaimer': {
+    category: 'ai-generated', severity: 'info', fixable: false, title: '"If you don\'t know, say so" disclaimer',
+    description: 'The body contains a chatbot disclaimer like "if you don\'t know, say so".',
+    rationale: 'This guards against chat answers, not code changes. In a codebase the agent can look things up.',
+    bad: ['If you don\'t know the answer, say so instead of guessing.'],
+    good: ['Check the existing implementation in src/ before adding a new helper.'],
+  },
+  'multi-response': {
+    category: 'ai-generated', severity: 'warning', fixable: false, title: 'Asks for multiple responses',
+    description: 'The body asks the model to split its answer across several messages.',
+    rationale: 'Cursor produces complete responses in one turn. Multi-message instructions come from chat prompts and waste tokens.',
+    bad: ['If the answer is long, split it into multiple responses.'],
+    good: ['Keep each change focused on one feature.'],
+  },
+  'project-description': {
+    category: 'ai-generated', severity: 'warning', fixable: true, title: 'Project description instead of instructions',
+    description: 'The body describes what the project is, with few instructions.',
+    rationale: 'A description of the project does not tell the model how to write code for it. Turn it into patterns to follow and things to avoid.',
+    bad: ['This project is a web app for tracking workouts. The goal is to help users stay fit. We are a small team...'],
+    good: ['Store workouts through src/db/workouts.ts. Use the Workout type from src/types.ts in components.'],
+  },
+
+  // ── Security ───────────────────────────────────────────────────────────────
+  'secrets': {
+    category: 'security', severity: 'error', fixable: false, title: 'Credentials in rule body',
+    description: 'The body contains something that looks like an API key, token or password.',
+    rationale: 'Rules are committed to the repository and sent to the model with every request. Secrets in them leak to everyone with access to either.',
+    bad: ['Use the Stripe key sk_live_51H8x... for payments.'],
+    good: ['Read the Stripe key from the STRIPE_SECRET_KEY environment variable.'],
+  },
+
+  // ── Skills ─────────────────────────────────────────────────────────────────
+  'skill-missing-frontmatter': {
+    category: 'skills', severity: 'error', fixable: false, title: 'Skill has no frontmatter',
+    description: 'A SKILL.md file has no --- frontmatter block.',
+    rationale: 'Agents discover skills by the name and description in the frontmatter. Without it the skill cannot be found.',
+    bad: ['# Deploy', 'Run the deploy script.'],
+    good: ['---', 'name: deploy', 'description: Deploy the app to staging or production', '---', '# Deploy', 'Run the deploy script.'],
+  },
+  'skill-frontmatter-syntax': {
+    category: 'skills', severity: 'error', fixable: false, title: 'Skill frontmatter syntax error',
+    description: 'The frontmatter of a SKILL.md file is not valid YAML.',
+    rationale: 'When the frontmatter does not parse, the skill\'s name and description are lost and agents cannot pick it up.',
+  },
+  'skill-missing-name': {
+    category: 'skills', severity: 'error', fixable: false, title: 'Skill has no name',
+    description: 'The skill frontmatter has no name.',
+    rationale: 'The name is how agents and users refer to a skill.',
+    bad: ['---', 'description: Deploy the app', '---'],
+    good: ['---', 'name: deploy', 'description: Deploy the app', '---'],
+  },
+  'skill-missing-description': {
+    category: 'skills', severity: 'error', fixable: false, title: 'Skill has no description',
+    description: 'The skill frontmatter has no description.',
+    rationale: 'Agents decide whether to use a skill from its description. Without one the skill is never chosen on its own.',
+    bad: ['---', 'name: deploy', '---'],
+    good: ['---', 'name: deploy', 'description: Deploy the app to staging or production', '---'],
+  },
+  'skill-description-too-short': {
+    category: 'skills', severity: 'warning', fixable: false, title: 'Skill description too short',
+    description: 'The skill description is only a few characters long.',
+    rationale: 'A short description gives the agent too little to decide when the skill applies.',
+    bad: ['description: Deploy'],
+    good: ['description: Deploy the app to staging or production with the release script'],
+  },
+  'skill-empty-body': {
+    category: 'skills', severity: 'error', fixable: false, title: 'Skill has no body',
+    description: 'The skill has frontmatter but no instructions after it.',
+    rationale: 'An agent that picks the skill finds nothing to do.',
+  },
+  'skill-body-too-short': {
+    category: 'skills', severity: 'warning', fixable: false, title: 'Skill body too short',
+    description: 'The skill body is shorter than 50 characters.',
+    rationale: 'Skills are meant to carry a procedure. A single line rarely gives the agent enough to act on.',
+    bad: ['Run the deploy script.'],
+    good: ['1. Run `npm run build` and stop if it fails.', '2. Run `./scripts/deploy.sh staging`.', '3. Check https://staging.example.com/health returns 200.'],
+  },
+  'skill-no-headings': {
+    category: 'skills', severity: 'warning', fixable: false, title: 'Long skill without headings',
+    description: 'A long skill body has no markdown headings.',
+    rationale: 'Headings let the agent find the part of a long procedure it needs.',
+  },
+
+  // ── Project ────────────────────────────────────────────────────────────────
+  'legacy-cursorrules': {
+    category: 'project', severity: 'warning', fixable: false, title: '.cursorrules file',
+    description: 'The project has a .cursorrules file.',
+    rationale: '.cursorrules is the legacy format and may be ignored in agent mode. Rules in .cursor/rules/*.mdc are always read. Convert with: cursor-doctor migrate',
+  },
+  'no-rules': {
+    category: 'project', severity: 'warning', fixable: false, title: 'No rules found',
+    description: 'No Cursor rules or agent skills were found in the project.',
+    rationale: 'Without rules the agent has no project-specific guidance. Create some with: cursor-doctor init',
+  },
+  'rules-dir-unreadable': {
+    category: 'project', severity: 'error', fixable: false, title: 'Rules directory unreadable',
+    description: 'A rules directory exists but cannot be read, usually because of file permissions.',
+    rationale: 'Cursor cannot load rules from a directory it cannot read.',
+  },
+  'too-many-rules': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Too many rule files', options: { maxRules: 20 },
+    description: 'A rules directory has more than maxRules rule files.',
+    rationale: 'Every rule that loads costs context. Large rule sets are hard to keep consistent; consolidate related rules.',
+  },
+  'too-many-always-apply': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Too many alwaysApply rules', options: { maxRules: 5 },
+    description: 'More than maxRules rules in a directory set alwaysApply: true.',
+    rationale: 'Always-applied rules load on every request. Scope the ones that only matter for some files with globs.',
+  },
+  'duplicate-description': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Duplicate descriptions',
+    description: 'Two rules have the same description.',
+    rationale: 'Cursor tells rules apart by their descriptions. Identical ones make it guess which to load.',
+    bad: ['# api.mdc', 'description: Backend conventions', '# db.mdc', 'description: Backend conventions'],
+    good: ['# api.mdc', 'description: API route conventions', '# db.mdc', 'description: Database access conventions'],
+  },
+  'duplicate-rules': {
+    category: 'project', severity: 'warning', fixable: true, title: 'Near-duplicate rules',
+    description: 'Two or more rules have very similar content.',
+    rationale: 'Duplicated rules cost tokens twice and drift apart over time. Merge them or make their differences explicit.',
+  },
+  'identical-globs': {
+    category: 'project', severity: 'info', fixable: false, title: 'Rules share identical globs',
+    description: 'Several rules use exactly the same globs.',
+    rationale: 'This is fine when they cover different topics, but it often means one topic was split across files that could be merged.',
+  },
+  'globs-match-nothing': {
+    category: 'project', severity: 'info', fixable: false, title: 'Globs match no files',
+    description: 'None of a rule\'s globs match a file in the project.',
+    rationale: 'A rule whose globs match nothing never loads. The patterns may be wrong or the code they targeted may be gone.',
+    bad: ['globs: ["src/components/**/*.vue"]   # project has only .tsx files'],
+    good: ['globs: ["src/components/**/*.tsx"]'],
+  },
+  'unorganized-rules': {
+    category: 'project', severity: 'info', fixable: false, title: 'Many rules without subdirectories',
+    description: '.cursor/rules/ has more than 15 rules and no subdirectories.',
+    rationale: 'Grouping rules into folders like typescript/ or react/ makes a large rule set easier to navigate and own.',
+  },
+  'filename-not-kebab': {
+    category: 'project', severity: 'info', fixable: true, title: 'Filename not kebab-case',
+    description: 'A rule file name is not kebab-case.',
+    rationale: 'Consistent file names make rules easy to find and reference.',
+    bad: ['.cursor/rules/ReactHooks.mdc'],
+    good: ['.cursor/rules/react-hooks.mdc'],
+  },
+  'generic-filename': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Generic filename',
+    description: 'A rule has a generic name such as rules.mdc, misc.mdc or config.mdc.',
+    rationale: 'Generic names say nothing about what the rule covers and tend to collect unrelated instructions.',
+    bad: ['.cursor/rules/misc.mdc'],
+    good: ['.cursor/rules/error-handling.mdc'],
+  },
+  'similar-filenames': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Near-identical filenames',
+    description: 'Two rule files have nearly the same name.',
+    rationale: 'Names like react-hooks.mdc and react-hook.mdc usually mean a duplicate or a rename that was never cleaned up.',
+  },
+  'unexpected-cursor-file': {
+    category: 'project', severity: 'info', fixable: false, title: 'Unexpected file in .cursor/',
+    description: '.cursor/ contains a file Cursor does not use.',
+    rationale: '.cursor/ should hold rules/, hooks.json, mcp.json, environment.json and agents.json. Other files are often misplaced rules or leftovers.',
+  },
+  'non-mdc-in-rules': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Non-.mdc file in rules/',
+    description: '.cursor/rules/ contains a file that is not .mdc.',
+    rationale: 'Cursor only loads .mdc files from the rules directory. A rule saved as .md is silently ignored.',
+    bad: ['.cursor/rules/testing.md'],
+    good: ['.cursor/rules/testing.mdc'],
+  },
+  'context-file-too-large': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Context file too large',
+    description: 'A context file such as CLAUDE.md or AGENTS.md is larger than 10KB.',
+    rationale: 'Context files load in full. Large ones crowd out the code the agent is working on; move specific guidance into scoped rules.',
+  },
+  'cursorrules-and-rules': {
+    category: 'project', severity: 'error', fixable: false, title: '.cursorrules next to .cursor/rules/',
+    description: 'The project has both a .cursorrules file and a .cursor/rules/ directory.',
+    rationale: 'Two sources of rules drift apart and can conflict. Migrate .cursorrules with cursor-doctor migrate, then delete it.',
+  },
+  'context-files-overlap': {
+    category: 'project', severity: 'warning', fixable: false, title: 'AGENTS.md and CLAUDE.md overlap',
+    description: 'AGENTS.md and CLAUDE.md contain much of the same content.',
+    rationale: 'Duplicated instructions cost tokens twice and drift apart. Keep shared guidance in one file.',
+  },
+  'hook-missing-script': {
+    category: 'project', severity: 'error', fixable: false, title: 'Hook script missing',
+    description: '.cursor/hooks.json references a script that does not exist.',
+    rationale: 'The hook fails every time it fires.',
+  },
+  'hooks-json-syntax': {
+    category: 'project', severity: 'error', fixable: false, title: 'hooks.json syntax error',
+    description: '.cursor/hooks.json is not valid JSON.',
+    rationale: 'Cursor cannot read any of the hooks in an invalid file.',
+  },
+  'environment-json-syntax': {
+    category: 'project', severity: 'error', fixable: false, title: 'environment.json syntax error',
+    description: '.cursor/environment.json is not valid JSON.',
+    rationale: 'Cursor cannot set up the agent environment from an invalid file.',
+  },
+  'agent-file-empty': {
+    category: 'project', severity: 'error', fixable: false, title: 'Empty agent file',
+    description: 'A file in .cursor/agents/ is empty.',
+    rationale: 'An empty agent definition gives the agent nothing to work from.',
+  },
+  'agent-file-too-short': {
+    category: 'project', severity: 'warning', fixable: false, title: 'Agent file too short',
+    description: 'A file in .cursor/agents/ has fewer than 20 characters.',
+    rationale: 'An agent needs enough detail to understand its role and limits.',
+  },
+
+  // ── Cross-rule conflicts ───────────────────────────────────────────────────
+  'conflicting-rules': {
+    category: 'conflicts', severity: 'error', fixable: false, title: 'Rules give opposite directives',
+    description: 'Two rules that can load together give opposite directives, such as "use X" and "never use X".',
+    rationale: 'When both rules load the model gets contradictory orders and follows one at random.',
+    bad: ['# a.mdc', 'Always use semicolons.', '# b.mdc', 'Never use semicolons.'],
+    good: ['# a.mdc', 'Always use semicolons.'],
+  },
+  'semantic-conflict': {
+    category: 'conflicts', severity: 'error', fixable: false, title: 'Rules contradict each other',
+    description: 'Two rules that can load together disagree on a topic, such as tabs vs spaces or default vs named exports.',
+    rationale: 'Conflicting guidance on the same topic makes the model\'s output inconsistent from one file to the next.',
+    bad: ['# style.mdc', 'Use tabs for indentation.', '# ts.mdc', 'Use spaces for indentation.'],
+    good: ['# style.mdc', 'Use spaces for indentation.'],
+  },
+  'overlapping-globs': {
+    category: 'conflicts', severity: 'warning', fixable: false, title: 'alwaysApply rules share globs',
+    description: 'Two alwaysApply rules list the same globs.',
+    rationale: 'Rules that target the same files should agree. Overlaps like this are often duplicates that can be merged.',
+  },
+
+  // ── CLAUDE.md / AGENTS.md / .cursor/agents ─────────────────────────────────
+  'agents-file-too-large': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'Agent config too large',
+    description: 'CLAUDE.md or AGENTS.md is very large.',
+    rationale: 'The whole file is loaded into every session. Keep core facts there and move specific guidance into scoped .cursor/rules/*.mdc files.',
+  },
+  'agents-file-empty': {
+    category: 'agents', severity: 'error', fixable: false, title: 'Agent config empty',
+    description: 'CLAUDE.md or AGENTS.md exists but is empty.',
+    rationale: 'An empty context file gives the agent nothing. Add a project overview, build and test commands, and code style.',
+  },
+  'agents-no-headings': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'No markdown headings',
+    description: 'The file has no markdown headings.',
+    rationale: 'Sections let the agent and your teammates find the part that matters for the task at hand.',
+    bad: ['Run npm test before committing. Use 2 spaces. The API lives in src/api...'],
+    good: ['## Testing', 'Run npm test before committing.', '', '## Style', 'Use 2 spaces.'],
+  },
+  'agents-missing-sections': {
+    category: 'agents', severity: 'info', fixable: false, title: 'Missing common sections',
+    description: 'The file lacks one of the common sections: project overview, build/setup, testing, code style.',
+    rationale: 'These are the questions an agent asks first in a new codebase. Answering them up front saves exploration on every task.',
+  },
+  'agents-no-agent-sections': {
+    category: 'agents', severity: 'info', fixable: false, title: 'No role/tools/constraints sections',
+    description: 'An agent definition has no role, tools/capabilities or constraints section.',
+    rationale: 'Agents behave predictably when their purpose, what they may use and what they must not do are spelled out.',
+    good: ['## Role', 'Review pull requests for security issues.', '', '## Tools', 'Read-only file access.', '', '## Constraints', 'Never push commits.'],
+  },
+  'agents-persona': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'Persona instruction',
+    description: 'The file contains a persona prompt such as "You are an expert developer".',
+    rationale: 'Context files should carry facts about the project. Persona prompts cost tokens without telling the agent anything about your code.',
+    bad: ['You are an expert senior engineer.'],
+    good: ['This is a Next.js 14 app using the App Router and Prisma.'],
+  },
+  'agents-conversational': {
+    category: 'agents', severity: 'info', fixable: false, title: 'Conversational phrasing',
+    description: 'A line starts with "please", "try to", "you should" or "I want you to".',
+    rationale: 'Direct instructions are shorter and followed more reliably.',
+    bad: ['You should run the linter before committing.'],
+    good: ['Run the linter before committing.'],
+  },
+  'agents-model-reference': {
+    category: 'agents', severity: 'info', fixable: false, title: 'Model name reference',
+    description: 'The file mentions a specific model such as GPT-4, Sonnet or Gemini.',
+    rationale: 'Context files are shared by every tool and model. Model-specific instructions go stale and do not apply to the others.',
+  },
+  'agents-large-code-block': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'Large inline code block',
+    description: 'The file contains a code block larger than 2KB.',
+    rationale: 'Large inlined code is loaded every session. Point to the file instead and let the agent read it when needed.',
+    bad: ['```ts', '// 300 lines of src/api/client.ts', '```'],
+    good: ['Follow the patterns in src/api/client.ts.'],
+  },
+  'agents-contradictory-absolutes': {
+    category: 'agents', severity: 'warning', fixable: false, title: '"always" and "never" close together',
+    description: '"always" and "never" appear within a few words of each other.',
+    rationale: 'Absolutes that close together often contradict each other or are ambiguous about which one wins.',
+    bad: ['Always use async/await but never in tests.'],
+    good: ['Use async/await. In tests, return promises instead.'],
+  },
+  'agents-duplicate-heading': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'Duplicate heading',
+    description: 'The same heading appears more than once.',
+    rationale: 'Split sections with the same name are easy to update in one place and forget in the other. Merge them.',
+  },
+  'agents-long-line': {
+    category: 'agents', severity: 'info', fixable: false, title: 'Very long line',
+    description: 'A line is very long.',
+    rationale: 'Long paragraphs pack several instructions together. Bullet points are easier to follow and to edit.',
+  },
+  'agents-empty-section': {
+    category: 'agents', severity: 'warning', fixable: false, title: 'Empty section',
+    description: 'A heading has no content under it.',
+    rationale: 'Empty sections look like missing information. Fill them in or remove them.',
+    bad: ['## Testing', '', '## Style', 'Use 2 spaces.'],
+    good: ['## Testing', 'Run npm test.', '', '## Style', 'Use 2 spaces.'],
+  },
+
+  // ── MCP configs ────────────────────────────────────────────────────────────
+  'mcp-empty-file': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Empty MCP config',
+    description: 'An MCP config file is empty.',
+    rationale: 'An empty file is not valid JSON, so Cursor cannot load any servers from it.',
+    good: ['{ "mcpServers": {} }'],
+  },
+  'mcp-json-syntax': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'MCP config JSON syntax error',
+    description: 'An MCP config file is not valid JSON.',
+    rationale: 'Cursor cannot load any server from a file that does not parse.',
+    bad: ['{ "mcpServers": { "db": { "command": "db-mcp", } } }'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp" } } }'],
+  },
+  'mcp-not-object': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'MCP config is not an object',
+    description: 'The top level of an MCP config is not a JSON object.',
+    rationale: 'Cursor expects an object with an "mcpServers" key.',
+    bad: ['[{ "command": "db-mcp" }]'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp" } } }'],
+  },
+  'mcp-unknown-top-level-key': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Unknown top-level key',
+    description: 'The config has a top-level key other than "mcpServers".',
+    rationale: 'Servers defined outside "mcpServers" are ignored.',
+    bad: ['{ "servers": { "db": { "command": "db-mcp" } } }'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp" } } }'],
+  },
+  'mcp-missing-servers': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Missing mcpServers',
+    description: 'The config has no "mcpServers" key.',
+    rationale: 'Without "mcpServers" Cursor finds no servers to start.',
+    bad: ['{}'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp" } } }'],
+  },
+  'mcp-servers-not-object': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'mcpServers is not an object',
+    description: '"mcpServers" is an array or a scalar instead of an object keyed by server name.',
+    rationale: 'Cursor looks servers up by name, so a list of servers is not read.',
+    bad: ['{ "mcpServers": [{ "command": "db-mcp" }] }'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp" } } }'],
+  },
+  'mcp-no-servers': {
+    category: 'mcp', severity: 'info', fixable: false, title: 'No servers configured',
+    description: '"mcpServers" is empty.',
+    rationale: 'An empty config does nothing. Add servers or remove the file.',
+  },
+  'mcp-server-not-object': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Server entry is not an object',
+    description: 'A server entry is a string or array instead of an object.',
+    rationale: 'Cursor needs an object with command or url to start a server.',
+    bad: ['{ "mcpServers": { "db": "db-mcp --port 5432" } }'],
+    good: ['{ "mcpServers": { "db": { "command": "db-mcp", "args": ["--port", "5432"] } } }'],
+  },
+  'mcp-unknown-server-field': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Unknown server field',
+    description: 'A server entry has a field other than command, args, env, url, type, cwd and disabled.',
+    rationale: 'Unknown fields are ignored, so a typo like "arguments" silently drops the setting.',
+    bad: ['{ "command": "db-mcp", "arguments": ["--readonly"] }'],
+    good: ['{ "command": "db-mcp", "args": ["--readonly"] }'],
+  },
+  'mcp-missing-command-or-url': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Server has no command or url',
+    description: 'A server entry has neither "command" nor "url".',
+    rationale: 'stdio servers need a command to run and SSE/HTTP servers need a URL. Without either the server cannot start.',
+    bad: ['{ "db": { "args": ["--readonly"] } }'],
+    good: ['{ "db": { "command": "db-mcp", "args": ["--readonly"] } }'],
+  },
+  'mcp-invalid-command': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Invalid command',
+    description: '"command" is not a string, or is empty.',
+    rationale: 'Cursor runs the command as a program name. Put the arguments in "args".',
+    bad: ['{ "command": ["npx", "db-mcp"] }'],
+    good: ['{ "command": "npx", "args": ["db-mcp"] }'],
+  },
+  'mcp-dangerous-command': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Potentially dangerous command',
+    description: 'A server command contains a risky pattern such as rm -rf, curl | sh or eval(.',
+    rationale: 'MCP servers run with your permissions whenever Cursor starts them. Make sure the command does only what you expect.',
+    bad: ['{ "command": "curl https://example.com/install.sh | sh" }'],
+    good: ['{ "command": "npx", "args": ["-y", "@example/mcp-server@1.2.0"] }'],
+  },
+  'mcp-invalid-url': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'url is not a string',
+    description: '"url" is not a string.',
+    rationale: 'Cursor needs a URL string to connect to an SSE/HTTP server.',
+  },
+  'mcp-url-scheme': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'URL without http(s) scheme',
+    description: '"url" does not start with http:// or https://.',
+    rationale: 'SSE/HTTP endpoints need a full URL, including the scheme.',
+    bad: ['{ "url": "localhost:3000/mcp" }'],
+    good: ['{ "url": "http://localhost:3000/mcp" }'],
+  },
+  'mcp-invalid-args': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'args is not an array',
+    description: '"args" is not an array.',
+    rationale: 'Arguments are passed one by one. A single string is not split into arguments.',
+    bad: ['{ "command": "db-mcp", "args": "--port 5432" }'],
+    good: ['{ "command": "db-mcp", "args": ["--port", "5432"] }'],
+  },
+  'mcp-arg-not-string': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Non-string argument',
+    description: 'An entry in "args" is not a string.',
+    rationale: 'Command-line arguments are strings. Numbers and booleans may be rejected or passed differently than you expect.',
+    bad: ['{ "args": ["--port", 5432] }'],
+    good: ['{ "args": ["--port", "5432"] }'],
+  },
+  'mcp-invalid-env': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'env is not an object',
+    description: '"env" is not an object of variable names to values.',
+    rationale: 'Cursor cannot set environment variables from a list or string.',
+    bad: ['{ "env": ["API_KEY=abc"] }'],
+    good: ['{ "env": { "API_KEY": "${env:API_KEY}" } }'],
+  },
+  'mcp-env-not-string': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Non-string env value',
+    description: 'An "env" value is not a string.',
+    rationale: 'Environment variables are strings. Other types may be rejected or converted unexpectedly.',
+    bad: ['{ "env": { "DEBUG": true } }'],
+    good: ['{ "env": { "DEBUG": "true" } }'],
+  },
+  'mcp-env-placeholder': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Placeholder env value',
+    description: 'An "env" value is empty or looks like an unfilled placeholder such as "YOUR_API_KEY".',
+    rationale: 'The server starts with a dummy value and fails in confusing ways.',
+    bad: ['{ "env": { "API_KEY": "YOUR_API_KEY" } }'],
+    good: ['{ "env": { "API_KEY": "${env:API_KEY}" } }'],
+  },
+  'mcp-hardcoded-secret': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Hardcoded secret in env',
+    description: 'An "env" value looks like a real API key or token.',
+    rationale: 'MCP configs are often committed. Secrets in them leak to everyone with access to the repository.',
+    bad: ['{ "env": { "GITHUB_TOKEN": "ghp_1a2b3c..." } }'],
+    good: ['{ "env": { "GITHUB_TOKEN": "${env:GITHUB_TOKEN}" } }'],
+  },
+  'mcp-invalid-type': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'type is not a string',
+    description: '"type" is not a string.',
+    rationale: 'The transport type must be one of "stdio", "sse" or "streamable-http".',
+  },
+  'mcp-unknown-type': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Unknown transport type',
+    description: '"type" is not a known transport.',
+    rationale: 'Cursor supports "stdio", "sse" and "streamable-http". Other values leave the server unconnected.',
+    bad: ['{ "type": "http", "url": "https://example.com/mcp" }'],
+    good: ['{ "type": "streamable-http", "url": "https://example.com/mcp" }'],
+  },
+  'mcp-type-requires-url': {
+    category: 'mcp', severity: 'error', fixable: false, title: 'Transport type requires url',
+    description: 'The transport is "sse" or "streamable-http" but no "url" is set.',
+    rationale: 'Network transports connect to a URL instead of running a command.',
+    bad: ['{ "type": "sse", "command": "db-mcp" }'],
+    good: ['{ "type": "sse", "url": "http://localhost:3000/sse" }'],
+  },
+  'mcp-disabled-not-boolean': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'disabled is not a boolean',
+    description: '"disabled" is not true or false.',
+    rationale: 'A string such as "false" is truthy and may disable the server.',
+    bad: ['{ "disabled": "false" }'],
+    good: ['{ "disabled": false }'],
+  },
+  'mcp-server-name-spaces': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Server name contains spaces',
+    description: 'A server name contains spaces.',
+    rationale: 'Server names are used as identifiers in tool names. Spaces can break how tools are referenced.',
+    bad: ['{ "mcpServers": { "My Database": { "command": "db-mcp" } } }'],
+    good: ['{ "mcpServers": { "my-database": { "command": "db-mcp" } } }'],
+  },
+  'mcp-duplicate-command': {
+    category: 'mcp', severity: 'info', fixable: false, title: 'Servers share a command',
+    description: 'Two servers run the same command.',
+    rationale: 'This is fine with different args, but often means a server was copied and never removed.',
+  },
+  'mcp-multiple-configs': {
+    category: 'mcp', severity: 'warning', fixable: false, title: 'Multiple MCP config files',
+    description: 'The project has more than one MCP config file.',
+    rationale: 'Cursor reads .cursor/mcp.json. Other files may be for different tools and can drift out of sync with it.',
+  },
+  'mcp-hook-reference': {
+    category: 'mcp', severity: 'info', fixable: false, title: 'Hook references MCP',
+    description: 'A hook in .cursor/hooks.json references MCP.',
+    rationale: 'Hooks that call MCP servers can trigger each other in a loop. Make sure there are no circular invocations.',
+  },
+
+  // ── Cursor plugins ─────────────────────────────────────────────────────────
+  'plugin-not-a-plugin': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Not a plugin directory',
+    description: 'The directory has neither .cursor-plugin/plugin.json nor .cursor-plugin/marketplace.json.',
+    rationale: 'Cursor recognizes plugins and marketplaces by these manifests.',
+  },
+  'plugin-manifest-missing': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Missing plugin.json',
+    description: 'A plugin has no .cursor-plugin/plugin.json manifest.',
+    rationale: 'Without a manifest Cursor cannot install the plugin.',
+  },
+  'plugin-manifest-invalid-json': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'plugin.json is not valid JSON',
+    description: '.cursor-plugin/plugin.json does not parse as JSON.',
+    rationale: 'Cursor cannot read the plugin\'s name, version or contents from an invalid manifest.',
+  },
+  'plugin-manifest-name-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin name missing',
+    description: 'plugin.json has no "name".',
+    rationale: 'The name identifies the plugin when it is installed and listed.',
+    good: ['{ "name": "acme-rules", "version": "1.0.0" }'],
+  },
+  'plugin-manifest-name-invalid': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin name invalid',
+    description: 'The plugin name is not lowercase alphanumerics, hyphens and periods starting and ending with an alphanumeric.',
+    rationale: 'Plugin names are used as identifiers and must follow the naming rules to install.',
+    bad: ['{ "name": "Acme Rules" }'],
+    good: ['{ "name": "acme-rules" }'],
+  },
+  'plugin-manifest-version-invalid': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin version not semver',
+    description: 'The plugin version is not a valid semantic version.',
+    rationale: 'Versions are compared to decide updates, which needs semver.',
+    bad: ['{ "version": "v1" }'],
+    good: ['{ "version": "1.0.0" }'],
+  },
+  'plugin-manifest-author-invalid': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin author invalid',
+    description: '"author" is not an object with a "name".',
+    rationale: 'The author is shown when the plugin is installed and must follow the manifest format.',
+    bad: ['{ "author": "Jane Doe" }'],
+    good: ['{ "author": { "name": "Jane Doe" } }'],
+  },
+  'plugin-manifest-path-unsafe': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Unsafe manifest path',
+    description: 'A path in plugin.json is absolute or contains "..".',
+    rationale: 'Plugin paths must stay inside the plugin so installing it cannot read or write elsewhere.',
+    bad: ['{ "rules": "../shared/rules" }'],
+    good: ['{ "rules": "rules" }'],
+  },
+  'plugin-manifest-path-missing': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Manifest path does not exist',
+    description: 'A path in plugin.json points to a file or directory that does not exist.',
+    rationale: 'The content the manifest promises is missing from the installed plugin.',
+  },
+  'plugin-rule-missing-frontmatter': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin rule has no frontmatter',
+    description: 'A rule shipped in the plugin has no --- frontmatter block.',
+    rationale: 'Cursor needs the frontmatter to decide when the rule applies in projects that install the plugin.',
+  },
+  'plugin-rule-missing-description': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin rule has no description',
+    description: 'A rule shipped in the plugin has no description.',
+    rationale: 'Users and Cursor rely on the description to know what the rule does.',
+  },
+  'plugin-rule-read-error': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin rule unreadable',
+    description: 'A rule file in the plugin could not be read.',
+    rationale: 'Unreadable files cannot be installed or loaded.',
+  },
+  'plugin-skill-missing-frontmatter': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin skill has no frontmatter',
+    description: 'A skill shipped in the plugin has no --- frontmatter block.',
+    rationale: 'Agents discover skills by the name and description in the frontmatter.',
+  },
+  'plugin-skill-missing-name': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin skill has no name',
+    description: 'A skill shipped in the plugin has no name.',
+    rationale: 'The name is how agents and users refer to the skill.',
+  },
+  'plugin-skill-missing-description': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin skill has no description',
+    description: 'A skill shipped in the plugin has no description.',
+    rationale: 'Agents decide whether to use a skill from its description.',
+  },
+  'plugin-skill-read-error': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin skill unreadable',
+    description: 'A skill file in the plugin could not be read.',
+    rationale: 'Unreadable files cannot be installed or loaded.',
+  },
+  'plugin-agent-missing-frontmatter': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin agent has no frontmatter',
+    description: 'An agent shipped in the plugin has no --- frontmatter block.',
+    rationale: 'Cursor reads the agent\'s name and description from the frontmatter.',
+  },
+  'plugin-agent-missing-name': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin agent has no name',
+    description: 'An agent shipped in the plugin has no name.',
+    rationale: 'The name is how users pick the agent.',
+  },
+  'plugin-agent-missing-description': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin agent has no description',
+    description: 'An agent shipped in the plugin has no description.',
+    rationale: 'The description tells users and Cursor what the agent is for.',
+  },
+  'plugin-agent-read-error': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin agent unreadable',
+    description: 'An agent file in the plugin could not be read.',
+    rationale: 'Unreadable files cannot be installed or loaded.',
+  },
+  'plugin-command-missing-frontmatter': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin command has no frontmatter',
+    description: 'A command shipped in the plugin has no --- frontmatter block.',
+    rationale: 'Cursor reads the command\'s name and description from the frontmatter.',
+  },
+  'plugin-command-missing-name': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin command has no name',
+    description: 'A command shipped in the plugin has no name.',
+    rationale: 'The name is what users type to run the command.',
+  },
+  'plugin-command-missing-description': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin command has no description',
+    description: 'A command shipped in the plugin has no description.',
+    rationale: 'The description is shown when users browse commands.',
+  },
+  'plugin-command-read-error': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Plugin command unreadable',
+    description: 'A command file in the plugin could not be read.',
+    rationale: 'Unreadable files cannot be installed or loaded.',
+  },
+  'plugin-hooks-invalid-json': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'hooks.json is not valid JSON',
+    description: 'The plugin\'s hooks/hooks.json does not parse as JSON.',
+    rationale: 'None of the plugin\'s hooks can be registered from an invalid file.',
+  },
+  'plugin-hooks-invalid-event': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Unknown hook event',
+    description: 'hooks/hooks.json registers a hook for an event Cursor does not emit.',
+    rationale: 'A hook on an unknown event never runs. Event names are case-sensitive.',
+    bad: ['{ "beforeToolUse": [ ... ] }'],
+    good: ['{ "preToolUse": [ ... ] }'],
+  },
+  'plugin-mcp-invalid-json': {
+    category: 'plugin', severity: 'error', fixable: false, title: '.mcp.json is not valid JSON',
+    description: 'The plugin\'s .mcp.json does not parse as JSON.',
+    rationale: 'None of the plugin\'s MCP servers can be registered from an invalid file.',
+  },
+  'plugin-mcp-server-no-endpoint': {
+    category: 'plugin', severity: 'warning', fixable: false, title: 'MCP server has no command or url',
+    description: 'An MCP server in the plugin has neither "command" nor "url".',
+    rationale: 'The server cannot be started or connected to.',
+  },
+  'plugin-marketplace-invalid-json': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'marketplace.json is not valid JSON',
+    description: '.cursor-plugin/marketplace.json does not parse as JSON.',
+    rationale: 'Cursor cannot list any plugins from an invalid marketplace file.',
+  },
+  'plugin-marketplace-name-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace name missing',
+    description: 'marketplace.json has no "name".',
+    rationale: 'The name identifies the marketplace when users add it.',
+  },
+  'plugin-marketplace-name-invalid': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace name invalid',
+    description: 'The marketplace name is not lowercase kebab-case.',
+    rationale: 'Marketplace names are identifiers and must be lowercase kebab-case without periods.',
+    bad: ['{ "name": "Acme.Plugins" }'],
+    good: ['{ "name": "acme-plugins" }'],
+  },
+  'plugin-marketplace-owner-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace owner missing',
+    description: 'marketplace.json has no "owner.name".',
+    rationale: 'Users see the owner when deciding whether to trust a marketplace.',
+    good: ['{ "owner": { "name": "Acme Inc." } }'],
+  },
+  'plugin-marketplace-plugins-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace has no plugins',
+    description: '"plugins" is missing, not an array, or empty.',
+    rationale: 'A marketplace with no plugins offers nothing to install.',
+  },
+  'plugin-marketplace-plugin-invalid': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace entry not an object',
+    description: 'An entry in "plugins" is not an object.',
+    rationale: 'Each entry needs at least a name and a source.',
+    bad: ['{ "plugins": ["acme-rules"] }'],
+    good: ['{ "plugins": [{ "name": "acme-rules", "source": "./plugins/acme-rules" }] }'],
+  },
+  'plugin-marketplace-plugin-name-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace entry has no name',
+    description: 'An entry in "plugins" has no "name".',
+    rationale: 'Users install plugins from a marketplace by name.',
+  },
+  'plugin-marketplace-plugin-duplicate': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Duplicate marketplace entry',
+    description: 'Two entries in "plugins" have the same name.',
+    rationale: 'Only one of them can be installed by that name.',
+  },
+  'plugin-marketplace-plugin-source-required': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Marketplace entry has no source',
+    description: 'An entry in "plugins" has no "source".',
+    rationale: 'The source tells Cursor where to install the plugin from.',
+  },
+  'plugin-marketplace-plugin-source-unsafe': {
+    category: 'plugin', severity: 'error', fixable: false, title: 'Unsafe marketplace source',
+    description: 'A plugin source path is absolute or contains "..".',
+    rationale: 'Sources must stay inside the marketplace so installing cannot read from elsewhere on disk.',
+    bad: ['{ "source": "../../other-repo/plugin" }'],
+    good: ['{ "source": "./plugins/acme-rules" }'],
+  },
+
+  // ── Custom checks ──────────────────────────────────────────────────────────
+  'custom-check-failed': {
+    category: 'custom', severity: 'error', fixable: false, title: 'Custom check threw an error',
+    description: 'A custom check from .cursor-doctor.json "customChecks" or "plugins" threw while running.',
+    rationale: 'A crashing check reports nothing, so whatever it guards goes unchecked. Fix the check or turn it off in "checks".',
+  },
+};
+
+// Short names accepted in place of a check ID (a check's `aliases`)
+const ALIASES = {};
+for (const id of Object.keys(CHECKS)) {
+  for (const alias of CHECKS[id].aliases || []) ALIASES[alias] = id;
+}
+
+/** The check ID an alias such as `vague` stands for; other IDs unchanged. */
+function resolveCheckId(id) {
+  return Object.prototype.hasOwnProperty.call(ALIASES, id) ? ALIASES[id] : id;
+}
+
+function getCheck(id) {
+  id = resolveCheckId(id);
+  return Object.prototype.hasOwnProperty.call(CHECKS, id) ? CHECKS[id] : null;
+}
+
+function docsUrl(id) {
+  return DOCS_BASE_URL + '#' + id;
+}
+
+/**
+ * Fill in the shared issue fields from the check table.
+ * Shape: { id, severity, category, message, hint, line, column, endLine, endColumn, fixable, docsUrl }
+ * Idempotent — safe to call on an already-normalized issue.
+ */
+function normalizeIssue(issue) {
+  const check = getCheck(issue.id);
+  const normalized = {
+    id: issue.id,
+    severity: issue.severity || (check ? check.severity : 'warning'),
+    category: check ? check.category : (issue.category || 'custom'),
+    message: issue.message,
+    hint: issue.hint || null,
+    line: issue.line || null,
+    column: issue.column || null,
+    endLine: issue.endLine || null,
+    endColumn: issue.endColumn || null,
+    fixable: check ? check.fixable : issue.fixable === true,
+    docsUrl: check ? docsUrl(issue.id) : (issue.docsUrl || null),
+  };
+  for (const key of Object.keys(issue)) {
+    if (!(key in normalized)) normalized[key] = issue[key];
+  }
+  return normalized;
+}
+
+function normalizeIssues(issues) {
+  return issues.map(normalizeIssue);
+}
+
+// Checks `fix` can never resolve, whatever else it rewrites
+const MANUAL_ONLY = new Set(['self-contradiction', 'negation-without-alternative']);
+
+/**
+ * Whether the CLI's fix hints and `fix --preview` list an issue as needing
+ * manual attention. Narrower than the check's `fixable` flag: issues from
+ * checks without a dedicated fix still count toward "can be auto-fixed",
+ * as they did before checks had IDs.
+ */
+function needsManualFix(issue) {
+  return MANUAL_ONLY.has(issue.id);
+}
+
+/**
+ * True when an issue matches one of the --ignore patterns: an exact check ID,
+ * or (for backward compatibility) a substring of the message.
+ */
+function matchesIgnore(issue, patterns) {
+  const msgLower = (issue.message || '').toLowerCase();
+  return patterns.some(pat => issue.id === pat || msgLower.includes(pat));
+}
+
+/**
+ * Stable fingerprints for one file's issues, so CI reports (SARIF, JUnit,
+ * Code Climate) can track a finding across runs. Built from the file path,
+ * check ID and message but not the line, so edits elsewhere in the file keep
+ * them; repeats of the same issue in a file are numbered in order.
+ */
+function issueFingerprints(file, issues) {
+  const seen = new Map();
+  return issues.map(issue => {
+    const key = file + '\0' + issue.id + '\0' + issue.message;
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    return crypto.createHash('md5').update(key + '\0' + n).digest('hex');
+  });
+}
+
+module.exports = { CHECKS, CATEGORIES, DOCS_BASE_URL, getCheck, resolveCheckId, docsUrl, normalizeIssue, normalizeIssues, needsManualFix, matchesIgnore, issueFingerprints };
@@ -3,14 +3,32 @@
 const path = require('path');
 const fs = require('fs');
 const { lintProject } = require('./index');
+const { matchesIgnore, needsManualFix, CATEGORIES } = require('./checks');
+const { loadConfig } = require('./config');
+const { openCache } = require('./cache');
+const { changedFiles, stagedReader } = require('./changed');
+const { installHook, uninstallHook } = require('./hook');
+const { explainCheck, listChecks, suggestChecks, configSnippet } = require('./explain');
+const { loadProject } = require('./project');
+const { watchProject } = require('./watch');
+const { writeBaseline, readBaseline, compareBaseline } = require('./baseline');
+const { resolveThresholds, hasThresholds, evaluateThresholds } = require('./thresholds');
+const { rollupByPackage } = require('./discovery');
 const { showStats } = require('./stats');
+const { saveSnapshot, diffSnapshot, diffRefs, parseRange } = require('./diff');
+const { whichRules } = require('./which');
+const { prContext, formatPrContextMarkdown } = require('./pr-context');
 const { migrate } = require('./migrate');
+const { verifyProject } = require('./verify');
 const { doctor } = require('./doctor');
 const { fullAudit, formatAuditMarkdown } = require('./audit');
+const { formatAuditHtml } = require('./audit-html');
 const { autoFix } = require('./autofix');
 const { isLicensed, activateLicense } = require('./license');
 const { analyzeTokenBudget, CONTEXT_WINDOW_TOKENS } = require('./token-budget');
 const { crossConflictReport } = require('./cross-conflicts');
+const { conflictsToSarif, verifyToSarif } = require('./sarif');
+const { loadFormatter, runFormatter } = require('./formatters');
 const { analyzePerformance } = require('./performance');
 const { testRule, testAllRules, getProvider } = require('./rule-test');
 const { exportRules, importRules, detectDrift, setBaseline } = require('./team-sync');
@@ -97,12 +115,19 @@ function showHelp() {
     YELLOW + 'Diagnose:' + RESET,
     '  npx cursor-doctor lint           Detailed rule-by-rule linting',
     '  npx cursor-doctor check          Pass/fail for CI',
+    '  npx cursor-doctor watch          Re-lint on every rule change',
+    '  npx cursor-doctor verify         Check code against rules\' verify: blocks ' + DIM + '(--fix applies replace:)' + RESET,
+    '  npx cursor-doctor explain <id>   What a check means and how to fix it ' + DIM + '(--list for all)' + RESET,
     '  npx cursor-doctor audit          Full diagnostic report ' + DIM + '(Pro)' + RESET,
     '  npx cursor-doctor audit --md     Export as markdown ' + DIM + '(Pro)' + RESET,
+    '  npx cursor-doctor audit --html=report.html  Offline HTML report ' + DIM + '(Pro)' + RESET,
     '',
     YELLOW + 'Analyze:' + RESET,
     '  npx cursor-doctor stats          Token usage dashboard',
     '  npx cursor-doctor budget         Token budget analysis',
+    '  npx cursor-doctor diff <ref>     Rule changes since a git ref ' + DIM + '(<a>..<b>, <a>...<b>, --save for snapshots)' + RESET,
+    '  npx cursor-doctor which <file>   Rules Cursor attaches to a file, in load order',
+    '  npx cursor-doctor pr-context --base=main  Rules a change set triggers, as a PR comment',
     '  npx cursor-doctor conflicts      Cross-format conflicts ' + DIM + '(Pro)' + RESET,
     '  npx cursor-doctor perf           Rule performance tracking ' + DIM + '(Pro)' + RESET,
     '',
@@ -110,6 +135,7 @@ function showHelp() {
     '  npx cursor-doctor init           Generate rules for your stack',
     '  npx cursor-doctor install <pack> Install community rule packs',
     '  npx cursor-doctor migrate        Convert .cursorrules to .mdc',
+    '  npx cursor-doctor hook install   Lint staged rules before each commit',
     '',
     YELLOW + 'Test:' + RESET,
     '  npx cursor-doctor test <file>    AI rule adherence testing ' + DIM + '(Pro)' + RESET,
@@ -125,8 +151,26 @@ function showHelp() {
     'Options:',
     '  --quiet, -q          Suppress non-error output (show errors + summary only)',
     '  --json               Output results as JSON',
-    '  --ignore=<patterns>  Suppress warnings matching patterns (comma-separated)',
-    '                       Example: --ignore=vague,empty-globs',
+    '  --format=<console|sarif|junit|codeclimate|./formatter.js>',
+    '                       Report format for lint and check (sarif also for verify and conflicts)',
+    '  --ignore=<patterns>  Suppress check IDs or message patterns (comma-separated)',
+    '                       Example: --ignore=vague-rule,empty-globs',
+    '  --config=<path>      Use this config instead of the nearest .cursor-doctor.json',
+    '  --cache              Reuse results for unchanged rules (.cursor-doctor-cache.json)',
+    '  --cache-location=<path>  Where to keep the cache file',
+    '  --changed            lint: only rule files changed since HEAD (git)',
+    '  --since=<ref>        lint: only rule files changed since <ref> (e.g. origin/main)',
+    '  --staged             lint: staged rule files, as staged (for pre-commit)',
+    '  --write-baseline[=<path>]  lint: record current issues (.cursor-doctor-baseline.json)',
+    '  --baseline[=<path>]  check: fail only on issues not in the baseline',
+    '  --fail-on=<level>    check: fail on issues at error|warning|info level or above',
+    '  --max-warnings=<n>   check: fail when there are more than n warnings',
+    '  --min-grade=<A-F>    check: fail below this grade',
+    '  --min-score=<0-100>  check: fail below this health percentage',
+    '  --base=<ref>         pr-context: compare with this ref (e.g. main)',
+    '  --head=<ref>         pr-context: the change set\'s ref (default HEAD)',
+    '',
+    'Exit codes (check): 0 passed, 1 lint failure, 3 threshold failure, 2 crash or bad usage',
     '',
     'Pro: $9 one-time — ' + PURCHASE_URL + '?utm_source=cli&utm_medium=npx&utm_campaign=help',
     '',
@@ -167,6 +211,9 @@ async function main() {
   }
 
   var asJson = args.includes('--json');
+  // --format=<name|module> picks the output formatter (see formatters/index.js)
+  var formatArg = args.find(function(a) { return a.startsWith('--format='); });
+  var format = formatArg ? formatArg.slice('--format='.length) : 'console';
   var quiet = args.includes('--quiet') || args.includes('-q');
 
   // In quiet mode, only errors and the final summary line are shown
@@ -179,9 +226,9 @@ async function main() {
   var command = args.find(function(a) { return !a.startsWith('-'); }) || 'scan';
   
   // Parse path argument (first non-flag arg after command)
-  // Exception: install command uses args for pack names, not paths
+  // Exception: install, hook, explain, diff and which use args for pack names, subcommands, check IDs, git refs and target files, not paths
   var pathArg = null;
-  if (command !== 'install') {
+  if (['install', 'hook', 'explain', 'diff', 'which'].indexOf(command) === -1) {
     var foundCommand = false;
     for (var i = 0; i < args.length; i++) {
       var arg = args[i];
@@ -198,6 +245,35 @@ async function main() {
   
   var cwd = pathArg ? path.resolve(pathArg) : process.cwd();
 
+  // .cursor-doctor.json (or --config=<path>), loaded on first use so commands
+  // that never lint don't fail on a broken config
+  var configArg = args.find(function(a) { return a.startsWith('--config='); });
+  // --cache reuses results for unchanged rules (see cache.js)
+  var cacheLocationArg = args.find(function(a) { return a.startsWith('--cache-location='); });
+  var useCache = args.includes('--cache') || !!cacheLocationArg;
+  var _config = null;
+  var _cache = null;
+  function lintOptions() {
+    if (!_config) _config = loadConfig(cwd, configArg ? configArg.slice('--config='.length) : null);
+    if (useCache && !_cache) _cache = openCache(cwd, _config, { location: cacheLocationArg ? cacheLocationArg.slice('--cache-location='.length) : null });
+    return { config: _config, cache: _cache };
+  }
+
+  // Lint results (or the doctor report for scan) in the requested --format
+  var _formatter = null;
+  async function formatResults(results) {
+    if (!_formatter) _formatter = loadFormatter(format);
+    return runFormatter(_formatter, results, {
+      command: command,
+      format: format,
+      cwd: cwd,
+      config: lintOptions().config,
+      color: !!useColor,
+      verbose: args.includes('--verbose'),
+      quiet: quiet,
+    });
+  }
+
   // --- activate ---
   if (command === 'help') { showHelp(); process.exit(0); }
   if (command === 'version') { console.log(VERSION); process.exit(0); }
@@ -221,79 +297,18 @@ async function main() {
 
   // --- scan (free, default) ---
   if (command === 'scan') {
-    var report = await doctor(cwd);
+    var report = await doctor(cwd, lintOptions());
 
     if (asJson) {
       console.log(JSON.stringify(report, null, 2));
       process.exit(report.grade === 'F' ? 1 : 0);
     }
 
-    var gradeColors = { A: GREEN, B: GREEN, C: YELLOW, D: YELLOW, F: RED };
-    var gradeEmoji = { A: String.fromCharCode(11088), B: String.fromCharCode(10004), C: String.fromCharCode(9888), D: String.fromCharCode(9881), F: String.fromCharCode(128680) };
-    var gc = gradeColors[report.grade] || RESET;
-
-    console.log();
-    console.log('  ' + gc + BOLD + String.fromCharCode(9618).repeat(2) + ' Cursor Health: ' + report.grade + ' ' + String.fromCharCode(9618).repeat(2) + RESET);
-    console.log();
-
-    // Progress bar
-    var barWidth = 30;
-    var filled = Math.round((report.percentage / 100) * barWidth);
-    var empty = barWidth - filled;
-    var bar = gc + String.fromCharCode(9608).repeat(filled) + RESET + DIM + String.fromCharCode(9617).repeat(empty) + RESET;
-    console.log('  ' + bar + '  ' + gc + BOLD + report.percentage + '%' + RESET);
-    console.log();
-
-    for (var i = 0; i < report.checks.length; i++) {
-      var check = report.checks[i];
-      var icon;
-      if (check.status === 'pass') icon = GREEN + String.fromCharCode(10003) + RESET;
-      else if (check.status === 'warn') icon = YELLOW + String.fromCharCode(9888) + RESET;
-      else if (check.status === 'fail') icon = RED + String.fromCharCode(10007) + RESET;
-      else icon = BLUE + String.fromCharCode(8505) + RESET;
-      console.log('  ' + icon + ' ' + BOLD + check.name + RESET);
-      console.log('    ' + DIM + check.detail + RESET);
-    }
-    console.log();
+    qlog(await formatResults(report));
+    if (format !== 'console') process.exit(report.grade === 'F' ? 1 : 0);
 
     var passes = report.checks.filter(function(c) { return c.status === 'pass'; }).length;
     var issues = report.checks.filter(function(c) { return c.status === 'fail' || c.status === 'warn'; }).length;
-    qlog('  ' + GREEN + passes + ' passed' + RESET + '  ' + (issues > 0 ? YELLOW + issues + ' issue' + (issues > 1 ? 's' : '') + RESET : ''));
-    qlog();
-
-    // Coverage Gap Report
-    if (report.coverageGapAnalysis && report.coverageGapAnalysis.displayableStack.length > 0) {
-      console.log('  ' + CYAN + BOLD + String.fromCharCode(9619) + ' Coverage Report' + RESET);
-      console.log();
-      
-      // Detected stack
-      var stackList = report.coverageGapAnalysis.displayableStack.join(', ');
-      console.log('  ' + DIM + 'Detected:' + RESET + '  ' + stackList);
-      
-      // Covered categories
-      if (report.coverageGapAnalysis.coveredCategories.length > 0) {
-        var coveredList = report.coverageGapAnalysis.coveredCategories.join(', ');
-        console.log('  ' + GREEN + 'Covered:' + RESET + '   ' + coveredList);
-      }
-      
-      // Missing categories
-      if (report.coverageGapAnalysis.gaps.length > 0) {
-        var gapsList = report.coverageGapAnalysis.gaps.join(', ');
-        console.log('  ' + YELLOW + 'Missing:' + RESET + '   ' + gapsList);
-        console.log();
-        console.log('  ' + BOLD + 'Suggestions:' + RESET);
-        for (var gi = 0; gi < Math.min(3, report.coverageGapAnalysis.suggestions.length); gi++) {
-          var suggestion = report.coverageGapAnalysis.suggestions[gi];
-          console.log('    ' + YELLOW + String.fromCharCode(8226) + RESET + ' ' + BOLD + suggestion.category + RESET + ': ' + suggestion.reason);
-        }
-        if (report.coverageGapAnalysis.suggestions.length > 3) {
-          console.log('    ' + DIM + '... and ' + (report.coverageGapAnalysis.suggestions.length - 3) + ' more' + RESET);
-        }
-      } else {
-        console.log('  ' + GREEN + String.fromCharCode(10003) + ' All expected categories covered' + RESET);
-      }
-      console.log();
-    }
 
     // Check if user has no rules at all (no-rules footer should push to init, not lint/fix)
     var hasNoRules = report.checks.some(function(c) { return c.name === 'Rules exist' && c.status === 'fail'; });
@@ -304,12 +319,12 @@ async function main() {
     } else if (issues > 0) {
       console.log('  ' + DIM + 'See details:' + RESET + '  npx cursor-doctor lint');
       // Only suggest auto-fix if lint actually has fixable issues
-      var lintResults = await lintProject(cwd);
+      var lintResults = await lintProject(cwd, lintOptions());
       var hasAutoFixable = false;
       for (var si = 0; si < lintResults.length; si++) {
         var sIssues = lintResults[si].issues || [];
         for (var sj = 0; sj < sIssues.length; sj++) {
-          if (sIssues[sj].fixable !== false && (sIssues[sj].severity === 'error' || sIssues[sj].severity === 'warning')) {
+          if (!needsManualFix(sIssues[sj]) && (sIssues[sj].severity === 'error' || sIssues[sj].severity === 'warning')) {
             hasAutoFixable = true;
             break;
           }
@@ -321,7 +336,7 @@ async function main() {
         for (var fc = 0; fc < lintResults.length; fc++) {
           var fci = lintResults[fc].issues || [];
           for (var fcj = 0; fcj < fci.length; fcj++) {
-            if (fci[fcj].fixable !== false && (fci[fcj].severity === 'error' || fci[fcj].severity === 'warning')) fixableCount++;
+            if (!needsManualFix(fci[fcj]) && (fci[fcj].severity === 'error' || fci[fcj].severity === 'warning')) fixableCount++;
           }
         }
         if (!isLicensed(cwd)) {
@@ -425,16 +440,75 @@ async function main() {
 
   // --- check (free, CI) ---
   if (command === 'check') {
-    var report = await doctor(cwd);
+    // --baseline[=<path>]: pass/fail on issues missing from the baseline only
+    // Thresholds from --fail-on/--max-warnings/--min-grade/--min-score and the config
+    var thresholds = resolveThresholds(lintOptions().config, args);
+
+    var baselineArg = args.find(function(a) { return a === '--baseline' || a.startsWith('--baseline='); });
+    if (baselineArg) {
+      var baselineLocation = baselineArg === '--baseline' ? null : baselineArg.slice('--baseline='.length);
+      var comparison = compareBaseline(cwd, await lintProject(cwd, lintOptions()), readBaseline(cwd, baselineLocation));
+      // Thresholds count new issues only; without any, new errors or warnings fail
+      var baselineGate = hasThresholds(thresholds)
+        ? evaluateThresholds(thresholds, comparison.results, await doctor(cwd, lintOptions()))
+        : { exitCode: comparison.results.some(function(r) { return r.issues.some(function(iss) { return iss.severity === 'error' || iss.severity === 'warning'; }); }) ? 1 : 0, failures: [] };
+      if (format !== 'console') {
+        qlog(await formatResults(comparison.results));
+        process.exit(baselineGate.exitCode);
+      }
+      if (asJson) {
+        var baselineJson = {
+          newIssues: comparison.results.map(function(r) { return { path: path.relative(cwd, r.file) || r.file, issues: r.issues }; }),
+          known: comparison.known,
+          fixed: comparison.fixed,
+        };
+        if (hasThresholds(thresholds)) baselineJson.thresholds = { limits: thresholds, counts: baselineGate.counts, failures: baselineGate.failures, exitCode: baselineGate.exitCode };
+        console.log(JSON.stringify(baselineJson, null, 2));
+        process.exit(baselineGate.exitCode);
+      }
+      for (var bi = 0; bi < comparison.results.length; bi++) {
+        var bResult = comparison.results[bi];
+        for (var bj = 0; bj < bResult.issues.length; bj++) {
+          var bIssue = bResult.issues[bj];
+          var bIcon = bIssue.severity === 'error' ? RED + String.fromCharCode(10007) + RESET : bIssue.severity === 'warning' ? YELLOW + String.fromCharCode(9888) + RESET : BLUE + String.fromCharCode(8505) + RESET;
+          qlog(bIcon + ' ' + (path.relative(cwd, bResult.file) || '.') + (bIssue.line ? ':' + bIssue.line : '') + '  ' + bIssue.message + '  ' + DIM + bIssue.id + RESET);
+        }
+      }
+      if (comparison.fixed.length > 0) {
+        console.log(GREEN + String.fromCharCode(10003) + RESET + ' ' + comparison.fixed.length + ' baseline issue' + (comparison.fixed.length === 1 ? '' : 's') + ' fixed:');
+        for (var fi = 0; fi < comparison.fixed.length; fi++) {
+          console.log('  ' + comparison.fixed[fi].file + '  ' + DIM + comparison.fixed[fi].id + RESET + '  ' + comparison.fixed[fi].excerpt);
+        }
+        console.log('  ' + DIM + 'Update the baseline: npx cursor-doctor lint --write-baseline' + RESET);
+      }
+      qlog((comparison.fresh === 0 ? GREEN + String.fromCharCode(10003) + RESET + ' No new issues' : comparison.fresh + ' new issue' + (comparison.fresh === 1 ? '' : 's')) +
+        ' (' + comparison.known + ' in baseline)');
+      for (var bt = 0; bt < baselineGate.failures.length; bt++) {
+        qlog(RED + String.fromCharCode(10007) + RESET + ' ' + (baselineGate.failures[bt].kind === 'lint' ? 'Lint' : 'Threshold') + ': ' + baselineGate.failures[bt].message);
+      }
+      process.exit(baselineGate.exitCode);
+    }
+
+    var report = await doctor(cwd, lintOptions());
+
+    // Without thresholds, exit 1 only for D/F grades (real problems), not for warnings on A/B/C grades
+    var checkResults = format !== 'console' || hasThresholds(thresholds) ? await lintProject(cwd, lintOptions()) : [];
+    var gate = evaluateThresholds(thresholds, checkResults, report);
+
+    if (format !== 'console') {
+      qlog(await formatResults(checkResults));
+      process.exit(gate.exitCode);
+    }
 
     if (asJson) {
+      if (hasThresholds(thresholds)) report.thresholds = { limits: thresholds, counts: gate.counts, failures: gate.failures, exitCode: gate.exitCode };
       console.log(JSON.stringify(report, null, 2));
-      process.exit(report.grade === 'F' || report.grade === 'D' ? 1 : 0);
+      process.exit(gate.exitCode);
     }
 
     var issues = report.checks.filter(function(c) { return c.status === 'fail' || c.status === 'warn'; });
 
-    if (issues.length === 0) {
+    if (issues.length === 0 && gate.failures.length === 0) {
       console.log(GREEN + String.fromCharCode(10003) + RESET + ' Cursor setup healthy (' + report.grade + ', ' + report.percentage + '%)');
       await exitClean(0);
     }
@@ -445,15 +519,161 @@ async function main() {
       console.log(icon + ' ' + issue.name + ': ' + issue.detail);
     }
     console.log('\nGrade: ' + report.grade + ' (' + report.percentage + '%)');
-    // Exit 1 only for D/F grades (real problems), not for warnings on A/B/C grades
-    process.exit(report.grade === 'F' || report.grade === 'D' ? 1 : 0);
+    if (hasThresholds(thresholds)) {
+      for (var ti = 0; ti < gate.failures.length; ti++) {
+        qlog(RED + String.fromCharCode(10007) + RESET + ' ' + (gate.failures[ti].kind === 'lint' ? 'Lint' : 'Threshold') + ': ' + gate.failures[ti].message);
+      }
+    }
+    process.exit(gate.exitCode);
+  }
+
+  // --- verify [--fix] (free, CI) ---
+  if (command === 'verify') {
+    // Checked before --fix touches any files
+    if (format !== 'console' && format !== 'sarif') {
+      console.error(RED + 'Usage: cursor-doctor verify [--fix] [--json | --format=sarif]' + RESET);
+      console.error('--format=' + format + ' is not supported by verify; its only report format is sarif.');
+      process.exit(1);
+    }
+    var verified = await verifyProject(cwd, { fix: args.includes('--fix') });
+    // Warnings and info are reported but only errors and unusable blocks fail the run
+    var verifyFailed = verified.invalid.length > 0 || verified.violations.some(function(v) { return v.severity === 'error'; });
+
+    if (format !== 'console') {
+      console.log(JSON.stringify(verifyToSarif(cwd, verified), null, 2));
+      process.exit(verifyFailed ? 1 : 0);
+    }
+
+    if (asJson) {
+      console.log(JSON.stringify(verified, null, 2));
+      process.exit(verifyFailed ? 1 : 0);
+    }
+
+    console.log();
+    console.log(BOLD + 'cursor-doctor' + RESET + ' v' + VERSION + ' -- verify');
+    console.log();
+
+    if (verified.stats.rulesWithVerify === 0) {
+      console.log('  ' + DIM + 'No rules with verify: blocks. Add one to a rule\'s frontmatter:' + RESET);
+      ['verify:', '  - antipattern: "console\\\\.log"', '    message: Use the logger'].forEach(function(line) {
+        console.log('    ' + DIM + line + RESET);
+      });
+      console.log();
+      process.exit(0);
+    }
+
+    verified.invalid.forEach(function(p) {
+      console.log('  ' + RED + String.fromCharCode(10007) + RESET + ' ' + p.ruleFile + '  ' + p.message + DIM + ' (skipped)' + RESET);
+    });
+    verified.fixed.forEach(function(f) {
+      console.log('  ' + GREEN + String.fromCharCode(10003) + RESET + ' ' + f.file + '  fixed ' + f.fixes + ' match(es)' + DIM + '  ' + f.ruleFile + RESET);
+    });
+    if (verified.invalid.length > 0 || verified.fixed.length > 0) console.log();
+
+    var violationsByFile = {};
+    verified.violations.forEach(function(v) {
+      (violationsByFile[v.file] = violationsByFile[v.file] || []).push(v);
+    });
+    Object.keys(violationsByFile).sort().forEach(function(file) {
+      violationsByFile[file].sort(function(a, b) { return (a.line || 0) - (b.line || 0); }).forEach(function(v) {
+        var icon = v.severity === 'error' ? RED + String.fromCharCode(10007) : v.severity === 'warning' ? YELLOW + String.fromCharCode(9888) : BLUE + String.fromCharCode(8505);
+        console.log('  ' + icon + RESET + ' ' + file + (v.line ? ':' + v.line : '') + '  ' + v.message +
+          (v.match ? DIM + ' ("' + v.match + '")' + RESET : '') + DIM + '  ' + v.ruleFile + (v.fixable ? ' (fixable)' : '') + RESET);
+      });
+    });
+    if (verified.violations.length > 0) console.log();
+
+    var verifySummary = verified.stats.rulesWithVerify + ' rule(s) with verify: blocks, ' + verified.stats.filesChecked + ' file check(s)';
+    if (verified.violations.length > 0) {
+      console.log((verifyFailed ? RED : YELLOW) + BOLD + verified.stats.totalViolations + ' violation(s) in ' + verified.stats.filesWithViolations + ' file(s)' + RESET + DIM + ' · ' + verifySummary + RESET);
+      if (verified.violations.some(function(v) { return v.fixable; })) {
+        console.log('  ' + DIM + 'Apply replace: templates with npx cursor-doctor verify --fix' + RESET);
+      }
+    } else {
+      console.log(GREEN + String.fromCharCode(10003) + ' No violations' + RESET + DIM + ' · ' + verifySummary + RESET);
+    }
+    if (verified.invalid.length > 0) {
+      console.log('  ' + DIM + verified.invalid.length + ' verify block(s) skipped; npx cursor-doctor lint shows where' + RESET);
+    }
+    console.log();
+    process.exit(verifyFailed ? 1 : 0);
+  }
+
+  // --- watch (free) ---
+  if (command === 'watch') {
+    var watchVerbose = args.includes('--verbose');
+    var WATCH_MAX_ISSUES = 10;
+    var drawWatch = function(update) {
+      var lines = [];
+      var counts = { error: 0, warning: 0, info: 0 };
+      var shown = [];
+      for (var i = 0; i < update.results.length; i++) {
+        var r = update.results[i];
+        for (var j = 0; j < r.issues.length; j++) {
+          var iss = r.issues[j];
+          if (iss.verboseOnly && !watchVerbose) continue;
+          counts[iss.severity] = (counts[iss.severity] || 0) + 1;
+          if (iss.severity !== 'info' || watchVerbose) shown.push({ file: r.file, issue: iss });
+        }
+      }
+      var sevOrder = { error: 0, warning: 1, info: 2 };
+      shown.sort(function(a, b) { return sevOrder[a.issue.severity] - sevOrder[b.issue.severity]; });
+
+      var gradeColors = { A: GREEN, B: GREEN, C: YELLOW, D: YELLOW, F: RED };
+      lines.push(BOLD + 'cursor-doctor' + RESET + ' v' + VERSION + ' -- watch  ' + DIM + '(Ctrl+C to stop)' + RESET);
+      lines.push('');
+      lines.push('  ' + (gradeColors[update.report.grade] || '') + BOLD + update.report.grade + RESET + ' ' + update.report.percentage + '%   ' +
+        RED + counts.error + ' error' + (counts.error === 1 ? '' : 's') + RESET + ', ' +
+        YELLOW + counts.warning + ' warning' + (counts.warning === 1 ? '' : 's') + RESET + ', ' +
+        BLUE + counts.info + ' info' + RESET);
+      lines.push('');
+      var icons = { error: RED + String.fromCharCode(10007) + RESET, warning: YELLOW + String.fromCharCode(9888) + RESET, info: BLUE + String.fromCharCode(8505) + RESET };
+      for (var k = 0; k < Math.min(shown.length, WATCH_MAX_ISSUES); k++) {
+        var where = path.relative(cwd, shown[k].file) || '.';
+        lines.push('  ' + icons[shown[k].issue.severity] + ' ' + where + (shown[k].issue.line ? ':' + shown[k].issue.line : '') + '  ' + shown[k].issue.message);
+      }
+      if (shown.length > WATCH_MAX_ISSUES) lines.push('  ' + DIM + '... and ' + (shown.length - WATCH_MAX_ISSUES) + ' more (npx cursor-doctor lint)' + RESET);
+      if (shown.length === 0) lines.push('  ' + GREEN + String.fromCharCode(10003) + RESET + ' No issues');
+      lines.push('');
+      var changedNames = update.changed.map(function(f) { return path.relative(cwd, f) || '.'; });
+      lines.push('  ' + DIM + new Date().toLocaleTimeString() + ' ' +
+        (changedNames.length ? 're-linted after ' + changedNames.slice(0, 3).join(', ') + (changedNames.length > 3 ? ' (+' + (changedNames.length - 3) + ')' : '') : 'initial lint') +
+        ' in ' + update.ms + 'ms' + RESET);
+
+      // Redraw in place on a terminal; append when piped
+      if (process.stdout.isTTY) process.stdout.write('\x1b[2J\x1b[H');
+      else if (update.changed.length) console.log();
+      console.log(lines.join('\n'));
+    };
+    var watcher = watchProject(cwd, {
+      config: lintOptions().config,
+      onUpdate: drawWatch,
+      onError: function(err) { console.error(RED + 'Error:' + RESET + ' ' + err.message); },
+    });
+    await watcher.run();
+    process.on('SIGINT', function() { watcher.close(); process.exit(0); });
+    return;
   }
 
   // --- lint (free) ---
   if (command === 'lint') {
-    var results = await lintProject(cwd);
+    // --changed / --since=<ref>: per-file checks only for rules git reports as changed
+    // --staged: the same for staged files, linting their staged content
+    var sinceArg = args.find(function(a) { return a.startsWith('--since='); });
+    var since = sinceArg ? sinceArg.slice('--since='.length) : null;
+    var staged = args.includes('--staged');
+    if (sinceArg && !since) throw new Error('--since needs a git ref, e.g. --since=origin/main');
+    if (staged && (sinceArg || args.includes('--changed'))) throw new Error('--staged cannot be combined with --changed or --since');
+    var changed = staged || args.includes('--changed') || since ? changedFiles(cwd, { since: since, staged: staged }) : null;
+    var lintOpts = Object.assign({ changed: changed }, lintOptions());
+    if (staged) lintOpts.project = loadProject(cwd, { config: lintOpts.config, readFile: stagedReader(cwd) });
+    var results = await lintProject(cwd, lintOpts);
+    if (changed && results.length === 0 && format === 'console' && !asJson) {
+      console.log(GREEN + String.fromCharCode(10003) + RESET + ' No ' + (staged ? 'staged' : 'changed') + ' rule files' + (since ? ' since ' + since : ''));
+      await exitClean(0);
+    }
 
-    // --ignore: suppress specific warning patterns
+    // --ignore: suppress check IDs or message patterns
     var ignoreArg = args.find(function(a) { return a.startsWith('--ignore='); });
     var ignorePatterns = [];
     if (ignoreArg) {
@@ -463,17 +683,27 @@ async function main() {
       results = results.map(function(r) {
         return {
           file: r.file,
-          issues: r.issues.filter(function(iss) {
-            var msgLower = iss.message.toLowerCase();
-            return !ignorePatterns.some(function(pat) { return msgLower.includes(pat); });
-          }),
+          issues: r.issues.filter(function(iss) { return !matchesIgnore(iss, ignorePatterns); }),
         };
       });
     }
 
+    // --write-baseline[=<path>]: record these issues for check --baseline
+    var writeBaselineArg = args.find(function(a) { return a === '--write-baseline' || a.startsWith('--write-baseline='); });
+    if (writeBaselineArg) {
+      var written = writeBaseline(cwd, results, writeBaselineArg === '--write-baseline' ? null : writeBaselineArg.slice('--write-baseline='.length));
+      console.log(GREEN + String.fromCharCode(10003) + RESET + ' Baseline written to ' + (path.relative(cwd, written.path) || written.path) + ' (' + written.count + ' issue' + (written.count === 1 ? '' : 's') + ')');
+      await exitClean(0);
+    }
+
+    if (format !== 'console') {
+      qlog(await formatResults(results));
+      process.exit(results.some(function(r) { return r.issues.some(function(iss) { return iss.severity === 'error'; }); }) ? 1 : 0);
+    }
+
     if (asJson) {
       // Get grade from doctor for JSON output
-      var healthReport = await doctor(cwd);
+      var healthReport = await doctor(cwd, lintOptions());
       
       // Group issues by severity for each file
       var jsonFiles = results.map(function(r) {
@@ -484,10 +714,17 @@ async function main() {
         for (var i = 0; i < r.issues.length; i++) {
           var issue = r.issues[i];
           var issueObj = {
+            id: issue.id,
+            category: issue.category,
             message: issue.message,
             line: issue.line || null,
+            column: issue.column || null,
+            endLine: issue.endLine || null,
+            endColumn: issue.endColumn || null,
             severity: issue.severity,
-            hint: issue.hint || null
+            hint: issue.hint || null,
+            fixable: issue.fixable,
+            docsUrl: issue.docsUrl
           };
           
           if (issue.severity === 'error') {
@@ -526,6 +763,7 @@ async function main() {
       
       var jsonOutput = {
         files: jsonFiles,
+        packages: rollupByPackage(cwd, results),
         summary: {
           totalWarnings: totalWarnings,
           totalErrors: totalErrors,
@@ -539,126 +777,18 @@ async function main() {
       process.exit(totalErrors > 0 ? 1 : 0);
     }
 
-    console.log();
-    console.log(BOLD + 'cursor-doctor' + RESET + ' v' + VERSION + ' -- lint');
-    console.log();
+    qlog(await formatResults(results));
+    var verbose = args.includes('--verbose') || args.includes('-v');
     var totalErrors = 0;
     var totalWarnings = 0;
-    var totalInfo = 0;
-    var totalPassed = 0;
-    var sevOrder = { error: 0, warning: 1, info: 2 };
-    var verbose = args.includes('--verbose') || args.includes('-v');
-
-    // Group identical per-file issues when 5+ files share the same message
-    var GROUP_THRESHOLD = 5;
-    var perFileResults = results.filter(function(r) { return !r.file.endsWith('/') && !r.file.endsWith('\\') && fs.existsSync(r.file) && fs.statSync(r.file).isFile(); });
-    var dirResults = results.filter(function(r) { return !perFileResults.includes(r); });
-    var issueFileMap = {}; // message -> [relPath, ...]
-    for (var gi = 0; gi < perFileResults.length; gi++) {
-      var gResult = perFileResults[gi];
-      var gVisible = verbose ? gResult.issues : gResult.issues.filter(function(iss) { return !iss.verboseOnly; });
-      for (var gj = 0; gj < gVisible.length; gj++) {
-        var gKey = gVisible[gj].severity + '::' + gVisible[gj].message;
-        if (!issueFileMap[gKey]) issueFileMap[gKey] = { issue: gVisible[gj], files: [] };
-        issueFileMap[gKey].files.push(path.relative(cwd, gResult.file) || '.');
-      }
-    }
-    var groupedMessages = {};
-    Object.keys(issueFileMap).forEach(function(key) {
-      if (issueFileMap[key].files.length >= GROUP_THRESHOLD) {
-        groupedMessages[key] = issueFileMap[key];
-      }
-    });
-
     for (var i = 0; i < results.length; i++) {
-      var result = results[i];
-      var relPath = path.relative(cwd, result.file) || '.';
-      // Filter out verboseOnly issues unless --verbose
-      var visibleIssues = verbose ? result.issues : result.issues.filter(function(iss) { return !iss.verboseOnly; });
-      // Skip per-file issues that will be shown as grouped
-      var ungroupedIssues = visibleIssues.filter(function(iss) {
-        var gKey = iss.severity + '::' + iss.message;
-        return !groupedMessages[gKey];
-      });
-      if (ungroupedIssues.length === 0) {
-        if (visibleIssues.length === 0 && result.issues.length === 0) totalPassed++;
-        else {
-          // Count grouped issues toward totals
-          for (var ci = 0; ci < visibleIssues.length; ci++) {
-            if (visibleIssues[ci].severity === 'error') totalErrors++;
-            else if (visibleIssues[ci].severity === 'warning') totalWarnings++;
-            else totalInfo++;
-          }
-          if (ungroupedIssues.length === 0 && visibleIssues.length > 0) continue; // skip file, shown in group
-        }
-        if (verbose && visibleIssues.length === 0) {
-          console.log(DIM + relPath + ' — ok' + RESET);
-        }
-      } else {
-        var sorted = ungroupedIssues.slice().sort(function(a, b) {
-          return (sevOrder[a.severity] || 2) - (sevOrder[b.severity] || 2);
-        });
-        var fileErrors = 0, fileWarnings = 0, fileInfo = 0;
-        for (var j = 0; j < sorted.length; j++) {
-          if (sorted[j].severity === 'error') fileErrors++;
-          else if (sorted[j].severity === 'warning') fileWarnings++;
-          else fileInfo++;
-        }
-        // Also count grouped issues for this file
-        for (var ci = 0; ci < visibleIssues.length; ci++) {
-          var gKey = visibleIssues[ci].severity + '::' + visibleIssues[ci].message;
-          if (groupedMessages[gKey]) {
-            if (visibleIssues[ci].severity === 'error') totalErrors++;
-            else if (visibleIssues[ci].severity === 'warning') totalWarnings++;
-            else totalInfo++;
-          }
-        }
-        var fileSummaryParts = [];
-        if (fileErrors > 0) fileSummaryParts.push(RED + fileErrors + ' error' + (fileErrors > 1 ? 's' : '') + RESET);
-        if (fileWarnings > 0) fileSummaryParts.push(YELLOW + fileWarnings + ' warning' + (fileWarnings > 1 ? 's' : '') + RESET);
-        if (fileInfo > 0) fileSummaryParts.push(BLUE + fileInfo + ' info' + RESET);
-        console.log(BOLD + relPath + RESET + '  ' + DIM + '(' + RESET + fileSummaryParts.join(DIM + ', ' + RESET) + DIM + ')' + RESET);
-        for (var j = 0; j < sorted.length; j++) {
-          var issue = sorted[j];
-          var icon;
-          if (issue.severity === 'error') { icon = RED + String.fromCharCode(10007) + RESET; totalErrors++; }
-          else if (issue.severity === 'warning') { icon = YELLOW + String.fromCharCode(9888) + RESET; totalWarnings++; }
-          else { icon = BLUE + String.fromCharCode(8505) + RESET; totalInfo++; }
-          var lineInfo = issue.line ? ' ' + DIM + '(line ' + issue.line + ')' + RESET : '';
-          console.log('  ' + icon + ' ' + issue.message + lineInfo);
-          if (issue.hint) console.log('    ' + DIM + String.fromCharCode(8594) + ' ' + issue.hint + RESET);
-        }
-        console.log();
+      for (var j = 0; j < results[i].issues.length; j++) {
+        var iss = results[i].issues[j];
+        if (iss.verboseOnly && !verbose) continue;
+        if (iss.severity === 'error') totalErrors++;
+        else if (iss.severity === 'warning') totalWarnings++;
       }
     }
-
-    // Print grouped issues
-    var groupKeys = Object.keys(groupedMessages);
-    if (groupKeys.length > 0) {
-      for (var gki = 0; gki < groupKeys.length; gki++) {
-        var group = groupedMessages[groupKeys[gki]];
-        var gIssue = group.issue;
-        var gFiles = group.files;
-        var gIcon;
-        if (gIssue.severity === 'error') gIcon = RED + String.fromCharCode(10007) + RESET;
-        else if (gIssue.severity === 'warning') gIcon = YELLOW + String.fromCharCode(9888) + RESET;
-        else gIcon = BLUE + String.fromCharCode(8505) + RESET;
-        var shownFiles = gFiles.slice(0, 3).join(', ');
-        var moreCount = gFiles.length - 3;
-        var fileList = moreCount > 0 ? shownFiles + ' +' + moreCount + ' more' : gFiles.join(', ');
-        console.log(gIcon + ' ' + BOLD + gFiles.length + ' files:' + RESET + ' ' + gIssue.message);
-        console.log('  ' + DIM + fileList + RESET);
-        if (gIssue.hint) console.log('  ' + DIM + String.fromCharCode(8594) + ' ' + gIssue.hint + RESET);
-        console.log();
-      }
-    }
-    qlog(String.fromCharCode(9472).repeat(50));
-    var parts = [];
-    if (totalErrors > 0) parts.push(RED + totalErrors + ' error' + (totalErrors > 1 ? 's' : '') + RESET);
-    if (totalWarnings > 0) parts.push(YELLOW + totalWarnings + ' warning' + (totalWarnings > 1 ? 's' : '') + RESET);
-    if (totalInfo > 0) parts.push(BLUE + totalInfo + ' info' + RESET);
-    if (totalPassed > 0) parts.push(GREEN + totalPassed + ' passed' + RESET);
-    qlog(parts.join(', '));
     if (totalErrors > 0 || totalWarnings > 0) {
       console.log();
       // Check if any issues are auto-fixable (exclude contradictions)
@@ -666,7 +796,7 @@ async function main() {
       for (var fi = 0; fi < results.length; fi++) {
         var fIssues = results[fi].issues || [];
         for (var fj = 0; fj < fIssues.length; fj++) {
-          if (fIssues[fj].fixable !== false && (fIssues[fj].severity === 'error' || fIssues[fj].severity === 'warning')) {
+          if (!needsManualFix(fIssues[fj]) && (fIssues[fj].severity === 'error' || fIssues[fj].severity === 'warning')) {
             hasFixableIssues = true;
             break;
           }
@@ -686,7 +816,7 @@ async function main() {
         for (var fxi = 0; fxi < results.length; fxi++) {
           var fxis = results[fxi].issues || [];
           for (var fxj = 0; fxj < fxis.length; fxj++) {
-            if (fxis[fxj].fixable !== false && (fxis[fxj].severity === 'error' || fxis[fxj].severity === 'warning')) fixCount++;
+            if (!needsManualFix(fxis[fxj]) && (fxis[fxj].severity === 'error' || fxis[fxj].severity === 'warning')) fixCount++;
           }
         }
         if (!licensed) {
@@ -696,8 +826,8 @@ async function main() {
           console.log('  ' + BOLD + 'Auto-fix:' + RESET + ' npx cursor-doctor fix  ' + DIM + '(' + fixCount + ' issue' + (fixCount > 1 ? 's' : '') + ' fixable)' + RESET);
         }
       } else {
-        // Only unfixable issues (contradictions) — don't suggest auto-fix
-        console.log('  ' + DIM + 'These issues require manual review. Auto-fix cannot resolve contradictions.' + RESET);
+        // Only unfixable issues — don't suggest auto-fix
+        console.log('  ' + DIM + 'These issues require manual review. Auto-fix cannot resolve them.' + RESET);
       }
     }
 
@@ -708,7 +838,7 @@ async function main() {
     }
 
     // Star ask — only show on A/B grades (get grade from doctor)
-    var healthReport = await doctor(cwd);
+    var healthReport = await doctor(cwd, lintOptions());
     if (healthReport.grade === 'A' || healthReport.grade === 'B') {
       var starCTA = getStarCTA();
       console.log('  ' + DIM + starCTA.message + RESET);
@@ -720,6 +850,122 @@ async function main() {
     process.exit(totalErrors > 0 ? 1 : 0);
   }
 
+  // --- hook install|uninstall (free) ---
+  if (command === 'hook') {
+    var hookAction = args.find(function(a) { return !a.startsWith('-') && a !== 'hook'; });
+    if (hookAction !== 'install' && hookAction !== 'uninstall') {
+      console.log('Usage: npx cursor-doctor hook install|uninstall');
+      process.exit(hookAction ? 1 : 0);
+    }
+    var hookResult = hookAction === 'install' ? installHook(cwd) : uninstallHook(cwd);
+    if (hookResult.error) {
+      console.log(RED + String.fromCharCode(10007) + RESET + ' ' + hookResult.error);
+      process.exit(1);
+    }
+    var hookFile = path.relative(cwd, hookResult.path) || hookResult.path;
+    var hookMessages = {
+      installed: 'Installed pre-commit hook at ' + hookFile + ' (lints staged rule files)',
+      updated: 'Updated pre-commit hook at ' + hookFile,
+      removed: 'Removed pre-commit hook at ' + hookFile,
+      'not-installed': 'No pre-commit hook installed',
+    };
+    console.log(GREEN + String.fromCharCode(10003) + RESET + ' ' + hookMessages[hookResult.status]);
+    await exitClean(0);
+  }
+
+  // --- explain <check-id> | --list (free) ---
+  if (command === 'explain') {
+    // Custom checks and project settings come from the config; explain still works without one
+    var explainConfig = null;
+    try { explainConfig = lintOptions().config; } catch (e) {}
+
+    if (args.includes('--list')) {
+      var allChecks = listChecks(explainConfig);
+      if (asJson) {
+        console.log(JSON.stringify(allChecks, null, 2));
+        await exitClean(0);
+      }
+      var idWidth = Math.max.apply(null, allChecks.map(function(c) { return c.id.length; }));
+      var listCategory = null;
+      allChecks.forEach(function(c) {
+        if (c.category !== listCategory) {
+          listCategory = c.category;
+          console.log();
+          console.log(BOLD + (CATEGORIES[c.category] || c.category) + RESET);
+        }
+        var sevColor = c.severity === 'error' ? RED : c.severity === 'warning' ? YELLOW : BLUE;
+        console.log('  ' + c.id.padEnd(idWidth) + '  ' + sevColor + c.severity.padEnd(7) + RESET + '  ' + c.title + (c.fixable ? DIM + ' (fixable)' + RESET : ''));
+      });
+      console.log();
+      console.log(DIM + allChecks.length + ' checks. Details: cursor-doctor explain <check-id>' + RESET);
+      await exitClean(0);
+    }
+
+    var explainId = args.find(function(a) { return !a.startsWith('-') && a !== 'explain'; });
+    if (!explainId) {
+      console.log('Usage: npx cursor-doctor explain <check-id> | explain --list');
+      process.exit(0);
+    }
+    var explained = explainCheck(explainId, explainConfig);
+    if (!explained) {
+      var suggestions = suggestChecks(explainId, explainConfig);
+      if (asJson) {
+        console.log(JSON.stringify({ error: 'Unknown check: ' + explainId, suggestions: suggestions }, null, 2));
+        process.exit(1);
+      }
+      console.log(RED + String.fromCharCode(10007) + RESET + ' Unknown check: ' + explainId);
+      if (suggestions.length > 0) console.log('  Did you mean: ' + suggestions.join(', '));
+      console.log('  List all checks: ' + DIM + 'npx cursor-doctor explain --list' + RESET);
+      process.exit(1);
+    }
+    if (asJson) {
+      console.log(JSON.stringify(explained, null, 2));
+      await exitClean(0);
+    }
+
+    var explainColor = explained.severity === 'error' ? RED : explained.severity === 'warning' ? YELLOW : BLUE;
+    console.log();
+    console.log(BOLD + explained.id + RESET + '  ' + explained.title);
+    console.log('  ' + explainColor + explained.severity + RESET + DIM + ' · ' + (CATEGORIES[explained.category] || explained.category) +
+      ' · ' + (explained.fixable ? 'auto-fixable (npx cursor-doctor fix)' : 'not auto-fixable') + (explained.plugin ? ' · from ' + explained.plugin : '') + RESET);
+    if (explained.description) {
+      console.log();
+      console.log(explained.description);
+    }
+    if (explained.rationale) {
+      console.log();
+      console.log(CYAN + 'Why it matters:' + RESET);
+      console.log('  ' + explained.rationale);
+    }
+    [['Bad:', RED, explained.bad], ['Good:', GREEN, explained.good]].forEach(function(example) {
+      if (!example[2]) return;
+      console.log();
+      console.log(example[1] + example[0] + RESET);
+      example[2].split('\n').forEach(function(line) { console.log('  ' + DIM + '│' + RESET + ' ' + line); });
+    });
+    if (explained.options) {
+      console.log();
+      console.log(CYAN + 'Options:' + RESET);
+      Object.keys(explained.options).forEach(function(name) {
+        console.log('  ' + name + DIM + ' (default ' + JSON.stringify(explained.options[name]) + ')' + RESET);
+      });
+    }
+    console.log();
+    console.log(CYAN + 'Configure' + RESET + DIM + ' (.cursor-doctor.json; "off" disables the check):' + RESET);
+    configSnippet(explained).split('\n').forEach(function(line) { console.log('  ' + line); });
+    if (explained.configured) {
+      var setting = !explained.configured.enabled ? 'off' : [explained.configured.severity].concat(Object.keys(explained.configured.options).map(function(name) {
+        return name + '=' + JSON.stringify(explained.configured.options[name]);
+      })).filter(Boolean).join(', ');
+      console.log('  ' + YELLOW + 'This project: ' + RESET + (setting || 'default') + DIM + ' (' + path.relative(process.cwd(), explainConfig.path) + ')' + RESET);
+    }
+    if (explained.docsUrl) {
+      console.log();
+      console.log(DIM + 'Docs: ' + explained.docsUrl + RESET);
+    }
+    await exitClean(0);
+  }
+
   // --- init (free) ---
   if (command === 'init') {
     var dryRun = args.includes('--dry-run');
@@ -1017,6 +1263,146 @@ async function main() {
     await exitClean(0);
   }
 
+  // --- diff [<ref>|<ref>..<ref>|<ref>...<ref>] | --save (free) ---
+  if (command === 'diff') {
+    if (args.includes('--save')) {
+      var saved = saveSnapshot(cwd);
+      if (asJson) {
+        console.log(JSON.stringify({ path: saved.path, rules: Object.keys(saved.state.rules).length }, null, 2));
+        await exitClean(0);
+      }
+      console.log(GREEN + String.fromCharCode(10003) + RESET + ' Saved snapshot of ' + Object.keys(saved.state.rules).length + ' rule(s) to ' + path.relative(cwd, saved.path));
+      console.log('  ' + DIM + 'Compare later: npx cursor-doctor diff' + RESET);
+      await exitClean(0);
+    }
+
+    var rangeArg = args.find(function(a) { return !a.startsWith('-') && a !== 'diff'; });
+    var range = rangeArg ? parseRange(rangeArg) : null;
+    var ruleDiff = range ? diffRefs(cwd, range.from, range.to, { mergeBase: range.mergeBase }) : diffSnapshot(cwd);
+    if (ruleDiff.error) {
+      if (asJson) {
+        console.log(JSON.stringify({ error: ruleDiff.error }, null, 2));
+        process.exit(1);
+      }
+      console.log(RED + String.fromCharCode(10007) + RESET + ' ' + ruleDiff.error);
+      process.exit(1);
+    }
+    if (asJson) {
+      console.log(JSON.stringify(ruleDiff, null, 2));
+      await exitClean(0);
+    }
+
+    var signed = function(n) { return (n > 0 ? '+' : '') + n; };
+    var diffLabel = !range ? 'snapshot (' + ruleDiff.savedAt + ') → working tree'
+      : range.mergeBase ? 'merge-base of ' + range.from + ' (' + ruleDiff.base.slice(0, 7) + ') → ' + range.to
+      : range.from + ' → ' + (range.to || 'working tree');
+    // Directive lines per rule before the rest is summarized
+    var DIRECTIVE_LIMIT = 5;
+    var printDirectives = function(added, removed) {
+      var lines = added.map(function(d) { return GREEN + '+ ' + d + RESET; }).concat(removed.map(function(d) { return RED + '- ' + d + RESET; }));
+      lines.slice(0, DIRECTIVE_LIMIT).forEach(function(line) { console.log('      ' + line); });
+      if (lines.length > DIRECTIVE_LIMIT) console.log('      ' + DIM + '... and ' + (lines.length - DIRECTIVE_LIMIT) + ' more directive(s)' + RESET);
+    };
+
+    console.log();
+    console.log(BOLD + 'cursor-doctor' + RESET + ' v' + VERSION + ' -- diff ' + DIM + diffLabel + RESET);
+    console.log();
+    if (!ruleDiff.hasChanges) {
+      console.log(GREEN + String.fromCharCode(10003) + RESET + ' No rule changes (' + ruleDiff.unchanged.length + ' rule(s) unchanged)');
+      console.log();
+      await exitClean(0);
+    }
+
+    ruleDiff.added.forEach(function(r) {
+      console.log('  ' + GREEN + '+ ' + r.file + RESET + DIM + '  ' + (r.tier ? r.tier + ' · ' : '') + signed(r.tokens) + ' tokens' + RESET);
+      printDirectives(r.directives, []);
+    });
+    ruleDiff.removed.forEach(function(r) {
+      console.log('  ' + RED + '- ' + r.file + RESET + DIM + '  ' + (r.tier ? r.tier + ' · ' : '') + signed(-r.tokens) + ' tokens' + RESET);
+      printDirectives([], r.directives);
+    });
+    ruleDiff.modified.forEach(function(r) {
+      console.log('  ' + YELLOW + '~ ' + r.file + RESET + DIM + '  ' + signed(r.newTokens - r.oldTokens) + ' tokens' + RESET);
+      if (r.tier) console.log('      scope: ' + r.tier.from + ' → ' + BOLD + r.tier.to + RESET);
+      if (r.globs.added.length > 0 || r.globs.removed.length > 0) {
+        console.log('      globs: ' + r.globs.added.map(function(g) { return GREEN + '+' + g + RESET; }).concat(r.globs.removed.map(function(g) { return RED + '-' + g + RESET; })).join(' '));
+      }
+      printDirectives(r.directives.added, r.directives.removed);
+    });
+
+    console.log();
+    console.log(ruleDiff.added.length + ' added, ' + ruleDiff.removed.length + ' removed, ' + ruleDiff.modified.length + ' modified ' +
+      DIM + '(' + signed(ruleDiff.tokenDelta) + ' tokens)' + RESET);
+    var alwaysOn = ruleDiff.alwaysOnTokens;
+    if (alwaysOn.delta !== null) {
+      var alwaysOnColor = alwaysOn.delta > 0 ? YELLOW : alwaysOn.delta < 0 ? GREEN : DIM;
+      console.log('Always-on tokens: ' + alwaysOn.before + ' → ' + alwaysOn.after + ' ' + alwaysOnColor + '(' + signed(alwaysOn.delta) + ')' + RESET);
+    }
+    console.log();
+    await exitClean(0);
+  }
+
+  // --- which <file>... (free) ---
+  if (command === 'which') {
+    var targets = args.filter(function(a) { return !a.startsWith('-'); }).slice(1);
+    if (targets.length === 0) {
+      console.log('Usage: npx cursor-doctor which <file> [<file>...]');
+      process.exit(0);
+    }
+    var resolved = whichRules(cwd, targets);
+    if (resolved.error) {
+      if (asJson) {
+        console.log(JSON.stringify({ error: resolved.error }, null, 2));
+        process.exit(1);
+      }
+      console.log(RED + String.fromCharCode(10007) + RESET + ' ' + resolved.error);
+      process.exit(1);
+    }
+    if (asJson) {
+      console.log(JSON.stringify(resolved, null, 2));
+      await exitClean(0);
+    }
+
+    console.log();
+    console.log(BOLD + 'cursor-doctor' + RESET + ' v' + VERSION + ' -- which');
+    resolved.files.forEach(function(target) {
+      console.log();
+      console.log(BOLD + target.file + RESET + (target.exists ? '' : DIM + ' (not on disk)' + RESET));
+      if (target.rules.length === 0) {
+        console.log('  ' + DIM + 'No rules attached' + RESET);
+      }
+      var fileWidth = Math.max.apply(null, target.rules.map(function(r) { return r.file.length; }).concat([0]));
+      target.rules.forEach(function(r) {
+        var tierColor = r.tier === 'always' ? YELLOW : CYAN;
+        console.log('  ' + String(r.order).padStart(2) + '. ' + r.file.padEnd(fileWidth) + '  ' + tierColor + r.tier.padEnd(6) + RESET +
+          '  ' + String(r.tokens).padStart(5) + ' tokens  ' + DIM + r.reason + RESET);
+      });
+      if (target.rules.length > 0) {
+        console.log('  ' + DIM + '~' + target.tokens + ' tokens injected by ' + target.rules.length + ' rule(s)' + RESET);
+      }
+      target.conflicts.forEach(function(c) {
+        console.log('  ' + YELLOW + String.fromCharCode(9888) + RESET + ' ' + c.a + ' vs ' + c.b + ': ' + c.conflicts.join('; '));
+      });
+      if (target.requestable.length > 0) {
+        console.log('  ' + DIM + 'The agent may also request: ' + target.requestable.map(function(r) { return r.file; }).join(', ') + RESET);
+      }
+    });
+    console.log();
+    await exitClean(0);
+  }
+
+  // --- pr-context --base=<ref> [--head=<ref>] (free) ---
+  if (command === 'pr-context') {
+    var baseArg = args.find(function(a) { return a.startsWith('--base='); });
+    var headArg = args.find(function(a) { return a.startsWith('--head='); });
+    var prBase = baseArg ? baseArg.slice('--base='.length) : null;
+    if (!prBase) throw new Error('pr-context needs a base ref, e.g. --base=main');
+    var prReport = prContext(cwd, { base: prBase, head: headArg ? headArg.slice('--head='.length) : null });
+    // Markdown by default: the output is meant to be posted as a PR comment
+    console.log(asJson ? JSON.stringify(prReport, null, 2) : formatPrContextMarkdown(prReport));
+    await exitClean(0);
+  }
+
   // --- budget (free basic, pro detailed) ---
   if (command === 'budget') {
     var isPro = args.includes('--pro');
@@ -1607,7 +1993,7 @@ async function main() {
 
   // --- agents (FREE) ---
   if (command === 'agents') {
-    var results = lintAgentConfigs(cwd);
+    var results = lintAgentConfigs(cwd, lintOptions());
 
     if (asJson) {
       console.log(JSON.stringify(results, null, 2));
@@ -1632,7 +2018,7 @@ async function main() {
 
   // --- mcp (FREE) ---
   if (command === 'mcp') {
-    var report = lintMcpConfigs(cwd);
+    var report = lintMcpConfigs(cwd, lintOptions());
 
     if (asJson) {
       console.log(JSON.stringify(report, null, 2));
@@ -1655,6 +2041,12 @@ async function main() {
 
     var report = crossConflictReport(cwd);
 
+    if (format !== 'console') {
+      if (format !== 'sarif') throw new Error('conflicts only supports --format=sarif');
+      console.log(JSON.stringify(conflictsToSarif(cwd, report), null, 2));
+      process.exit(report.clean ? 0 : 1);
+    }
+
     if (asJson) {
       console.log(JSON.stringify(report, null, 2));
       await exitClean(0);
@@ -1700,8 +2092,17 @@ async function main() {
   // --- audit (PRO) ---
   if (command === 'audit') {
     if (!requirePro(cwd, 'audit')) process.exit(1);
-    var report = await fullAudit(cwd);
-    if (args.includes('--md')) {
+    var report = await fullAudit(cwd, lintOptions());
+    // --html prints the page; --html=<file> writes it
+    var htmlArg = args.find(function(a) { return a === '--html' || a.startsWith('--html='); });
+    if (htmlArg === '--html') {
+      process.stdout.write(formatAuditHtml(report, cwd));
+    } else if (htmlArg) {
+      var htmlPath = path.resolve(htmlArg.slice('--html='.length));
+      fs.mkdirSync(path.dirname(htmlPath), { recursive: true });
+      fs.writeFileSync(htmlPath, formatAuditHtml(report, cwd), 'utf-8');
+      console.log(GREEN + String.fromCharCode(10003) + RESET + ' Audit report written to ' + (path.relative(process.cwd(), htmlPath) || htmlPath));
+    } else if (args.includes('--md')) {
       process.stdout.write(formatAuditMarkdown(report));
     } else {
       console.log();
@@ -1733,7 +2134,7 @@ async function main() {
     var freeFix = !licensed && !preview;
     var dryRun = args.includes('--dry-run') || preview;
     var maxFree = 3;
-    var results = await autoFix(cwd, { dryRun: dryRun || freeFix, freeFixMode: freeFix, maxFiles: freeFix ? maxFree : undefined });
+    var results = await autoFix(cwd, { dryRun: dryRun || freeFix, freeFixMode: freeFix, maxFiles: freeFix ? maxFree : undefined, config: lintOptions().config });
 
     console.log();
     console.log(CYAN + BOLD + 'cursor-doctor fix' + RESET + (dryRun ? ' ' + DIM + '(dry run)' + RESET : ''));
@@ -1751,10 +2152,10 @@ async function main() {
 
     if (totalActions === 0) {
       // Check if there are still lint issues that can't be auto-fixed
-      var postLint = await lintProject(cwd);
+      var postLint = await lintProject(cwd, lintOptions());
       var remainingIssues = [];
       for (var ri = 0; ri < postLint.length; ri++) {
-        var rIssues = (postLint[ri].issues || []).filter(function(i) { return i.fixable === false && (i.severity === 'error' || i.severity === 'warning'); });
+        var rIssues = (postLint[ri].issues || []).filter(function(i) { return needsManualFix(i) && (i.severity === 'error' || i.severity === 'warning'); });
         if (rIssues.length > 0) remainingIssues.push({ file: postLint[ri].file, issues: rIssues });
       }
       if (remainingIssues.length > 0) {
@@ -1803,7 +2204,7 @@ async function main() {
       
       // Re-run autoFix to apply the free fixes
       if (appliedCount > 0) {
-        var freeResults = await autoFix(cwd, { dryRun: false, maxFiles: maxFree });
+        var freeResults = await autoFix(cwd, { dryRun: false, maxFiles: maxFree, config: lintOptions().config });
         console.log('  ' + GREEN + String.fromCharCode(10003) + ' Fixed ' + appliedCount + ' issue' + (appliedCount > 1 ? 's' : '') + ' automatically' + RESET);
       }
       
@@ -1829,7 +2230,7 @@ async function main() {
       console.log('  ' + DIM + 'Full refund if it doesn\'t find real issues.' + RESET);
     } else if (!dryRun && totalActions > 0) {
       // Run post-fix lint to show remaining issues
-      var postFixLint = await lintProject(cwd);
+      var postFixLint = await lintProject(cwd, lintOptions());
       var postFixIssues = 0;
       var postFixManual = 0;
       for (var pfi = 0; pfi < postFixLint.length; pfi++) {
@@ -1837,7 +2238,7 @@ async function main() {
         for (var pfj = 0; pfj < pfIssues.length; pfj++) {
           if (pfIssues[pfj].severity === 'error' || pfIssues[pfj].severity === 'warning') {
             postFixIssues++;
-            if (pfIssues[pfj].fixable === false) postFixManual++;
+            if (needsManualFix(pfIssues[pfj])) postFixManual++;
           }
         }
       }
@@ -1850,7 +2251,7 @@ async function main() {
       }
       console.log();
       // Star ask — only show on A/B grades after successful fix
-      var postFixHealthReport = await doctor(cwd);
+      var postFixHealthReport = await doctor(cwd, lintOptions());
       if (postFixHealthReport.grade === 'A' || postFixHealthReport.grade === 'B') {
         var starCTA = getStarCTA();
         console.log('  ' + DIM + starCTA.message + RESET);
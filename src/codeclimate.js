@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Code Climate JSON output (`--format=codeclimate`), the format GitLab reads
+ * for its merge-request code quality widget. One entry per issue, located by
+ * project-relative path and line, with a fingerprint that survives edits
+ * elsewhere in the file.
+ */
+
+const { issueFingerprints } = require('./checks');
+const { relativePath } = require('./formatters/paths');
+
+// cursor-doctor severities → Code Climate severities
+const SEVERITIES = { error: 'major', warning: 'minor', info: 'info' };
+
+// Check categories → Code Climate categories (anything else is a bug risk)
+const CATEGORIES = {
+  content: 'Clarity',
+  description: 'Clarity',
+  prompt: 'Clarity',
+  'ai-generated': 'Clarity',
+  security: 'Security',
+};
+
+/** Code Climate issues for lintProject results. */
+function toCodeClimate(dir, results) {
+  const issues = [];
+  for (const r of results) {
+    const file = relativePath(dir, r.file);
+    const fingerprints = issueFingerprints(file, r.issues);
+    r.issues.forEach((issue, i) => {
+      const entry = {
+        type: 'issue',
+        check_name: issue.id,
+        description: issue.message,
+        categories: [CATEGORIES[issue.category] || 'Bug Risk'],
+        location: { path: file, lines: { begin: issue.line || 1, end: issue.endLine || issue.line || 1 } },
+        severity: SEVERITIES[issue.severity] || 'minor',
+        fingerprint: fingerprints[i],
+      };
+      if (issue.hint) entry.content = { body: issue.hint + (issue.docsUrl ? '\n\n' + issue.docsUrl : '') };
+      issues.push(entry);
+    });
+  }
+  return issues;
+}
+
+module.exports = { toCodeClimate };
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Project configuration — .cursor-doctor.json.
+ * Found by walking up from the project directory. Shape:
+ *
+ *   {
+ *     "checks": {
+ *       "vague-rule": "off",
+ *       "todo-comments": "error",
+ *       "body-long": { "severity": "info", "maxChars": 3000 },
+ *       "unknown-frontmatter-key": { "allowedKeys": ["owner"] }
+ *     },
+ *     "thresholds": { "failOn": "warning", "maxWarnings": 10, "minGrade": "B" }
+ *   }
+ *
+ * A check entry is "off", a severity, or an object with an optional severity
+ * plus overrides for the check's `options` in checks.js. Thresholds set the
+ * `check` gate (see thresholds.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCheck, resolveCheckId } = require('./checks');
+const { normalizeThresholds } = require('./thresholds');
+
+const CONFIG_FILE = '.cursor-doctor.json';
+const SEVERITIES = ['error', 'warning', 'info'];
+const EMPTY_CONFIG = Object.freeze({ path: null, checks: Object.freeze({}) });
+
+// Parsed configs by file path, invalidated on change (the LSP is long-lived)
+const cache = new Map();
+
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir || process.cwd());
+  while (true) {
+    const candidate = path.join(dir, CONFIG_FILE);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+function normalizeCheckEntry(id, value, configPath) {
+  if (value === 'off' || value === false) return { enabled: false };
+  if (typeof value === 'string') {
+    if (!SEVERITIES.includes(value)) {
+      throw new Error(`Invalid severity "${value}" for check "${id}" in ${configPath}. Use "off", "error", "warning" or "info".`);
+    }
+    return { enabled: true, severity: value, options: {} };
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const { severity, ...options } = value;
+    if (severity === 'off') return { enabled: false };
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity "${severity}" for check "${id}" in ${configPath}. Use "off", "error", "warning" or "info".`);
+    }
+    const check = getCheck(id);
+    const known = check && check.options ? Object.keys(check.options) : null;
+    for (const key of Object.keys(options)) {
+      if (known && !known.includes(key)) {
+        throw new Error(`Unknown option "${key}" for check "${id}" in ${configPath}. Valid options: ${known.join(', ') || 'none'}.`);
+      }
+    }
+    return { enabled: true, severity: severity || null, options };
+  }
+  throw new Error(`Invalid setting for check "${id}" in ${configPath}. Use "off", a severity, or an object.`);
+}
+
+function parseConfig(text, configPath) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${configPath}: ${e.message}. Fix the syntax or delete the file.`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config in ${configPath}: expected a JSON object.`);
+  }
+  const checks = {};
+  const rawChecks = raw.checks || {};
+  if (typeof rawChecks !== 'object' || Array.isArray(rawChecks)) {
+    throw new Error(`Invalid config in ${configPath}: "checks" must be an object keyed by check ID.`);
+  }
+  for (const key of Object.keys(rawChecks)) {
+    const id = resolveCheckId(key);
+    checks[id] = normalizeCheckEntry(id, rawChecks[key], configPath);
+  }
+  return { ...raw, path: configPath, checks, thresholds: normalizeThresholds(raw.thresholds, configPath) };
+}
+
+/**
+ * Load the config that applies to `startDir`, or an explicit file.
+ * Returns an empty config when none is found.
+ */
+function loadConfig(startDir, explicitPath) {
+  let configPath;
+  if (explicitPath) {
+    configPath = path.resolve(explicitPath);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}. Check the --config path.`);
+    }
+  } else {
+    configPath = findConfigFile(startDir);
+    if (!configPath) return EMPTY_CONFIG;
+  }
+
+  const stat = fs.statSync(configPath);
+  const stamp = stat.mtimeMs + ':' + stat.size;
+  const cached = cache.get(configPath);
+  if (cached && cached.stamp === stamp) return cached.config;
+
+  const config = parseConfig(fs.readFileSync(configPath, 'utf-8'), configPath);
+  cache.set(configPath, { stamp, config });
+  return config;
+}
+
+// Check options with project overrides applied over the table defaults.
+function checkOptions(config, id) {
+  const check = getCheck(id);
+  const defaults = check && check.options ? check.options : {};
+  const entry = config && config.checks[id];
+  return Object.assign({}, defaults, entry && entry.options);
+}
+
+function checkOption(config, id, name) {
+  return checkOptions(config, id)[name];
+}
+
+function isCheckEnabled(config, id) {
+  const entry = config && config.checks[id];
+  return !entry || entry.enabled !== false;
+}
+
+// Drop disabled checks and apply severity overrides to normalized issues.
+function applyConfig(issues, config) {
+  if (!config || Object.keys(config.checks).length === 0) return issues;
+  const out = [];
+  for (const issue of issues) {
+    const entry = config.checks[issue.id];
+    if (!entry) { out.push(issue); continue; }
+    if (entry.enabled === false) continue;
+    out.push(entry.severity ? Object.assign({}, issue, { severity: entry.severity }) : issue);
+  }
+  return out;
+}
+
+module.exports = { CONFIG_FILE, loadConfig, findConfigFile, parseConfig, checkOptions, checkOption, isCheckEnabled, applyConfig };
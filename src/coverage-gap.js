@@ -1,5 +1,4 @@
-const fs = require('fs');
-const path = require('path');
+const { loadProject } = require('./project');
 
 // Rule categories and their common keywords/indicators
 const RULE_CATEGORIES = {
@@ -33,142 +32,24 @@ const FRAMEWORK_EXPECTATIONS = {
 };
 
 /**
- * Detect frameworks and tools from project files
+ * Stack IDs for the project (see detectStack in project.js)
  */
-function detectStack(dir) {
-  const detected = new Set();
-  
-  // Check package.json
-  const packageJsonPath = path.join(dir, 'package.json');
-  if (fs.existsSync(packageJsonPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
-      const allDeps = {
-        ...pkg.dependencies,
-        ...pkg.devDependencies,
-      };
-      
-      // Framework detection
-      if (allDeps['react']) detected.add('react');
-      if (allDeps['next']) detected.add('nextjs');
-      if (allDeps['vue']) detected.add('vue');
-      if (allDeps['@angular/core']) detected.add('angular');
-      if (allDeps['svelte']) detected.add('svelte');
-      if (allDeps['express']) detected.add('express');
-      
-      // Language detection
-      if (allDeps['typescript'] || pkg.devDependencies?.['typescript']) detected.add('typescript');
-      
-      // Testing frameworks
-      if (allDeps['jest'] || allDeps['@jest/core']) detected.add('jest');
-      if (allDeps['vitest']) detected.add('vitest');
-      if (allDeps['@testing-library/react']) detected.add('testing-library');
-      
-      // State management
-      if (allDeps['redux'] || allDeps['@reduxjs/toolkit']) detected.add('redux');
-      if (allDeps['zustand']) detected.add('zustand');
-      if (allDeps['recoil']) detected.add('recoil');
-      if (allDeps['mobx']) detected.add('mobx');
-      
-      // Data fetching
-      if (allDeps['axios']) detected.add('axios');
-      if (allDeps['@tanstack/react-query'] || allDeps['react-query']) detected.add('react-query');
-      if (allDeps['swr']) detected.add('swr');
-      if (allDeps['graphql'] || allDeps['@apollo/client']) detected.add('graphql');
-      
-      // Styling
-      if (allDeps['tailwindcss']) detected.add('tailwind');
-      if (allDeps['styled-components']) detected.add('styled-components');
-      if (allDeps['@emotion/react']) detected.add('emotion');
-    } catch (e) {
-      // Ignore parse errors
-    }
-  }
-  
-  // Check requirements.txt
-  const requirementsTxtPath = path.join(dir, 'requirements.txt');
-  if (fs.existsSync(requirementsTxtPath)) {
-    try {
-      const content = fs.readFileSync(requirementsTxtPath, 'utf-8');
-      detected.add('python');
-      if (content.includes('django')) detected.add('django');
-      if (content.includes('fastapi')) detected.add('fastapi');
-      if (content.includes('flask')) detected.add('flask');
-      if (content.includes('pytest')) detected.add('pytest');
-    } catch (e) {
-      // Ignore read errors
-    }
-  }
-  
-  // Check Cargo.toml
-  const cargoTomlPath = path.join(dir, 'Cargo.toml');
-  if (fs.existsSync(cargoTomlPath)) {
-    detected.add('rust');
-  }
-  
-  // Check go.mod
-  const goModPath = path.join(dir, 'go.mod');
-  if (fs.existsSync(goModPath)) {
-    detected.add('go');
-  }
-  
-  // Check Gemfile
-  const gemfilePath = path.join(dir, 'Gemfile');
-  if (fs.existsSync(gemfilePath)) {
-    try {
-      const content = fs.readFileSync(gemfilePath, 'utf-8');
-      detected.add('ruby');
-      if (content.includes('rails')) detected.add('rails');
-    } catch (e) {
-      // Ignore read errors
-    }
-  }
-  
-  // Check pom.xml or build.gradle
-  const pomXmlPath = path.join(dir, 'pom.xml');
-  const buildGradlePath = path.join(dir, 'build.gradle');
-  if (fs.existsSync(pomXmlPath) || fs.existsSync(buildGradlePath)) {
-    detected.add('java');
-    // Check for Spring Boot
-    try {
-      if (fs.existsSync(pomXmlPath)) {
-        const content = fs.readFileSync(pomXmlPath, 'utf-8');
-        if (content.includes('spring-boot')) detected.add('spring-boot');
-      }
-      if (fs.existsSync(buildGradlePath)) {
-        const content = fs.readFileSync(buildGradlePath, 'utf-8');
-        if (content.includes('spring-boot')) detected.add('spring-boot');
-      }
-    } catch (e) {
-      // Ignore read errors
-    }
-  }
-  
-  return Array.from(detected);
+function detectStack(dir, options) {
+  const project = (options && options.project) || loadProject(dir, options);
+  return project.stack.ids;
 }
 
 /**
  * Analyze existing rules to determine what categories they cover
  */
-function analyzeRuleCoverage(dir) {
+function analyzeRuleCoverage(dir, options) {
+  const project = (options && options.project) || loadProject(dir, options);
   const coverage = new Set();
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  
-  if (!fs.existsSync(rulesDir) || !fs.statSync(rulesDir).isDirectory()) {
-    return { categories: Array.from(coverage), ruleDetails: [], totalRules: 0 };
-  }
-  
   const ruleDetails = [];
-  let totalRules = 0;
   
-  for (const entry of fs.readdirSync(rulesDir)) {
-    if (!entry.endsWith('.mdc')) continue;
-    
-    totalRules++;
-    const filePath = path.join(rulesDir, entry);
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const lowerContent = content.toLowerCase();
-    const lowerFilename = entry.toLowerCase();
+  for (const rule of project.rules) {
+    const lowerContent = rule.content.toLowerCase();
+    const lowerFilename = rule.label.toLowerCase();
     
     const matchedCategories = [];
     
@@ -186,7 +67,7 @@ function analyzeRuleCoverage(dir) {
     
     if (matchedCategories.length > 0) {
       ruleDetails.push({
-        file: entry,
+        file: rule.label,
         categories: matchedCategories,
       });
     }
@@ -195,16 +76,17 @@ function analyzeRuleCoverage(dir) {
   return {
     categories: Array.from(coverage),
     ruleDetails,
-    totalRules,
+    totalRules: project.rules.length,
   };
 }
 
 /**
  * Identify coverage gaps based on detected stack and existing rules
  */
-function detectCoverageGaps(dir) {
-  const stack = detectStack(dir);
-  const { categories: coveredCategories, ruleDetails, totalRules } = analyzeRuleCoverage(dir);
+function detectCoverageGaps(dir, options) {
+  const project = (options && options.project) || loadProject(dir, options);
+  const stack = project.stack.ids;
+  const { categories: coveredCategories, ruleDetails, totalRules } = analyzeRuleCoverage(dir, { project });
   
   // Determine expected categories based on detected frameworks
   const expectedCategories = new Set();
@@ -1,14 +1,7 @@
 const fs = require('fs');
 const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
-
-
-function getBody(content) {
-  var normalized = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  var match = normalized.match(/^---\n[\s\S]*?\n---\n?/);
-  if (!match) return content;
-  return content.slice(match[0].length);
-}
+const { parseGlobs, getBody } = require('./project');
 
 // Extract style/behavior directives from any text
 function extractDirectives(text) {
@@ -208,12 +201,16 @@ function loadAllSources(dir) {
       var content = fs.readFileSync(filePath, 'utf-8');
       var body = getBody(content);
       var fm = parseFrontmatter(content);
+      // Directive lines count from the top of the file, not the body
+      var bodyLine = content.slice(0, content.length - body.length).split('\n').length - 1;
+      var directives = extractDirectives(body);
+      for (var d = 0; d < directives.length; d++) directives[d].line += bodyLine;
       sources.push({
         file: '.cursor/rules/' + mdcFiles[i],
         type: 'mdc',
         content: body,
-        directives: extractDirectives(body),
-        globs: fm.data ? parseGlobsLocal(fm.data.globs) : [],
+        directives: directives,
+        globs: fm.data ? parseGlobs(fm.data.globs) : [],
         alwaysApply: fm.data && fm.data.alwaysApply === true,
       });
     }
@@ -294,19 +291,6 @@ function loadAllSources(dir) {
   return sources;
 }
 
-function parseGlobsLocal(globVal) {
-  if (!globVal) return [];
-  if (typeof globVal === 'string') {
-    var trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      return trimmed.slice(1, -1).split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-    }
-    return trimmed.split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-  }
-  if (Array.isArray(globVal)) return globVal;
-  return [];
-}
-
 // Extract behavioral constraints from hooks.json
 function extractHookDirectives(hooks) {
   var directives = [];
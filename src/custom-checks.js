@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * Custom checks — project-specific checks registered in .cursor-doctor.json,
+ * either declaratively as regex patterns or as JS plugins:
+ *
+ *   {
+ *     "customChecks": [
+ *       { "id": "team/examples", "target": "body", "pattern": "^## Examples",
+ *         "flags": "m", "mode": "require", "message": "Add an ## Examples section" }
+ *     ],
+ *     "plugins": ["./tools/cursor-checks.js"]
+ *   }
+ *
+ * Plugin paths resolve from the config file's directory; bare names resolve like
+ * require() from there, so plugins can ship as npm packages. A plugin module
+ * exports:
+ *
+ *   module.exports = {
+ *     name: 'acme',
+ *     checks: [{
+ *       id: 'acme/adr-link',            // must not clash with a built-in ID
+ *       severity: 'warning',            // default severity for its issues
+ *       title: 'Rule does not link an ADR',
+ *       docsUrl: 'https://...',         // optional
+ *       options: { pattern: 'ADR-' },   // optional defaults, overridable in "checks"
+ *       check(ctx) { return [{ message, hint, line, column }] },
+ *       fix(content, ctx) { return newContent },   // optional, used by `fix`
+ *     }],
+ *   };
+ *
+ * `ctx` carries the file path, content, parsed frontmatter, body, a locator
+ * (ctx.locate.inBody('text') etc., see positions.js) and the project root.
+ * Checks and fixers may be async. Both kinds run inside lintMdcFile, so
+ * they apply in the CLI, the LSP and the MCP server alike, and honour
+ * config severities and inline suppressions like built-in checks.
+ */
+
+const path = require('path');
+const { getCheck } = require('./checks');
+const { isCheckEnabled } = require('./config');
+const { findRuleFiles } = require('./discovery');
+const { parseFrontmatter } = require('./frontmatter');
+const { createLocator } = require('./positions');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9/_.-]*$/i;
+const SEVERITIES = ['error', 'warning', 'info'];
+const TARGETS = ['body', 'description', 'globs'];
+const MODES = ['forbid', 'require'];
+
+// Loaded checks per config object; configs are themselves cached by loadConfig
+const loaded = new WeakMap();
+
+function pluginError(spec, config, reason) {
+  return new Error(`Invalid plugin "${spec}" in ${config.path}: ${reason}`);
+}
+
+function resolvePlugin(spec, config) {
+  const base = path.dirname(config.path);
+  const request = spec.startsWith('.') || path.isAbsolute(spec) ? path.resolve(base, spec) : spec;
+  try {
+    return require.resolve(request, { paths: [base] });
+  } catch (e) {
+    throw pluginError(spec, config, 'module not found. Paths are relative to the config file.');
+  }
+}
+
+// Resolved module files for the config's plugins (unresolvable ones are skipped).
+function pluginPaths(config) {
+  if (!config || !config.path || !Array.isArray(config.plugins)) return [];
+  const files = [];
+  for (const spec of config.plugins) {
+    try { files.push(resolvePlugin(spec, config)); } catch (e) { /* reported when the plugins load */ }
+  }
+  return files;
+}
+
+function validateCheck(check, spec, config, seen) {
+  if (!check || typeof check !== 'object') throw pluginError(spec, config, 'every entry in "checks" must be an object.');
+  if (typeof check.id !== 'string' || !ID_PATTERN.test(check.id)) {
+    throw pluginError(spec, config, `check ID ${JSON.stringify(check.id)} must be letters, digits, "/", "_", "." or "-".`);
+  }
+  if (getCheck(check.id)) throw pluginError(spec, config, `check ID "${check.id}" is already a built-in check. Prefix it, e.g. "${'my/' + check.id}".`);
+  if (seen.has(check.id)) throw pluginError(spec, config, `check ID "${check.id}" is registered twice.`);
+  if (typeof check.check !== 'function') throw pluginError(spec, config, `check "${check.id}" has no check() function.`);
+  if (check.fix !== undefined && typeof check.fix !== 'function') throw pluginError(spec, config, `fix for "${check.id}" must be a function.`);
+  if (check.severity !== undefined && !SEVERITIES.includes(check.severity)) {
+    throw pluginError(spec, config, `severity for "${check.id}" must be "error", "warning" or "info".`);
+  }
+}
+
+// Report each match of a forbidden pattern, or one issue when a required one is missing.
+function matchTarget(entry, ctx) {
+  const re = new RegExp(entry.regex.source, entry.regex.flags);
+  const message = (text) => entry.message.replace(/\{match\}/g, text);
+  const issue = (text, range) => Object.assign({ message: message(text) }, entry.hint && { hint: entry.hint }, range);
+  const loc = ctx.locate;
+
+  if (entry.target === 'body') {
+    const issues = [];
+    let m;
+    while ((m = re.exec(ctx.body)) !== null) {
+      if (entry.mode === 'require') return [];
+      issues.push(issue(m[0], loc.range(loc.bodyStart + m.index, loc.bodyStart + m.index + m[0].length)));
+      if (m[0] === '') re.lastIndex++;
+    }
+    return entry.mode === 'require' ? [issue('', loc.body() || loc.file())] : issues;
+  }
+
+  if (entry.target === 'description') {
+    const description = ctx.frontmatter && typeof ctx.frontmatter.description === 'string' ? ctx.frontmatter.description : '';
+    const m = re.exec(description);
+    if (entry.mode === 'require') return m ? [] : [issue('', loc.key('description') || loc.frontmatter() || loc.file())];
+    return m ? [issue(m[0], loc.key('description'))] : [];
+  }
+
+  // globs: each glob is matched on its own
+  const raw = ctx.frontmatter ? ctx.frontmatter.globs : null;
+  const globs = Array.isArray(raw) ? raw.map(String) : typeof raw === 'string' ? raw.split(',').map(g => g.trim()).filter(Boolean) : [];
+  const hits = globs.filter(g => { re.lastIndex = 0; return re.test(g); });
+  if (entry.mode === 'require') return hits.length ? [] : [issue('', loc.key('globs') || loc.frontmatter() || loc.file())];
+  return hits.map(g => issue(g, loc.glob(g)));
+}
+
+/**
+ * A "customChecks" config entry as a check:
+ *   { id, pattern, flags?, target: body|description|globs, mode?: forbid|require,
+ *     message, hint?, severity? }
+ * "forbid" (default) reports every match; "require" reports files without one.
+ * `{match}` in the message is replaced with the matched text.
+ */
+function compileDeclarativeCheck(entry, config, seen) {
+  const label = entry && typeof entry.id === 'string' ? `"${entry.id}"` : JSON.stringify(entry && entry.id);
+  const fail = (reason) => new Error(`Invalid custom check ${label} in ${config.path}: ${reason}`);
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`Invalid config in ${config.path}: every "customChecks" entry must be an object.`);
+  if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) throw fail('"id" must be letters, digits, "/", "_", "." or "-".');
+  if (getCheck(entry.id)) throw fail('the ID is already a built-in check. Prefix it, e.g. "team/' + entry.id + '".');
+  if (seen.has(entry.id)) throw fail('the ID is registered twice.');
+  if (typeof entry.pattern !== 'string' || entry.pattern === '') throw fail('"pattern" must be a non-empty regular expression string.');
+  if (!TARGETS.includes(entry.target)) throw fail(`"target" must be one of ${TARGETS.join(', ')}.`);
+  if (entry.mode !== undefined && !MODES.includes(entry.mode)) throw fail('"mode" must be "forbid" or "require".');
+  if (typeof entry.message !== 'string' || entry.message === '') throw fail('"message" is required.');
+  if (entry.severity !== undefined && !SEVERITIES.includes(entry.severity)) throw fail('"severity" must be "error", "warning" or "info".');
+  if (entry.flags !== undefined && typeof entry.flags !== 'string') throw fail('"flags" must be a string such as "im".');
+  let regex;
+  try {
+    regex = new RegExp(entry.pattern, (entry.flags || '').replace(/g/g, '') + 'g');
+  } catch (e) {
+    throw fail(`invalid pattern: ${e.message}`);
+  }
+  const compiled = Object.assign({}, entry, { mode: entry.mode || 'forbid', regex });
+  return {
+    id: entry.id,
+    severity: entry.severity || 'warning',
+    title: entry.message,
+    plugin: path.basename(config.path),
+    check: (ctx) => matchTarget(compiled, ctx),
+  };
+}
+
+/**
+ * Custom checks from the config, in registration order: declarative
+ * "customChecks" entries first, then checks exported by "plugins".
+ * Throws a descriptive Error when an entry or plugin is malformed.
+ */
+function loadCustomChecks(config) {
+  if (!config || !config.path || (!config.plugins && !config.customChecks)) return [];
+  if (loaded.has(config)) return loaded.get(config);
+
+  const checks = [];
+  const seen = new Set();
+
+  if (config.customChecks !== undefined) {
+    if (!Array.isArray(config.customChecks)) {
+      throw new Error(`Invalid config in ${config.path}: "customChecks" must be an array of check definitions.`);
+    }
+    for (const entry of config.customChecks) {
+      const check = compileDeclarativeCheck(entry, config, seen);
+      seen.add(check.id);
+      checks.push(check);
+    }
+  }
+
+  const plugins = config.plugins || [];
+  if (!Array.isArray(plugins) || plugins.some(p => typeof p !== 'string')) {
+    throw new Error(`Invalid config in ${config.path}: "plugins" must be an array of module paths.`);
+  }
+  for (const spec of plugins) {
+    const file = resolvePlugin(spec, config);
+    let plugin;
+    try {
+      plugin = require(file);
+    } catch (e) {
+      throw pluginError(spec, config, `failed to load: ${e.message}`);
+    }
+    if (!plugin || !Array.isArray(plugin.checks)) throw pluginError(spec, config, 'expected module.exports = { checks: [...] }.');
+    for (const check of plugin.checks) {
+      validateCheck(check, spec, config, seen);
+      seen.add(check.id);
+      checks.push(Object.assign({ severity: 'warning', title: check.id, plugin: plugin.name || spec }, check));
+    }
+  }
+
+  loaded.set(config, checks);
+  return checks;
+}
+
+function isCustomCheck(config, id) {
+  return loadCustomChecks(config).some(c => c.id === id);
+}
+
+// Root a plugin's project context at the config file, falling back to the rule's project.
+function projectRoot(filePath, config) {
+  if (config && config.path) return path.dirname(config.path);
+  const marker = path.sep + '.cursor' + path.sep;
+  const idx = filePath.lastIndexOf(marker);
+  return idx === -1 ? path.dirname(filePath) : filePath.slice(0, idx);
+}
+
+function checkContext(check, file, config) {
+  const entry = config.checks[check.id];
+  const root = projectRoot(file.filePath, config);
+  let ruleFiles = null;
+  return {
+    id: check.id,
+    options: Object.assign({}, check.options, entry && entry.options),
+    filePath: file.filePath,
+    content: file.content,
+    frontmatter: file.frontmatter,
+    body: file.body,
+    locate: file.locate,
+    project: {
+      root,
+      configPath: config.path,
+      // Rule files across the project, discovered on first use
+      get ruleFiles() {
+        if (!ruleFiles) ruleFiles = findRuleFiles(root);
+        return ruleFiles;
+      },
+    },
+  };
+}
+
+function toIssue(check, raw) {
+  const issue = typeof raw === 'string' ? { message: raw } : Object.assign({}, raw);
+  issue.id = check.id;
+  issue.severity = SEVERITIES.includes(issue.severity) ? issue.severity : check.severity;
+  issue.category = 'custom';
+  issue.fixable = typeof check.fix === 'function';
+  if (check.docsUrl && !issue.docsUrl) issue.docsUrl = check.docsUrl;
+  return issue;
+}
+
+// The per-file half of a check context, built from raw content.
+function ruleFile(filePath, content) {
+  const fm = parseFrontmatter(content);
+  const match = content.match(/^---\n[\s\S]*?\n---\n?/);
+  return {
+    filePath,
+    content,
+    frontmatter: fm.found && !fm.error ? fm.data : null,
+    body: match ? content.slice(match[0].length) : content,
+    locate: createLocator(content),
+  };
+}
+
+async function runCheck(check, ctx) {
+  const result = await check.check(ctx);
+  if (!result) return [];
+  return (Array.isArray(result) ? result : [result]).map(raw => toIssue(check, raw));
+}
+
+/**
+ * Run every enabled custom check against one rule file.
+ * `file` is { filePath, content, frontmatter, body, locate }. A check that
+ * throws yields a custom-check-failed issue instead of aborting the lint.
+ */
+async function runCustomChecks(file, config) {
+  const issues = [];
+  for (const check of loadCustomChecks(config)) {
+    if (!isCheckEnabled(config, check.id)) continue;
+    try {
+      issues.push(...await runCheck(check, checkContext(check, file, config)));
+    } catch (e) {
+      issues.push({
+        id: 'custom-check-failed',
+        severity: 'error',
+        message: `Custom check ${check.id} threw: ${e.message}`,
+        hint: `Fix or disable the check in ${path.basename(config.path)} (plugin ${check.plugin}).`,
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Apply plugin fixers to one file's content. A fixer only runs when its
+ * check reports an issue on the current content; a check or fixer that
+ * throws is skipped (lint reports it as custom-check-failed).
+ * Returns { content, changes }.
+ */
+async function applyCustomFixes(filePath, content, config) {
+  const changes = [];
+  for (const check of loadCustomChecks(config)) {
+    if (typeof check.fix !== 'function' || !isCheckEnabled(config, check.id)) continue;
+    const ctx = checkContext(check, ruleFile(filePath, content), config);
+    let fixed;
+    try {
+      const issues = await runCheck(check, ctx);
+      if (issues.length === 0) continue;
+      fixed = await check.fix(content, Object.assign(ctx, { issues }));
+    } catch (e) {
+      continue;
+    }
+    if (typeof fixed === 'string' && fixed !== content) {
+      content = fixed;
+      changes.push(`${check.id}: ${check.title}`);
+    }
+  }
+  return { content, changes };
+}
+
+module.exports = { loadCustomChecks, isCustomCheck, runCustomChecks, applyCustomFixes, ruleFile, pluginPaths };
@@ -1,6 +1,22 @@
+'use strict';
+
+/**
+ * Rule-set diffs for `cursor-doctor diff`. A state summarizes every rule —
+ * size, load scope, globs and directives — read from the working tree, from
+ * a git ref, or from a snapshot saved with `diff --save`. compareStates()
+ * turns two states into added, removed and modified rules plus the change in
+ * always-on tokens, so a rules change can be reviewed by what it does to the
+ * agent's context rather than line by line.
+ */
+
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { loadProject, parseGlobs, getBody } = require('./project');
+const { parseFrontmatter } = require('./frontmatter');
+const { extractDirectives } = require('./directives');
+const { SKIP_DIRS, MAX_DEPTH } = require('./discovery');
+const { git, requireRepo, verifyRef } = require('./changed');
 
 const SNAPSHOT_FILE = '.cursor-doctor-snapshot.json';
 
@@ -12,82 +28,237 @@ function estimateTokens(text) {
   return Math.ceil(text.length / 4);
 }
 
-function captureState(dir) {
-  const state = { rules: {}, cursorrules: null, timestamp: new Date().toISOString() };
+function normalizeNewlines(content) {
+  return content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+}
 
-  // .cursorrules
-  const cursorrules = path.join(dir, '.cursorrules');
-  if (fs.existsSync(cursorrules)) {
-    const content = fs.readFileSync(cursorrules, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    state.cursorrules = { hash: hashContent(content), tokens: estimateTokens(content), lines: content.split('\n').length };
-  }
+// Directives as "action subject" strings, deduplicated in file order
+function directiveList(text) {
+  return [...new Set(extractDirectives(text).map(d => d.action + ' ' + d.subject))];
+}
 
-  // .cursor/rules/*.mdc
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(rulesDir) && fs.statSync(rulesDir).isDirectory()) {
-    for (const entry of fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc')).sort()) {
-      const content = fs.readFileSync(path.join(rulesDir, entry), 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-      state.rules[entry] = { hash: hashContent(content), tokens: estimateTokens(content), lines: content.split('\n').length };
-    }
-  }
+/** One rule's entry in a state: { hash, tokens, lines, tier, globs, directives }. */
+function summarizeRule(content) {
+  content = normalizeNewlines(content);
+  const frontmatter = parseFrontmatter(content);
+  const data = frontmatter.found && frontmatter.data ? frontmatter.data : null;
+  const globs = data ? parseGlobs(data.globs).map(String) : [];
+  const alwaysApply = !!data && data.alwaysApply === true;
+  return {
+    hash: hashContent(content),
+    tokens: estimateTokens(content),
+    lines: content.split('\n').length,
+    tier: alwaysApply ? 'always' : globs.length > 0 ? 'glob' : 'manual',
+    globs,
+    directives: directiveList(getBody(content)),
+  };
+}
+
+// .cursorrules has no frontmatter and is loaded on every request
+function summarizeCursorrules(content) {
+  content = normalizeNewlines(content);
+  return {
+    hash: hashContent(content),
+    tokens: estimateTokens(content),
+    lines: content.split('\n').length,
+    tier: 'always',
+    globs: [],
+    directives: directiveList(content),
+  };
+}
 
+/**
+ * The working tree's rules, keyed by rule label (see findRuleFiles), with
+ * .cursorrules kept separately. Uses `options.project` when given.
+ */
+function captureState(dir, options) {
+  const project = (options && options.project) || loadProject(dir);
+  const state = { rules: {}, cursorrules: null, timestamp: new Date().toISOString() };
+  for (const rule of project.rules) {
+    state.rules[rule.label] = summarizeRule(rule.content);
+  }
+  const cursorrules = project.read('.cursorrules');
+  if (cursorrules !== null) state.cursorrules = summarizeCursorrules(cursorrules);
   return state;
 }
 
-function saveSnapshot(dir) {
-  const state = captureState(dir);
-  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
-  fs.writeFileSync(snapshotPath, JSON.stringify(state, null, 2), 'utf-8');
-  return { path: snapshotPath, state };
+// The rule label for a path in a git tree, or null when Cursor wouldn't load
+// it. Mirrors findRuleDirs(): nested rules directories sit in non-hidden,
+// non-skipped sub-projects at most MAX_DEPTH levels down.
+function treeRuleLabel(file) {
+  const match = file.match(/^(?:(.+)\/)?\.cursor\/rules\/(.+\.mdc)$/);
+  if (!match) return null;
+  if (!match[1]) return match[2];
+  const parts = match[1].split('/');
+  if (parts.length > MAX_DEPTH || parts.some(p => p.startsWith('.') || SKIP_DIRS.has(p))) return null;
+  return file;
 }
 
-function diffSnapshot(dir) {
-  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
-  if (!fs.existsSync(snapshotPath)) {
-    return { error: 'No snapshot found. Run cursor-doctor diff --save first.' };
+// Blob contents by object ID, read in one `git cat-file --batch` call
+function readBlobs(dir, oids) {
+  const contents = new Map();
+  if (oids.length === 0) return contents;
+  // Raw bytes: the batch headers give sizes in bytes
+  const out = git(dir, ['cat-file', '--batch'], { input: oids.join('\n') + '\n', encoding: null });
+  let pos = 0;
+  while (pos < out.length) {
+    const eol = out.indexOf(10, pos);
+    const header = out.toString('utf-8', pos, eol).split(' ');
+    pos = eol + 1;
+    if (header[1] === 'missing') continue;
+    const size = Number(header[2]);
+    contents.set(header[0], out.toString('utf-8', pos, pos + size));
+    pos += size + 1;
   }
+  return contents;
+}
 
-  const saved = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-  const current = captureState(dir);
+/**
+ * The rules committed at a git ref, as captureState() would see them had
+ * the ref been checked out. Paths are relative to `dir`, which must be
+ * inside a git repository.
+ */
+function captureRefState(dir, ref) {
+  requireRepo(dir, 'diff <ref>');
+  verifyRef(dir, ref, 'diff');
 
-  const changes = { added: [], removed: [], modified: [], unchanged: [], tokenDelta: 0, savedAt: saved.timestamp };
+  // Without --full-tree, ls-tree lists the subtree at `dir` with paths relative to it
+  const entries = [];
+  for (const line of git(dir, ['ls-tree', '-r', '-z', ref]).split('\0')) {
+    const tab = line.indexOf('\t');
+    if (tab === -1) continue;
+    const [, type, oid] = line.slice(0, tab).split(' ');
+    const file = line.slice(tab + 1);
+    if (type !== 'blob') continue;
+    const label = file === '.cursorrules' ? file : treeRuleLabel(file);
+    if (label) entries.push({ label, oid });
+  }
+
+  const blobs = readBlobs(dir, [...new Set(entries.map(e => e.oid))]);
+  const state = { rules: {}, cursorrules: null, ref };
+  for (const entry of entries.sort((a, b) => a.label.localeCompare(b.label))) {
+    const content = blobs.get(entry.oid);
+    if (content === undefined) continue;
+    if (entry.label === '.cursorrules') state.cursorrules = summarizeCursorrules(content);
+    else state.rules[entry.label] = summarizeRule(content);
+  }
+  return state;
+}
 
-  // Compare rules
-  const allFiles = new Set([...Object.keys(saved.rules), ...Object.keys(current.rules)]);
-  
-  for (const file of allFiles) {
-    const s = saved.rules[file];
-    const c = current.rules[file];
+// Always-on tokens in a state, or null for a snapshot saved before scope was recorded
+function alwaysOnTokens(state) {
+  const entries = Object.values(state.rules).concat(state.cursorrules ? [state.cursorrules] : []);
+  if (entries.some(e => e.tier === undefined)) return null;
+  return entries.reduce((sum, e) => sum + (e.tier === 'always' ? e.tokens : 0), 0);
+}
 
+function listChanges(before, after) {
+  return { added: after.filter(x => !before.includes(x)), removed: before.filter(x => !after.includes(x)) };
+}
+
+/**
+ * What changed between two states:
+ *   added, removed — [{ file, tokens, lines, tier, directives }]
+ *   modified       — [{ file, oldTokens, newTokens, oldLines, newLines,
+ *                       tier: { from, to } | null, globs: { added, removed },
+ *                       directives: { added, removed } }]
+ *   unchanged      — rule labels
+ *   tokenDelta     — net change in rule tokens
+ *   alwaysOnTokens — { before, after, delta }, null parts when unknown
+ */
+function compareStates(before, after) {
+  const changes = { added: [], removed: [], modified: [], unchanged: [], tokenDelta: 0 };
+
+  function compare(file, s, c) {
     if (!s && c) {
-      changes.added.push({ file, tokens: c.tokens, lines: c.lines });
+      changes.added.push({ file, tokens: c.tokens, lines: c.lines, tier: c.tier || null, directives: c.directives || [] });
       changes.tokenDelta += c.tokens;
     } else if (s && !c) {
-      changes.removed.push({ file, tokens: s.tokens, lines: s.lines });
+      changes.removed.push({ file, tokens: s.tokens, lines: s.lines, tier: s.tier || null, directives: s.directives || [] });
       changes.tokenDelta -= s.tokens;
     } else if (s.hash !== c.hash) {
-      changes.modified.push({ file, oldTokens: s.tokens, newTokens: c.tokens, oldLines: s.lines, newLines: c.lines });
-      changes.tokenDelta += (c.tokens - s.tokens);
+      // Snapshots saved before scope was recorded have no globs or directives to compare
+      const known = s.tier !== undefined;
+      changes.modified.push({
+        file,
+        oldTokens: s.tokens,
+        newTokens: c.tokens,
+        oldLines: s.lines,
+        newLines: c.lines,
+        tier: known && s.tier !== c.tier ? { from: s.tier, to: c.tier } : null,
+        globs: known ? listChanges(s.globs, c.globs) : { added: [], removed: [] },
+        directives: known ? listChanges(s.directives, c.directives) : { added: [], removed: [] },
+      });
+      changes.tokenDelta += c.tokens - s.tokens;
     } else {
       changes.unchanged.push(file);
     }
   }
 
-  // .cursorrules changes
-  if (!saved.cursorrules && current.cursorrules) {
-    changes.added.push({ file: '.cursorrules', tokens: current.cursorrules.tokens, lines: current.cursorrules.lines });
-    changes.tokenDelta += current.cursorrules.tokens;
-  } else if (saved.cursorrules && !current.cursorrules) {
-    changes.removed.push({ file: '.cursorrules', tokens: saved.cursorrules.tokens, lines: saved.cursorrules.lines });
-    changes.tokenDelta -= saved.cursorrules.tokens;
-  } else if (saved.cursorrules && current.cursorrules && saved.cursorrules.hash !== current.cursorrules.hash) {
-    changes.modified.push({ file: '.cursorrules', oldTokens: saved.cursorrules.tokens, newTokens: current.cursorrules.tokens, oldLines: saved.cursorrules.lines, newLines: current.cursorrules.lines });
-    changes.tokenDelta += (current.cursorrules.tokens - saved.cursorrules.tokens);
-  }
+  const files = [...new Set([...Object.keys(before.rules), ...Object.keys(after.rules)])].sort();
+  for (const file of files) compare(file, before.rules[file], after.rules[file]);
+  if (before.cursorrules || after.cursorrules) compare('.cursorrules', before.cursorrules, after.cursorrules);
 
+  const from = alwaysOnTokens(before);
+  const to = alwaysOnTokens(after);
+  changes.alwaysOnTokens = { before: from, after: to, delta: from === null || to === null ? null : to - from };
   changes.hasChanges = changes.added.length > 0 || changes.removed.length > 0 || changes.modified.length > 0;
-
   return changes;
 }
 
-module.exports = { saveSnapshot, diffSnapshot, captureState };
+function saveSnapshot(dir, options) {
+  const state = captureState(dir, options);
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  fs.writeFileSync(snapshotPath, JSON.stringify(state, null, 2), 'utf-8');
+  return { path: snapshotPath, state };
+}
+
+function diffSnapshot(dir, options) {
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  if (!fs.existsSync(snapshotPath)) {
+    return { error: 'No snapshot found. Run cursor-doctor diff --save first.' };
+  }
+
+  const saved = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+  return Object.assign(compareStates(saved, captureState(dir, options)), { savedAt: saved.timestamp });
+}
+
+/**
+ * `A..B` compares two refs, `A...B` compares B with its merge-base with A
+ * (what a PR from B into A changes), a lone `A` compares A with the working
+ * tree; an empty side means HEAD.
+ */
+function parseRange(spec) {
+  const three = spec.indexOf('...');
+  if (three !== -1) {
+    return { from: spec.slice(0, three) || 'HEAD', to: spec.slice(three + 3) || 'HEAD', mergeBase: true };
+  }
+  const i = spec.indexOf('..');
+  if (i === -1) return { from: spec, to: null };
+  return { from: spec.slice(0, i) || 'HEAD', to: spec.slice(i + 2) || 'HEAD' };
+}
+
+// The commit `from...to` diffs from: the merge-base of the two refs
+function mergeBaseOf(dir, from, to) {
+  requireRepo(dir, 'diff <ref>');
+  for (const ref of [from, to]) verifyRef(dir, ref, 'diff'); // Clear errors for unknown refs
+  try {
+    return git(dir, ['merge-base', from, to]).trim();
+  } catch (e) {
+    throw new Error('No common ancestor for ' + from + '...' + to + '; compare them directly with ' + from + '..' + to);
+  }
+}
+
+/**
+ * compareStates() between git ref `from` and ref `to`, or the working tree
+ * when `to` is null. With `options.mergeBase`, `from` is replaced by the
+ * merge-base of the two refs, returned as `base`.
+ */
+function diffRefs(dir, from, to, options) {
+  const base = options && options.mergeBase ? mergeBaseOf(dir, from, to) : null;
+  const before = captureRefState(dir, base || from);
+  const after = to ? captureRefState(dir, to) : captureState(dir, options);
+  return Object.assign(compareStates(before, after), base ? { from, to, base } : { from, to });
+}
+
+module.exports = { saveSnapshot, diffSnapshot, diffRefs, parseRange, captureState, captureRefState, compareStates, hashContent };
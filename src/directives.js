@@ -50,8 +50,9 @@ function normalizeSubject(text) {
   return normalized;
 }
 
-function findDirectiveConflicts(aDirectives, bDirectives) {
-  const conflicts = [];
+// Pairs of directives that contradict each other: [{ a, b }]
+function conflictingDirectives(aDirectives, bDirectives) {
+  const pairs = [];
   const opposites = {
     'use': ['never', 'avoid', 'don\'t', 'do not', 'no', 'remove', 'exclude', 'disable'],
     'prefer': ['avoid', 'never', 'don\'t', 'do not', 'no'],
@@ -68,16 +69,20 @@ function findDirectiveConflicts(aDirectives, bDirectives) {
         const aAction = aDir.action;
         const bAction = bDir.action;
         
-        if (opposites[aAction] && opposites[aAction].includes(bAction)) {
-          conflicts.push(`"${aAction} ${aDir.subject}" vs "${bAction} ${bDir.subject}"`);
-        } else if (opposites[bAction] && opposites[bAction].includes(aAction)) {
-          conflicts.push(`"${aAction} ${aDir.subject}" vs "${bAction} ${bDir.subject}"`);
+        if ((opposites[aAction] && opposites[aAction].includes(bAction)) ||
+            (opposites[bAction] && opposites[bAction].includes(aAction))) {
+          pairs.push({ a: aDir, b: bDir });
         }
       }
     }
   }
   
-  return conflicts;
+  return pairs;
+}
+
+function findDirectiveConflicts(aDirectives, bDirectives) {
+  return conflictingDirectives(aDirectives, bDirectives)
+    .map(({ a, b }) => `"${a.action} ${a.subject}" vs "${b.action} ${b.subject}"`);
 }
 
 function subjectsSimilar(a, b) {
@@ -103,4 +108,4 @@ function subjectsSimilar(a, b) {
   return false;
 }
 
-module.exports = { extractDirectives, findDirectiveConflicts, normalizeSubject, subjectsSimilar };
+module.exports = { extractDirectives, conflictingDirectives, findDirectiveConflicts, normalizeSubject, subjectsSimilar };
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Rule discovery — every .mdc file Cursor can load for a project.
+ * Cursor reads .cursor/rules/ including its subfolders, plus nested
+ * .cursor/rules/ directories in sub-projects (packages/web/.cursor/rules/,
+ * apps/api/.cursor/rules/, ...) that apply to files under that sub-project.
+ * All commands that read rules go through here so they see the same set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directories never searched for nested rule folders
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'out', 'coverage', 'vendor', 'target', '.next', '.turbo', '__pycache__', '.venv', 'venv']);
+const MAX_DEPTH = 6;
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+// Rule files under one rules directory, recursively, as sorted posix paths relative to it.
+function listRuleFiles(rulesDir, extensions) {
+  const files = [];
+  function walk(d) {
+    const entries = fs.readdirSync(d, { withFileTypes: true });
+    for (const entry of entries) {
+      const full = path.join(d, entry.name);
+      if (entry.isDirectory()) {
+        try { walk(full); } catch (e) { if (e.code !== 'EACCES') throw e; }
+      } else if (extensions.some(ext => entry.name.endsWith(ext))) {
+        files.push(toPosix(path.relative(rulesDir, full)));
+      }
+    }
+  }
+  walk(rulesDir);
+  return files.sort();
+}
+
+/**
+ * Every .cursor/rules directory in the project, root first.
+ * Each entry: { dir, packageRoot, package, files, error }
+ *   package  — posix path of the sub-project relative to root ('' for root)
+ *   files    — rule files relative to dir ('typescript/naming.mdc')
+ *   error    — fs error code when the directory couldn't be read
+ */
+function findRuleDirs(root, options) {
+  const extensions = (options && options.extensions) || ['.mdc'];
+  root = path.resolve(root);
+  const dirs = [];
+
+  function addRulesDir(packageRoot) {
+    const dir = path.join(packageRoot, '.cursor', 'rules');
+    let stat;
+    try { stat = fs.statSync(dir); } catch (e) { return; }
+    if (!stat.isDirectory()) return;
+    const entry = { dir, packageRoot, package: toPosix(path.relative(root, packageRoot)), files: [], error: null };
+    try {
+      entry.files = listRuleFiles(dir, extensions);
+    } catch (e) {
+      if (e.code !== 'EACCES') throw e;
+      entry.error = e.code;
+    }
+    dirs.push(entry);
+  }
+
+  function walk(d, depth) {
+    if (depth > MAX_DEPTH) return;
+    let entries;
+    try { entries = fs.readdirSync(d, { withFileTypes: true }); } catch (e) { return; }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+      const sub = path.join(d, entry.name);
+      addRulesDir(sub);
+      walk(sub, depth + 1);
+    }
+  }
+
+  addRulesDir(root);
+  walk(root, 1);
+  return dirs.sort((a, b) => (a.package === '' ? -1 : b.package === '' ? 1 : a.package.localeCompare(b.package)));
+}
+
+/**
+ * Flat list of rule files across all rules directories.
+ * Each entry: { path, name, label, dir, package, packageRoot }
+ *   name  — path relative to its rules directory
+ *   label — name for root rules, root-relative path for nested ones
+ */
+function findRuleFiles(root, options) {
+  root = path.resolve(root);
+  const files = [];
+  for (const ruleDir of findRuleDirs(root, options)) {
+    for (const name of ruleDir.files) {
+      const filePath = path.join(ruleDir.dir, name);
+      files.push({
+        path: filePath,
+        name,
+        label: ruleDir.package === '' ? name : toPosix(path.relative(root, filePath)),
+        dir: ruleDir.dir,
+        package: ruleDir.package,
+        packageRoot: ruleDir.packageRoot,
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Monorepo roll-up: issue counts per package for lint results.
+ * Each result counts toward the deepest package containing its file.
+ * Returns [{ package, rules, errors, warnings, info }], root ('') first.
+ */
+function rollupByPackage(root, results) {
+  root = path.resolve(root);
+  const ruleDirs = findRuleDirs(root);
+  if (!ruleDirs.some(d => d.package === '')) ruleDirs.unshift({ package: '', packageRoot: root, files: [] });
+  const packages = ruleDirs.map(d => ({ package: d.package, rules: d.files.length, errors: 0, warnings: 0, info: 0 }));
+  for (const result of results) {
+    const file = path.resolve(result.file);
+    let owner = 0;
+    for (let i = 1; i < ruleDirs.length; i++) {
+      const pkgRoot = ruleDirs[i].packageRoot;
+      if ((file === pkgRoot || file.startsWith(pkgRoot + path.sep)) && pkgRoot.length > ruleDirs[owner].packageRoot.length) owner = i;
+    }
+    for (const issue of result.issues) {
+      if (issue.severity === 'error') packages[owner].errors++;
+      else if (issue.severity === 'warning') packages[owner].warnings++;
+      else packages[owner].info++;
+    }
+  }
+  return packages;
+}
+
+module.exports = { findRuleDirs, findRuleFiles, rollupByPackage, SKIP_DIRS, MAX_DEPTH };
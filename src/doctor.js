@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { lintProject } = require('./index');
+const { loadProject } = require('./project');
+const { findRuleFiles, rollupByPackage } = require('./discovery');
 const { showStats } = require('./stats');
 const { lintPlugin } = require('./plugin');
 const { analyzeTokenBudget, CONTEXT_WINDOW_TOKENS } = require('./token-budget');
@@ -8,7 +10,10 @@ const { lintAgentConfigs } = require('./agents-lint');
 const { lintMcpConfigs } = require('./mcp-lint');
 const { detectCoverageGaps, generateSuggestions } = require('./coverage-gap');
 
-async function doctor(dir) {
+async function doctor(dir, options) {
+  // Every analyzer below reads the project through this one model
+  const project = (options && options.project) || loadProject(dir, options);
+  const config = project.config;
   const report = {
     checks: [],
     score: 0,
@@ -18,9 +23,8 @@ async function doctor(dir) {
 
   // 1. Check if any rules exist at all
   report.maxScore += 20;
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  const hasMdc = fs.existsSync(rulesDir) && fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc')).length > 0;
-  const hasCursorrules = fs.existsSync(path.join(dir, '.cursorrules'));
+  const hasMdc = project.rules.length > 0;
+  const hasCursorrules = project.contextFiles.some(f => f.name === '.cursorrules');
   
   if (hasMdc) {
     report.score += 20;
@@ -47,7 +51,7 @@ async function doctor(dir) {
 
   // 3. Lint checks
   report.maxScore += 25;
-  const lintResults = await lintProject(dir);
+  const lintResults = await lintProject(dir, { config, project, cache: options && options.cache });
   let errors = 0, warnings = 0;
   for (const r of lintResults) {
     for (const i of r.issues) {
@@ -73,8 +77,8 @@ async function doctor(dir) {
 
   // 4. Token budget (enhanced with context window %)
   report.maxScore += 15;
-  const stats = showStats(dir);
-  const tokenAnalysis = analyzeTokenBudget(dir, { pro: false });
+  const stats = showStats(dir, { project });
+  const tokenAnalysis = analyzeTokenBudget(dir, { pro: false, project });
   var budgetPct = tokenAnalysis.contextWindowPct;
   if (stats.totalTokens === 0) {
     report.checks.push({ name: 'Token budget', status: 'info', detail: 'No rules to measure' });
@@ -114,30 +118,17 @@ async function doctor(dir) {
 
   // 6. Context file size check (NEW)
   report.maxScore += 10;
-  const contextFiles = [
-    'AGENTS.md', 'CLAUDE.md', 'COPILOT.md', 'CURSOR.md',
-    'CONTEXT.md', 'RULES.md', 'INSTRUCTIONS.md', 'SYSTEM.md',
-    '.cursorrules', 'CONVENTIONS.md',
-  ];
   let bigFiles = [];
   let totalContextBytes = 0;
-  for (const cf of contextFiles) {
-    const cfPath = path.join(dir, cf);
-    if (fs.existsSync(cfPath)) {
-      const size = fs.statSync(cfPath).size;
-      totalContextBytes += size;
-      if (size > 8000) bigFiles.push({ name: cf, size });
-    }
+  for (const cf of project.contextFiles) {
+    totalContextBytes += cf.size;
+    if (cf.size > 8000) bigFiles.push({ name: cf.name, size: cf.size });
   }
-  // Also check .cursor/rules/ total size
-  if (fs.existsSync(rulesDir)) {
+  // Also check rule file sizes (root and nested .cursor/rules/)
+  for (const rf of findRuleFiles(dir, { extensions: ['.mdc', '.md'] })) {
     try {
-      const ruleFiles = fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc') || f.endsWith('.md'));
-      for (const rf of ruleFiles) {
-        const rfPath = path.join(rulesDir, rf);
-        const size = fs.statSync(rfPath).size;
-        if (size > 5000) bigFiles.push({ name: `.cursor/rules/${rf}`, size });
-      }
+      const size = fs.statSync(rf.path).size;
+      if (size > 5000) bigFiles.push({ name: path.relative(dir, rf.path).split(path.sep).join('/'), size });
     } catch {}
   }
 
@@ -159,16 +150,7 @@ async function doctor(dir) {
 
   // 7. alwaysApply overuse check (NEW)
   report.maxScore += 10;
-  let alwaysApplyCount = 0;
-  if (fs.existsSync(rulesDir)) {
-    try {
-      const ruleFiles = fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc'));
-      for (const rf of ruleFiles) {
-        const content = fs.readFileSync(path.join(rulesDir, rf), 'utf8');
-        if (/alwaysApply:\s*true/i.test(content)) alwaysApplyCount++;
-      }
-    } catch {}
-  }
+  const alwaysApplyCount = project.rules.filter(r => r.alwaysApply).length;
   if (alwaysApplyCount === 0) {
     report.score += 8;
     report.checks.push({ name: 'alwaysApply usage', status: 'info', detail: 'No alwaysApply rules (consider adding global coding standards)' });
@@ -185,21 +167,7 @@ async function doctor(dir) {
 
   // 8. Skills check
   report.maxScore += 5;
-  const skillDirs = [
-    path.join(dir, '.cursor', 'skills'),
-    path.join(dir, '.claude', 'skills'),
-    path.join(dir, 'skills'),
-  ];
-  const hasSkills = skillDirs.some(sd => {
-    if (!fs.existsSync(sd)) return false;
-    try {
-      return fs.readdirSync(sd).some(e => {
-        const sub = path.join(sd, e);
-        return fs.statSync(sub).isDirectory() && fs.existsSync(path.join(sub, 'SKILL.md'));
-      });
-    } catch { return false; }
-  });
-  if (hasSkills) {
+  if (project.skills.length > 0) {
     report.score += 5;
     report.checks.push({ name: 'Agent skills', status: 'pass', detail: 'Skills directory found' });
   } else {
@@ -208,10 +176,9 @@ async function doctor(dir) {
   }
 
   // 9. Plugin validation (if applicable)
-  const pluginManifestPath = path.join(dir, '.cursor-plugin', 'plugin.json');
-  if (fs.existsSync(pluginManifestPath)) {
+  if (project.exists(path.join('.cursor-plugin', 'plugin.json'))) {
     report.maxScore += 5;
-    const pluginResults = await lintPlugin(dir);
+    const pluginResults = await lintPlugin(dir, { config, project });
     let pluginErrors = 0;
     for (const r of pluginResults) {
       for (const i of r.issues) {
@@ -228,7 +195,7 @@ async function doctor(dir) {
 
   // 10. Agent config quality (CLAUDE.md, AGENTS.md)
   var agentResults;
-  try { agentResults = lintAgentConfigs(dir); } catch (e) { agentResults = []; }
+  try { agentResults = lintAgentConfigs(dir, { config, project }); } catch (e) { agentResults = []; }
   var agentFilesExist = agentResults.some(function(r) { return r.exists; });
   if (agentFilesExist) {
     report.maxScore += 10;
@@ -254,7 +221,7 @@ async function doctor(dir) {
 
   // 11. MCP config validation
   var mcpReport;
-  try { mcpReport = lintMcpConfigs(dir); } catch (e) { mcpReport = { totalFiles: 0, files: [] }; }
+  try { mcpReport = lintMcpConfigs(dir, { config, project }); } catch (e) { mcpReport = { totalFiles: 0, files: [] }; }
   if (mcpReport.totalFiles > 0) {
     report.maxScore += 10;
     var mcpErrors = 0, mcpWarnings = 0;
@@ -291,7 +258,7 @@ async function doctor(dir) {
 
   // Add coverage gap analysis
   try {
-    const coverageAnalysis = detectCoverageGaps(dir);
+    const coverageAnalysis = detectCoverageGaps(dir, { project });
     if (coverageAnalysis.hasRules && coverageAnalysis.displayableStack.length > 0) {
       report.coverageGapAnalysis = coverageAnalysis;
       if (coverageAnalysis.gaps.length > 0) {
@@ -305,6 +272,9 @@ async function doctor(dir) {
     // Silently ignore coverage gap analysis errors
   }
 
+  // Per-package lint counts for monorepos with nested .cursor/rules/
+  report.packages = rollupByPackage(dir, lintResults);
+
   return report;
 }
 
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Per-check documentation for `cursor-doctor explain <check-id>`,
+ * `explain --list`, the LSP hover and docs/checks.md, all rendered from the
+ * check table in checks.js. Custom checks from the project config are
+ * explained with whatever their definition provides.
+ */
+
+const { CHECKS, CATEGORIES, getCheck, resolveCheckId, docsUrl } = require('./checks');
+const { loadCustomChecks } = require('./custom-checks');
+
+function customChecks(config) {
+  try {
+    return loadCustomChecks(config);
+  } catch (e) {
+    return []; // A broken plugin shouldn't stop explain; lint reports it
+  }
+}
+
+// The project's setting for a check: { enabled, severity, options } or null
+function configured(config, id) {
+  const entry = config && config.checks && config.checks[id];
+  if (!entry) return null;
+  if (entry.enabled === false) return { enabled: false, severity: null, options: {} };
+  return { enabled: true, severity: entry.severity || null, options: entry.options || {} };
+}
+
+/**
+ * Documentation for one check: { id, title, category, severity, fixable,
+ * description, rationale, bad, good, options, aliases, docsUrl, configured }
+ * with the examples as strings (null when the check has none). Aliases
+ * resolve to their check. Returns null for an unknown ID.
+ */
+function explainCheck(id, config) {
+  const check = getCheck(id);
+  if (check) {
+    id = resolveCheckId(id);
+    return {
+      id,
+      title: check.title,
+      category: check.category,
+      severity: check.severity,
+      fixable: check.fixable,
+      description: check.description,
+      rationale: check.rationale,
+      bad: check.bad ? check.bad.join('\n') : null,
+      good: check.good ? check.good.join('\n') : null,
+      options: check.options || null,
+      aliases: check.aliases || null,
+      docsUrl: docsUrl(id),
+      configured: configured(config, id),
+    };
+  }
+  const custom = customChecks(config).find(c => c.id === id);
+  if (!custom) return null;
+  return {
+    id,
+    title: custom.title,
+    category: 'custom',
+    severity: custom.severity,
+    fixable: typeof custom.fix === 'function',
+    description: custom.description || null,
+    rationale: custom.rationale || null,
+    bad: null,
+    good: null,
+    options: custom.options || null,
+    docsUrl: custom.docsUrl || null,
+    configured: configured(config, id),
+    plugin: custom.plugin,
+  };
+}
+
+/** Every check as { id, title, category, severity, fixable }, built-in ones in table order, then the config's custom checks. */
+function listChecks(config) {
+  const out = Object.keys(CHECKS).map(id => ({
+    id, title: CHECKS[id].title, category: CHECKS[id].category, severity: CHECKS[id].severity, fixable: CHECKS[id].fixable,
+  }));
+  for (const c of customChecks(config)) {
+    out.push({ id: c.id, title: c.title, category: 'custom', severity: c.severity, fixable: typeof c.fix === 'function' });
+  }
+  return out;
+}
+
+/** Check IDs that look like a mistyped `id`, best match first. */
+function suggestChecks(id, config) {
+  const query = String(id).toLowerCase();
+  const words = query.split(/[^a-z0-9]+/).filter(w => w.length > 2);
+  return listChecks(config)
+    .map(c => {
+      let score = 0;
+      if (c.id.includes(query)) score += 10;
+      for (const w of words) if (c.id.includes(w)) score += 2;
+      return { id: c.id, score };
+    })
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5)
+    .map(c => c.id);
+}
+
+/** The "checks" entry that sets a check's severity and options, as JSON text. */
+function configSnippet(entry) {
+  const setting = entry.options ? Object.assign({ severity: entry.severity }, entry.options) : entry.severity;
+  return JSON.stringify({ checks: { [entry.id]: setting } }, null, 2);
+}
+
+/** A markdown code block for `text`, fenced so that backticks inside it survive. */
+function codeBlock(text) {
+  const runs = text.match(/`{3,}/g) || [];
+  const fence = '`'.repeat(Math.max(3, ...runs.map(r => r.length + 1)));
+  return fence + '\n' + text + '\n' + fence;
+}
+
+/** Markdown for one explainCheck() entry (LSP hover). */
+function explainMarkdown(entry) {
+  const parts = ['**' + entry.id + '** — ' + entry.title];
+  const meta = [entry.severity, CATEGORIES[entry.category] || entry.category, entry.fixable ? 'auto-fixable' : 'not auto-fixable'];
+  parts.push('*' + meta.join(' · ') + '*');
+  if (entry.description) parts.push(entry.description);
+  if (entry.rationale) parts.push('**Why it matters:** ' + entry.rationale);
+  if (entry.bad) parts.push('**Bad:**\n' + codeBlock(entry.bad));
+  if (entry.good) parts.push('**Good:**\n' + codeBlock(entry.good));
+  if (entry.options) {
+    parts.push('**Options:** ' + Object.keys(entry.options).map(name => '`' + name + '` (default `' + JSON.stringify(entry.options[name]) + '`)').join(', '));
+  }
+  if (entry.docsUrl) parts.push('[Documentation](' + entry.docsUrl + ')');
+  return parts.join('\n\n');
+}
+
+module.exports = { explainCheck, listChecks, suggestChecks, configSnippet, codeBlock, explainMarkdown };
@@ -0,0 +1,266 @@
+'use strict';
+
+/**
+ * Default terminal output: the rule-by-rule listing for lint and the health
+ * report for scan. Follow-up hints (auto-fix, extension, star) stay in cli.js
+ * since they depend on the license and a fresh doctor run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { rollupByPackage } = require('../discovery');
+
+const VERSION = require('../../package.json').version;
+
+function palette(color) {
+  return {
+    RED: color ? '\x1b[31m' : '',
+    YELLOW: color ? '\x1b[33m' : '',
+    GREEN: color ? '\x1b[32m' : '',
+    CYAN: color ? '\x1b[36m' : '',
+    BLUE: color ? '\x1b[34m' : '',
+    BOLD: color ? '\x1b[1m' : '',
+    DIM: color ? '\x1b[2m' : '',
+    RESET: color ? '\x1b[0m' : '',
+  };
+}
+
+// Collects output lines; `summary` lines are the only ones kept in --quiet mode
+function output(context) {
+  var lines = [];
+  var summary = [];
+  return {
+    line: function(text) { lines.push(text === undefined ? '' : text); },
+    summary: function(text) {
+      lines.push(text === undefined ? '' : text);
+      summary.push(text === undefined ? '' : text);
+    },
+    toString: function() { return (context.quiet ? summary : lines).join('\n'); },
+  };
+}
+
+// Monorepo roll-up: one line per package with nested .cursor/rules/
+function packageRollup(out, c, packages, indent) {
+  if (!packages || packages.length < 2) return;
+  var width = Math.max.apply(null, packages.map(function(p) { return (p.package || '(root)').length; }));
+  out.line(indent + c.BOLD + 'Packages:' + c.RESET);
+  for (var i = 0; i < packages.length; i++) {
+    var p = packages[i];
+    var name = p.package || '(root)';
+    var counts = [];
+    if (p.errors > 0) counts.push(c.RED + p.errors + ' error' + (p.errors > 1 ? 's' : '') + c.RESET);
+    if (p.warnings > 0) counts.push(c.YELLOW + p.warnings + ' warning' + (p.warnings > 1 ? 's' : '') + c.RESET);
+    if (p.info > 0) counts.push(c.BLUE + p.info + ' info' + c.RESET);
+    if (counts.length === 0) counts.push(c.GREEN + 'clean' + c.RESET);
+    var ruleCount = p.rules + ' rule' + (p.rules === 1 ? '' : 's');
+    out.line(indent + '  ' + name + ' '.repeat(width - name.length) + '  ' + c.DIM + ruleCount + c.RESET + ' '.repeat(Math.max(1, 10 - ruleCount.length)) + counts.join(', '));
+  }
+  out.line();
+}
+
+function formatLint(results, context) {
+  var c = palette(context.color);
+  var out = output(context);
+  var cwd = context.cwd;
+  var verbose = context.verbose;
+
+  out.line();
+  out.line(c.BOLD + 'cursor-doctor' + c.RESET + ' v' + VERSION + ' -- lint');
+  out.line();
+  var totalErrors = 0;
+  var totalWarnings = 0;
+  var totalInfo = 0;
+  var totalPassed = 0;
+  var sevOrder = { error: 0, warning: 1, info: 2 };
+
+  // Group identical per-file issues when 5+ files share the same message
+  var GROUP_THRESHOLD = 5;
+  var perFileResults = results.filter(function(r) { return !r.file.endsWith('/') && !r.file.endsWith('\\') && fs.existsSync(r.file) && fs.statSync(r.file).isFile(); });
+  var issueFileMap = {}; // message -> [relPath, ...]
+  for (var gi = 0; gi < perFileResults.length; gi++) {
+    var gResult = perFileResults[gi];
+    var gVisible = verbose ? gResult.issues : gResult.issues.filter(function(iss) { return !iss.verboseOnly; });
+    for (var gj = 0; gj < gVisible.length; gj++) {
+      var gKey = gVisible[gj].severity + '::' + gVisible[gj].message;
+      if (!issueFileMap[gKey]) issueFileMap[gKey] = { issue: gVisible[gj], files: [] };
+      issueFileMap[gKey].files.push(path.relative(cwd, gResult.file) || '.');
+    }
+  }
+  var groupedMessages = {};
+  Object.keys(issueFileMap).forEach(function(key) {
+    if (issueFileMap[key].files.length >= GROUP_THRESHOLD) {
+      groupedMessages[key] = issueFileMap[key];
+    }
+  });
+
+  for (var i = 0; i < results.length; i++) {
+    var result = results[i];
+    var relPath = path.relative(cwd, result.file) || '.';
+    // Filter out verboseOnly issues unless --verbose
+    var visibleIssues = verbose ? result.issues : result.issues.filter(function(iss) { return !iss.verboseOnly; });
+    // Skip per-file issues that will be shown as grouped
+    var ungroupedIssues = visibleIssues.filter(function(iss) {
+      var gKey = iss.severity + '::' + iss.message;
+      return !groupedMessages[gKey];
+    });
+    if (ungroupedIssues.length === 0) {
+      if (visibleIssues.length === 0 && result.issues.length === 0) totalPassed++;
+      else {
+        // Count grouped issues toward totals
+        for (var ci = 0; ci < visibleIssues.length; ci++) {
+          if (visibleIssues[ci].severity === 'error') totalErrors++;
+          else if (visibleIssues[ci].severity === 'warning') totalWarnings++;
+          else totalInfo++;
+        }
+        if (ungroupedIssues.length === 0 && visibleIssues.length > 0) continue; // skip file, shown in group
+      }
+      if (verbose && visibleIssues.length === 0) {
+        out.line(c.DIM + relPath + ' — ok' + c.RESET);
+      }
+    } else {
+      var sorted = ungroupedIssues.slice().sort(function(a, b) {
+        return (sevOrder[a.severity] || 2) - (sevOrder[b.severity] || 2);
+      });
+      var fileErrors = 0, fileWarnings = 0, fileInfo = 0;
+      for (var j = 0; j < sorted.length; j++) {
+        if (sorted[j].severity === 'error') fileErrors++;
+        else if (sorted[j].severity === 'warning') fileWarnings++;
+        else fileInfo++;
+      }
+      // Also count grouped issues for this file
+      for (var ci = 0; ci < visibleIssues.length; ci++) {
+        var gKey = visibleIssues[ci].severity + '::' + visibleIssues[ci].message;
+        if (groupedMessages[gKey]) {
+          if (visibleIssues[ci].severity === 'error') totalErrors++;
+          else if (visibleIssues[ci].severity === 'warning') totalWarnings++;
+          else totalInfo++;
+        }
+      }
+      var fileSummaryParts = [];
+      if (fileErrors > 0) fileSummaryParts.push(c.RED + fileErrors + ' error' + (fileErrors > 1 ? 's' : '') + c.RESET);
+      if (fileWarnings > 0) fileSummaryParts.push(c.YELLOW + fileWarnings + ' warning' + (fileWarnings > 1 ? 's' : '') + c.RESET);
+      if (fileInfo > 0) fileSummaryParts.push(c.BLUE + fileInfo + ' info' + c.RESET);
+      out.line(c.BOLD + relPath + c.RESET + '  ' + c.DIM + '(' + c.RESET + fileSummaryParts.join(c.DIM + ', ' + c.RESET) + c.DIM + ')' + c.RESET);
+      for (var j = 0; j < sorted.length; j++) {
+        var issue = sorted[j];
+        var icon;
+        if (issue.severity === 'error') { icon = c.RED + String.fromCharCode(10007) + c.RESET; totalErrors++; }
+        else if (issue.severity === 'warning') { icon = c.YELLOW + String.fromCharCode(9888) + c.RESET; totalWarnings++; }
+        else { icon = c.BLUE + String.fromCharCode(8505) + c.RESET; totalInfo++; }
+        var lineInfo = issue.line ? ' ' + c.DIM + '(line ' + issue.line + (issue.column ? ', col ' + issue.column : '') + ')' + c.RESET : '';
+        out.line('  ' + icon + ' ' + issue.message + lineInfo);
+        if (issue.hint) out.line('    ' + c.DIM + String.fromCharCode(8594) + ' ' + issue.hint + c.RESET);
+      }
+      out.line();
+    }
+  }
+
+  // Print grouped issues
+  var groupKeys = Object.keys(groupedMessages);
+  for (var gki = 0; gki < groupKeys.length; gki++) {
+    var group = groupedMessages[groupKeys[gki]];
+    var gIssue = group.issue;
+    var gFiles = group.files;
+    var gIcon;
+    if (gIssue.severity === 'error') gIcon = c.RED + String.fromCharCode(10007) + c.RESET;
+    else if (gIssue.severity === 'warning') gIcon = c.YELLOW + String.fromCharCode(9888) + c.RESET;
+    else gIcon = c.BLUE + String.fromCharCode(8505) + c.RESET;
+    var shownFiles = gFiles.slice(0, 3).join(', ');
+    var moreCount = gFiles.length - 3;
+    var fileList = moreCount > 0 ? shownFiles + ' +' + moreCount + ' more' : gFiles.join(', ');
+    out.line(gIcon + ' ' + c.BOLD + gFiles.length + ' files:' + c.RESET + ' ' + gIssue.message);
+    out.line('  ' + c.DIM + fileList + c.RESET);
+    if (gIssue.hint) out.line('  ' + c.DIM + String.fromCharCode(8594) + ' ' + gIssue.hint + c.RESET);
+    out.line();
+  }
+  packageRollup(out, c, rollupByPackage(cwd, results.map(function(r) {
+    return { file: r.file, issues: verbose ? r.issues : r.issues.filter(function(iss) { return !iss.verboseOnly; }) };
+  })), '');
+  out.summary(String.fromCharCode(9472).repeat(50));
+  var parts = [];
+  if (totalErrors > 0) parts.push(c.RED + totalErrors + ' error' + (totalErrors > 1 ? 's' : '') + c.RESET);
+  if (totalWarnings > 0) parts.push(c.YELLOW + totalWarnings + ' warning' + (totalWarnings > 1 ? 's' : '') + c.RESET);
+  if (totalInfo > 0) parts.push(c.BLUE + totalInfo + ' info' + c.RESET);
+  if (totalPassed > 0) parts.push(c.GREEN + totalPassed + ' passed' + c.RESET);
+  out.summary(parts.join(', '));
+  return out.toString();
+}
+
+function formatScan(report, context) {
+  var c = palette(context.color);
+  var out = output(context);
+
+  var gradeColors = { A: c.GREEN, B: c.GREEN, C: c.YELLOW, D: c.YELLOW, F: c.RED };
+  var gc = gradeColors[report.grade] || c.RESET;
+
+  out.line();
+  out.line('  ' + gc + c.BOLD + String.fromCharCode(9618).repeat(2) + ' Cursor Health: ' + report.grade + ' ' + String.fromCharCode(9618).repeat(2) + c.RESET);
+  out.line();
+
+  // Progress bar
+  var barWidth = 30;
+  var filled = Math.round((report.percentage / 100) * barWidth);
+  var empty = barWidth - filled;
+  var bar = gc + String.fromCharCode(9608).repeat(filled) + c.RESET + c.DIM + String.fromCharCode(9617).repeat(empty) + c.RESET;
+  out.line('  ' + bar + '  ' + gc + c.BOLD + report.percentage + '%' + c.RESET);
+  out.line();
+
+  for (var i = 0; i < report.checks.length; i++) {
+    var check = report.checks[i];
+    var icon;
+    if (check.status === 'pass') icon = c.GREEN + String.fromCharCode(10003) + c.RESET;
+    else if (check.status === 'warn') icon = c.YELLOW + String.fromCharCode(9888) + c.RESET;
+    else if (check.status === 'fail') icon = c.RED + String.fromCharCode(10007) + c.RESET;
+    else icon = c.BLUE + String.fromCharCode(8505) + c.RESET;
+    out.line('  ' + icon + ' ' + c.BOLD + check.name + c.RESET);
+    out.line('    ' + c.DIM + check.detail + c.RESET);
+  }
+  out.line();
+
+  packageRollup(out, c, report.packages, '  ');
+
+  var passes = report.checks.filter(function(ch) { return ch.status === 'pass'; }).length;
+  var issues = report.checks.filter(function(ch) { return ch.status === 'fail' || ch.status === 'warn'; }).length;
+  out.summary('  ' + c.GREEN + passes + ' passed' + c.RESET + '  ' + (issues > 0 ? c.YELLOW + issues + ' issue' + (issues > 1 ? 's' : '') + c.RESET : ''));
+  out.summary();
+
+  // Coverage Gap Report
+  var coverage = report.coverageGapAnalysis;
+  if (coverage && coverage.displayableStack.length > 0) {
+    out.line('  ' + c.CYAN + c.BOLD + String.fromCharCode(9619) + ' Coverage Report' + c.RESET);
+    out.line();
+
+    // Detected stack
+    out.line('  ' + c.DIM + 'Detected:' + c.RESET + '  ' + coverage.displayableStack.join(', '));
+
+    // Covered categories
+    if (coverage.coveredCategories.length > 0) {
+      out.line('  ' + c.GREEN + 'Covered:' + c.RESET + '   ' + coverage.coveredCategories.join(', '));
+    }
+
+    // Missing categories
+    if (coverage.gaps.length > 0) {
+      out.line('  ' + c.YELLOW + 'Missing:' + c.RESET + '   ' + coverage.gaps.join(', '));
+      out.line();
+      out.line('  ' + c.BOLD + 'Suggestions:' + c.RESET);
+      for (var gi = 0; gi < Math.min(3, coverage.suggestions.length); gi++) {
+        var suggestion = coverage.suggestions[gi];
+        out.line('    ' + c.YELLOW + String.fromCharCode(8226) + c.RESET + ' ' + c.BOLD + suggestion.category + c.RESET + ': ' + suggestion.reason);
+      }
+      if (coverage.suggestions.length > 3) {
+        out.line('    ' + c.DIM + '... and ' + (coverage.suggestions.length - 3) + ' more' + c.RESET);
+      }
+    } else {
+      out.line('  ' + c.GREEN + String.fromCharCode(10003) + ' All expected categories covered' + c.RESET);
+    }
+    out.line();
+  }
+  return out.toString();
+}
+
+/** Console formatter: lint results for lint and check, the doctor report for scan. */
+function formatConsole(results, context) {
+  return context.command === 'scan' ? formatScan(results, context) : formatLint(results, context);
+}
+
+module.exports = formatConsole;
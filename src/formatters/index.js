@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Output formatters, chosen with --format=<name> or --format=<module>.
+ *
+ * A formatter is a module exporting one function:
+ *
+ *   module.exports = function (results, context) { return '...'; };
+ *
+ * `results` is the normalized lintProject result set ([{ file, issues }],
+ * see checks.js for the issue shape) for lint and check, and the doctor
+ * report for scan. `context` is { command, format, cwd, config, color,
+ * verbose, quiet }. The function returns the text to print, or a promise
+ * of it.
+ *
+ * Paths (./formatter.js, /abs/formatter.js) resolve from the working
+ * directory; bare names that aren't built-in resolve like require() from
+ * there, so formatters can ship as npm packages.
+ */
+
+const path = require('path');
+const formatConsole = require('./console');
+const { lintToSarif } = require('../sarif');
+const { toJunit } = require('../junit');
+const { toCodeClimate } = require('../codeclimate');
+
+// Built-in formats that report lint results reject the doctor report
+function lintOnly(name, format) {
+  return function(results, context) {
+    if (context.command === 'scan') throw new Error('--format=' + name + ' reports lint results; use it with lint or check');
+    return format(results, context);
+  };
+}
+
+const BUILTIN = {
+  console: formatConsole,
+  sarif: lintOnly('sarif', async (results, context) => JSON.stringify(await lintToSarif(context.cwd, results, { config: context.config }), null, 2)),
+  junit: lintOnly('junit', (results, context) => toJunit(context.cwd, results)),
+  codeclimate: lintOnly('codeclimate', (results, context) => JSON.stringify(toCodeClimate(context.cwd, results), null, 2)),
+};
+
+/** The formatter function for a --format value. */
+function loadFormatter(name, cwd) {
+  if (Object.prototype.hasOwnProperty.call(BUILTIN, name)) return BUILTIN[name];
+
+  const base = cwd || process.cwd();
+  const request = name.startsWith('.') || path.isAbsolute(name) ? path.resolve(base, name) : name;
+  let file;
+  try {
+    file = require.resolve(request, { paths: [base] });
+  } catch (e) {
+    throw new Error(`Unknown --format "${name}": not a built-in format (${Object.keys(BUILTIN).join(', ')}) or a module path`);
+  }
+  let formatter;
+  try {
+    formatter = require(file);
+  } catch (e) {
+    throw new Error(`Formatter "${name}" failed to load: ${e.message}`);
+  }
+  if (typeof formatter !== 'function') throw new Error(`Formatter "${name}" must export a function (results, context) that returns a string`);
+  return formatter;
+}
+
+/** Run a formatter and check it produced text. */
+async function runFormatter(formatter, results, context) {
+  const text = await formatter(results, context);
+  if (typeof text !== 'string') throw new Error('Formatter for --format=' + context.format + ' returned ' + (text === null ? 'null' : typeof text) + ', expected a string');
+  return text;
+}
+
+module.exports = { BUILTIN, loadFormatter, runFormatter };
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * File paths as reports show them: relative to the project, with forward
+ * slashes on every platform. Shared by the report formats (SARIF, JUnit,
+ * Code Climate, HTML audit) and the baseline so they name files alike.
+ */
+
+const path = require('path');
+
+/**
+ * `filePath` relative to `dir`. Paths that are already relative are kept,
+ * and the project directory itself (project-wide issues) is '.'.
+ */
+function relativePath(dir, filePath) {
+  const rel = path.isAbsolute(filePath) ? path.relative(dir, filePath) : filePath;
+  return (rel || '.').split(path.sep).join('/');
+}
+
+module.exports = { relativePath };
@@ -1,8 +1,17 @@
 'use strict';
 
+const { parseYaml } = require('./yaml');
+
 /**
  * Shared YAML frontmatter parser for .mdc rule files.
  * Single source of truth — all modules import from here.
+ * Returns { found, data, error }; on a syntax error, `line` and `column`
+ * locate it in the file (1-based, counting the opening ---).
+ *
+ * Parsing is lenient the way the original line parser was (see yaml.js),
+ * and keys written with no value (Cursor's own `globs:`) read as [].
+ * One deliberate difference: " #" starts a comment in plain values, as in
+ * standard YAML, so `alwaysApply: false # scoped` is false.
  */
 function parseFrontmatter(content) {
   var normalized = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
@@ -15,75 +24,17 @@ function parseFrontmatter(content) {
     return { found: false, data: null, error: null };
   }
 
+  let data;
   try {
-    const data = {};
-    const lines = match[1].split('\n');
-    var currentKey = null;
-    var currentList = null;
-    for (var i = 0; i < lines.length; i++) {
-      const line = lines[i];
-
-      // YAML list item (  - "value")
-      if (line.match(/^\s+-\s+/)) {
-        if (currentKey && currentList) {
-          var itemVal = line.replace(/^\s+-\s+/, '').trim();
-          if (itemVal.startsWith('"') && itemVal.endsWith('"')) itemVal = itemVal.slice(1, -1);
-          else if (itemVal.startsWith("'") && itemVal.endsWith("'")) itemVal = itemVal.slice(1, -1);
-          currentList.push(itemVal);
-        }
-        continue;
-      }
-
-      // Flush any pending list
-      if (currentKey && currentList) {
-        data[currentKey] = currentList;
-        currentKey = null;
-        currentList = null;
-      }
-
-      // Check for bad indentation (key starts with space = likely nested/broken YAML)
-      if (line.match(/^\s+\S/) && !line.match(/^\s+-/)) {
-        const prevLine = i > 0 ? lines[i - 1] : null;
-        if (prevLine && !prevLine.endsWith(':')) {
-          return { found: true, data: null, error: 'Invalid YAML indentation' };
-        }
-      }
-
-      const colonIdx = line.indexOf(':');
-      if (colonIdx === -1) continue;
-      const key = line.slice(0, colonIdx).trim();
-      const rawVal = line.slice(colonIdx + 1).trim();
-
-      if (rawVal === '') {
-        // Could be start of a YAML list (key with no inline value)
-        currentKey = key;
-        currentList = [];
-      } else if (rawVal === 'true') data[key] = true;
-      else if (rawVal === 'false') data[key] = false;
-      else if (rawVal.startsWith('[') && rawVal.endsWith(']')) {
-        // Inline JSON-style array: ["a", "b"] or []
-        const inner = rawVal.slice(1, -1).trim();
-        if (inner === '') {
-          data[key] = [];
-        } else {
-          data[key] = inner.split(',').map(function(item) {
-            item = item.trim();
-            if (item.startsWith('"') && item.endsWith('"')) return item.slice(1, -1);
-            if (item.startsWith("'") && item.endsWith("'")) return item.slice(1, -1);
-            return item;
-          });
-        }
-      } else if (rawVal.startsWith('"') && rawVal.endsWith('"')) data[key] = rawVal.slice(1, -1);
-      else data[key] = rawVal;
-    }
-    // Flush final list
-    if (currentKey && currentList) {
-      data[currentKey] = currentList;
-    }
-    return { found: true, data, error: null };
+    data = parseYaml(match[1], { lenient: true });
   } catch (e) {
-    return { found: true, data: null, error: e.message };
+    return { found: true, data: null, error: e.message, line: e.line + 1, column: e.column };
+  }
+  if (data === null) return { found: true, data: {}, error: null };
+  for (const key of Object.keys(data)) {
+    if (data[key] === null) data[key] = [];
   }
+  return { found: true, data, error: null };
 }
 
 module.exports = { parseFrontmatter };
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const { loadProject } = require('./project');
 
 const BASE_URL = 'https://raw.githubusercontent.com/nedcodes-ok/cursorrules-collection/main/rules-mdc/';
 
@@ -149,286 +150,122 @@ function fetchFile(url) {
   });
 }
 
-function readPyDeps(cwd) {
-  const deps = [];
-
-  // requirements.txt
-  const reqPath = path.join(cwd, 'requirements.txt');
-  if (fs.existsSync(reqPath)) {
-    try {
-      const content = fs.readFileSync(reqPath, 'utf8').toLowerCase();
-      for (const dep of Object.keys(PY_DEP_MAP)) {
-        if (content.includes(dep)) deps.push(dep);
-      }
-    } catch {}
-  }
-
-  // pyproject.toml (rough match)
-  const pyprojectPath = path.join(cwd, 'pyproject.toml');
-  if (fs.existsSync(pyprojectPath)) {
-    try {
-      const content = fs.readFileSync(pyprojectPath, 'utf8').toLowerCase();
-      for (const dep of Object.keys(PY_DEP_MAP)) {
-        if (content.includes(dep)) deps.push(dep);
-      }
-    } catch {}
-  }
-
-  return [...new Set(deps)];
+function readPyDeps(project) {
+  // requirements.txt, and pyproject.toml (rough match)
+  const content = ['requirements.txt', 'pyproject.toml'].map(f => project.read(f) || '').join('\n').toLowerCase();
+  return Object.keys(PY_DEP_MAP).filter(dep => content.includes(dep));
 }
 
-function readRubyDeps(cwd) {
-  const gemfilePath = path.join(cwd, 'Gemfile');
-  if (!fs.existsSync(gemfilePath)) return [];
-  try {
-    const content = fs.readFileSync(gemfilePath, 'utf8').toLowerCase();
-    return Object.keys(RUBY_DEP_MAP).filter(dep => content.includes(dep));
-  } catch { return []; }
+function readRubyDeps(project) {
+  const content = (project.read('Gemfile') || '').toLowerCase();
+  return Object.keys(RUBY_DEP_MAP).filter(dep => content.includes(dep));
 }
 
-function readPhpDeps(cwd) {
-  const composerPath = path.join(cwd, 'composer.json');
-  if (!fs.existsSync(composerPath)) return [];
+function readPhpDeps(project) {
   try {
-    const pkg = JSON.parse(fs.readFileSync(composerPath, 'utf8'));
+    const pkg = JSON.parse(project.read('composer.json'));
     const allDeps = { ...pkg.require, ...pkg['require-dev'] };
     return Object.keys(PHP_DEP_MAP).filter(dep => allDeps[dep]);
   } catch { return []; }
 }
 
-function readJvmDeps(cwd) {
-  const deps = [];
-  for (const file of ['build.gradle', 'build.gradle.kts', 'pom.xml']) {
-    const p = path.join(cwd, file);
-    if (fs.existsSync(p)) {
-      try {
-        const content = fs.readFileSync(p, 'utf8').toLowerCase();
-        for (const dep of Object.keys(JVM_DEP_MAP)) {
-          if (content.includes(dep)) deps.push(dep);
-        }
-      } catch {}
-    }
-  }
-  return [...new Set(deps)];
+function readJvmDeps(project) {
+  const content = ['build.gradle', 'build.gradle.kts', 'pom.xml'].map(f => project.read(f) || '').join('\n').toLowerCase();
+  return Object.keys(JVM_DEP_MAP).filter(dep => content.includes(dep));
 }
 
-function detectStack(cwd) {
+// Stack IDs → language and tool rules from the collection
+const STACK_RULES = [
+  ['python', 'Python', 'languages/python.mdc'],
+  ['ruby', 'Ruby', 'languages/ruby.mdc'],
+  ['php', 'PHP', 'languages/php.mdc'],
+  ['rust', 'Rust', 'languages/rust.mdc'],
+  ['go', 'Go', 'languages/go.mdc'],
+  ['java', 'Java', 'languages/java.mdc'],
+  ['kotlin', 'Kotlin', 'languages/kotlin.mdc'],
+  ['swift', 'Swift', 'languages/swift.mdc'],
+  ['elixir', 'Elixir', 'languages/elixir.mdc'],
+  ['scala', 'Scala', 'languages/scala.mdc'],
+  ['csharp', 'C#', 'languages/csharp.mdc'],
+  ['cpp', 'C++', 'languages/cpp.mdc'],
+  ['flutter', 'Flutter', 'frameworks/flutter.mdc'],
+  ['docker', 'Docker', 'tools/docker.mdc'],
+  ['kubernetes', 'Kubernetes', 'tools/kubernetes.mdc'],
+  ['terraform', 'Terraform', 'tools/terraform.mdc'],
+  ['deno', 'Deno', 'tools/deno.mdc'],
+  ['ci-cd', 'CI/CD', 'tools/ci-cd.mdc'],
+  ['nginx', 'Nginx', 'tools/nginx.mdc'],
+  ['sqlite', 'SQLite', 'tools/sqlite.mdc', 'sqlite3'],
+  ['postgresql', 'PostgreSQL', 'tools/postgresql.mdc', 'pg'],
+  ['aws', 'AWS', 'tools/aws.mdc', 'aws-sdk'],
+];
+
+// Dependency readers for ecosystems whose packages have their own rules
+const DEP_READERS = {
+  python: [readPyDeps, PY_DEP_MAP],
+  ruby: [readRubyDeps, RUBY_DEP_MAP],
+  php: [readPhpDeps, PHP_DEP_MAP],
+  java: [readJvmDeps, JVM_DEP_MAP],
+};
+
+// Collection rules for the project's detected stack
+function pickRules(project) {
+  const stack = project.stack;
+  // A loose .py file at the root is enough to suggest the Python rules
+  const rootPython = project.files.some(f => !f.includes('/') && f.endsWith('.py'));
+  const has = (id) => stack.ids.includes(id) || (id === 'python' && rootPython);
   const detected = [];
   const rules = new Map(); // rulePath -> stackName
   const allDetectedDeps = [];
   const versions = {}; // dep -> version string
 
   // package.json
-  const pkgPath = path.join(cwd, 'package.json');
-  let pkgDeps = {};
-  if (fs.existsSync(pkgPath)) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-      pkgDeps = { ...pkg.dependencies, ...pkg.devDependencies };
-      for (const [dep, rule] of Object.entries(PKG_DEP_MAP)) {
-        if (pkgDeps[dep]) {
-          detected.push(dep);
-          allDetectedDeps.push(dep);
-          
-          // Extract version
-          const rawVersion = pkgDeps[dep];
-          versions[dep] = rawVersion;
-          
-          // Parse major version (strip ^, ~, >=, etc.)
-          const versionMatch = rawVersion.match(/(\d+)/);
-          const majorVersion = versionMatch ? versionMatch[1] : null;
-          
-          // Check if version-specific rule exists
-          if (majorVersion && VERSION_RULES[dep] && VERSION_RULES[dep][majorVersion]) {
-            rules.set(VERSION_RULES[dep][majorVersion], dep);
-          } else {
-            rules.set(rule, dep);
-          }
-        }
+  const pkgDeps = stack.deps;
+  for (const [dep, rule] of Object.entries(PKG_DEP_MAP)) {
+    if (pkgDeps[dep]) {
+      detected.push(dep);
+      allDetectedDeps.push(dep);
+      
+      // Extract version
+      const rawVersion = pkgDeps[dep];
+      versions[dep] = rawVersion;
+      
+      // Parse major version (strip ^, ~, >=, etc.)
+      const versionMatch = String(rawVersion).match(/(\d+)/);
+      const majorVersion = versionMatch ? versionMatch[1] : null;
+      
+      // Check if version-specific rule exists
+      if (majorVersion && VERSION_RULES[dep] && VERSION_RULES[dep][majorVersion]) {
+        rules.set(VERSION_RULES[dep][majorVersion], dep);
+      } else {
+        rules.set(rule, dep);
       }
-    } catch {}
+    }
   }
 
-  // tsconfig.json → TypeScript
-  if (fs.existsSync(path.join(cwd, 'tsconfig.json'))) {
+  if (has('typescript')) {
     detected.push('TypeScript');
     rules.set('languages/typescript.mdc', 'TypeScript');
-  }
-
-  // JavaScript (package.json exists but no TS)
-  if (fs.existsSync(pkgPath) && !fs.existsSync(path.join(cwd, 'tsconfig.json'))) {
+  } else if (has('javascript')) {
     detected.push('JavaScript');
     rules.set('languages/javascript.mdc', 'JavaScript');
   }
 
-  // Python
-  const hasPyFile = (() => { try { return fs.readdirSync(cwd).some(f => f.endsWith('.py')); } catch { return false; } })();
-  const hasPyProject = fs.existsSync(path.join(cwd, 'requirements.txt')) ||
-                       fs.existsSync(path.join(cwd, 'pyproject.toml')) ||
-                       fs.existsSync(path.join(cwd, 'setup.py')) ||
-                       hasPyFile;
-  if (hasPyProject) {
-    detected.push('Python');
-    rules.set('languages/python.mdc', 'Python');
-    const pyDeps = readPyDeps(cwd);
-    for (const dep of pyDeps) {
-      detected.push(dep);
-      allDetectedDeps.push(dep);
-      rules.set(PY_DEP_MAP[dep], dep);
-    }
-  }
-
-  // Ruby
-  if (fs.existsSync(path.join(cwd, 'Gemfile'))) {
-    detected.push('Ruby');
-    rules.set('languages/ruby.mdc', 'Ruby');
-    for (const dep of readRubyDeps(cwd)) {
-      detected.push(dep);
-      allDetectedDeps.push(dep);
-      rules.set(RUBY_DEP_MAP[dep], dep);
-    }
-  }
-
-  // PHP
-  if (fs.existsSync(path.join(cwd, 'composer.json'))) {
-    detected.push('PHP');
-    rules.set('languages/php.mdc', 'PHP');
-    for (const dep of readPhpDeps(cwd)) {
-      detected.push(dep);
-      allDetectedDeps.push(dep);
-      rules.set(PHP_DEP_MAP[dep], dep);
-    }
-  }
-
-  // Rust
-  if (fs.existsSync(path.join(cwd, 'Cargo.toml'))) {
-    detected.push('Rust');
-    rules.set('languages/rust.mdc', 'Rust');
-  }
-
-  // Go
-  if (fs.existsSync(path.join(cwd, 'go.mod'))) {
-    detected.push('Go');
-    rules.set('languages/go.mdc', 'Go');
-  }
-
-  // Java
-  if (fs.existsSync(path.join(cwd, 'pom.xml')) || fs.existsSync(path.join(cwd, 'build.gradle')) || fs.existsSync(path.join(cwd, 'build.gradle.kts'))) {
-    detected.push('Java');
-    rules.set('languages/java.mdc', 'Java');
-    for (const dep of readJvmDeps(cwd)) {
-      detected.push(dep);
-      allDetectedDeps.push(dep);
-      rules.set(JVM_DEP_MAP[dep], dep);
-    }
-  }
-
-  // Kotlin
-  if (fs.existsSync(path.join(cwd, 'build.gradle.kts'))) {
-    detected.push('Kotlin');
-    rules.set('languages/kotlin.mdc', 'Kotlin');
-  }
-
-  // Swift
-  if (fs.existsSync(path.join(cwd, 'Package.swift'))) {
-    detected.push('Swift');
-    rules.set('languages/swift.mdc', 'Swift');
-  }
-
-  // Elixir
-  if (fs.existsSync(path.join(cwd, 'mix.exs'))) {
-    detected.push('Elixir');
-    rules.set('languages/elixir.mdc', 'Elixir');
-  }
-
-  // Scala
-  if (fs.existsSync(path.join(cwd, 'build.sbt'))) {
-    detected.push('Scala');
-    rules.set('languages/scala.mdc', 'Scala');
-  }
-
-  // C#
-  const hasCsproj = (() => { try { return fs.readdirSync(cwd).some(f => f.endsWith('.csproj') || f.endsWith('.sln')); } catch { return false; } })();
-  if (hasCsproj) {
-    detected.push('C#');
-    rules.set('languages/csharp.mdc', 'C#');
-  }
-
-  // C++
-  if (fs.existsSync(path.join(cwd, 'CMakeLists.txt')) || fs.existsSync(path.join(cwd, 'Makefile'))) {
-    const hasCpp = (() => { try { return fs.readdirSync(cwd).some(f => /\.(cpp|cc|cxx|hpp|h)$/.test(f)); } catch { return false; } })();
-    if (hasCpp) {
-      detected.push('C++');
-      rules.set('languages/cpp.mdc', 'C++');
+  for (const [id, name, rule, dep] of STACK_RULES) {
+    if (!has(id)) continue;
+    detected.push(name);
+    rules.set(rule, name);
+    if (dep) allDetectedDeps.push(dep);
+    if (DEP_READERS[id]) {
+      const [readDeps, depMap] = DEP_READERS[id];
+      for (const found of readDeps(project)) {
+        detected.push(found);
+        allDetectedDeps.push(found);
+        rules.set(depMap[found], found);
+      }
     }
   }
 
-  // Flutter (pubspec.yaml)
-  if (fs.existsSync(path.join(cwd, 'pubspec.yaml'))) {
-    detected.push('Flutter');
-    rules.set('frameworks/flutter.mdc', 'Flutter');
-  }
-
-  // Docker
-  if (fs.existsSync(path.join(cwd, 'Dockerfile')) || fs.existsSync(path.join(cwd, 'docker-compose.yml')) || fs.existsSync(path.join(cwd, 'docker-compose.yaml'))) {
-    detected.push('Docker');
-    rules.set('tools/docker.mdc', 'Docker');
-  }
-
-  // Kubernetes
-  const k8sDir = path.join(cwd, 'k8s');
-  if (fs.existsSync(k8sDir) || fs.existsSync(path.join(cwd, 'kubernetes'))) {
-    detected.push('Kubernetes');
-    rules.set('tools/kubernetes.mdc', 'Kubernetes');
-  }
-
-  // Terraform
-  const hasTf = (() => { try { return fs.readdirSync(cwd).some(f => f.endsWith('.tf')); } catch { return false; } })();
-  if (hasTf) {
-    detected.push('Terraform');
-    rules.set('tools/terraform.mdc', 'Terraform');
-  }
-
-  // Deno
-  if (fs.existsSync(path.join(cwd, 'deno.json')) || fs.existsSync(path.join(cwd, 'deno.jsonc'))) {
-    detected.push('Deno');
-    rules.set('tools/deno.mdc', 'Deno');
-  }
-
-  // CI/CD
-  if (fs.existsSync(path.join(cwd, '.github', 'workflows')) || fs.existsSync(path.join(cwd, '.gitlab-ci.yml'))) {
-    detected.push('CI/CD');
-    rules.set('tools/ci-cd.mdc', 'CI/CD');
-  }
-
-  // Nginx
-  const hasNginx = (() => { try { return fs.readdirSync(cwd).some(f => f.includes('nginx')); } catch { return false; } })();
-  if (hasNginx) {
-    detected.push('Nginx');
-    rules.set('tools/nginx.mdc', 'Nginx');
-  }
-
-  // SQLite
-  if (pkgDeps['better-sqlite3'] || pkgDeps['sqlite3']) {
-    detected.push('SQLite');
-    allDetectedDeps.push('sqlite3');
-    rules.set('tools/sqlite.mdc', 'SQLite');
-  }
-
-  // PostgreSQL
-  if (pkgDeps['pg'] || pkgDeps['postgres']) {
-    detected.push('PostgreSQL');
-    allDetectedDeps.push('pg');
-    rules.set('tools/postgresql.mdc', 'PostgreSQL');
-  }
-
-  // AWS
-  if (pkgDeps['@aws-sdk/client-s3'] || pkgDeps['aws-sdk'] || fs.existsSync(path.join(cwd, 'serverless.yml')) || fs.existsSync(path.join(cwd, 'template.yaml'))) {
-    detected.push('AWS');
-    allDetectedDeps.push('aws-sdk');
-    rules.set('tools/aws.mdc', 'AWS');
-  }
-
   // Best practices — auto-suggest based on project signals
   for (const [rulePath, trigger] of Object.entries(PRACTICE_TRIGGERS)) {
     let shouldInclude = false;
@@ -439,7 +276,7 @@ function detectStack(cwd) {
     if (trigger.deps && trigger.deps.some(d => allDetectedDeps.includes(d) || pkgDeps[d])) {
       shouldInclude = true;
     }
-    if (trigger.files && trigger.files.some(f => fs.existsSync(path.join(cwd, f)))) {
+    if (trigger.files && trigger.files.some(f => project.exists(f))) {
       shouldInclude = true;
     }
 
@@ -451,8 +288,9 @@ function detectStack(cwd) {
   return { detected, rules, versions };
 }
 
-async function generateRules(cwd) {
-  const { detected, rules, versions } = detectStack(cwd);
+async function generateRules(cwd, options) {
+  const project = (options && options.project) || loadProject(cwd, options);
+  const { detected, rules, versions } = pickRules(project);
   const rulesDir = path.join(cwd, '.cursor', 'rules');
   const created = [];
   const skipped = [];
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * `cursor-doctor hook install|uninstall` — manage a git pre-commit hook that
+ * lints the staged versions of rule files (`lint --staged`). A pre-commit
+ * hook that cursor-doctor didn't write is never overwritten or removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const MARKER = '# cursor-doctor pre-commit hook';
+
+// Same script as scripts/pre-commit-hook.sh
+const HOOK_SCRIPT = `#!/usr/bin/env bash
+${MARKER}
+# Lints the staged versions of Cursor rules before each commit
+# Install: npx cursor-doctor hook install (remove: npx cursor-doctor hook uninstall)
+
+# Check if any rule, skill or context files are staged
+STAGED=$(git diff --cached --name-only --diff-filter=ACMR | grep -E '\\.mdc$|\\.cursorrules$|CLAUDE\\.md$|AGENTS\\.md$|SKILL\\.md$')
+
+if [ -z "$STAGED" ]; then
+  exit 0
+fi
+
+echo "cursor-doctor: checking staged rule files..."
+npx cursor-doctor lint --staged --quiet
+exit $?
+`;
+
+// Absolute path of the pre-commit hook for the repository containing dir
+function hookPath(dir) {
+  let hooksDir;
+  try {
+    // --git-path honours core.hooksPath and worktrees
+    hooksDir = execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { cwd: dir, encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+  } catch (e) {
+    return null;
+  }
+  return path.join(path.resolve(dir, hooksDir), 'pre-commit');
+}
+
+function isOurs(content) {
+  return content.includes(MARKER);
+}
+
+/**
+ * Install the hook. Returns { path, status } where status is 'installed' or
+ * 'updated', or { error } when dir isn't in a git repository or another
+ * pre-commit hook is in place.
+ */
+function installHook(dir) {
+  const file = hookPath(dir);
+  if (!file) return { error: 'Not a git repository: ' + dir };
+
+  const hooksDir = path.dirname(file);
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    return { error: 'Git hooks path ' + hooksDir + ' is not a directory (check core.hooksPath)' };
+  }
+
+  let status = 'installed';
+  if (fs.existsSync(file)) {
+    if (!isOurs(fs.readFileSync(file, 'utf-8'))) {
+      return { path: file, error: 'A pre-commit hook already exists at ' + file + '. Add this line to it instead: npx cursor-doctor lint --staged --quiet' };
+    }
+    status = 'updated';
+  }
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(file, HOOK_SCRIPT, { encoding: 'utf-8', mode: 0o755 });
+  fs.chmodSync(file, 0o755);
+  return { path: file, status };
+}
+
+/**
+ * Remove the hook. Returns { path, status } where status is 'removed' or
+ * 'not-installed', or { error } for a pre-commit hook cursor-doctor didn't
+ * write.
+ */
+function uninstallHook(dir) {
+  const file = hookPath(dir);
+  if (!file) return { error: 'Not a git repository: ' + dir };
+  if (!fs.existsSync(file)) return { path: file, status: 'not-installed' };
+  if (!isOurs(fs.readFileSync(file, 'utf-8'))) {
+    return { path: file, error: 'The pre-commit hook at ' + file + ' was not installed by cursor-doctor; leaving it alone.' };
+  }
+  fs.unlinkSync(file);
+  return { path: file, status: 'removed' };
+}
+
+module.exports = { HOOK_SCRIPT, installHook, uninstallHook };
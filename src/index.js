@@ -2,6 +2,15 @@ const fs = require('fs');
 const { parseFrontmatter } = require("./frontmatter");
 const path = require('path');
 const { extractDirectives, findDirectiveConflicts } = require('./directives');
+const { normalizeIssues } = require('./checks');
+const { loadConfig, checkOptions, applyConfig } = require('./config');
+const { createLocator, locateIssues } = require('./positions');
+const { parseSuppressions, applySuppressions } = require('./suppressions');
+const { findRuleDirs } = require('./discovery');
+const { runCustomChecks, isCustomCheck } = require('./custom-checks');
+const { openCache } = require('./cache');
+const { loadProject, parseGlobs, getBody } = require('./project');
+const { validateVerifyBlocks, verifyFieldLine } = require('./verify');
 
 const VAGUE_PATTERNS = [
   'write clean code',
@@ -35,6 +44,7 @@ function findVagueRules(content) {
   const lines = content.split('\n');
   for (var vi = 0; vi < lines.length; vi++) {
     const lineLower = lines[vi].toLowerCase().trim();
+    const indent = lines[vi].length - lines[vi].trimStart().length;
     if (lineLower.startsWith('#') || lineLower.startsWith('```') || lineLower.length === 0) continue;
     for (const pattern of VAGUE_PATTERNS) {
       const idx = lineLower.indexOf(pattern);
@@ -44,21 +54,13 @@ function findVagueRules(content) {
       if (after.startsWith('with ') || after.startsWith('for ') || after.startsWith('in ') ||
           after.startsWith('by ') || after.startsWith('using ') || after.startsWith('according to ') ||
           after.startsWith('and ')) continue;
-      issues.push({ severity: 'warning', message: `Vague rule detected: "${pattern}"`, line: vi + 1, hint: `Replace with a specific instruction. Instead of "${pattern}", say exactly what to do: what tool, what pattern, what format.` });
+      issues.push({ id: 'vague-rule', severity: 'warning', message: `Vague rule detected: "${pattern}"`, line: vi + 1, column: indent + idx + 1, endLine: vi + 1, endColumn: indent + idx + pattern.length + 1, hint: `Replace with a specific instruction. Instead of "${pattern}", say exactly what to do: what tool, what pattern, what format.` });
       break;
     }
   }
   return issues;
 }
 
-
-// Helper: Get body content after frontmatter
-function getBody(content) {
-  const match = content.match(/^---\n[\s\S]*?\n---\n?/);
-  if (!match) return content;
-  return content.slice(match[0].length);
-}
-
 // Helper: Calculate similarity between two texts using Jaccard similarity
 function similarity(textA, textB) {
   const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
@@ -113,50 +115,63 @@ function actionsContradict(a, b) {
   return false;
 }
 
-async function lintMdcFile(filePath) {
-  var content;
-  try {
-    content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  } catch (e) {
-    return { file: filePath, issues: [{ severity: 'error', message: 'Cannot read file: ' + e.code }] };
+async function lintMdcFile(filePath, options) {
+  options = options || {};
+  const config = options.config || loadConfig(path.dirname(filePath));
+  var content = options.content;
+  // options.content lints an unsaved buffer (LSP) under its real path
+  if (typeof content !== 'string') {
+    try {
+      content = fs.readFileSync(filePath, 'utf-8');
+    } catch (e) {
+      return { file: filePath, issues: normalizeIssues([{ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + e.code, line: 1, column: 1, endLine: 1, endColumn: 1 }]) };
+    }
   }
+  content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
   // Skip binary files
   if (/[\x00-\x08\x0E-\x1F]/.test(content.slice(0, 512))) {
-    return { file: filePath, issues: [{ severity: 'warning', message: 'File appears to be binary, not a text rule', hint: 'Remove non-text files from .cursor/rules/' }] };
+    return { file: filePath, issues: applyConfig(normalizeIssues([{ id: 'binary-file', severity: 'warning', message: 'File appears to be binary, not a text rule', hint: 'Remove non-text files from .cursor/rules/', line: 1, column: 1, endLine: 1, endColumn: 1 }]), config) };
   }
 
+  // Suppression comments are lifted out before any check sees the content
+  const suppressions = parseSuppressions(content);
+  content = suppressions.content;
+
   const issues = [];
+  const loc = createLocator(content);
 
   const fm = parseFrontmatter(content);
 
   if (!fm.found) {
-    issues.push({ severity: 'error', message: 'Missing YAML frontmatter', hint: 'Add --- block with description and alwaysApply: true' });
+    issues.push({ id: 'missing-frontmatter', severity: 'error', message: 'Missing YAML frontmatter', hint: 'Add --- block with description and alwaysApply: true' });
   } else if (fm.error) {
-    issues.push({ severity: 'error', message: `YAML frontmatter error: ${fm.error}`, hint: 'Fix frontmatter indentation/syntax' });
+    issues.push({ id: 'frontmatter-syntax', severity: 'error', message: `YAML frontmatter error: ${fm.error}`, ...(loc.at(fm.line, fm.column) || loc.frontmatter()), hint: 'Fix frontmatter indentation/syntax' });
   } else {
     // alwaysApply check: only flag if BOTH alwaysApply is missing/undefined AND no globs are set
     var hasGlobs = fm.data.globs && (Array.isArray(fm.data.globs) ? fm.data.globs.length > 0 : parseGlobs(fm.data.globs).length > 0);
     if (fm.data.alwaysApply === undefined && !hasGlobs) {
-      issues.push({ severity: 'warning', message: 'No alwaysApply or globs set — rule may only apply when manually referenced', hint: 'Add alwaysApply: true to load this rule on every request. Or add globs: ["**/*.ts"] to load only for matching files.' });
+      issues.push({ id: 'missing-always-apply', severity: 'warning', message: 'No alwaysApply or globs set — rule may only apply when manually referenced', ...loc.frontmatter(), hint: 'Add alwaysApply: true to load this rule on every request. Or add globs: ["**/*.ts"] to load only for matching files.' });
     }
     var descEmpty = !fm.data.description || (typeof fm.data.description === 'string' && fm.data.description.trim() === '') || (Array.isArray(fm.data.description) && fm.data.description.length === 0);
     if (descEmpty) {
-      issues.push({ severity: 'warning', message: 'Missing or empty description in frontmatter', hint: 'Add description: "TypeScript conventions" (or similar). Cursor uses this to decide when to apply the rule.' });
+      issues.push({ id: 'missing-description', severity: 'warning', message: 'Missing or empty description in frontmatter', ...(loc.key('description') || loc.frontmatter()), hint: 'Add description: "TypeScript conventions" (or similar). Cursor uses this to decide when to apply the rule.' });
     }
     // Non-functional rule: alwaysApply is explicitly false and no globs
     if (fm.data.alwaysApply === false && !hasGlobs) {
-      issues.push({ severity: 'error', message: 'Rule will never load: alwaysApply is false and no globs are set', hint: 'Set alwaysApply: true for global rules, or add globs to scope to specific files' });
+      issues.push({ id: 'never-loads', severity: 'error', message: 'Rule will never load: alwaysApply is false and no globs are set', ...loc.key('alwaysApply'), hint: 'Set alwaysApply: true for global rules, or add globs to scope to specific files' });
     }
     if (fm.data.globs && typeof fm.data.globs === 'string' && fm.data.globs.includes(',') && !fm.data.globs.trim().startsWith('[')) {
-      issues.push({ severity: 'warning', message: 'Globs as comma-separated string — use YAML array format', hint: 'Comma-separated globs can fail to match in some Cursor versions. Use:\\n  globs:\\n    - "*.ts"\\n    - "*.tsx"' });
+      issues.push({ id: 'comma-separated-globs', severity: 'warning', message: 'Globs as comma-separated string — use YAML array format', ...loc.key('globs'), hint: 'Comma-separated globs can fail to match in some Cursor versions. Use:\\n  globs:\\n    - "*.ts"\\n    - "*.tsx"' });
     }
 
     // NEW: Frontmatter has unknown keys
-    const validKeys = ['description', 'globs', 'alwaysApply'];
+    const validKeys = ['description', 'globs', 'alwaysApply', 'verify'].concat(checkOptions(config, 'unknown-frontmatter-key').allowedKeys);
     for (const key in fm.data) {
       if (!validKeys.includes(key)) {
         issues.push({
+          id: 'unknown-frontmatter-key',
+          ...loc.key(key),
           severity: 'warning',
           message: `Unknown frontmatter key: ${key}`,
           hint: `Valid keys: ${validKeys.join(', ')}. Unknown keys are ignored by Cursor.`,
@@ -164,9 +179,27 @@ async function lintMdcFile(filePath) {
       }
     }
 
+    // verify: blocks that `cursor-doctor verify` would have to skip
+    if (fm.data.verify !== undefined) {
+      for (const problem of validateVerifyBlocks(fm.data.verify)) {
+        const regex = problem.id === 'verify-invalid-regex';
+        issues.push({
+          id: problem.id,
+          ...(loc.line(verifyFieldLine(content, problem.index, problem.field)) || loc.key('verify')),
+          severity: regex ? 'error' : 'warning',
+          message: problem.message,
+          hint: regex
+            ? 'Patterns are JavaScript regular expressions; in double-quoted YAML, write a backslash as \\\\ ("console\\\\.log"). flags takes i, m, s and u.'
+            : 'Each block sets one of pattern, antipattern, required or forbidden, plus optional message, severity, flags, multiline, exclude, minCount, maxCount and replace.',
+        });
+      }
+    }
+
     // NEW: Description contains markdown formatting
     if (fm.data.description && typeof fm.data.description === 'string' && /[*_`#\[\]]/.test(fm.data.description)) {
       issues.push({
+        id: 'description-markdown',
+        ...loc.key('description'),
         severity: 'warning',
         message: 'Description contains markdown formatting',
         hint: 'Descriptions should be plain text. Save formatting for the rule body.',
@@ -200,10 +233,11 @@ async function lintMdcFile(filePath) {
           if (seen.has(key)) continue;
           seen.add(key);
           issues.push({
+            id: 'self-contradiction',
+            ...loc.inBody(b.line),
             severity: 'error',
             message: `Contradictory instructions in same rule: "${a.action} ${a.subject}" vs "${b.action} ${b.subject}"`,
             hint: 'This rule tells the AI to do opposite things. Remove one instruction or split into separate rules.',
-            fixable: false,
           });
         }
       }
@@ -220,29 +254,36 @@ async function lintMdcFile(filePath) {
         const aMatch = body.match(pair.a);
         const bMatch = body.match(pair.b);
         issues.push({
+          id: 'self-contradiction',
+          ...loc.inBody(pair.b),
           severity: 'error',
           message: `Contradictory instructions in same rule about ${pair.topic}: "${aMatch[0]}" vs "${bMatch[0]}"`,
           hint: 'This rule tells the AI to do opposite things. Remove one instruction or split into separate rules.',
-          fixable: false,
         });
       }
     }
   }
 
   // 1. Rule too long
-  if (body.length > 2000) {
+  const bodyLongMax = checkOptions(config, 'body-long').maxChars;
+  if (body.length > bodyLongMax) {
     issues.push({
+      id: 'body-long',
+      ...loc.body(),
       severity: 'warning',
-      message: 'Rule body is very long (>2000 chars, ~500+ tokens)',
+      message: `Rule body is very long (>${bodyLongMax} chars, ~${Math.round(bodyLongMax / 4)}+ tokens)`,
       hint: 'Shorter, specific rules outperform long generic ones. Consider splitting into focused rules.',
     });
   }
 
   // NEW: Rule body exceeds 5000 chars (hard error)
-  if (body.length > 5000) {
+  const bodyTooLongMax = checkOptions(config, 'body-too-long').maxChars;
+  if (body.length > bodyTooLongMax) {
     issues.push({
+      id: 'body-too-long',
+      ...loc.body(),
       severity: 'error',
-      message: 'Rule body exceeds 5000 chars (~1250 tokens)',
+      message: `Rule body exceeds ${bodyTooLongMax} chars (~${Math.round(bodyTooLongMax / 4)} tokens)`,
       hint: 'Rules this long waste context and confuse the model. Split into multiple focused rules.',
     });
   }
@@ -251,6 +292,8 @@ async function lintMdcFile(filePath) {
   const hasCodeBlocks = /```/.test(body) || /\n {4,}\S/.test(body);
   if (body.length > 500 && !hasCodeBlocks) {
     issues.push({
+      id: 'no-examples',
+      ...loc.body(),
       severity: 'info',
       message: 'Rule has no code examples',
       hint: 'Longer rules with examples get followed more reliably by the AI model.',
@@ -260,6 +303,8 @@ async function lintMdcFile(filePath) {
   // 3. Empty rule body
   if (fm.found && body.trim().length === 0) {
     issues.push({
+      id: 'empty-body',
+      ...loc.frontmatter(),
       severity: 'error',
       message: 'Rule file has frontmatter but no instructions',
       hint: 'Add rule instructions after the --- frontmatter block.',
@@ -267,19 +312,25 @@ async function lintMdcFile(filePath) {
   }
 
   // 4. Description too short (skip if already flagged as empty)
-  if (fm.data && fm.data.description && typeof fm.data.description === 'string' && fm.data.description.trim().length > 0 && fm.data.description.trim().length < 10) {
+  const descMin = checkOptions(config, 'description-too-short').minChars;
+  if (fm.data && fm.data.description && typeof fm.data.description === 'string' && fm.data.description.trim().length > 0 && fm.data.description.trim().length < descMin) {
     issues.push({
+      id: 'description-too-short',
+      ...loc.key('description'),
       severity: 'warning',
-      message: 'Description is very short (<10 chars)',
+      message: `Description is very short (<${descMin} chars)`,
       hint: 'A descriptive description helps Cursor decide when to apply this rule.',
     });
   }
 
   // 5. Description too long
-  if (fm.data && fm.data.description && fm.data.description.length > 200) {
+  const descMax = checkOptions(config, 'description-too-long').maxChars;
+  if (fm.data && fm.data.description && fm.data.description.length > descMax) {
     issues.push({
+      id: 'description-too-long',
+      ...loc.key('description'),
       severity: 'warning',
-      message: 'Description is very long (>200 chars)',
+      message: `Description is very long (>${descMax} chars)`,
       hint: 'Keep descriptions concise. Put detailed instructions in the rule body, not the description.',
     });
   }
@@ -291,6 +342,8 @@ async function lintMdcFile(filePath) {
       // Overly broad glob
       if (glob === '*' || glob === '**') {
         issues.push({
+          id: 'broad-glob',
+          ...loc.glob(glob),
           severity: 'warning',
           message: 'Overly broad glob pattern',
           hint: 'This matches everything. Consider using more specific patterns or just alwaysApply: true.',
@@ -299,6 +352,8 @@ async function lintMdcFile(filePath) {
       // Glob contains spaces
       if (glob.includes(' ') && !glob.includes('"') && !glob.includes("'")) {
         issues.push({
+          id: 'glob-spaces',
+          ...loc.glob(glob),
           severity: 'warning',
           message: 'Glob pattern contains spaces',
           hint: 'Glob patterns with spaces may not match correctly.',
@@ -307,6 +362,8 @@ async function lintMdcFile(filePath) {
       // Glob is *.
       if (glob === '*.') {
         issues.push({
+          id: 'glob-missing-extension',
+          ...loc.glob(glob),
           severity: 'warning',
           message: 'Glob pattern has no file extension after dot',
           hint: 'Add a file extension: "*." should be "*.ts", "*.js", etc. Or use "**/*" to match all files.',
@@ -316,6 +373,8 @@ async function lintMdcFile(filePath) {
       // NEW: Glob uses Windows backslashes
       if (glob.includes('\\')) {
         issues.push({
+          id: 'glob-backslashes',
+          ...loc.glob(glob),
           severity: 'warning',
           message: `Glob pattern uses Windows backslashes: ${glob}`,
           hint: 'Use forward slashes for cross-platform compatibility.',
@@ -325,6 +384,8 @@ async function lintMdcFile(filePath) {
       // NEW: Glob has trailing slash
       if (glob.endsWith('/')) {
         issues.push({
+          id: 'glob-trailing-slash',
+          ...loc.glob(glob),
           severity: 'warning',
           message: `Glob pattern has trailing slash: ${glob}`,
           hint: 'Trailing slashes are not valid glob syntax. Remove the trailing /.',
@@ -334,6 +395,8 @@ async function lintMdcFile(filePath) {
       // NEW: Glob starts with ./
       if (glob.startsWith('./')) {
         issues.push({
+          id: 'glob-dot-slash',
+          ...loc.glob(glob),
           severity: 'info',
           message: `Glob starts with ./: ${glob}`,
           hint: 'Cursor resolves globs from project root. The ./ prefix is unnecessary.',
@@ -347,10 +410,11 @@ async function lintMdcFile(filePath) {
       const uniqueGlobs = [...new Set(globs)];
       if (uniqueGlobs.length < globs.length) {
         issues.push({
+          id: 'duplicate-globs',
+          ...loc.key('globs'),
           severity: 'warning',
           message: `Duplicate globs found: ${globs.join(', ')}`,
           hint: `Remove duplicate glob entries. Use: [${uniqueGlobs.map(g => `"${g}"`).join(', ')}]`,
-          fixable: true,
         });
       } else {
         const extensions = globs.map(g => {
@@ -360,6 +424,8 @@ async function lintMdcFile(filePath) {
         
         if (extensions.length >= 2 && extensions.length === globs.length) {
           issues.push({
+            id: 'simplifiable-globs',
+            ...loc.key('globs'),
             severity: 'info',
             message: `Multiple globs could be simplified: ${globs.join(', ')}`,
             hint: `Consider using ["*.{${extensions.join(',')}}"] for cleaner syntax.`,
@@ -374,6 +440,8 @@ async function lintMdcFile(filePath) {
     const globs = parseGlobs(fm.data.globs);
     if (globs.length > 0) {
       issues.push({
+        id: 'always-apply-with-globs',
+        ...loc.key('alwaysApply'),
         severity: 'info',
         message: 'alwaysApply is true with globs set',
         hint: 'When alwaysApply is true, globs serve as a hint to the model but don\'t filter. This is fine if intentional.',
@@ -389,6 +457,8 @@ async function lintMdcFile(filePath) {
     const nonUrlLines = lines.filter(line => !line.trim().match(/^https?:\/\//));
     if (nonUrlLines.length < 2) {
       issues.push({
+        id: 'url-only-body',
+        ...loc.body(),
         severity: 'warning',
         message: 'Rule body appears to be just a URL',
         hint: 'Cursor cannot follow URLs. Put the actual instructions in the rule body.',
@@ -412,6 +482,8 @@ async function lintMdcFile(filePath) {
       });
       if (realXmlTags.length > 0) {
         issues.push({
+          id: 'xml-tags',
+          ...loc.inBody(realXmlTags[0]),
           severity: 'warning',
           message: 'Rule body contains XML/HTML tags',
           hint: 'Cursor doesn\'t process XML/HTML in rules. Use markdown or plain text instead.',
@@ -421,8 +493,11 @@ async function lintMdcFile(filePath) {
   }
 
   // Rule has broken markdown links (skip on large bodies to avoid slow regex)
-  if (body.length <= 10000 && (/\]\[/.test(body) || /\[[^\]]*\]\([^\)]*$/.test(body))) {
+  const brokenLinkPattern = /\]\[|\[[^\]]*\]\([^\)]*$/;
+  if (body.length <= 10000 && brokenLinkPattern.test(body)) {
     issues.push({
+      id: 'broken-links',
+      ...loc.inBody(brokenLinkPattern),
       severity: 'warning',
       message: 'Rule body has broken markdown links',
       hint: 'Fix link syntax: [text](url)',
@@ -432,6 +507,8 @@ async function lintMdcFile(filePath) {
   // Rule body starts with the description repeated
   if (fm.data && fm.data.description && typeof fm.data.description === 'string' && fm.data.description.trim().length > 0 && body.trim().startsWith(fm.data.description)) {
     issues.push({
+      id: 'description-repeated',
+      ...loc.body(),
       severity: 'warning',
       message: 'Rule body starts with description repeated',
       hint: 'Redundant content wastes tokens. Remove the duplicate description from the body.',
@@ -439,8 +516,11 @@ async function lintMdcFile(filePath) {
   }
 
   // Rule contains TODO/FIXME/HACK comments
-  if (/\b(TODO|FIXME|HACK|XXX)\b/i.test(body)) {
+  const todoPattern = /\b(TODO|FIXME|HACK|XXX)\b/i;
+  if (todoPattern.test(body)) {
     issues.push({
+      id: 'todo-comments',
+      ...loc.inBody(todoPattern),
       severity: 'warning',
       message: 'Rule contains TODO/FIXME/HACK comments',
       hint: 'Unfinished rules confuse the model. Finish the rule or remove it.',
@@ -452,15 +532,17 @@ async function lintMdcFile(filePath) {
   if (headings && headings.length >= 2) {
     const levels = headings.map(h => h.match(/^#+/)[0].length);
     const firstLevel = levels[0];
-    let hasSkip = false;
+    let skipped = null;
     for (let i = 1; i < levels.length; i++) {
       if (levels[i] > firstLevel + 1 && levels[i - 1] < levels[i] - 1) {
-        hasSkip = true;
+        skipped = headings[i];
         break;
       }
     }
-    if (hasSkip) {
+    if (skipped) {
       issues.push({
+        id: 'heading-level-skip',
+        ...loc.inBody(skipped),
         severity: 'warning',
         message: 'Rule has inconsistent heading levels (jumps from # to ###)',
         hint: 'Use consistent heading hierarchy for better structure.',
@@ -471,6 +553,8 @@ async function lintMdcFile(filePath) {
   // Rule body has excessive blank lines
   if (/\n\n\n\n/.test(body)) {
     issues.push({
+      id: 'excessive-blank-lines',
+      ...loc.inBody(/\n\n\n\n/),
       severity: 'info',
       message: 'Rule body has excessive blank lines (>3 consecutive)',
       hint: 'Excessive whitespace wastes tokens. Use 1-2 blank lines for separation.',
@@ -485,6 +569,8 @@ async function lintMdcFile(filePath) {
     const hasSequenceWords = /\b(first|second|third|then|next|finally|after|before)\b/.test(listContext);
     if (!hasSequenceWords) {
       issues.push({
+        id: 'numbered-lists',
+        ...loc.inBody(/^\d+\.\s+/m),
         severity: 'info',
         message: 'Rule uses numbered lists where order may not matter',
         hint: 'Bullet lists are more flexible for AI and clearer when order is unimportant.',
@@ -501,6 +587,8 @@ async function lintMdcFile(filePath) {
   for (const { pattern, example } of weakPatterns) {
     if (pattern.test(body)) {
       issues.push({
+        id: 'weak-language',
+        ...loc.inBody(pattern),
         severity: 'warning',
         message: `Rule uses weak language: "${example}"`,
         hint: 'AI models follow commands better than suggestions. Use imperative mood: "Do X" instead of "try to do X".',
@@ -515,10 +603,11 @@ async function lintMdcFile(filePath) {
     const hasAlternative = /instead|rather|prefer|use \w+ (?:rather|instead)/.test(body.toLowerCase());
     if (!hasAlternative) {
       issues.push({
+        id: 'negation-without-alternative',
+        ...loc.inBody(negationMatches[0]),
         severity: 'warning',
         message: 'Rule uses negations without alternatives',
         hint: 'Instead of "don\'t use X", say "use Y instead of X" to give the model clear direction.',
-        fixable: false,
       });
     }
   }
@@ -527,6 +616,8 @@ async function lintMdcFile(filePath) {
   const imperativeVerbs = /\b(use|write|create|add|remove|ensure|check|validate|follow|apply|implement|wrap|handle|return|throw|test|run|call|import|export|set|define|configure|avoid|prefer|keep|split|merge|move|rename|update|delete|include|exclude|enable|disable)\b/i;
   if (body.length > 100 && !imperativeVerbs.test(body)) {
     issues.push({
+      id: 'no-actionable-instructions',
+      ...loc.body(),
       severity: 'warning',
       message: 'Rule has no clear actionable instructions',
       hint: 'Rules should contain clear commands. Use imperative verbs: use, write, create, ensure, etc.',
@@ -534,8 +625,11 @@ async function lintMdcFile(filePath) {
   }
 
   // Rule uses first person
-  if (/\b(I want|I need|I'd like|my preference)\b/i.test(body)) {
+  const firstPersonPattern = /\b(I want|I need|I'd like|my preference)\b/i;
+  if (firstPersonPattern.test(body)) {
     issues.push({
+      id: 'first-person',
+      ...loc.inBody(firstPersonPattern),
       severity: 'info',
       message: 'Rule uses first person ("I want you to...")',
       hint: 'First person wastes tokens. Use direct commands: "Use X" instead of "I want you to use X".',
@@ -543,8 +637,11 @@ async function lintMdcFile(filePath) {
   }
 
   // Rule uses please/thank you
-  if (/\b(please|thank you|thanks)\b/i.test(body)) {
+  const politenessPattern = /\b(please|thank you|thanks)\b/i;
+  if (politenessPattern.test(body)) {
     issues.push({
+      id: 'politeness',
+      ...loc.inBody(politenessPattern),
       severity: 'info',
       message: 'Rule uses please/thank you',
       hint: 'Politeness wastes tokens. AI models don\'t need courtesy words. Be direct.',
@@ -557,22 +654,26 @@ async function lintMdcFile(filePath) {
   // ═══════════════════════════════════════════════════════════════════════════
 
   // AI-GEN 1: Role-playing preamble ("You are an expert in...")
-  if (/^(?:you are|you're)\s+(?:an?\s+)?(?:expert|senior|experienced|skilled|proficient|master|world-class|brilliant|genius|thoughtful)/im.test(body)) {
+  const rolePreamblePattern = /^(?:you are|you're)\s+(?:an?\s+)?(?:expert|senior|experienced|skilled|proficient|master|world-class|brilliant|genius|thoughtful)/im;
+  if (rolePreamblePattern.test(body)) {
     issues.push({
+      id: 'role-preamble',
+      ...loc.inBody(rolePreamblePattern),
       severity: 'warning',
       message: 'Rule starts with role-playing preamble ("You are an expert...")',
       hint: 'Role assignments waste tokens and don\'t improve Cursor\'s output. Skip the flattery and write specific instructions.',
-      fixable: true,
     });
   }
 
   // AI-GEN 2: Meta-instructions about thinking process
-  if (/\b(?:think step[- ]by[- ]step|think carefully|think before|describe your plan|write (?:out )?in (?:great )?detail|let'?s think|chain of thought|reason through|before you (?:start|begin|code|write))\b/i.test(body)) {
+  const metaInstructionPattern = /\b(?:think step[- ]by[- ]step|think carefully|think before|describe your plan|write (?:out )?in (?:great )?detail|let'?s think|chain of thought|reason through|before you (?:start|begin|code|write))\b/i;
+  if (metaInstructionPattern.test(body)) {
     issues.push({
+      id: 'meta-instructions',
+      ...loc.inBody(metaInstructionPattern),
       severity: 'warning',
       message: 'Rule contains meta-instructions about thinking process',
       hint: 'Instructions like "think step by step" are prompt engineering for chatbots, not Cursor rules. Tell the AI what to do, not how to think.',
-      fixable: true,
     });
   }
 
@@ -581,37 +682,45 @@ async function lintMdcFile(filePath) {
     const adjPhrases = (body.match(/\b(?:correct|up[- ]to[- ]date|bug[- ]free|fully functional|working|secure|performant|efficient|clean|readable|maintainable|robust|scalable|production[- ]ready|high[- ]quality)\b/gi) || []);
     if (adjPhrases.length >= 5) {
       issues.push({
+        id: 'stacked-adjectives',
+        ...loc.inBody(adjPhrases[0]),
         severity: 'warning',
         message: `Rule stacks ${adjPhrases.length} quality adjectives without specifics`,
         hint: 'Listing adjectives like "correct, bug-free, secure, performant, efficient" doesn\'t help the AI. Replace with concrete rules: what patterns to use, what to avoid, what tests to write.',
-        fixable: true,
       });
     }
   }
 
   // AI-GEN 4: JavaScript/JSON syntax used as rule format
-  if (/^(?:const|let|var)\s+\w+\s*=\s*[\[{'"true]/m.test(body)) {
+  const jsSyntaxPattern = /^(?:const|let|var)\s+\w+\s*=\s*[\[{'"true]/m;
+  if (jsSyntaxPattern.test(body)) {
     issues.push({
+      id: 'js-syntax-format',
+      ...loc.inBody(jsSyntaxPattern),
       severity: 'warning',
       message: 'Rule uses JavaScript/JSON syntax as format',
       hint: 'const bestPractices = [...] is not a rule format. Use markdown with clear instructions. The AI reads the text, not the data structure.',
-      fixable: true,
     });
   }
 
   // AI-GEN 5: Personality tuning / behavior reset
-  if (/\b(?:don'?t apologize|don'?t (?:make )?excuse|never say (?:sorry|you'?re? (?:sorry|unable|incapable))|stop saying sorry|skip the (?:ai )?self[- ]reference|save the ethics|cut the fluff)\b/i.test(body)) {
+  const personalityPattern = /\b(?:don'?t apologize|don'?t (?:make )?excuse|never say (?:sorry|you'?re? (?:sorry|unable|incapable))|stop saying sorry|skip the (?:ai )?self[- ]reference|save the ethics|cut the fluff)\b/i;
+  if (personalityPattern.test(body)) {
     issues.push({
+      id: 'personality-tuning',
+      ...loc.inBody(personalityPattern),
       severity: 'warning',
       message: 'Rule contains AI personality tuning',
       hint: 'Instructions like "don\'t apologize" and "cut the fluff" are chatbot behavior resets. Cursor doesn\'t need personality tuning. Use the tokens for actual coding rules.',
-      fixable: true,
     });
   }
 
   // AI-GEN 6: Confirmation/validation prompting ("Confirm, then write code!")
-  if (/\b(?:confirm(?:[,.]?\s+(?:then|before))|ask (?:me )?(?:for )?(?:confirmation|clarification) before|wait for (?:my )?(?:approval|confirmation)|check with (?:me|the user) (?:before|first))\b/i.test(body)) {
+  const confirmationPattern = /\b(?:confirm(?:[,.]?\s+(?:then|before))|ask (?:me )?(?:for )?(?:confirmation|clarification) before|wait for (?:my )?(?:approval|confirmation)|check with (?:me|the user) (?:before|first))\b/i;
+  if (confirmationPattern.test(body)) {
     issues.push({
+      id: 'confirmation-prompt',
+      ...loc.inBody(confirmationPattern),
       severity: 'warning',
       message: 'Rule asks AI to confirm before acting',
       hint: 'Cursor\'s agent mode is designed to act autonomously. "Confirm before coding" breaks the workflow. If you want review points, use git branches instead.',
@@ -619,8 +728,11 @@ async function lintMdcFile(filePath) {
   }
 
   // AI-GEN 7: "Leave NO todos / placeholders" instruction
-  if (/\b(?:leave no|no\s+(?:todo|placeholder|missing piece|stub)|don'?t leave (?:any )?(?:todo|placeholder)|fully implement|complete! verify|ensure (?:code is )?complete)\b/i.test(body)) {
+  const noPlaceholderPattern = /\b(?:leave no|no\s+(?:todo|placeholder|missing piece|stub)|don'?t leave (?:any )?(?:todo|placeholder)|fully implement|complete! verify|ensure (?:code is )?complete)\b/i;
+  if (noPlaceholderPattern.test(body)) {
     issues.push({
+      id: 'no-placeholder-instruction',
+      ...loc.inBody(noPlaceholderPattern),
       severity: 'info',
       message: 'Rule instructs AI to not leave TODOs/placeholders',
       hint: 'This is a common AI-generated filler instruction. If incomplete code is a real problem, add a specific rule like "implement all function bodies; no empty stubs."',
@@ -628,8 +740,11 @@ async function lintMdcFile(filePath) {
   }
 
   // AI-GEN 8: ChatGPT-style "if you don't know, say so" disclaimer
-  if (/\b(?:if you (?:do not|don'?t) know|if you'?re? (?:not sure|unsure|uncertain)|say so instead of guessing|don'?t (?:make up|fabricate|hallucinate|guess))\b/i.test(body)) {
+  const uncertaintyPattern = /\b(?:if you (?:do not|don'?t) know|if you'?re? (?:not sure|unsure|uncertain)|say so instead of guessing|don'?t (?:make up|fabricate|hallucinate|guess))\b/i;
+  if (uncertaintyPattern.test(body)) {
     issues.push({
+      id: 'uncertainty-disclaimer',
+      ...loc.inBody(uncertaintyPattern),
       severity: 'info',
       message: 'Rule contains "if you don\'t know, say so" disclaimer',
       hint: 'This is a chatbot safety instruction, not a coding rule. Cursor operates on your codebase, it doesn\'t need to be told not to guess.',
@@ -637,8 +752,11 @@ async function lintMdcFile(filePath) {
   }
 
   // AI-GEN 9: "Use multiple responses for complex answers"
-  if (/\b(?:use multiple (?:responses|messages|replies)|split (?:into|across) (?:multiple )?(?:responses|messages|parts))\b/i.test(body)) {
+  const multiResponsePattern = /\b(?:use multiple (?:responses|messages|replies)|split (?:into|across) (?:multiple )?(?:responses|messages|parts))\b/i;
+  if (multiResponsePattern.test(body)) {
     issues.push({
+      id: 'multi-response',
+      ...loc.inBody(multiResponsePattern),
       severity: 'warning',
       message: 'Rule asks AI to split responses across multiple messages',
       hint: 'Cursor generates complete responses in one turn. Multi-message instructions come from chatbot prompting and waste tokens here.',
@@ -656,44 +774,26 @@ async function lintMdcFile(filePath) {
       const narrativeIndicators = /\b(?:this project|the (?:project|app|game|system) (?:is|was|will|involves|uses)|we (?:are|were|will)|the goal (?:is|of)|the purpose)\b/i;
       if (narrativeIndicators.test(body)) {
         issues.push({
+          id: 'project-description',
+          ...loc.inBody(narrativeIndicators),
           severity: 'warning',
           message: 'Rule reads like a project description, not instructions',
           hint: 'Descriptions of what the project IS don\'t help the AI write code. Convert to actionable instructions: what to do, what patterns to follow, what to avoid.',
-          fixable: true,
         });
       }
     }
   }
 
   // Rule references a file path that doesn't exist
-  // Guard: skip bodies >10KB to avoid slow regex on large files
-  if (body.length <= 10000) {
-    var filePathLines = body.split('\n');
-    var filePathMatches = [];
-    for (var fpi = 0; fpi < filePathLines.length; fpi++) {
-      var fpLine = filePathLines[fpi];
-      // Only match lines that look like they contain file references (have a slash)
-      if (fpLine.includes('/')) {
-        var fpMatch = fpLine.match(/[\w.\/-]+\.(ts|js|tsx|jsx|py|go|rs|java|md|json|yml|yaml|toml)\b/g);
-        if (fpMatch) {
-          for (var fpj = 0; fpj < fpMatch.length; fpj++) filePathMatches.push(fpMatch[fpj]);
-        }
-      }
-    }
-    if (filePathMatches.length > 0) {
-      var projectRoot = path.dirname(path.dirname(filePath));
-      for (var fpi = 0; fpi < filePathMatches.length; fpi++) {
-        var fpRef = filePathMatches[fpi];
-        if (fpRef.startsWith('http')) continue;
-        var potentialPath = path.join(projectRoot, fpRef);
-        if (!fs.existsSync(potentialPath) && fpRef.includes('/')) {
-          issues.push({
-            severity: 'info',
-            message: 'Rule references file that may not exist: ' + fpRef,
-            hint: 'Verify this file path is correct or remove the reference if outdated.',
-          });
-        }
-      }
+  for (const ref of referencedFiles(filePath, body)) {
+    if (!ref.exists) {
+      issues.push({
+        id: 'missing-file-reference',
+        ...loc.inBody(ref.ref),
+        severity: 'info',
+        message: 'Rule references file that may not exist: ' + ref.ref,
+        hint: 'Verify this file path is correct or remove the reference if outdated.',
+      });
     }
   }
 
@@ -715,6 +815,8 @@ async function lintMdcFile(filePath) {
   
   if (matchedConcerns.length >= 3) {
     issues.push({
+      id: 'mixed-concerns',
+      ...loc.body(),
       severity: 'warning',
       message: `Rule mixes multiple concerns: ${matchedConcerns.join(', ')}`,
       hint: 'Rules that cover too many topics are harder for the AI to apply correctly. Split into focused rules.',
@@ -734,10 +836,11 @@ async function lintMdcFile(filePath) {
   for (const { a, b, subject } of conflictPairs) {
     if (bodyLower.includes(a) && bodyLower.includes(b)) {
       issues.push({
+        id: 'self-contradiction',
+        ...loc.inBody(b),
         severity: 'error',
         message: `Rule has conflicting instructions about ${subject}`,
         hint: `Rule contains both "${a}" and "${b}". Choose one approach.`,
-        fixable: false,
       });
     }
   }
@@ -758,6 +861,8 @@ async function lintMdcFile(filePath) {
       const matches = body.match(pattern);
       if (matches && matches.length > 0) {
         issues.push({
+          id: 'absolute-paths',
+          ...loc.inBody(matches[0]),
           severity: 'error',
           message: 'Rule body contains absolute paths',
           hint: 'Absolute paths like /Users/... or C:\\ won\'t work on other machines. Use relative paths or project-relative references.',
@@ -772,6 +877,8 @@ async function lintMdcFile(filePath) {
     const envVarPattern = /\$(?:HOME|USER|PATH|USERPROFILE|APPDATA|TEMP|TMP)\b|%(?:USERPROFILE|APPDATA|TEMP|TMP)%/g;
     if (envVarPattern.test(body)) {
       issues.push({
+        id: 'env-vars',
+        ...loc.inBody(envVarPattern),
         severity: 'warning',
         message: 'Rule body references environment variables',
         hint: 'Environment variables like $HOME or %USERPROFILE% are fragile and machine-specific. Use project-relative paths.',
@@ -785,6 +892,8 @@ async function lintMdcFile(filePath) {
     for (const glob of globs) {
       if (glob.startsWith('!')) {
         issues.push({
+          id: 'glob-negation',
+          ...loc.glob(glob),
           severity: 'warning',
           message: `Glob uses negation pattern: ${glob}`,
           hint: 'Cursor may not support negation globs (patterns starting with !). Use positive patterns instead.',
@@ -799,6 +908,8 @@ async function lintMdcFile(filePath) {
     for (const glob of globs) {
       if (!glob.includes('*') && !glob.includes('?') && !glob.includes('[')) {
         issues.push({
+          id: 'glob-no-wildcard',
+          ...loc.glob(glob),
           severity: 'info',
           message: `Glob has no wildcard: ${glob}`,
           hint: 'Literal filenames as globs may not match as expected. Consider "**/filename" or use a wildcard pattern.',
@@ -814,6 +925,8 @@ async function lintMdcFile(filePath) {
     const filenameNorm = filename.toLowerCase().replace(/[^a-z0-9]/g, '');
     if (descNorm === filenameNorm) {
       issues.push({
+        id: 'description-is-filename',
+        ...loc.key('description'),
         severity: 'warning',
         message: 'Description is identical to filename',
         hint: 'Lazy descriptions aren\'t helpful. Describe what the rule does, not just repeat the filename.',
@@ -827,6 +940,8 @@ async function lintMdcFile(filePath) {
     const emojiMatches = body.match(emojiPattern);
     if (emojiMatches && emojiMatches.length >= 5) {
       issues.push({
+        id: 'emoji-overload',
+        ...loc.inBody(emojiMatches[0]),
         severity: 'warning',
         message: `Rule body contains emoji overload (${emojiMatches.length} emoji)`,
         hint: 'Excessive emoji wastes tokens and doesn\'t improve AI comprehension. Use sparingly or remove.',
@@ -839,6 +954,8 @@ async function lintMdcFile(filePath) {
     const deepHeadings = body.match(/^#{4,}\s+.+/gm);
     if (deepHeadings && deepHeadings.length > 0) {
       issues.push({
+        id: 'deep-headings',
+        ...loc.inBody(deepHeadings[0]),
         severity: 'warning',
         message: 'Rule has deeply nested markdown (4+ heading levels)',
         hint: 'Deeply nested headings make rules too complex. Flatten the structure or split into multiple rules.',
@@ -851,6 +968,8 @@ async function lintMdcFile(filePath) {
     const base64Pattern = /(?:data:image\/[^;]+;base64,|^[A-Za-z0-9+/]{50,}={0,2}$)/m;
     if (base64Pattern.test(body)) {
       issues.push({
+        id: 'base64-content',
+        ...loc.inBody(base64Pattern),
         severity: 'error',
         message: 'Rule body contains base64 or data URIs',
         hint: 'Base64 and data URIs waste massive amounts of tokens. Link to external resources instead.',
@@ -866,6 +985,8 @@ async function lintMdcFile(filePath) {
     if (/^\s*\+\s+/m.test(body)) bulletTypes.push('+');
     if (bulletTypes.length > 1) {
       issues.push({
+        id: 'inconsistent-list-markers',
+        ...loc.inBody(new RegExp('^\\s*\\' + bulletTypes[1] + '\\s+', 'm')),
         severity: 'info',
         message: `Rule body has inconsistent list markers: ${bulletTypes.join(', ')}`,
         hint: 'Mixing -, *, and + for lists is inconsistent. Pick one marker and use it throughout.',
@@ -883,6 +1004,8 @@ async function lintMdcFile(filePath) {
       const normalized = sentence.toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
       if (normalized.length > 0 && seen.has(normalized)) {
         issues.push({
+          id: 'repeated-instruction',
+          ...loc.inBody(sentence),
           severity: 'warning',
           message: 'Rule repeats the same instruction',
           hint: 'Repeated instructions waste tokens. Remove duplicates.',
@@ -906,6 +1029,8 @@ async function lintMdcFile(filePath) {
     for (const pattern of uiActionPatterns) {
       if (pattern.test(body)) {
         issues.push({
+          id: 'ui-actions',
+          ...loc.inBody(pattern),
           severity: 'warning',
           message: 'Rule body references Cursor UI actions',
           hint: 'Rules are for the AI, not the user. Remove UI instructions like "click File > Preferences".',
@@ -921,15 +1046,17 @@ async function lintMdcFile(filePath) {
       /<!--[\s\S]*?-->/,
       /^\/\/.+$/m,
     ];
-    let hasComments = false;
+    let commentPattern = null;
     for (const pattern of commentPatterns) {
       if (pattern.test(body)) {
-        hasComments = true;
+        commentPattern = pattern;
         break;
       }
     }
-    if (hasComments) {
+    if (commentPattern) {
       issues.push({
+        id: 'commented-out',
+        ...loc.inBody(commentPattern),
         severity: 'info',
         message: 'Rule body contains commented-out sections',
         hint: 'Commented sections waste tokens. Remove them or uncomment if needed.',
@@ -947,6 +1074,8 @@ async function lintMdcFile(filePath) {
     );
     if (verySpecific.length > 0) {
       issues.push({
+        id: 'always-apply-specific-globs',
+        ...loc.glob(verySpecific[0]),
         severity: 'warning',
         message: 'alwaysApply with very specific globs is contradictory',
         hint: `alwaysApply:true means always load. Very specific globs like "${verySpecific[0]}" suggest you want file-specific behavior. Choose one approach.`,
@@ -961,6 +1090,8 @@ async function lintMdcFile(filePath) {
       // Check if glob would match .mdc files (which it shouldn't)
       if (glob.includes('.mdc') || glob === '*.mdc') {
         issues.push({
+          id: 'glob-targets-rules',
+          ...loc.glob(glob),
           severity: 'warning',
           message: `Glob pattern may be unreachable: ${glob}`,
           hint: 'Rules don\'t apply to themselves. Globs like "*.mdc" inside .cursor/rules won\'t work as expected.',
@@ -980,6 +1111,8 @@ async function lintMdcFile(filePath) {
     }
     if (trailingWhitespace > 3) {
       issues.push({
+        id: 'trailing-whitespace',
+        ...loc.inBody(/[ \t]+$/m),
         severity: 'info',
         message: `Rule body has trailing whitespace on ${trailingWhitespace} lines`,
         hint: 'Trailing whitespace wastes tokens. Remove it.',
@@ -990,6 +1123,8 @@ async function lintMdcFile(filePath) {
   // 16. Description contains the word 'rule'
   if (fm.data && fm.data.description && typeof fm.data.description === 'string' && /\brule\b/i.test(fm.data.description)) {
     issues.push({
+      id: 'description-says-rule',
+      ...loc.key('description'),
       severity: 'info',
       message: 'Description contains the word "rule"',
       hint: 'Redundant. "Rule for TypeScript" → "TypeScript conventions". The context is already a rule.',
@@ -1004,6 +1139,8 @@ async function lintMdcFile(filePath) {
       const ratio = codeLength / body.length;
       if (ratio > 0.7) {
         issues.push({
+          id: 'mostly-code',
+          ...loc.inBody(codeBlockMatches[0]),
           severity: 'warning',
           message: 'Rule body is mostly code blocks (>70%)',
           hint: 'Rules need instruction text, not just code examples. Add context and explanations.',
@@ -1016,6 +1153,8 @@ async function lintMdcFile(filePath) {
   if (fm.data && fm.data.alwaysApply && typeof fm.data.alwaysApply === 'string') {
     if (fm.data.alwaysApply === 'true' || fm.data.alwaysApply === 'false') {
       issues.push({
+        id: 'boolean-strings',
+        ...loc.key('alwaysApply'),
         severity: 'error',
         message: 'Frontmatter uses boolean strings',
         hint: `alwaysApply should be a boolean (true or false), not a string ("${fm.data.alwaysApply}"). Remove quotes.`,
@@ -1029,6 +1168,8 @@ async function lintMdcFile(filePath) {
     for (const glob of globs) {
       if (/\\\.|[\[\]()]|\$/.test(glob) && !glob.includes('[a-z]')) {
         issues.push({
+          id: 'glob-regex-syntax',
+          ...loc.glob(glob),
           severity: 'error',
           message: `Glob uses regex syntax instead of glob syntax: ${glob}`,
           hint: 'Globs use *, ?, and {}, not regex. Use "*.ts" not "\\.ts$".',
@@ -1043,6 +1184,8 @@ async function lintMdcFile(filePath) {
     const longLines = lines.filter(line => line.length > 500);
     if (longLines.length > 0) {
       issues.push({
+        id: 'long-lines',
+        ...loc.inBody(longLines[0]),
         severity: 'info',
         message: `Rule body has ${longLines.length} very long line(s) (>500 chars)`,
         hint: 'Long lines are hard to read and waste tokens. Break them up.',
@@ -1054,6 +1197,8 @@ async function lintMdcFile(filePath) {
   if (fm.data && fm.data.description && typeof fm.data.description === 'string') {
     if (/^[A-Z].*[.!?]$/.test(fm.data.description.trim())) {
       issues.push({
+        id: 'description-sentence',
+        ...loc.key('description'),
         severity: 'info',
         message: 'Description is a complete sentence',
         hint: 'Descriptions work better as noun phrases. "TypeScript conventions" not "This rule enforces TypeScript conventions."',
@@ -1067,6 +1212,8 @@ async function lintMdcFile(filePath) {
     for (const model of modelNames) {
       if (body.includes(model)) {
         issues.push({
+          id: 'model-names',
+          ...loc.inBody(model),
           severity: 'warning',
           message: `Rule body references specific model names: ${model}`,
           hint: 'Rules should be model-agnostic. Remove model-specific instructions.',
@@ -1086,6 +1233,8 @@ async function lintMdcFile(filePath) {
     for (const pattern of secretPatterns) {
       if (pattern.test(body)) {
         issues.push({
+          id: 'secrets',
+          ...loc.inBody(pattern),
           severity: 'error',
           message: 'Rule body contains credentials/secrets pattern',
           hint: 'Never include API keys, tokens, or passwords in rules. Use environment variables.',
@@ -1105,6 +1254,8 @@ async function lintMdcFile(filePath) {
     for (const pattern of datePatterns) {
       if (pattern.test(body)) {
         issues.push({
+          id: 'stale-dates',
+          ...loc.inBody(pattern),
           severity: 'warning',
           message: 'Rule body contains timestamps/dates that will go stale',
           hint: 'Date-specific statements like "As of January 2024" become outdated. Make rules timeless.',
@@ -1124,6 +1275,8 @@ async function lintMdcFile(filePath) {
     for (const pattern of fileSpecificKeywords) {
       if (pattern.test(fm.data.description)) {
         issues.push({
+          id: 'always-apply-file-specific',
+          ...loc.key('alwaysApply'),
           severity: 'warning',
           message: 'alwaysApply: true on file-specific rule',
           hint: 'Description suggests file-specific behavior but alwaysApply:true means always load. Use globs instead.',
@@ -1137,6 +1290,8 @@ async function lintMdcFile(filePath) {
   if (body.length > 0) {
     if (/\.cursorrules\b/.test(body) || /cursor\.rules\b/.test(body)) {
       issues.push({
+        id: 'legacy-cursorrules-reference',
+        ...loc.inBody(/\.cursorrules\b|cursor\.rules\b/),
         severity: 'warning',
         message: 'Rule body references old .cursorrules behavior',
         hint: 'Cursor moved from .cursorrules to .cursor/rules/*.mdc. Update references.',
@@ -1149,6 +1304,8 @@ async function lintMdcFile(filePath) {
     const globs = parseGlobs(fm.data.globs);
     if (globs.length === 0) {
       issues.push({
+        id: 'empty-globs',
+        ...loc.key('globs'),
         severity: 'warning',
         message: 'Empty globs array',
         hint: 'globs: [] means this rule has no file targets. Either add patterns like globs: ["**/*.ts", "**/*.tsx"] or remove globs and set alwaysApply: true.',
@@ -1163,6 +1320,8 @@ async function lintMdcFile(filePath) {
     const totalFormatting = (boldMatches ? boldMatches.length : 0) + (italicMatches ? italicMatches.length : 0);
     if (totalFormatting > 10) {
       issues.push({
+        id: 'excessive-emphasis',
+        ...loc.inBody(boldMatches ? boldMatches[0] : italicMatches[0]),
         severity: 'info',
         message: `Rule has excessive bold/italic formatting (${totalFormatting} instances)`,
         hint: 'Excessive formatting wastes tokens and doesn\'t help AI comprehension. Use sparingly.',
@@ -1182,6 +1341,8 @@ async function lintMdcFile(filePath) {
         const after = body.slice(blockIndex + block.length, blockIndex + block.length + 100);
         if (!before.trim() && !after.trim()) {
           issues.push({
+            id: 'raw-json',
+            ...loc.inBody(block),
             severity: 'warning',
             message: 'Rule body contains raw JSON without explanation',
             hint: 'JSON blobs without context confuse the AI. Add instructions explaining what to do with the JSON.',
@@ -1197,6 +1358,8 @@ async function lintMdcFile(filePath) {
     const fmMatch = content.match(/^---\n([\s\S]*?)\n---/);
     if (fmMatch && fmMatch[1].includes('\t')) {
       issues.push({
+        id: 'frontmatter-tabs',
+        ...loc.find(/\t/),
         severity: 'warning',
         message: 'Frontmatter indentation uses tabs',
         hint: 'YAML prefers spaces over tabs for indentation. Use 2 spaces.',
@@ -1212,6 +1375,8 @@ async function lintMdcFile(filePath) {
     const descIsEnglish = /^[A-Za-z\s0-9.,!?-]+$/.test(fm.data.description);
     if (hasNonEnglish && descIsEnglish) {
       issues.push({
+        id: 'language-mismatch',
+        ...loc.inBody(nonAsciiChars[0]),
         severity: 'info',
         message: 'Rule body language may not match description',
         hint: 'Description appears to be in English but body contains non-English text. Ensure consistency.',
@@ -1223,6 +1388,8 @@ async function lintMdcFile(filePath) {
   if (body.length > 0) {
     if (/\bon line \d+\b/i.test(body) || /\bline \d+:/i.test(body)) {
       issues.push({
+        id: 'line-number-references',
+        ...loc.inBody(/\bon line \d+\b|\bline \d+:/i),
         severity: 'warning',
         message: 'Rule body references specific line numbers',
         hint: 'Line number references like "on line 42" are fragile and will break when code changes. Use structural references.',
@@ -1240,6 +1407,8 @@ async function lintMdcFile(filePath) {
     const positiveWords = bodyWithoutNegatives.match(/\b(?:always|must|should|ensure|prefer|instead)\b/gi);
     if (negativeWords && negativeWords.length >= 6 && (!positiveWords || positiveWords.length === 0)) {
       issues.push({
+        id: 'only-negative',
+        ...loc.body(),
         severity: 'warning',
         message: 'Rule only contains negative instructions',
         hint: 'Rules with only "don\'t do X" are less effective. Add positive guidance: "do Y instead".',
@@ -1251,7 +1420,10 @@ async function lintMdcFile(filePath) {
   if (body.length > 0) {
     const codeBlockMarkers = body.match(/```/g);
     if (codeBlockMarkers && codeBlockMarkers.length % 2 !== 0) {
+      const lastFence = loc.bodyStart + body.lastIndexOf('```');
       issues.push({
+        id: 'unclosed-code-block',
+        ...loc.range(lastFence, lastFence + 3),
         severity: 'error',
         message: 'Rule body has unclosed code blocks',
         hint: 'Every ``` must have a closing ```. Fix the code block syntax.',
@@ -1263,6 +1435,8 @@ async function lintMdcFile(filePath) {
   if (fm.data && fm.data.description && typeof fm.data.description === 'string') {
     if (/[^\x00-\x7F]/.test(fm.data.description)) {
       issues.push({
+        id: 'description-non-ascii',
+        ...loc.key('description'),
         severity: 'info',
         message: 'Description contains non-ASCII characters',
         hint: 'Special characters in descriptions may cause matching issues. Stick to ASCII.',
@@ -1276,6 +1450,8 @@ async function lintMdcFile(filePath) {
     for (const cmd of shellCommands) {
       if (body.includes(cmd)) {
         issues.push({
+          id: 'shell-commands',
+          ...loc.inBody(cmd),
           severity: 'warning',
           message: `Rule body contains shell commands without context: "${cmd}"`,
           hint: 'Rules are for AI coding instructions, not terminal commands. Wrap in code blocks or remove.',
@@ -1285,31 +1461,41 @@ async function lintMdcFile(filePath) {
     }
   }
 
-  return { file: filePath, issues };
+  // Project plugin checks (.cursor-doctor.json "plugins")
+  issues.push(...await runCustomChecks({ filePath, content, frontmatter: fm.found && !fm.error ? fm.data : null, body, locate: loc }, config));
+
+  const isKnownId = id => isCustomCheck(config, id);
+  return { file: filePath, issues: applyConfig(normalizeIssues(applySuppressions(locateIssues(issues, loc), suppressions, isKnownId)), config) };
 }
 
-async function lintSkillFile(filePath) {
-  var content;
-  try { content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n'); } catch (e) {
-    return { file: filePath, issues: [{ severity: 'error', message: 'Cannot read file: ' + e.code }] };
+async function lintSkillFile(filePath, options) {
+  options = options || {};
+  const config = options.config || loadConfig(path.dirname(filePath));
+  var content = options.content;
+  if (typeof content !== 'string') {
+    try { content = fs.readFileSync(filePath, 'utf-8'); } catch (e) {
+      return { file: filePath, issues: normalizeIssues([{ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + e.code, line: 1, column: 1, endLine: 1, endColumn: 1 }]) };
+    }
   }
+  content = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
   const issues = [];
+  const loc = createLocator(content);
 
   const fm = parseFrontmatter(content);
 
   if (!fm.found) {
-    issues.push({ severity: 'error', message: 'Missing YAML frontmatter', hint: 'Add --- block with name and description fields' });
+    issues.push({ id: 'skill-missing-frontmatter', severity: 'error', message: 'Missing YAML frontmatter', hint: 'Add --- block with name and description fields' });
   } else if (fm.error) {
-    issues.push({ severity: 'error', message: `YAML frontmatter error: ${fm.error}`, hint: 'Fix frontmatter syntax' });
+    issues.push({ id: 'skill-frontmatter-syntax', severity: 'error', message: `YAML frontmatter error: ${fm.error}`, ...(loc.at(fm.line, fm.column) || loc.frontmatter()), hint: 'Fix frontmatter syntax' });
   } else {
     if (!fm.data.name) {
-      issues.push({ severity: 'error', message: 'Missing name in frontmatter', hint: 'Add name: your-skill-name to frontmatter' });
+      issues.push({ id: 'skill-missing-name', severity: 'error', message: 'Missing name in frontmatter', ...loc.frontmatter(), hint: 'Add name: your-skill-name to frontmatter' });
     }
     if (!fm.data.description) {
-      issues.push({ severity: 'error', message: 'Missing description in frontmatter', hint: 'Add a description so the agent knows when to use this skill' });
+      issues.push({ id: 'skill-missing-description', severity: 'error', message: 'Missing description in frontmatter', ...loc.frontmatter(), hint: 'Add a description so the agent knows when to use this skill' });
     }
     if (fm.data.description && fm.data.description.length < 20) {
-      issues.push({ severity: 'warning', message: 'Description is very short', hint: 'A longer description helps agents understand when to invoke this skill' });
+      issues.push({ id: 'skill-description-too-short', severity: 'warning', message: 'Description is very short', ...loc.key('description'), hint: 'A longer description helps agents understand when to invoke this skill' });
     }
   }
 
@@ -1317,21 +1503,21 @@ async function lintSkillFile(filePath) {
   const body = fm.found ? content.replace(/^---\n[\s\S]*?\n---\n?/, '') : content;
 
   if (body.trim().length === 0) {
-    issues.push({ severity: 'error', message: 'Skill file has no body content', hint: 'Add instructions for the agent after the frontmatter' });
+    issues.push({ id: 'skill-empty-body', severity: 'error', message: 'Skill file has no body content', ...loc.frontmatter(), hint: 'Add instructions for the agent after the frontmatter' });
   } else if (body.trim().length < 50) {
-    issues.push({ severity: 'warning', message: 'Skill body is very short (< 50 chars)', hint: 'Skills with more detail produce better agent behavior' });
+    issues.push({ id: 'skill-body-too-short', severity: 'warning', message: 'Skill body is very short (< 50 chars)', ...loc.body(), hint: 'Skills with more detail produce better agent behavior' });
   }
 
   // Check for headings (structure)
   const headings = body.match(/^#{1,3}\s+.+/gm);
   if (body.trim().length > 500 && (!headings || headings.length === 0)) {
-    issues.push({ severity: 'warning', message: 'Long skill with no headings', hint: 'Add ## sections to organize instructions for better agent comprehension' });
+    issues.push({ id: 'skill-no-headings', severity: 'warning', message: 'Long skill with no headings', ...loc.body(), hint: 'Add ## sections to organize instructions for better agent comprehension' });
   }
 
   // Vague rules (context-aware)
   issues.push(...findVagueRules(content));
 
-  return { file: filePath, issues };
+  return { file: filePath, issues: applyConfig(normalizeIssues(locateIssues(issues, loc)), config) };
 }
 
 function findSkillDirs(dir) {
@@ -1376,14 +1562,19 @@ function collectSkillFiles(skillDirs) {
   return files;
 }
 
-async function lintCursorrules(filePath) {
-  var content;
-  try { content = fs.readFileSync(filePath, 'utf-8'); } catch (e) {
-    return { file: filePath, issues: [{ severity: 'error', message: 'Cannot read file: ' + e.code }] };
+async function lintCursorrules(filePath, options) {
+  options = options || {};
+  const config = options.config || loadConfig(path.dirname(filePath));
+  var content = options.content;
+  if (typeof content !== 'string') {
+    try { content = fs.readFileSync(filePath, 'utf-8'); } catch (e) {
+      return { file: filePath, issues: normalizeIssues([{ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + e.code, line: 1, column: 1, endLine: 1, endColumn: 1 }]) };
+    }
   }
   const issues = [];
 
   issues.push({
+    id: 'legacy-cursorrules',
     severity: 'warning',
     message: '.cursorrules may be ignored in agent mode',
     hint: 'Convert to .mdc format: npx cursor-doctor migrate. This moves your rules to .cursor/rules/*.mdc where Cursor always reads them.',
@@ -1392,7 +1583,7 @@ async function lintCursorrules(filePath) {
   // Vague rules (context-aware)
   issues.push(...findVagueRules(content));
 
-  return { file: filePath, issues };
+  return { file: filePath, issues: applyConfig(normalizeIssues(locateIssues(issues, createLocator(content))), config) };
 }
 
 // NEW: Project structure linting
@@ -1414,6 +1605,7 @@ async function lintProjectStructure(dir) {
   
   if (mdcFiles.length > 15 && subdirs.length === 0) {
     issues.push({
+      id: 'unorganized-rules',
       severity: 'info',
       message: `${mdcFiles.length} rules with no subdirectory organization`,
       hint: 'Organize rules into subdirectories (e.g., .cursor/rules/typescript/, .cursor/rules/react/) for better maintainability.',
@@ -1425,6 +1617,7 @@ async function lintProjectStructure(dir) {
     const basename = file.replace(/\.mdc$/, '');
     if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(basename)) {
       issues.push({
+        id: 'filename-not-kebab',
         severity: 'info',
         message: `Filename not in kebab-case: ${file}`,
         hint: 'Use kebab-case for consistency: my-rule.mdc instead of MyRule.mdc or my_rule.mdc.',
@@ -1437,6 +1630,7 @@ async function lintProjectStructure(dir) {
   for (const generic of genericNames) {
     if (mdcFiles.includes(generic)) {
       issues.push({
+        id: 'generic-filename',
         severity: 'warning',
         message: `Generic filename: ${generic}`,
         hint: 'Use descriptive names that indicate what the rule does (e.g., react-hooks.mdc, typescript-naming.mdc).',
@@ -1455,6 +1649,7 @@ async function lintProjectStructure(dir) {
       // Only flag if they differ by a -rules/-rule suffix (redundant naming)
       if (a.replace(/-rules?$/, '') === b.replace(/-rules?$/, '') && a !== b) {
         issues.push({
+          id: 'similar-filenames',
           severity: 'warning',
           message: `Similar filenames: ${mdcFiles[i]} and ${mdcFiles[j]}`,
           hint: 'These filenames are very similar. Consider consolidating or renaming for clarity.',
@@ -1473,6 +1668,7 @@ async function lintProjectStructure(dir) {
       
       if (stat.isFile() && !['hooks.json', 'environment.json', 'agents.json', 'mcp.json'].includes(entry)) {
         issues.push({
+          id: 'unexpected-cursor-file',
           severity: 'info',
           message: `Unexpected file in .cursor/: ${entry}`,
           hint: '.cursor/ should contain only rules/, hooks.json, mcp.json, environment.json, or agents.json.',
@@ -1489,6 +1685,7 @@ async function lintProjectStructure(dir) {
               checkDir(itemPath);
             } else if (!item.endsWith('.mdc')) {
               issues.push({
+                id: 'non-mdc-in-rules',
                 severity: 'warning',
                 message: `Non-.mdc file in rules/: ${path.relative(rulesDir, itemPath)}`,
                 hint: '.cursor/rules/ should only contain .mdc files.',
@@ -1505,40 +1702,28 @@ async function lintProjectStructure(dir) {
 }
 
 // NEW: Context file linting
-async function lintContextFiles(dir) {
+async function lintContextFiles(dir, project) {
   const issues = [];
+  const contextFile = (name) => project.contextFiles.find(f => f.name === name);
 
-  // Check AGENTS.md size
-  const agentsMd = path.join(dir, 'AGENTS.md');
-  if (fs.existsSync(agentsMd)) {
-    const size = fs.statSync(agentsMd).size;
-    if (size > 10000) {
-      issues.push({
-        severity: 'warning',
-        message: `AGENTS.md is very large (${Math.round(size / 1000)}KB)`,
-        hint: 'Context files over 10KB waste tokens. Consider splitting into smaller, more focused files.',
-      });
-    }
-  }
-
-  // Check CLAUDE.md size
-  const claudeMd = path.join(dir, 'CLAUDE.md');
-  if (fs.existsSync(claudeMd)) {
-    const size = fs.statSync(claudeMd).size;
-    if (size > 10000) {
+  // Check AGENTS.md and CLAUDE.md size
+  const agentsMd = contextFile('AGENTS.md');
+  const claudeMd = contextFile('CLAUDE.md');
+  for (const cf of [agentsMd, claudeMd]) {
+    if (cf && cf.size > 10000) {
       issues.push({
+        id: 'context-file-too-large',
         severity: 'warning',
-        message: `CLAUDE.md is very large (${Math.round(size / 1000)}KB)`,
+        message: `${cf.name} is very large (${Math.round(cf.size / 1000)}KB)`,
         hint: 'Context files over 10KB waste tokens. Consider splitting into smaller, more focused files.',
       });
     }
   }
 
   // Both .cursorrules AND .cursor/rules/ exist
-  const cursorrules = path.join(dir, '.cursorrules');
-  const cursorRules = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(cursorrules) && fs.existsSync(cursorRules)) {
+  if (contextFile('.cursorrules') && project.exists(path.join('.cursor', 'rules'))) {
     issues.push({
+      id: 'cursorrules-and-rules',
       severity: 'error',
       message: 'Both .cursorrules and .cursor/rules/ exist',
       hint: 'This creates conflicts. Run "cursor-doctor migrate" to convert .cursorrules to .mdc files, then delete .cursorrules.',
@@ -1546,9 +1731,9 @@ async function lintContextFiles(dir) {
   }
 
   // Multiple context files with overlapping instructions
-  if (fs.existsSync(agentsMd) && fs.existsSync(claudeMd)) {
-    const agentsContent = fs.readFileSync(agentsMd, 'utf-8').toLowerCase();
-    const claudeContent = fs.readFileSync(claudeMd, 'utf-8').toLowerCase();
+  if (agentsMd && claudeMd) {
+    const agentsContent = agentsMd.content.toLowerCase();
+    const claudeContent = claudeMd.content.toLowerCase();
     
     // Simple overlap detection: count shared unique words
     const agentsWords = new Set(agentsContent.split(/\s+/).filter(w => w.length > 4));
@@ -1559,6 +1744,7 @@ async function lintContextFiles(dir) {
     
     if (overlapRatio > 0.3) {
       issues.push({
+        id: 'context-files-overlap',
         severity: 'warning',
         message: 'AGENTS.md and CLAUDE.md have overlapping content',
         hint: 'Duplicated instructions across context files waste tokens. Consolidate into one file or clearly separate concerns.',
@@ -1588,6 +1774,7 @@ async function lintCursorConfig(dir) {
             const scriptPath = path.isAbsolute(script) ? script : path.join(dir, script);
             if (!fs.existsSync(scriptPath)) {
               issues.push({
+                id: 'hook-missing-script',
                 severity: 'error',
                 message: `Hook "${event}" references missing script: ${script}`,
                 hint: 'Create the script file or remove the hook reference.',
@@ -1598,6 +1785,7 @@ async function lintCursorConfig(dir) {
       }
     } catch (e) {
       issues.push({
+        id: 'hooks-json-syntax',
         severity: 'error',
         message: `.cursor/hooks.json has syntax errors: ${e.message}`,
         hint: 'Fix JSON syntax errors in hooks.json.',
@@ -1612,6 +1800,7 @@ async function lintCursorConfig(dir) {
       JSON.parse(fs.readFileSync(envJson, 'utf-8'));
     } catch (e) {
       issues.push({
+        id: 'environment-json-syntax',
         severity: 'error',
         message: `.cursor/environment.json has syntax errors: ${e.message}`,
         hint: 'Fix JSON syntax errors in environment.json.',
@@ -1632,12 +1821,14 @@ async function lintCursorConfig(dir) {
       // Just check they have content
       if (content.trim().length === 0) {
         issues.push({
+          id: 'agent-file-empty',
           severity: 'error',
           message: `Agent file ${file} is empty`,
           hint: 'Add agent behavior instructions or remove the file.',
         });
       } else if (content.trim().length < 20) {
         issues.push({
+          id: 'agent-file-too-short',
           severity: 'warning',
           message: `Agent file ${file} is very short (${content.trim().length} chars)`,
           hint: 'Agent files should contain enough detail for the agent to understand its role.',
@@ -1649,36 +1840,44 @@ async function lintCursorConfig(dir) {
   return issues;
 }
 
-async function lintProject(dir) {
+async function lintProject(dir, options) {
+  options = options || {};
+  const project = options.project || loadProject(dir, options);
+  const config = options.config || project.config;
+  // options.cache: true for the default cache file, or a cache from openCache()
+  const cache = options.cache === true ? openCache(dir, config) : options.cache || null;
+  // options.changed: a Set of absolute paths (see changed.js). Per-file checks
+  // run on those files only; cross-file checks still compare them with every
+  // rule but only report findings that involve one of them.
+  const changed = options.changed || null;
+  const touched = filePath => !changed || changed.has(filePath);
+  const touchedAny = filePaths => filePaths.some(touched);
   const results = [];
 
   const cursorrules = path.join(dir, '.cursorrules');
-  if (fs.existsSync(cursorrules)) {
-    results.push(await lintCursorrules(cursorrules));
+  if (fs.existsSync(cursorrules) && touched(cursorrules)) {
+    results.push(await lintCursorrules(cursorrules, { config, content: project.read(cursorrules) }));
   }
 
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(rulesDir) && fs.statSync(rulesDir).isDirectory()) {
-    try {
-      const entries = fs.readdirSync(rulesDir);
-      for (const entry of entries) {
-        if (entry.endsWith('.mdc')) {
-          results.push(await lintMdcFile(path.join(rulesDir, entry)));
-        }
-      }
-    } catch (e) {
-      if (e.code === 'EACCES') {
-        results.push({
-          file: rulesDir,
-          issues: [{
-            severity: 'error',
-            message: 'Permission denied: Cannot read .cursor/rules/ directory',
-            hint: 'Check file permissions with: ls -la .cursor/rules/',
-          }],
-        });
-      } else {
-        throw e;
-      }
+  // Root and nested .cursor/rules directories, subfolders included
+  const ruleDirs = project.ruleDirs;
+  for (const ruleDir of ruleDirs) {
+    if (ruleDir.error === 'EACCES') {
+      const relDir = path.relative(dir, ruleDir.dir).split(path.sep).join('/');
+      results.push({
+        file: ruleDir.dir,
+        issues: [{
+          id: 'rules-dir-unreadable',
+          severity: 'error',
+          message: `Permission denied: Cannot read ${relDir}/ directory`,
+          hint: `Check file permissions with: ls -la ${relDir}/`,
+        }],
+      });
+      continue;
+    }
+    for (const name of ruleDir.files) {
+      if (!touched(path.join(ruleDir.dir, name))) continue;
+      results.push(await lintMdcFileCached(path.join(ruleDir.dir, name), config, cache, project));
     }
   }
 
@@ -1686,46 +1885,41 @@ async function lintProject(dir) {
   const skillDirs = findSkillDirs(dir);
   const skillFiles = collectSkillFiles(skillDirs);
   for (const sf of skillFiles) {
-    results.push(await lintSkillFile(sf));
+    if (!touched(sf)) continue;
+    results.push(await lintSkillFile(sf, { config, content: project.read(sf) }));
   }
 
-  if (results.length === 0) {
+  if (results.length === 0 && !changed) {
     results.push({
       file: dir,
-      issues: [{ severity: 'warning', message: 'No Cursor rules or agent skills found in this directory', hint: 'Create rules with: npx cursor-doctor init, or generate from your codebase with: npx rulegen-ai' }],
+      issues: [{ id: 'no-rules', severity: 'warning', message: 'No Cursor rules or agent skills found in this directory', hint: 'Create rules with: npx cursor-doctor init, or generate from your codebase with: npx rulegen-ai' }],
     });
   }
 
-  // Conflict detection across .mdc files
-  const conflicts = detectConflicts(dir);
-  if (conflicts.length > 0) {
+  // Conflict detection across .mdc files (per rules directory)
+  for (const group of detectConflictsByDir(dir, cache, project, changed && touched)) {
     results.push({
-      file: path.join(dir, '.cursor/rules/'),
-      issues: conflicts,
+      file: path.join(group.dir, '/'),
+      issues: group.issues,
     });
   }
 
+  // Cross-file checks below run once per rules directory (root, then each package)
+
   // 9. Excessive rules count & 10. Duplicate rule content
-  const rulesDirPath = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(rulesDirPath) && fs.statSync(rulesDirPath).isDirectory()) {
-    let mdcFiles;
-    try {
-      mdcFiles = fs.readdirSync(rulesDirPath).filter(f => f.endsWith('.mdc'));
-    } catch (e) {
-      if (e.code === 'EACCES') {
-        // Already reported above
-        mdcFiles = [];
-      } else {
-        throw e;
-      }
-    }
+  for (const ruleDir of ruleDirs) {
+    const rulesDirPath = ruleDir.dir;
+    const mdcFiles = ruleDir.files;
+    const owner = ruleDir.package ? `Package ${ruleDir.package}` : 'Project';
+    const dirTouched = touchedAny(mdcFiles.map(f => path.join(rulesDirPath, f)));
     
-    if (mdcFiles.length > 20) {
+    if (mdcFiles.length > checkOptions(config, 'too-many-rules').maxRules && dirTouched) {
       results.push({
         file: rulesDirPath,
         issues: [{
+          id: 'too-many-rules',
           severity: 'warning',
-          message: `Project has ${mdcFiles.length} rule files`,
+          message: `${owner} has ${mdcFiles.length} rule files`,
           hint: 'More rules means more tokens consumed per request. Consider consolidating related rules.',
         }],
       });
@@ -1736,10 +1930,10 @@ async function lintProject(dir) {
       const parsed = [];
       for (const file of mdcFiles) {
         const filePath = path.join(rulesDirPath, file);
-        var dupContent;
-        try { dupContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-        const body = getBody(dupContent);
-        const fm = parseFrontmatter(dupContent);
+        var dupRule;
+        try { dupRule = readRule(filePath, project); } catch (e) { continue; }
+        const body = getBody(dupRule.content);
+        const fm = dupRule.frontmatter;
         parsed.push({ file, filePath, body, description: fm.data && fm.data.description ? fm.data.description : undefined });
       }
 
@@ -1769,10 +1963,11 @@ async function lintProject(dir) {
           }
           
           // Check for duplicate descriptions
-          if (a.description && b.description && a.description === b.description) {
+          if (a.description && b.description && a.description === b.description && touchedAny([a.filePath, b.filePath])) {
             results.push({
               file: rulesDirPath,
               issues: [{
+                id: 'duplicate-description',
                 severity: 'warning',
                 message: `Duplicate descriptions: ${a.file} and ${b.file}`,
                 hint: 'Each rule should have a unique description so Cursor can differentiate them.',
@@ -1784,9 +1979,11 @@ async function lintProject(dir) {
       // Emit one grouped warning per duplicate cluster
       for (const group of dupGroups) {
         const files = Array.from(group).sort();
+        if (!touchedAny(files.map(f => path.join(rulesDirPath, f)))) continue;
         results.push({
           file: rulesDirPath,
           issues: [{
+            id: 'duplicate-rules',
             severity: 'warning',
             message: `Possible duplicate rules (${files.length} similar): ${files.join(', ')}`,
             hint: 'These rules have very similar content. Differentiate them or merge into fewer rules.',
@@ -1798,82 +1995,86 @@ async function lintProject(dir) {
       const descMap = {};
       for (const file of mdcFiles) {
         const filePath = path.join(rulesDirPath, file);
-        var dupContent;
-        try { dupContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-        const fm = parseFrontmatter(dupContent);
+        var dupRule;
+        try { dupRule = readRule(filePath, project); } catch (e) { continue; }
+        const fm = dupRule.frontmatter;
         const desc = fm.data && fm.data.description ? fm.data.description.trim() : '';
-        if (desc && descMap[desc]) {
+        if (desc && descMap[desc] && touchedAny([path.join(rulesDirPath, descMap[desc]), filePath])) {
           results.push({
             file: rulesDirPath,
             issues: [{
+              id: 'duplicate-description',
               severity: 'warning',
               message: `Duplicate descriptions: ${descMap[desc]} and ${file}`,
               hint: 'Each rule should have a unique description so Cursor can differentiate them.',
             }],
           });
-        } else if (desc) {
+        } else if (desc && !descMap[desc]) {
           descMap[desc] = file;
         }
       }
     }
   }
 
+  // Project-wide checks only run when something they look at changed
+  const cursorDirPrefix = path.join(dir, '.cursor') + path.sep;
+  const cursorTouched = !changed || Array.from(changed).some(f => f.startsWith(cursorDirPrefix));
+  const contextTouched = !changed || touchedAny(project.contextFiles.map(f => f.path));
+
   // NEW: Run project structure checks
-  try {
-    const structureIssues = await lintProjectStructure(dir);
-    if (structureIssues.length > 0) {
-      results.push({
-        file: path.join(dir, '.cursor/'),
-        issues: structureIssues,
-      });
-    }
-  } catch (e) { /* structure lint failed gracefully */ }
+  if (cursorTouched) {
+    try {
+      const structureIssues = await lintProjectStructure(dir);
+      if (structureIssues.length > 0) {
+        results.push({
+          file: path.join(dir, '.cursor/'),
+          issues: structureIssues,
+        });
+      }
+    } catch (e) { /* structure lint failed gracefully */ }
+  }
 
   // NEW: Run context file checks
-  try {
-    const contextIssues = await lintContextFiles(dir);
-    if (contextIssues.length > 0) {
-      results.push({
-        file: dir,
-        issues: contextIssues,
-      });
-    }
-  } catch (e) { /* context lint failed gracefully */ }
+  if (contextTouched) {
+    try {
+      const contextIssues = await lintContextFiles(dir, project);
+      if (contextIssues.length > 0) {
+        results.push({
+          file: dir,
+          issues: contextIssues,
+        });
+      }
+    } catch (e) { /* context lint failed gracefully */ }
+  }
 
   // NEW: Run config checks
-  try {
-    const configIssues = await lintCursorConfig(dir);
-    if (configIssues.length > 0) {
-      results.push({
-        file: path.join(dir, '.cursor/'),
-        issues: configIssues,
-      });
-    }
-  } catch (e) { /* config lint failed gracefully */ }
+  if (cursorTouched) {
+    try {
+      const configIssues = await lintCursorConfig(dir);
+      if (configIssues.length > 0) {
+        results.push({
+          file: path.join(dir, '.cursor/'),
+          issues: configIssues,
+        });
+      }
+    } catch (e) { /* config lint failed gracefully */ }
+  }
 
   // ═══════════════════════════════════════════════════════════════════════════
   // NEW PROJECT-LEVEL CURSOR-SPECIFIC RULES
   // ═══════════════════════════════════════════════════════════════════════════
 
   // 23. Multiple rules have identical globs (cross-file check)
-  if (fs.existsSync(rulesDirPath) && fs.statSync(rulesDirPath).isDirectory()) {
-    let mdcFiles;
-    try {
-      mdcFiles = fs.readdirSync(rulesDirPath).filter(f => f.endsWith('.mdc'));
-    } catch (e) {
-      if (e.code === 'EACCES') {
-        mdcFiles = [];
-      } else {
-        throw e;
-      }
-    }
+  for (const ruleDir of ruleDirs) {
+    const rulesDirPath = ruleDir.dir;
+    const mdcFiles = ruleDir.files;
     if (mdcFiles.length > 1 && mdcFiles.length <= 100) {
       const globsByFile = [];
       for (const file of mdcFiles) {
         const filePath = path.join(rulesDirPath, file);
-        var fileContent;
-        try { fileContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-        const fm = parseFrontmatter(fileContent);
+        var fileRule;
+        try { fileRule = readRule(filePath, project); } catch (e) { continue; }
+        const fm = fileRule.frontmatter;
         if (fm.data && fm.data.globs) {
           const globs = parseGlobs(fm.data.globs);
           globsByFile.push({ file, globs });
@@ -1889,10 +2090,11 @@ async function lintProject(dir) {
       }
       for (const sig of Object.keys(globSignatureMap)) {
         const files = globSignatureMap[sig];
-        if (files.length > 1) {
+        if (files.length > 1 && touchedAny(files.map(f => path.join(rulesDirPath, f)))) {
           results.push({
             file: rulesDirPath,
             issues: [{
+              id: 'identical-globs',
               severity: 'info',
               message: `${files.length} rules share identical globs: ${files.join(', ')}`,
               hint: 'These rules target the same files. This is fine if they cover different topics. Consider merging if they overlap in purpose.',
@@ -1904,43 +2106,26 @@ async function lintProject(dir) {
   }
 
   // 27. Glob doesn't match any files in project (info-level, collapsed per file)
-  if (fs.existsSync(rulesDirPath) && fs.statSync(rulesDirPath).isDirectory()) {
-    let mdcFiles;
-    try {
-      mdcFiles = fs.readdirSync(rulesDirPath).filter(f => f.endsWith('.mdc'));
-    } catch (e) {
-      if (e.code === 'EACCES') {
-        mdcFiles = [];
-      } else {
-        throw e;
-      }
+  for (const ruleDir of ruleDirs) {
+    const rulesDirPath = ruleDir.dir;
+    const mdcFiles = ruleDir.files;
+    // Extensions that exist in the package; the rule files themselves are .mdc
+    const existingExts = new Set(['mdc']);
+    const prefix = ruleDir.package ? ruleDir.package + '/' : '';
+    for (const file of project.files) {
+      if (!file.startsWith(prefix)) continue;
+      const name = path.posix.basename(file);
+      const dotIdx = name.lastIndexOf('.');
+      if (dotIdx > 0) existingExts.add(name.slice(dotIdx + 1));
     }
-    // Build a cache of which extensions exist in the project
-    const existingExts = new Set();
-    const scanExts = (dirPath, depth = 0) => {
-      if (depth > 5) return;
-      try {
-        const entries = fs.readdirSync(dirPath);
-        for (const entry of entries) {
-          if (entry.startsWith('.') && entry !== '.cursor') continue;
-          const fullPath = path.join(dirPath, entry);
-          const stat = fs.statSync(fullPath);
-          if (stat.isDirectory() && entry !== 'node_modules') {
-            scanExts(fullPath, depth + 1);
-          } else if (stat.isFile()) {
-            const dotIdx = entry.lastIndexOf('.');
-            if (dotIdx > 0) existingExts.add(entry.slice(dotIdx + 1));
-          }
-        }
-      } catch {}
-    };
-    scanExts(dir);
 
     for (const file of mdcFiles) {
       const filePath = path.join(rulesDirPath, file);
-      var fileContent;
-      try { fileContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-      const fm = parseFrontmatter(fileContent);
+      if (!touched(filePath)) continue;
+      var fileRule;
+      try { fileRule = readRule(filePath, project); } catch (e) { continue; }
+      const fileContent = fileRule.content;
+      const fm = fileRule.frontmatter;
       if (fm.data && fm.data.globs) {
         const globs = parseGlobs(fm.data.globs);
         const unmatchedGlobs = [];
@@ -1956,9 +2141,11 @@ async function lintProject(dir) {
           results.push({
             file: filePath,
             issues: [{
+              id: 'globs-match-nothing',
               severity: 'info',
               verboseOnly: true,
               message: `No matching files for globs: ${unmatchedGlobs.join(', ')}`,
+              ...createLocator(fileContent).key('globs'),
               hint: 'None of this rule\'s glob patterns match existing files. Verify the patterns or remove the rule if unused.',
             }],
           });
@@ -1967,9 +2154,11 @@ async function lintProject(dir) {
           results.push({
             file: filePath,
             issues: [{
+              id: 'globs-match-nothing',
               severity: 'info',
               verboseOnly: true,
               message: `Glob${unmatchedGlobs.length > 1 ? 's' : ''} match no files: ${unmatchedGlobs.join(', ')}`,
+              ...createLocator(fileContent).glob(unmatchedGlobs[0]),
               hint: 'These glob patterns match zero existing files. Verify they\'re correct or remove them.',
             }],
           });
@@ -1979,55 +2168,80 @@ async function lintProject(dir) {
   }
 
   // 40. Excessive alwaysApply rules (project-level)
-  if (fs.existsSync(rulesDirPath) && fs.statSync(rulesDirPath).isDirectory()) {
-    let mdcFiles;
-    try {
-      mdcFiles = fs.readdirSync(rulesDirPath).filter(f => f.endsWith('.mdc'));
-    } catch (e) {
-      if (e.code === 'EACCES') {
-        mdcFiles = [];
-      } else {
-        throw e;
-      }
-    }
+  for (const ruleDir of ruleDirs) {
+    const rulesDirPath = ruleDir.dir;
+    const mdcFiles = ruleDir.files;
+    const owner = ruleDir.package ? `Package ${ruleDir.package}` : 'Project';
     let alwaysApplyCount = 0;
     for (const file of mdcFiles) {
       const filePath = path.join(rulesDirPath, file);
-      var fileContent;
-      try { fileContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-      const fm = parseFrontmatter(fileContent);
+      var fileRule;
+      try { fileRule = readRule(filePath, project); } catch (e) { continue; }
+      const fm = fileRule.frontmatter;
       if (fm.data && fm.data.alwaysApply === true) {
         alwaysApplyCount++;
       }
     }
-    if (alwaysApplyCount > 5) {
+    if (alwaysApplyCount > checkOptions(config, 'too-many-always-apply').maxRules && touchedAny(mdcFiles.map(f => path.join(rulesDirPath, f)))) {
       results.push({
         file: rulesDirPath,
         issues: [{
+          id: 'too-many-always-apply',
           severity: 'warning',
-          message: `Project has ${alwaysApplyCount} rules with alwaysApply:true`,
+          message: `${owner} has ${alwaysApplyCount} rules with alwaysApply:true`,
           hint: 'Too many global rules waste context tokens on every request. Use globs to scope rules to specific files.',
         }],
       });
     }
   }
 
-  return results;
+  if (cache) cache.save();
+
+  return results.map(r => ({ file: r.file, issues: applyConfig(normalizeIssues(r.issues), config) }));
 }
 
-function parseGlobs(globVal) {
-  if (!globVal) return [];
-  if (typeof globVal === 'string') {
-    // Handle both YAML array syntax and comma-separated
-    const trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      // ["*.ts", "*.tsx"] format
-      return trimmed.slice(1, -1).split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
-    }
-    return trimmed.split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
-  }
-  if (Array.isArray(globVal)) return globVal;
-  return [];
+/**
+ * File paths a rule body mentions, resolved against the project root, with
+ * whether each exists on disk: [{ ref, exists }]. Bodies over 10KB are
+ * skipped to avoid slow regexes on large files.
+ */
+function referencedFiles(filePath, body) {
+  if (body.length > 10000) return [];
+  const refs = [];
+  const projectRoot = path.dirname(path.dirname(filePath));
+  for (const line of body.split('\n')) {
+    // Only lines that look like they contain file references (have a slash)
+    if (!line.includes('/')) continue;
+    const matches = line.match(/[\w.\/-]+\.(ts|js|tsx|jsx|py|go|rs|java|md|json|yml|yaml|toml)\b/g) || [];
+    for (const ref of matches) {
+      if (ref.startsWith('http') || !ref.includes('/')) continue;
+      refs.push({ ref, exists: fs.existsSync(path.join(projectRoot, ref)) });
+    }
+  }
+  return refs;
+}
+
+// lintMdcFile, reusing the cached result while the file content is unchanged.
+async function lintMdcFileCached(filePath, config, cache, project) {
+  const rule = project && project.rule(filePath);
+  // Unreadable files are left to lintMdcFile to report
+  if (!rule) return lintMdcFile(filePath, { config });
+  const content = rule.content;
+  // missing-file-reference reads the disk, so which references exist is part of the key
+  const refs = cache ? referencedFiles(filePath, rule.body).map(r => (r.exists ? '1' : '0') + r.ref).join('\n') : '';
+  const issues = cache ? cache.getFile(filePath, content, refs) : null;
+  if (issues) return { file: filePath, issues };
+  const result = await lintMdcFile(filePath, { config, content });
+  if (cache) cache.setFile(filePath, content, result.issues, refs);
+  return result;
+}
+
+// Rule content and parsed frontmatter, from the project model when there is one
+function readRule(filePath, project) {
+  const rule = project && project.rule(filePath);
+  if (rule) return rule;
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return { content, frontmatter: parseFrontmatter(content) };
 }
 
 function globsOverlap(globsA, globsB) {
@@ -2155,134 +2369,168 @@ function extractSimpleDirectives(content) {
   return directives;
 }
 
-function detectConflicts(dir) {
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  if (!fs.existsSync(rulesDir) || !fs.statSync(rulesDir).isDirectory()) return [];
-
-  let files;
-  try {
-    files = fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc'));
-  } catch (e) {
-    if (e.code === 'EACCES') {
-      return [];
-    }
-    throw e;
-  }
-  if (files.length < 2) return [];
-  // Skip pairwise conflict detection for very large rule sets (O(n²) with regex)
-  if (files.length > 50) return [];
-
+function parseConflictRules(ruleDir, dir, project) {
   const parsed = [];
-  for (const file of files) {
-    const filePath = path.join(rulesDir, file);
-    var conflictContent;
-    try { conflictContent = fs.readFileSync(filePath, 'utf-8'); } catch (e) { continue; }
-    const fm = parseFrontmatter(conflictContent);
+  for (const name of ruleDir.files) {
+    const filePath = path.join(ruleDir.dir, name);
+    var conflictRule;
+    try { conflictRule = readRule(filePath, project); } catch (e) { continue; }
+    const conflictContent = conflictRule.content;
+    const fm = conflictRule.frontmatter;
     const globs = fm.data ? parseGlobs(fm.data.globs) : [];
     const alwaysApply = fm.data && fm.data.alwaysApply;
     const directives = extractSimpleDirectives(conflictContent);
     const body = getBody(conflictContent);
+    // Nested package rules are named by their path from the project root
+    const file = ruleDir.package ? path.relative(dir, filePath).split(path.sep).join('/') : name;
     parsed.push({ file, filePath, globs, alwaysApply, directives, content: conflictContent, body });
   }
+  return parsed;
+}
 
+// Root rules load everywhere; a package's rules load alongside them for files
+// in that package. So root rules are compared with each other, and each
+// package's rules with each other and with the root rules.
+function detectConflicts(dir) {
+  return normalizeIssues(detectConflictsByDir(dir).reduce((all, d) => all.concat(d.issues), []));
+}
+
+// Conflicts grouped by the rules directory they belong to ({ dir, issues }).
+// With `touched`, only pairs where touched(filePath) holds for either rule.
+function detectConflictsByDir(dir, cache, project, touched) {
+  const ruleDirs = (project ? project.ruleDirs : findRuleDirs(dir)).filter(d => !d.error);
+  const rootRules = ruleDirs.length > 0 && ruleDirs[0].package === '' ? parseConflictRules(ruleDirs[0], dir, project) : [];
+  const groups = [];
   const issues = [];
+  findConflictsAmong(rootRules, 0, issues, cache, touched);
+  if (issues.length > 0) groups.push({ dir: path.join(dir, '.cursor', 'rules'), issues });
+  for (const ruleDir of ruleDirs) {
+    if (ruleDir.package === '') continue;
+    const pkgIssues = [];
+    findConflictsAmong(rootRules.concat(parseConflictRules(ruleDir, dir, project)), rootRules.length, pkgIssues, cache, touched);
+    if (pkgIssues.length > 0) groups.push({ dir: ruleDir.dir, issues: pkgIssues });
+  }
+  return groups;
+}
+
+// Pairwise conflicts among `parsed`, skipping pairs where both sit before `firstNew`.
+// Pair results come from `cache` when both rules are unchanged.
+function findConflictsAmong(parsed, firstNew, issues, cache, touched) {
+  if (parsed.length < 2) return;
+  // Skip pairwise conflict detection for very large rule sets (O(n²) with regex)
+  if (parsed.length > 50) return;
 
-  // Check for duplicate alwaysApply rules with overlapping globs
   for (let i = 0; i < parsed.length; i++) {
-    for (let j = i + 1; j < parsed.length; j++) {
+    for (let j = Math.max(i + 1, firstNew); j < parsed.length; j++) {
       const a = parsed[i];
       const b = parsed[j];
-
-      // Check glob overlap
-      const aGlobs = a.alwaysApply && a.globs.length === 0 ? [] : a.globs;
-      const bGlobs = b.alwaysApply && b.globs.length === 0 ? [] : b.globs;
-      const overlap = globsOverlap(aGlobs, bGlobs);
-
-      if (!overlap) continue;
-
-      // Check for contradictory directives
-      for (const dA of a.directives) {
-        for (const dB of b.directives) {
-          if (dA.subject !== dB.subject) continue;
-
-          const contradicts =
-            (dA.type === 'require' && (dB.type === 'forbid' || dB.type === 'avoid')) ||
-            (dA.type === 'forbid' && (dB.type === 'require' || dB.type === 'prefer')) ||
-            (dA.type === 'prefer' && dB.type === 'forbid') ||
-            (dA.type === 'avoid' && dB.type === 'require');
-
-          if (contradicts) {
-            issues.push({
-              severity: 'error',
-              message: `Conflicting rules: ${a.file} says "${dA.type} ${dA.subject}" but ${b.file} says "${dB.type} ${dB.subject}"`,
-              hint: 'Conflicting directives confuse the model. Remove or reconcile one of these rules.',
-            });
-          }
-        }
+      if (touched && !touched(a.filePath) && !touched(b.filePath)) continue;
+      let pairIssues = cache ? cache.getPair(a, b) : null;
+      if (!pairIssues) {
+        pairIssues = conflictsBetween(a, b);
+        if (cache) cache.setPair(a, b, pairIssues);
       }
+      issues.push(...pairIssues);
+    }
+  }
+}
 
-      // NEW: Semantic conflict detection
-      // Check all semantic pairs for contradictions
-      for (const pair of SEMANTIC_PAIRS) {
-        const aMatches = pair.a.test(a.body);
-        const bMatches = pair.b.test(b.body);
-        
-        if (aMatches && bMatches) {
-          // Found semantic contradiction
-          const aMatch = a.body.match(pair.a);
-          const bMatch = b.body.match(pair.b);
-          const aText = aMatch ? aMatch[0] : pair.a.source;
-          const bText = bMatch ? bMatch[0] : pair.b.source;
-          
-          issues.push({
-            severity: 'error',
-            message: `Semantic conflict in ${pair.topic}: ${a.file} says "${aText}" but ${b.file} says "${bText}"`,
-            hint: `Conflicting ${pair.topic} directives confuse the AI model. Choose one approach and apply it consistently.`,
-          });
-        }
-        
-        // Also check reverse (b matches pattern a, a matches pattern b)
-        const aMatchesB = pair.b.test(a.body);
-        const bMatchesA = pair.a.test(b.body);
-        
-        if (aMatchesB && bMatchesA) {
-          const aMatch = a.body.match(pair.b);
-          const bMatch = b.body.match(pair.a);
-          const aText = aMatch ? aMatch[0] : pair.b.source;
-          const bText = bMatch ? bMatch[0] : pair.a.source;
-          
-          // Only report if we haven't already reported this pair
-          const alreadyReported = issues.some(issue => 
-            issue.message.includes(a.file) && 
-            issue.message.includes(b.file) && 
-            issue.message.includes(pair.topic)
-          );
-          
-          if (!alreadyReported) {
-            issues.push({
-              severity: 'error',
-              message: `Semantic conflict in ${pair.topic}: ${a.file} says "${aText}" but ${b.file} says "${bText}"`,
-              hint: `Conflicting ${pair.topic} directives confuse the AI model. Choose one approach and apply it consistently.`,
-            });
-          }
-        }
+// Conflicts between two rules loaded together (a listed before b).
+function conflictsBetween(a, b) {
+  const pairIssues = [];
+
+  // Check glob overlap
+  const aGlobs = a.alwaysApply && a.globs.length === 0 ? [] : a.globs;
+  const bGlobs = b.alwaysApply && b.globs.length === 0 ? [] : b.globs;
+  const overlap = globsOverlap(aGlobs, bGlobs);
+
+  if (!overlap) return pairIssues;
+
+  // Check for contradictory directives
+  for (const dA of a.directives) {
+    for (const dB of b.directives) {
+      if (dA.subject !== dB.subject) continue;
+
+      const contradicts =
+        (dA.type === 'require' && (dB.type === 'forbid' || dB.type === 'avoid')) ||
+        (dA.type === 'forbid' && (dB.type === 'require' || dB.type === 'prefer')) ||
+        (dA.type === 'prefer' && dB.type === 'forbid') ||
+        (dA.type === 'avoid' && dB.type === 'require');
+
+      if (contradicts) {
+        pairIssues.push({
+          id: 'conflicting-rules',
+          severity: 'error',
+          message: `Conflicting rules: ${a.file} says "${dA.type} ${dA.subject}" but ${b.file} says "${dB.type} ${dB.subject}"`,
+          hint: 'Conflicting directives confuse the model. Remove or reconcile one of these rules.',
+        });
       }
+    }
+  }
 
-      // Check for duplicate glob coverage (both alwaysApply targeting same files)
-      if (a.alwaysApply && b.alwaysApply && a.globs.length > 0 && b.globs.length > 0) {
-        const sharedGlobs = a.globs.filter(g => b.globs.includes(g));
-        if (sharedGlobs.length > 0) {
-          issues.push({
-            severity: 'warning',
-            message: `Overlapping globs: ${a.file} and ${b.file} both target ${sharedGlobs.join(', ')}`,
-            hint: 'Multiple rules targeting the same files may cause unpredictable behavior. Consider merging them.',
-          });
-        }
+  // NEW: Semantic conflict detection
+  // Check all semantic pairs for contradictions
+  for (const pair of SEMANTIC_PAIRS) {
+    const aMatches = pair.a.test(a.body);
+    const bMatches = pair.b.test(b.body);
+    
+    if (aMatches && bMatches) {
+      // Found semantic contradiction
+      const aMatch = a.body.match(pair.a);
+      const bMatch = b.body.match(pair.b);
+      const aText = aMatch ? aMatch[0] : pair.a.source;
+      const bText = bMatch ? bMatch[0] : pair.b.source;
+      
+      pairIssues.push({
+        id: 'semantic-conflict',
+        severity: 'error',
+        message: `Semantic conflict in ${pair.topic}: ${a.file} says "${aText}" but ${b.file} says "${bText}"`,
+        hint: `Conflicting ${pair.topic} directives confuse the AI model. Choose one approach and apply it consistently.`,
+      });
+    }
+    
+    // Also check reverse (b matches pattern a, a matches pattern b)
+    const aMatchesB = pair.b.test(a.body);
+    const bMatchesA = pair.a.test(b.body);
+    
+    if (aMatchesB && bMatchesA) {
+      const aMatch = a.body.match(pair.b);
+      const bMatch = b.body.match(pair.a);
+      const aText = aMatch ? aMatch[0] : pair.b.source;
+      const bText = bMatch ? bMatch[0] : pair.a.source;
+      
+      // Only report if we haven't already reported this pair
+      const alreadyReported = pairIssues.some(issue => 
+        issue.message.includes(a.file) && 
+        issue.message.includes(b.file) && 
+        issue.message.includes(pair.topic)
+      );
+      
+      if (!alreadyReported) {
+        pairIssues.push({
+          id: 'semantic-conflict',
+          severity: 'error',
+          message: `Semantic conflict in ${pair.topic}: ${a.file} says "${aText}" but ${b.file} says "${bText}"`,
+          hint: `Conflicting ${pair.topic} directives confuse the AI model. Choose one approach and apply it consistently.`,
+        });
       }
     }
   }
 
-  return issues;
+  // Check for duplicate glob coverage (both alwaysApply targeting same files)
+  if (a.alwaysApply && b.alwaysApply && a.globs.length > 0 && b.globs.length > 0) {
+    const sharedGlobs = a.globs.filter(g => b.globs.includes(g));
+    if (sharedGlobs.length > 0) {
+      pairIssues.push({
+        id: 'overlapping-globs',
+        severity: 'warning',
+        message: `Overlapping globs: ${a.file} and ${b.file} both target ${sharedGlobs.join(', ')}`,
+        hint: 'Multiple rules targeting the same files may cause unpredictable behavior. Consider merging them.',
+      });
+    }
+  }
+
+  return pairIssues;
 }
 
 module.exports = { lintProject, lintMdcFile, lintCursorrules, detectConflicts, parseFrontmatter };
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { loadProject } = require('./project');
 
 /**
  * Initialize a Cursor project with smart stack detection and rule generation
@@ -10,7 +11,8 @@ const path = require('path');
 async function initProject(projectPath, options = {}) {
   const { dryRun = false, force = false } = options;
   
-  const detected = detectStack(projectPath);
+  const project = options.project || loadProject(projectPath, options);
+  const detected = stackFlags(project.stack, project.files);
   const created = [];
   const skipped = [];
   const warnings = [];
@@ -215,256 +217,40 @@ async function initProject(projectPath, options = {}) {
   };
 }
 
-/**
- * Detect tech stack from project files
- */
-function detectStack(projectPath) {
-  const detected = {
-    languages: {
-      typescript: false,
-      javascript: false,
-      python: false,
-      go: false,
-      rust: false,
-      java: false,
-      ruby: false,
-      php: false,
-      csharp: false,
-      swift: false,
-      kotlin: false,
-    },
-    frameworks: {
-      react: false,
-      nextjs: false,
-      vue: false,
-      angular: false,
-      svelte: false,
-      express: false,
-      fastify: false,
-      django: false,
-      flask: false,
-      rails: false,
-      spring: false,
-    },
-    testing: {
-      hasTests: false,
-      jest: false,
-      vitest: false,
-      pytest: false,
-      gotest: false,
-      cargotest: false,
-    },
-    buildTools: {
-      webpack: false,
-      vite: false,
-      turbo: false,
-      nx: false,
-    },
-    configs: {
-      eslint: false,
-      prettier: false,
-      tsconfig: false,
-    },
-    git: false,
-  };
-
-  // Check for git
-  if (fs.existsSync(path.join(projectPath, '.git'))) {
-    detected.git = true;
-  }
-
-  // Check config files
-  if (fs.existsSync(path.join(projectPath, 'tsconfig.json'))) {
-    detected.configs.tsconfig = true;
-    detected.languages.typescript = true;
-  }
-
-  if (fs.existsSync(path.join(projectPath, '.eslintrc')) ||
-      fs.existsSync(path.join(projectPath, '.eslintrc.js')) ||
-      fs.existsSync(path.join(projectPath, '.eslintrc.json'))) {
-    detected.configs.eslint = true;
-  }
-
-  if (fs.existsSync(path.join(projectPath, '.prettierrc')) ||
-      fs.existsSync(path.join(projectPath, '.prettierrc.js')) ||
-      fs.existsSync(path.join(projectPath, '.prettierrc.json'))) {
-    detected.configs.prettier = true;
-  }
-
-  // Rust
-  if (fs.existsSync(path.join(projectPath, 'Cargo.toml'))) {
-    detected.languages.rust = true;
-    detected.testing.cargotest = true;
-    detected.testing.hasTests = true;
-  }
-
-  // Go
-  if (fs.existsSync(path.join(projectPath, 'go.mod'))) {
-    detected.languages.go = true;
-    detected.testing.gotest = true;
-    detected.testing.hasTests = true;
-  }
-
-  // Ruby/Rails
-  if (fs.existsSync(path.join(projectPath, 'Gemfile'))) {
-    detected.languages.ruby = true;
-  }
-
-  // Java
-  if (fs.existsSync(path.join(projectPath, 'pom.xml')) ||
-      fs.existsSync(path.join(projectPath, 'build.gradle'))) {
-    detected.languages.java = true;
-  }
-
-  // Python
-  if (fs.existsSync(path.join(projectPath, 'requirements.txt')) ||
-      fs.existsSync(path.join(projectPath, 'pyproject.toml')) ||
-      fs.existsSync(path.join(projectPath, 'setup.py'))) {
-    detected.languages.python = true;
-  }
-
-  // Check package.json for Node/JS projects
-  const pkgPath = path.join(projectPath, 'package.json');
-  if (fs.existsSync(pkgPath)) {
-    detected.languages.javascript = true;
-    try {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
-      const allDeps = { ...pkg.dependencies, ...pkg.devDependencies };
-
-      // Frameworks
-      if (allDeps.react || allDeps['react-dom']) detected.frameworks.react = true;
-      if (allDeps.next) {
-        detected.frameworks.nextjs = true;
-        detected.frameworks.react = true;
-      }
-      if (allDeps.vue) detected.frameworks.vue = true;
-      if (allDeps['@angular/core']) detected.frameworks.angular = true;
-      if (allDeps.svelte) detected.frameworks.svelte = true;
-      if (allDeps.express) detected.frameworks.express = true;
-      if (allDeps.fastify) detected.frameworks.fastify = true;
-
-      // Testing
-      if (allDeps.jest) {
-        detected.testing.jest = true;
-        detected.testing.hasTests = true;
-      }
-      if (allDeps.vitest) {
-        detected.testing.vitest = true;
-        detected.testing.hasTests = true;
-      }
-
-      // Build tools
-      if (allDeps.webpack) detected.buildTools.webpack = true;
-      if (allDeps.vite) detected.buildTools.vite = true;
-      if (allDeps.turbo) detected.buildTools.turbo = true;
-      if (allDeps.nx) detected.buildTools.nx = true;
-
-      // TypeScript
-      if (allDeps.typescript || allDeps['@types/node']) {
-        detected.languages.typescript = true;
-      }
-    } catch (e) {
-      // Invalid package.json, skip
-    }
-  }
-
-  // Scan for file extensions (sample first 100 files to avoid perf issues)
-  try {
-    const sampleFiles = walkDir(projectPath, 100);
-    
-    sampleFiles.forEach(file => {
-      const ext = path.extname(file);
-      if (ext === '.ts' || ext === '.tsx') detected.languages.typescript = true;
-      if (ext === '.js' || ext === '.jsx') detected.languages.javascript = true;
-      if (ext === '.py') detected.languages.python = true;
-      if (ext === '.go') detected.languages.go = true;
-      if (ext === '.rs') detected.languages.rust = true;
-      if (ext === '.java') detected.languages.java = true;
-      if (ext === '.rb') detected.languages.ruby = true;
-      if (ext === '.php') detected.languages.php = true;
-      if (ext === '.cs') detected.languages.csharp = true;
-      if (ext === '.swift') detected.languages.swift = true;
-      if (ext === '.kt') detected.languages.kotlin = true;
-    });
-  } catch (e) {
-    // Ignore scan errors
-  }
-
-  // Python frameworks (check imports in requirements or pyproject)
-  if (detected.languages.python) {
-    const reqPath = path.join(projectPath, 'requirements.txt');
-    const pyprojectPath = path.join(projectPath, 'pyproject.toml');
-    
-    let pythonDeps = '';
-    if (fs.existsSync(reqPath)) {
-      pythonDeps += fs.readFileSync(reqPath, 'utf-8');
-    }
-    if (fs.existsSync(pyprojectPath)) {
-      pythonDeps += fs.readFileSync(pyprojectPath, 'utf-8');
-    }
-
-    if (pythonDeps.includes('django')) detected.frameworks.django = true;
-    if (pythonDeps.includes('flask')) detected.frameworks.flask = true;
-    if (pythonDeps.includes('pytest')) {
-      detected.testing.pytest = true;
-      detected.testing.hasTests = true;
-    }
-  }
-
-  // Ruby frameworks
-  if (detected.languages.ruby) {
-    const gemfilePath = path.join(projectPath, 'Gemfile');
-    if (fs.existsSync(gemfilePath)) {
-      const gemfile = fs.readFileSync(gemfilePath, 'utf-8');
-      if (gemfile.includes('rails')) detected.frameworks.rails = true;
-    }
-  }
-
-  // Java frameworks
-  if (detected.languages.java) {
-    const pomPath = path.join(projectPath, 'pom.xml');
-    if (fs.existsSync(pomPath)) {
-      const pom = fs.readFileSync(pomPath, 'utf-8');
-      if (pom.includes('spring')) detected.frameworks.spring = true;
-    }
-  }
-
-  return detected;
-}
+// Source file extensions → language IDs
+const EXT_LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python', '.go': 'go', '.rs': 'rust', '.java': 'java', '.rb': 'ruby',
+  '.php': 'php', '.cs': 'csharp', '.swift': 'swift', '.kt': 'kotlin',
+};
 
 /**
- * Walk directory and collect file paths (limited for performance)
+ * Stack flags for rule generation, from the shared stack detection plus the
+ * languages of the first 100 project files
  */
-function walkDir(dir, limit = 100) {
-  const files = [];
-  const ignoreDirs = ['node_modules', '.git', 'dist', 'build', 'target', 'vendor', '.venv', 'venv'];
-  
-  function walk(currentDir) {
-    if (files.length >= limit) return;
-    
-    try {
-      const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        if (files.length >= limit) return;
-        
-        const fullPath = path.join(currentDir, entry.name);
-        
-        if (entry.isDirectory()) {
-          if (!ignoreDirs.includes(entry.name)) {
-            walk(fullPath);
-          }
-        } else {
-          files.push(fullPath);
-        }
-      }
-    } catch (e) {
-      // Skip directories we can't read
-    }
-  }
-  
-  walk(dir);
-  return files;
+function stackFlags(stack, files) {
+  const fileLanguages = new Set((files || []).slice(0, 100).map(f => EXT_LANGUAGES[path.extname(f)]).filter(Boolean));
+  const has = (id) => stack.ids.includes(id) || fileLanguages.has(id);
+  const flags = (ids) => {
+    const result = {};
+    for (const key of Object.keys(ids)) result[key] = has(ids[key]);
+    return result;
+  };
+  const testing = flags({ jest: 'jest', vitest: 'vitest', pytest: 'pytest', gotest: 'gotest', cargotest: 'cargotest' });
+  return {
+    languages: flags({
+      typescript: 'typescript', javascript: 'javascript', python: 'python', go: 'go', rust: 'rust',
+      java: 'java', ruby: 'ruby', php: 'php', csharp: 'csharp', swift: 'swift', kotlin: 'kotlin',
+    }),
+    frameworks: flags({
+      react: 'react', nextjs: 'nextjs', vue: 'vue', angular: 'angular', svelte: 'svelte', express: 'express',
+      fastify: 'fastify', django: 'django', flask: 'flask', rails: 'rails', spring: 'spring',
+    }),
+    testing: Object.assign({ hasTests: Object.keys(testing).some(k => testing[k]) }, testing),
+    buildTools: flags({ webpack: 'webpack', vite: 'vite', turbo: 'turbo', nx: 'nx' }),
+    configs: flags({ eslint: 'eslint', prettier: 'prettier', tsconfig: 'tsconfig' }),
+    git: has('git'),
+  };
 }
 
 /**
@@ -919,4 +705,4 @@ globs: ["**/*.md", "**/*.mdx"]
 `;
 }
 
-module.exports = { initProject, detectStack };
+module.exports = { initProject, stackFlags };
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * JUnit XML output (`--format=junit`) for CI systems that show test reports
+ * (GitLab, Jenkins). Every linted file is a test case; each issue in it is a
+ * <failure> whose type is the check ID and whose text carries the location,
+ * hint, docs link and fingerprint.
+ */
+
+const { issueFingerprints } = require('./checks');
+const { relativePath } = require('./formatters/paths');
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function failure(issue, fingerprint) {
+  let where = '';
+  if (issue.line) where = ' (line ' + issue.line + (issue.column ? ', column ' + issue.column : '') + ')';
+  const text = [issue.severity + ': ' + issue.message + where];
+  if (issue.hint) text.push(issue.hint);
+  if (issue.docsUrl) text.push('Docs: ' + issue.docsUrl);
+  text.push('Fingerprint: ' + fingerprint);
+  return '      <failure type="' + escapeXml(issue.id) + '" message="' + escapeXml(issue.message) + '">' +
+    escapeXml(text.join('\n')) + '</failure>';
+}
+
+/**
+ * JUnit report for lintProject results. `options.name` names the suite
+ * (defaults to "cursor-doctor").
+ */
+function toJunit(dir, results, options) {
+  const name = (options && options.name) || 'cursor-doctor';
+  const cases = [];
+  let failed = 0;
+
+  for (const r of results) {
+    const file = relativePath(dir, r.file);
+    const open = '    <testcase classname="' + escapeXml(name) + '" name="' + escapeXml(file) + '" file="' + escapeXml(file) + '"';
+    if (r.issues.length === 0) {
+      cases.push(open + ' />');
+      continue;
+    }
+    failed++;
+    const fingerprints = issueFingerprints(file, r.issues);
+    cases.push(open + '>');
+    r.issues.forEach((issue, i) => cases.push(failure(issue, fingerprints[i])));
+    cases.push('    </testcase>');
+  }
+
+  const counts = 'tests="' + results.length + '" failures="' + failed + '" errors="0"';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites name="' + escapeXml(name) + '" ' + counts + '>',
+    '  <testsuite name="' + escapeXml(name) + '" ' + counts + '>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+  ].join('\n');
+}
+
+module.exports = { toJunit };
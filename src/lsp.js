@@ -7,10 +7,13 @@
  */
 
 const { lintMdcFile } = require('./index');
+const { loadConfig } = require('./config');
+const { explainCheck, explainMarkdown } = require('./explain');
 
 class CursorDoctorLSP {
   constructor() {
     this.documents = new Map(); // uri -> { version, content }
+    this.diagnostics = new Map(); // uri -> { config, diagnostics } from the last lint, for hover
     this.initialized = false;
     
     this.buffer = '';
@@ -109,6 +112,10 @@ class CursorDoctorLSP {
         this.handleCodeAction(id, params);
         break;
       
+      case 'textDocument/hover':
+        this.handleHover(id, params);
+        break;
+      
       case 'shutdown':
         this.send({ id, result: null });
         break;
@@ -137,6 +144,7 @@ class CursorDoctorLSP {
           codeActionProvider: {
             codeActionKinds: ['quickfix'],
           },
+          hoverProvider: true,
         },
         serverInfo: {
           name: 'cursor-doctor-lsp',
@@ -183,6 +191,7 @@ class CursorDoctorLSP {
   handleDidClose(params) {
     const { textDocument } = params;
     this.documents.delete(textDocument.uri);
+    this.diagnostics.delete(textDocument.uri);
   }
 
   handleCodeAction(id, params) {
@@ -191,40 +200,68 @@ class CursorDoctorLSP {
     this.send({ id, result: [] });
   }
 
+  // Explain the checks behind the diagnostics under the cursor
+  handleHover(id, params) {
+    const { textDocument, position } = params;
+    const last = this.diagnostics.get(textDocument.uri);
+    const before = (a, b) => a.line < b.line || (a.line === b.line && a.character <= b.character);
+    const hits = last ? last.diagnostics.filter(d => before(d.range.start, position) && before(position, d.range.end)) : [];
+    const sections = [];
+    const seen = new Set();
+    for (const d of hits) {
+      if (seen.has(d.code)) continue;
+      seen.add(d.code);
+      const entry = explainCheck(d.code, last.config);
+      if (entry) sections.push(explainMarkdown(entry));
+    }
+    if (sections.length === 0) {
+      this.send({ id, result: null });
+      return;
+    }
+    this.send({
+      id,
+      result: {
+        contents: { kind: 'markdown', value: sections.join('\n\n---\n\n') },
+        range: hits[0].range,
+      },
+    });
+  }
+
   async publishDiagnostics(uri, content) {
     try {
-      // Write content to temp file for linting
-      const fs = require('fs');
       const path = require('path');
-      const os = require('os');
-      
-      const tmpFile = path.join(os.tmpdir(), `cursor-doctor-${Date.now()}.mdc`);
-      fs.writeFileSync(tmpFile, content, 'utf-8');
       
-      const result = await lintMdcFile(tmpFile);
+      // Lint the unsaved buffer under the document's own path so the project
+      // config and plugin checks see where the rule actually lives
+      let filePath = path.join(process.cwd(), 'untitled.mdc');
+      if (uri.startsWith('file:')) filePath = require('url').fileURLToPath(uri);
+      const config = loadConfig(path.dirname(filePath));
       
-      // Clean up temp file
-      fs.unlinkSync(tmpFile);
+      const result = await lintMdcFile(filePath, { config, content });
       
       const diagnostics = result.issues.map(issue => {
         const severity = issue.severity === 'error' ? 1 : 
                         issue.severity === 'warning' ? 2 : 3;
         
-        // Try to find the line if available
+        // Issue positions are 1-based; LSP positions are 0-based
         const line = issue.line ? issue.line - 1 : 0;
+        const endLine = issue.endLine ? issue.endLine - 1 : line;
         
         return {
           range: {
-            start: { line, character: 0 },
-            end: { line, character: 1000 }, // End of line
+            start: { line, character: issue.column ? issue.column - 1 : 0 },
+            end: { line: endLine, character: issue.endColumn ? issue.endColumn - 1 : 1000 },
           },
           severity,
           source: 'cursor-doctor',
-          message: issue.message,
-          code: issue.hint || undefined,
+          message: issue.hint ? issue.message + '\n' + issue.hint : issue.message,
+          code: issue.id,
+          codeDescription: issue.docsUrl ? { href: issue.docsUrl } : undefined,
         };
       });
       
+      this.diagnostics.set(uri, { config, diagnostics });
+      
       this.send({
         method: 'textDocument/publishDiagnostics',
         params: {
@@ -3,8 +3,11 @@
  * FREE: Syntax errors, missing fields, schema validation, hook conflicts
  */
 
-const fs = require('fs');
 const path = require('path');
+const { normalizeIssues } = require('./checks');
+const { loadConfig, applyConfig } = require('./config');
+const { loadProject } = require('./project');
+const { createLocator, locateIssues } = require('./positions');
 
 // Known MCP config file patterns
 var MCP_FILE_PATTERNS = [
@@ -19,55 +22,50 @@ var VALID_TOP_LEVEL = ['mcpServers'];
 // Known transport types
 var VALID_TYPES = ['stdio', 'sse', 'streamable-http'];
 
-function findMcpFiles(dir) {
+// MCP config files in `dir`; `project` is the project model, loaded when omitted
+function findMcpFiles(dir, project) {
+  project = project || loadProject(dir);
   var found = [];
 
   for (var i = 0; i < MCP_FILE_PATTERNS.length; i++) {
-    var filePath = path.join(dir, MCP_FILE_PATTERNS[i]);
-    if (fs.existsSync(filePath)) {
-      found.push({ pattern: MCP_FILE_PATTERNS[i], path: filePath });
+    if (project.exists(MCP_FILE_PATTERNS[i])) {
+      found.push({ pattern: MCP_FILE_PATTERNS[i], path: path.join(project.root, MCP_FILE_PATTERNS[i]) });
     }
   }
 
   // Also check for *.mcp.json in project root
-  try {
-    var rootFiles = fs.readdirSync(dir);
-    for (var i = 0; i < rootFiles.length; i++) {
-      if (rootFiles[i].endsWith('.mcp.json') && rootFiles[i] !== '.mcp.json' && rootFiles[i] !== 'mcp.json') {
-        var filePath = path.join(dir, rootFiles[i]);
-        var alreadyFound = found.some(function(f) { return f.path === filePath; });
-        if (!alreadyFound) {
-          found.push({ pattern: rootFiles[i], path: filePath });
-        }
-      }
+  var rootFiles = project.list('');
+  for (var i = 0; i < rootFiles.length; i++) {
+    if (rootFiles[i].endsWith('.mcp.json') && rootFiles[i] !== '.mcp.json' && rootFiles[i] !== 'mcp.json') {
+      found.push({ pattern: rootFiles[i], path: path.join(project.root, rootFiles[i]) });
     }
-  } catch (e) { /* ignore */ }
+  }
 
   return found;
 }
 
-function lintMcpFile(filePath, pattern) {
+function lintMcpFile(project, pattern) {
   var issues = [];
-  var content;
   var parsed;
 
-  try {
-    content = fs.readFileSync(filePath, 'utf-8');
-  } catch (e) {
-    issues.push({ severity: 'error', message: 'Cannot read file: ' + e.message });
+  var content = project.read(pattern);
+  if (content === null) {
+    issues.push({ id: 'file-unreadable', severity: 'error', message: 'Cannot read file: ' + pattern, line: 1, column: 1, endLine: 1, endColumn: 1 });
     return { file: pattern, exists: true, issues: issues, servers: [] };
   }
 
   var size = Buffer.byteLength(content, 'utf-8');
+  var loc = createLocator(content);
 
   // Empty file
   if (content.trim() === '') {
     issues.push({
+      id: 'mcp-empty-file',
       severity: 'error',
       message: 'MCP config file is empty',
       hint: 'Add { "mcpServers": { } } or remove the file',
     });
-    return { file: pattern, exists: true, size: size, issues: issues, servers: [] };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: [] };
   }
 
   // JSON parse
@@ -79,31 +77,36 @@ function lintMcpFile(filePath, pattern) {
     var posMatch = parseMsg.match(/position (\d+)/);
     if (posMatch) {
       var pos = parseInt(posMatch[1]);
+      var errorRange = loc.range(pos, pos + 1);
       var before = content.substring(Math.max(0, pos - 20), pos);
       var after = content.substring(pos, pos + 20);
       issues.push({
+        id: 'mcp-json-syntax',
+        ...errorRange,
         severity: 'error',
         message: 'JSON syntax error: ' + parseMsg,
         hint: 'Near: ...' + before + ' >>> HERE >>> ' + after + '...',
       });
     } else {
       issues.push({
+        id: 'mcp-json-syntax',
         severity: 'error',
         message: 'JSON syntax error: ' + parseMsg,
         hint: 'Validate JSON at jsonlint.com',
       });
     }
-    return { file: pattern, exists: true, size: size, issues: issues, servers: [] };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: [] };
   }
 
   // Must be an object
   if (typeof parsed !== 'object' || Array.isArray(parsed)) {
     issues.push({
+      id: 'mcp-not-object',
       severity: 'error',
       message: 'MCP config must be a JSON object, got ' + (Array.isArray(parsed) ? 'array' : typeof parsed),
       hint: 'Expected: { "mcpServers": { ... } }',
     });
-    return { file: pattern, exists: true, size: size, issues: issues, servers: [] };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: [] };
   }
 
   // Check top-level keys
@@ -111,6 +114,8 @@ function lintMcpFile(filePath, pattern) {
   for (var i = 0; i < topKeys.length; i++) {
     if (VALID_TOP_LEVEL.indexOf(topKeys[i]) === -1) {
       issues.push({
+        id: 'mcp-unknown-top-level-key',
+        ...loc.json([topKeys[i]]),
         severity: 'warning',
         message: 'Unknown top-level key "' + topKeys[i] + '"',
         hint: 'Expected: "mcpServers". Did you mean to nest this under mcpServers?',
@@ -121,19 +126,22 @@ function lintMcpFile(filePath, pattern) {
   // Must have mcpServers
   if (!parsed.mcpServers) {
     issues.push({
+      id: 'mcp-missing-servers',
       severity: 'error',
       message: 'Missing "mcpServers" key',
       hint: 'MCP config should have: { "mcpServers": { "server-name": { "command": "..." } } }',
     });
-    return { file: pattern, exists: true, size: size, issues: issues, servers: [] };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: [] };
   }
 
   if (typeof parsed.mcpServers !== 'object' || Array.isArray(parsed.mcpServers)) {
     issues.push({
+      id: 'mcp-servers-not-object',
+      ...loc.json(['mcpServers']),
       severity: 'error',
       message: '"mcpServers" must be an object, got ' + (Array.isArray(parsed.mcpServers) ? 'array' : typeof parsed.mcpServers),
     });
-    return { file: pattern, exists: true, size: size, issues: issues, servers: [] };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: [] };
   }
 
   var serverNames = Object.keys(parsed.mcpServers);
@@ -141,11 +149,13 @@ function lintMcpFile(filePath, pattern) {
 
   if (serverNames.length === 0) {
     issues.push({
+      id: 'mcp-no-servers',
+      ...loc.json(['mcpServers']),
       severity: 'info',
       message: 'No MCP servers configured',
       hint: 'Add server entries to "mcpServers" or remove the file',
     });
-    return { file: pattern, exists: true, size: size, issues: issues, servers: servers };
+    return { file: pattern, exists: true, size: size, issues: locateIssues(issues, loc), servers: servers };
   }
 
   // Validate each server
@@ -156,6 +166,8 @@ function lintMcpFile(filePath, pattern) {
 
     if (typeof server !== 'object' || Array.isArray(server) || server === null) {
       issues.push({
+        id: 'mcp-server-not-object',
+        ...loc.json(['mcpServers', name]),
         severity: 'error',
         message: 'Server "' + name + '": must be an object',
       });
@@ -168,6 +180,8 @@ function lintMcpFile(filePath, pattern) {
     for (var j = 0; j < serverKeys.length; j++) {
       if (VALID_SERVER_FIELDS.indexOf(serverKeys[j]) === -1) {
         issues.push({
+          id: 'mcp-unknown-server-field',
+          ...loc.json(['mcpServers', name, serverKeys[j]]),
           severity: 'warning',
           message: 'Server "' + name + '": unknown field "' + serverKeys[j] + '"',
           hint: 'Valid fields: ' + VALID_SERVER_FIELDS.join(', '),
@@ -181,6 +195,8 @@ function lintMcpFile(filePath, pattern) {
 
     if (!hasCommand && !hasUrl) {
       issues.push({
+        id: 'mcp-missing-command-or-url',
+        ...loc.json(['mcpServers', name]),
         severity: 'error',
         message: 'Server "' + name + '": missing "command" or "url"',
         hint: 'stdio servers need "command", SSE/HTTP servers need "url"',
@@ -191,11 +207,15 @@ function lintMcpFile(filePath, pattern) {
     if (hasCommand) {
       if (typeof server.command !== 'string') {
         issues.push({
+          id: 'mcp-invalid-command',
+          ...loc.json(['mcpServers', name, 'command'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "command" must be a string',
         });
       } else if (server.command.trim() === '') {
         issues.push({
+          id: 'mcp-invalid-command',
+          ...loc.json(['mcpServers', name, 'command'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "command" is empty',
         });
@@ -206,6 +226,8 @@ function lintMcpFile(filePath, pattern) {
             /\bcurl\b.*\|\s*(ba)?sh\b/.test(cmd) || /\bwget\b.*\|\s*(ba)?sh\b/.test(cmd) ||
             /\beval\s*\(/.test(cmd) || />\s*\/dev\//.test(cmd)) {
           issues.push({
+            id: 'mcp-dangerous-command',
+            ...loc.json(['mcpServers', name, 'command'], 'value'),
             severity: 'warning',
             message: 'Server "' + name + '": command contains a potentially dangerous pattern',
             hint: 'Verify this command is safe: ' + server.command,
@@ -218,11 +240,15 @@ function lintMcpFile(filePath, pattern) {
     if (hasUrl) {
       if (typeof server.url !== 'string') {
         issues.push({
+          id: 'mcp-invalid-url',
+          ...loc.json(['mcpServers', name, 'url'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "url" must be a string',
         });
       } else if (!server.url.match(/^https?:\/\//)) {
         issues.push({
+          id: 'mcp-url-scheme',
+          ...loc.json(['mcpServers', name, 'url'], 'value'),
           severity: 'warning',
           message: 'Server "' + name + '": URL doesn\'t start with http:// or https://',
           hint: 'SSE/HTTP endpoints typically need a full URL',
@@ -234,6 +260,8 @@ function lintMcpFile(filePath, pattern) {
     if (server.args !== undefined) {
       if (!Array.isArray(server.args)) {
         issues.push({
+          id: 'mcp-invalid-args',
+          ...loc.json(['mcpServers', name, 'args'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "args" must be an array',
           hint: 'Use: "args": ["--flag", "value"]',
@@ -242,6 +270,8 @@ function lintMcpFile(filePath, pattern) {
         for (var j = 0; j < server.args.length; j++) {
           if (typeof server.args[j] !== 'string') {
             issues.push({
+              id: 'mcp-arg-not-string',
+              ...loc.json(['mcpServers', name, 'args', String(j)], 'value'),
               severity: 'warning',
               message: 'Server "' + name + '": args[' + j + '] is not a string',
             });
@@ -254,6 +284,8 @@ function lintMcpFile(filePath, pattern) {
     if (server.env !== undefined) {
       if (typeof server.env !== 'object' || Array.isArray(server.env) || server.env === null) {
         issues.push({
+          id: 'mcp-invalid-env',
+          ...loc.json(['mcpServers', name, 'env'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "env" must be an object',
           hint: 'Use: "env": { "KEY": "value" }',
@@ -264,6 +296,8 @@ function lintMcpFile(filePath, pattern) {
           var envVal = server.env[envKeys[j]];
           if (typeof envVal !== 'string') {
             issues.push({
+              id: 'mcp-env-not-string',
+              ...loc.json(['mcpServers', name, 'env', envKeys[j]], 'value'),
               severity: 'warning',
               message: 'Server "' + name + '": env.' + envKeys[j] + ' is not a string',
             });
@@ -271,6 +305,8 @@ function lintMcpFile(filePath, pattern) {
           // Check for placeholder values
           if (typeof envVal === 'string' && (envVal === '' || envVal.match(/^(YOUR_|REPLACE_|TODO|xxx|placeholder)/i))) {
             issues.push({
+              id: 'mcp-env-placeholder',
+              ...loc.json(['mcpServers', name, 'env', envKeys[j]], 'value'),
               severity: 'warning',
               message: 'Server "' + name + '": env.' + envKeys[j] + ' looks like a placeholder',
               hint: 'Set actual value or use environment variable interpolation',
@@ -279,6 +315,8 @@ function lintMcpFile(filePath, pattern) {
           // Check for leaked secrets in config
           if (typeof envVal === 'string' && envVal.length > 20 && envVal.match(/^(sk-|ghp_|ghu_|glpat-|xox[bpsr]-|AKIA)/)) {
             issues.push({
+              id: 'mcp-hardcoded-secret',
+              ...loc.json(['mcpServers', name, 'env', envKeys[j]], 'value'),
               severity: 'error',
               message: 'Server "' + name + '": env.' + envKeys[j] + ' appears to contain a hardcoded secret',
               hint: 'Use environment variables instead of hardcoding API keys in config files',
@@ -292,11 +330,15 @@ function lintMcpFile(filePath, pattern) {
     if (server.type !== undefined) {
       if (typeof server.type !== 'string') {
         issues.push({
+          id: 'mcp-invalid-type',
+          ...loc.json(['mcpServers', name, 'type'], 'value'),
           severity: 'error',
           message: 'Server "' + name + '": "type" must be a string',
         });
       } else if (VALID_TYPES.indexOf(server.type) === -1) {
         issues.push({
+          id: 'mcp-unknown-type',
+          ...loc.json(['mcpServers', name, 'type'], 'value'),
           severity: 'warning',
           message: 'Server "' + name + '": unknown type "' + server.type + '"',
           hint: 'Known types: ' + VALID_TYPES.join(', '),
@@ -307,6 +349,8 @@ function lintMcpFile(filePath, pattern) {
       if (server.type === 'sse' || server.type === 'streamable-http') {
         if (!hasUrl) {
           issues.push({
+            id: 'mcp-type-requires-url',
+            ...loc.json(['mcpServers', name, 'type'], 'value'),
             severity: 'error',
             message: 'Server "' + name + '": type "' + server.type + '" requires "url"',
           });
@@ -317,6 +361,8 @@ function lintMcpFile(filePath, pattern) {
     // Validate disabled
     if (server.disabled !== undefined && typeof server.disabled !== 'boolean') {
       issues.push({
+        id: 'mcp-disabled-not-boolean',
+        ...loc.json(['mcpServers', name, 'disabled'], 'value'),
         severity: 'warning',
         message: 'Server "' + name + '": "disabled" should be boolean (true/false)',
       });
@@ -325,6 +371,8 @@ function lintMcpFile(filePath, pattern) {
     // Check for common naming issues
     if (name.match(/\s/)) {
       issues.push({
+        id: 'mcp-server-name-spaces',
+        ...loc.json(['mcpServers', name]),
         severity: 'warning',
         message: 'Server name "' + name + '" contains spaces',
         hint: 'Use kebab-case or camelCase for server names',
@@ -342,6 +390,8 @@ function lintMcpFile(filePath, pattern) {
       var commonLaunchers = ['npx', 'node', 'python', 'python3', 'uvx', 'bunx', 'deno'];
       if (commandMap[cmd] && commonLaunchers.indexOf(cmd) === -1) {
         issues.push({
+          id: 'mcp-duplicate-command',
+          ...loc.json(['mcpServers', serverNames[i], 'command'], 'value'),
           severity: 'info',
           message: 'Servers "' + commandMap[cmd] + '" and "' + serverNames[i] + '" use the same command: ' + cmd,
           hint: 'This may be intentional (different args) or a duplicate',
@@ -356,22 +406,22 @@ function lintMcpFile(filePath, pattern) {
     file: pattern,
     exists: true,
     size: size,
-    issues: issues,
+    issues: locateIssues(issues, loc),
     servers: servers,
     serverCount: serverNames.length,
   };
 }
 
 // Check for conflicts between MCP servers and Cursor hooks
-function checkHookConflicts(dir, mcpResults) {
+function checkHookConflicts(project, mcpResults) {
   var conflicts = [];
-  var hooksPath = path.join(dir, '.cursor', 'hooks.json');
+  var hooksText = project.read(path.join('.cursor', 'hooks.json'));
 
-  if (!fs.existsSync(hooksPath)) return conflicts;
+  if (hooksText === null) return conflicts;
 
   var hooksContent;
   try {
-    hooksContent = JSON.parse(fs.readFileSync(hooksPath, 'utf-8'));
+    hooksContent = JSON.parse(hooksText);
   } catch (e) {
     return conflicts;
   }
@@ -402,6 +452,7 @@ function checkHookConflicts(dir, mcpResults) {
       var hookCmd = hookCommands[j].command;
       if (hookCmd.match(/mcp|model.context.protocol/i)) {
         conflicts.push({
+          id: 'mcp-hook-reference',
           severity: 'info',
           message: 'Hook "' + hookCommands[j].type + '" references MCP — ensure no circular invocations with MCP servers',
         });
@@ -420,6 +471,7 @@ function checkMultipleConfigs(mcpResults) {
   if (existing.length > 1) {
     var fileNames = existing.map(function(r) { return r.file; }).join(', ');
     issues.push({
+      id: 'mcp-multiple-configs',
       severity: 'warning',
       message: 'Multiple MCP config files found: ' + fileNames,
       hint: 'Cursor uses .cursor/mcp.json — other files may be for different tools',
@@ -429,22 +481,32 @@ function checkMultipleConfigs(mcpResults) {
   return issues;
 }
 
-function lintMcpConfigs(dir) {
-  var mcpFiles = findMcpFiles(dir);
+/**
+ * Lint the project's MCP config files. `options.config` and `options.project`
+ * (the shared project model) are loaded when omitted.
+ */
+function lintMcpConfigs(dir, options) {
+  var config = (options && options.config) || loadConfig(dir);
+  var project = (options && options.project) || loadProject(dir, { config: config });
+  var mcpFiles = findMcpFiles(dir, project);
   var results = [];
 
   for (var i = 0; i < mcpFiles.length; i++) {
-    results.push(lintMcpFile(mcpFiles[i].path, mcpFiles[i].pattern));
+    results.push(lintMcpFile(project, mcpFiles[i].pattern));
   }
 
   // Check for multi-file issues
   var multiIssues = checkMultipleConfigs(results);
-  var hookConflicts = checkHookConflicts(dir, results);
+  var hookConflicts = checkHookConflicts(project, results);
+
+  for (var i = 0; i < results.length; i++) {
+    results[i].issues = applyConfig(normalizeIssues(results[i].issues), config);
+  }
 
   return {
     files: results,
-    multiIssues: multiIssues,
-    hookConflicts: hookConflicts,
+    multiIssues: applyConfig(normalizeIssues(multiIssues), config),
+    hookConflicts: applyConfig(normalizeIssues(hookConflicts), config),
     totalFiles: mcpFiles.length,
   };
 }
@@ -8,6 +8,7 @@ const readline = require('readline');
 const { lintProject, lintMdcFile } = require('./index');
 const { doctor } = require('./doctor');
 const { autoFix } = require('./autofix');
+const { verifyProject } = require('./verify');
 const { isLicensed } = require('./license');
 
 // JSON-RPC 2.0 message handler
@@ -68,6 +69,20 @@ const TOOLS = [
       required: ['path'],
     },
   },
+  {
+    name: 'verify_rules',
+    description: 'Check the codebase against the verify: blocks in Cursor rules (pattern, antipattern, required, forbidden). Returns violations with file and line.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Project directory path containing .cursor/rules/',
+        },
+      },
+      required: ['path'],
+    },
+  },
   {
     name: 'fix_rules',
     description: 'Auto-fix common issues in Cursor AI rules (requires Pro license, $9 one-time)',
@@ -166,6 +181,16 @@ async function executeTool(name, args) {
         };
       }
       
+      case 'verify_rules': {
+        const projectPath = validatePath(args);
+        const result = await verifyProject(projectPath);
+        const s = result.stats;
+        return {
+          summary: `${s.rulesWithVerify} rule(s) with verify: blocks. ${s.totalViolations} violation(s) in ${s.filesWithViolations} file(s).`,
+          violations: result.violations,
+        };
+      }
+      
       case 'fix_rules': {
         const projectPath = validatePath(args);
         if (!isLicensed()) {
@@ -1,27 +1,13 @@
-const fs = require('fs');
-const { parseFrontmatter } = require('./frontmatter');
-const path = require('path');
-
-
-function parseGlobs(globVal) {
-  if (!globVal) return [];
-  if (Array.isArray(globVal)) return globVal;
-  if (typeof globVal === 'string') {
-    var trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      return trimmed.slice(1, -1).split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-    }
-    return trimmed.split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-  }
-  return [];
-}
+const { loadProject } = require('./project');
 
 function estimateTokens(text) {
   // Rough estimate: ~4 chars per token for English text
   return Math.ceil(text.length / 4);
 }
 
-function showLoadOrder(dir) {
+// Uses `options.project` when given
+function showLoadOrder(dir, options) {
+  const project = (options && options.project) || loadProject(dir);
   const results = {
     hasCursorrules: false,
     rules: [],
@@ -29,10 +15,9 @@ function showLoadOrder(dir) {
   };
 
   // Check for .cursorrules
-  const cursorrules = path.join(dir, '.cursorrules');
-  if (fs.existsSync(cursorrules)) {
+  const content = project.read('.cursorrules');
+  if (content !== null) {
     results.hasCursorrules = true;
-    const content = fs.readFileSync(cursorrules, 'utf-8');
     const lines = content.split('\n').length;
     results.rules.push({
       file: '.cursorrules',
@@ -43,59 +28,45 @@ function showLoadOrder(dir) {
       lines,
       tokens: estimateTokens(content),
       priority: 0, // lowest priority — overridden by .mdc
+      package: '',
     });
   }
 
-  // Check .cursor/rules/*.mdc
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(rulesDir) && fs.statSync(rulesDir).isDirectory()) {
-    const files = fs.readdirSync(rulesDir).filter(f => f.endsWith('.mdc')).sort();
-
-    for (const file of files) {
-      const filePath = path.join(rulesDir, file);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const fm = parseFrontmatter(content);
-      const lines = content.split('\n').length;
-      const tokens = estimateTokens(content);
-
-      if (!fm.found || !fm.data) {
-        results.rules.push({
-          file,
-          tier: 'manual',
-          globs: [],
-          description: '(no frontmatter)',
-          alwaysApply: false,
-          lines,
-          tokens,
-        });
-        results.warnings.push(`${file}: Missing frontmatter — rule may not load at all`);
-        continue;
-      }
-
-      const globs = parseGlobs(fm.data.globs);
-      const alwaysApply = fm.data.alwaysApply === true;
-      const description = fm.data.description || '';
-
-      let tier;
-      if (alwaysApply) {
-        tier = 'always';
-      } else if (globs.length > 0) {
-        tier = 'glob';
-      } else {
-        tier = 'manual';
-        results.warnings.push(`${file}: No alwaysApply and no globs — this rule may never activate in agent mode`);
-      }
+  // Check .cursor/rules/**/*.mdc, including nested package rule directories
+  for (const rule of project.rules) {
+    const file = rule.label;
+    const lines = rule.content.split('\n').length;
+    const tokens = estimateTokens(rule.content);
 
+    if (!rule.frontmatter.found || !rule.frontmatter.data) {
       results.rules.push({
         file,
-        tier,
-        globs,
-        description,
-        alwaysApply,
+        tier: 'manual',
+        globs: [],
+        description: '(no frontmatter)',
+        alwaysApply: false,
         lines,
         tokens,
+        package: rule.package,
       });
+      results.warnings.push(`${file}: Missing frontmatter — rule may not load at all`);
+      continue;
+    }
+
+    if (rule.tier === 'manual') {
+      results.warnings.push(`${file}: No alwaysApply and no globs — this rule may never activate in agent mode`);
     }
+
+    results.rules.push({
+      file,
+      tier: rule.tier,
+      globs: rule.globs,
+      description: rule.frontmatter.data.description || '',
+      alwaysApply: rule.alwaysApply,
+      lines,
+      tokens,
+      package: rule.package,
+    });
   }
 
   // Sort within tiers: always first, then glob, then manual
@@ -2,24 +2,12 @@ const fs = require('fs');
 const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
 const { execSync } = require('child_process');
+const { parseGlobs } = require('./project');
+const { matchGlob } = require('./which');
 
 var ACTIVITY_FILE = 'rule-activity.json';
 var HISTORY_DIR = '.doctor-history';
 
-
-function parseGlobs(globVal) {
-  if (!globVal) return [];
-  if (typeof globVal === 'string') {
-    var trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      return trimmed.slice(1, -1).split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-    }
-    return trimmed.split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-  }
-  if (Array.isArray(globVal)) return globVal;
-  return [];
-}
-
 function estimateTokens(text) {
   return Math.ceil(text.length / 4);
 }
@@ -102,48 +90,9 @@ function getFilesystemActivity(dir) {
   return files;
 }
 
-// Simple glob matching (supports *.ext, **/*.ext, dir/*.ext)
+// Rule glob matching shared with `which` and `pr-context`
 function globMatch(pattern, filePath) {
-  // Normalize
-  pattern = pattern.replace(/\\/g, '/');
-  filePath = filePath.replace(/\\/g, '/');
-  
-  // Brace expansion FIRST: *.{ts,tsx} or **/*.{ts,tsx}
-  var braceMatch = pattern.match(/\*\.\{([^}]+)\}/);
-  if (braceMatch) {
-    var exts = braceMatch[1].split(',').map(function(e) { return e.trim(); });
-    for (var i = 0; i < exts.length; i++) {
-      if (filePath.endsWith('.' + exts[i])) return true;
-    }
-    return false;
-  }
-  
-  // *.ext — matches any file with that extension
-  if (pattern.startsWith('*.')) {
-    var ext = pattern.slice(1); // .ext
-    return filePath.endsWith(ext);
-  }
-  
-  // **/*.ext — matches any file at any depth with that extension
-  if (pattern.startsWith('**/')) {
-    var rest = pattern.slice(3);
-    if (rest.startsWith('*.')) {
-      var ext = rest.slice(1);
-      return filePath.endsWith(ext);
-    }
-    return filePath.includes(rest) || filePath.endsWith(rest);
-  }
-  
-  // dir/*.ext — matches files in specific directory
-  if (pattern.includes('/') && pattern.includes('*')) {
-    var parts = pattern.split('*');
-    if (parts.length === 2) {
-      return filePath.startsWith(parts[0]) && filePath.endsWith(parts[1]);
-    }
-  }
-  
-  // Exact match
-  return filePath === pattern || filePath.endsWith('/' + pattern);
+  return matchGlob(filePath.replace(/\\/g, '/'), String(pattern));
 }
 
 // Match files against rule globs
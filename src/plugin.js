@@ -1,6 +1,8 @@
-const fs = require('fs');
 const { parseFrontmatter: _parseFM } = require("./frontmatter");
 const path = require('path');
+const { normalizeIssues } = require('./checks');
+const { loadConfig, applyConfig } = require('./config');
+const { loadProject } = require('./project');
 
 // Regex patterns from Cursor's official validator
 const PLUGIN_NAME_PATTERN = /^[a-z0-9](?:[a-z0-9.-]*[a-z0-9])?$/;
@@ -53,6 +55,13 @@ function parseFrontmatter(content) {
   return result.data;
 }
 
+// Helper: File content from the project model; throws like readFileSync when unreadable
+function readText(project, rel) {
+  const content = project.read(rel);
+  if (content === null) throw new Error('cannot read ' + rel.split(path.sep).join('/'));
+  return content;
+}
+
 // Helper: Extract path values from manifest fields
 function extractPathValues(value) {
   if (typeof value === 'string') return [value];
@@ -68,8 +77,8 @@ function extractPathValues(value) {
   return [];
 }
 
-// Helper: Walk directory tree and collect files
-async function walkFiles(dirPath) {
+// Helper: Walk a directory (relative to the plugin root) and collect relative file paths
+async function walkFiles(project, dirPath) {
   const files = [];
   const ignoreDirs = new Set(['node_modules', '.git', '.next', 'dist', 'build', '__pycache__', '.venv', 'venv', '.turbo', 'coverage']);
   const stack = [{ path: dirPath, depth: 0 }];
@@ -77,19 +86,17 @@ async function walkFiles(dirPath) {
   while (stack.length > 0) {
     const { path: current, depth } = stack.pop();
     if (depth > 5) continue; // Don't recurse too deep
-    try {
-      const entries = fs.readdirSync(current, { withFileTypes: true });
-      for (const entry of entries) {
-        if (ignoreDirs.has(entry.name)) continue;
-        const entryPath = path.join(current, entry.name);
-        if (entry.isDirectory()) {
-          stack.push({ path: entryPath, depth: depth + 1 });
-        } else if (entry.isFile()) {
-          files.push(entryPath);
-        }
+    // Unreadable directories list as empty
+    for (const name of project.list(current)) {
+      const isDir = name.endsWith('/');
+      const entryName = isDir ? name.slice(0, -1) : name;
+      if (ignoreDirs.has(entryName)) continue;
+      const entryPath = path.join(current, entryName);
+      if (isDir) {
+        stack.push({ path: entryPath, depth: depth + 1 });
+      } else {
+        files.push(entryPath);
       }
-    } catch (e) {
-      // Skip directories we can't read
     }
   }
   
@@ -97,14 +104,14 @@ async function walkFiles(dirPath) {
 }
 
 // Validate manifest (plugin.json)
-async function validateManifest(pluginDir) {
+async function validateManifest(project) {
   const issues = [];
-  const manifestPath = path.join(pluginDir, '.cursor-plugin', 'plugin.json');
+  const manifestPath = path.join('.cursor-plugin', 'plugin.json');
   
-  if (!fs.existsSync(manifestPath)) {
+  if (!project.exists(manifestPath)) {
     issues.push({
       severity: 'error',
-      code: 'MANIFEST_MISSING',
+      id: 'plugin-manifest-missing',
       message: 'Missing .cursor-plugin/plugin.json manifest file',
     });
     return issues;
@@ -112,12 +119,11 @@ async function validateManifest(pluginDir) {
   
   let manifest;
   try {
-    const content = fs.readFileSync(manifestPath, 'utf8');
-    manifest = JSON.parse(content);
+    manifest = JSON.parse(readText(project, manifestPath));
   } catch (e) {
     issues.push({
       severity: 'error',
-      code: 'MANIFEST_INVALID_JSON',
+      id: 'plugin-manifest-invalid-json',
       message: `Invalid JSON in plugin.json: ${e.message}`,
     });
     return issues;
@@ -127,13 +133,13 @@ async function validateManifest(pluginDir) {
   if (!manifest.name) {
     issues.push({
       severity: 'error',
-      code: 'MANIFEST_NAME_REQUIRED',
+      id: 'plugin-manifest-name-required',
       message: 'plugin.json must have a "name" field',
     });
   } else if (!PLUGIN_NAME_PATTERN.test(manifest.name)) {
     issues.push({
       severity: 'error',
-      code: 'MANIFEST_NAME_INVALID',
+      id: 'plugin-manifest-name-invalid',
       message: `Plugin name "${manifest.name}" must be lowercase, use alphanumerics, hyphens, and periods, and start/end with alphanumeric`,
     });
   }
@@ -142,7 +148,7 @@ async function validateManifest(pluginDir) {
   if (manifest.version && !SEMVER_PATTERN.test(manifest.version)) {
     issues.push({
       severity: 'error',
-      code: 'MANIFEST_VERSION_INVALID',
+      id: 'plugin-manifest-version-invalid',
       message: `Version "${manifest.version}" is not valid semver`,
     });
   }
@@ -152,7 +158,7 @@ async function validateManifest(pluginDir) {
     if (typeof manifest.author !== 'object' || !manifest.author.name) {
       issues.push({
         severity: 'error',
-        code: 'MANIFEST_AUTHOR_INVALID',
+        id: 'plugin-manifest-author-invalid',
         message: 'author field must be an object with a "name" property',
       });
     }
@@ -173,17 +179,16 @@ async function validateManifest(pluginDir) {
       if (!isSafeRelativePath(pathValue)) {
         issues.push({
           severity: 'error',
-          code: 'MANIFEST_PATH_UNSAFE',
+          id: 'plugin-manifest-path-unsafe',
           message: `Field "${field}" has unsafe path "${pathValue}" (must be relative, no "..")`,
         });
         continue;
       }
       
-      const resolved = path.resolve(pluginDir, pathValue);
-      if (!fs.existsSync(resolved)) {
+      if (!project.exists(pathValue)) {
         issues.push({
           severity: 'error',
-          code: 'MANIFEST_PATH_MISSING',
+          id: 'plugin-manifest-path-missing',
           message: `Field "${field}" references missing path "${pathValue}"`,
         });
       }
@@ -194,191 +199,175 @@ async function validateManifest(pluginDir) {
 }
 
 // Validate component frontmatter
-async function validateComponentFrontmatter(pluginDir) {
+async function validateComponentFrontmatter(project) {
   const results = [];
   
   // Rules: .mdc/.md files in rules/ must have description
-  const rulesDir = path.join(pluginDir, 'rules');
-  if (fs.existsSync(rulesDir) && fs.statSync(rulesDir).isDirectory()) {
-    const files = await walkFiles(rulesDir);
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (ext === '.md' || ext === '.mdc' || ext === '.markdown') {
-        const issues = [];
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const fm = parseFrontmatter(content);
-          
-          if (!fm) {
-            issues.push({
-              severity: 'error',
-              code: 'RULE_MISSING_FRONTMATTER',
-              message: 'Rule file missing YAML frontmatter',
-            });
-          } else if (!fm.description) {
-            issues.push({
-              severity: 'error',
-              code: 'RULE_MISSING_DESCRIPTION',
-              message: 'Rule frontmatter missing "description" field',
-            });
-          }
-        } catch (e) {
+  for (const file of await walkFiles(project, 'rules')) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.md' || ext === '.mdc' || ext === '.markdown') {
+      const issues = [];
+      try {
+        const content = readText(project, file);
+        const fm = parseFrontmatter(content);
+        
+        if (!fm) {
           issues.push({
             severity: 'error',
-            code: 'RULE_READ_ERROR',
-            message: `Failed to read rule file: ${e.message}`,
+            id: 'plugin-rule-missing-frontmatter',
+            message: 'Rule file missing YAML frontmatter',
+          });
+        } else if (!fm.description) {
+          issues.push({
+            severity: 'error',
+            id: 'plugin-rule-missing-description',
+            message: 'Rule frontmatter missing "description" field',
           });
         }
-        
-        if (issues.length > 0) {
-          results.push({ file: path.relative(pluginDir, file), issues });
-        }
+      } catch (e) {
+        issues.push({
+          severity: 'error',
+          id: 'plugin-rule-read-error',
+          message: `Failed to read rule file: ${e.message}`,
+        });
+      }
+      
+      if (issues.length > 0) {
+        results.push({ file, issues });
       }
     }
   }
   
   // Skills: SKILL.md files must have name and description
-  const skillsDir = path.join(pluginDir, 'skills');
-  if (fs.existsSync(skillsDir) && fs.statSync(skillsDir).isDirectory()) {
-    const files = await walkFiles(skillsDir);
-    for (const file of files) {
-      if (path.basename(file) === 'SKILL.md') {
-        const issues = [];
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const fm = parseFrontmatter(content);
-          
-          if (!fm) {
+  for (const file of await walkFiles(project, 'skills')) {
+    if (path.basename(file) === 'SKILL.md') {
+      const issues = [];
+      try {
+        const content = readText(project, file);
+        const fm = parseFrontmatter(content);
+        
+        if (!fm) {
+          issues.push({
+            severity: 'error',
+            id: 'plugin-skill-missing-frontmatter',
+            message: 'Skill file missing YAML frontmatter',
+          });
+        } else {
+          if (!fm.name) {
             issues.push({
               severity: 'error',
-              code: 'SKILL_MISSING_FRONTMATTER',
-              message: 'Skill file missing YAML frontmatter',
+              id: 'plugin-skill-missing-name',
+              message: 'Skill frontmatter missing "name" field',
+            });
+          }
+          if (!fm.description) {
+            issues.push({
+              severity: 'error',
+              id: 'plugin-skill-missing-description',
+              message: 'Skill frontmatter missing "description" field',
             });
-          } else {
-            if (!fm.name) {
-              issues.push({
-                severity: 'error',
-                code: 'SKILL_MISSING_NAME',
-                message: 'Skill frontmatter missing "name" field',
-              });
-            }
-            if (!fm.description) {
-              issues.push({
-                severity: 'error',
-                code: 'SKILL_MISSING_DESCRIPTION',
-                message: 'Skill frontmatter missing "description" field',
-              });
-            }
           }
-        } catch (e) {
-          issues.push({
-            severity: 'error',
-            code: 'SKILL_READ_ERROR',
-            message: `Failed to read skill file: ${e.message}`,
-          });
-        }
-        
-        if (issues.length > 0) {
-          results.push({ file: path.relative(pluginDir, file), issues });
         }
+      } catch (e) {
+        issues.push({
+          severity: 'error',
+          id: 'plugin-skill-read-error',
+          message: `Failed to read skill file: ${e.message}`,
+        });
+      }
+      
+      if (issues.length > 0) {
+        results.push({ file, issues });
       }
     }
   }
   
   // Agents: .md files must have name and description
-  const agentsDir = path.join(pluginDir, 'agents');
-  if (fs.existsSync(agentsDir) && fs.statSync(agentsDir).isDirectory()) {
-    const files = await walkFiles(agentsDir);
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (ext === '.md' || ext === '.mdc' || ext === '.markdown') {
-        const issues = [];
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const fm = parseFrontmatter(content);
-          
-          if (!fm) {
+  for (const file of await walkFiles(project, 'agents')) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.md' || ext === '.mdc' || ext === '.markdown') {
+      const issues = [];
+      try {
+        const content = readText(project, file);
+        const fm = parseFrontmatter(content);
+        
+        if (!fm) {
+          issues.push({
+            severity: 'error',
+            id: 'plugin-agent-missing-frontmatter',
+            message: 'Agent file missing YAML frontmatter',
+          });
+        } else {
+          if (!fm.name) {
             issues.push({
               severity: 'error',
-              code: 'AGENT_MISSING_FRONTMATTER',
-              message: 'Agent file missing YAML frontmatter',
+              id: 'plugin-agent-missing-name',
+              message: 'Agent frontmatter missing "name" field',
+            });
+          }
+          if (!fm.description) {
+            issues.push({
+              severity: 'error',
+              id: 'plugin-agent-missing-description',
+              message: 'Agent frontmatter missing "description" field',
             });
-          } else {
-            if (!fm.name) {
-              issues.push({
-                severity: 'error',
-                code: 'AGENT_MISSING_NAME',
-                message: 'Agent frontmatter missing "name" field',
-              });
-            }
-            if (!fm.description) {
-              issues.push({
-                severity: 'error',
-                code: 'AGENT_MISSING_DESCRIPTION',
-                message: 'Agent frontmatter missing "description" field',
-              });
-            }
           }
-        } catch (e) {
-          issues.push({
-            severity: 'error',
-            code: 'AGENT_READ_ERROR',
-            message: `Failed to read agent file: ${e.message}`,
-          });
-        }
-        
-        if (issues.length > 0) {
-          results.push({ file: path.relative(pluginDir, file), issues });
         }
+      } catch (e) {
+        issues.push({
+          severity: 'error',
+          id: 'plugin-agent-read-error',
+          message: `Failed to read agent file: ${e.message}`,
+        });
+      }
+      
+      if (issues.length > 0) {
+        results.push({ file, issues });
       }
     }
   }
   
   // Commands: .md/.txt files must have name and description
-  const commandsDir = path.join(pluginDir, 'commands');
-  if (fs.existsSync(commandsDir) && fs.statSync(commandsDir).isDirectory()) {
-    const files = await walkFiles(commandsDir);
-    for (const file of files) {
-      const ext = path.extname(file).toLowerCase();
-      if (ext === '.md' || ext === '.mdc' || ext === '.markdown' || ext === '.txt') {
-        const issues = [];
-        try {
-          const content = fs.readFileSync(file, 'utf8');
-          const fm = parseFrontmatter(content);
-          
-          if (!fm) {
+  for (const file of await walkFiles(project, 'commands')) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.md' || ext === '.mdc' || ext === '.markdown' || ext === '.txt') {
+      const issues = [];
+      try {
+        const content = readText(project, file);
+        const fm = parseFrontmatter(content);
+        
+        if (!fm) {
+          issues.push({
+            severity: 'error',
+            id: 'plugin-command-missing-frontmatter',
+            message: 'Command file missing YAML frontmatter',
+          });
+        } else {
+          if (!fm.name) {
             issues.push({
               severity: 'error',
-              code: 'COMMAND_MISSING_FRONTMATTER',
-              message: 'Command file missing YAML frontmatter',
+              id: 'plugin-command-missing-name',
+              message: 'Command frontmatter missing "name" field',
+            });
+          }
+          if (!fm.description) {
+            issues.push({
+              severity: 'error',
+              id: 'plugin-command-missing-description',
+              message: 'Command frontmatter missing "description" field',
             });
-          } else {
-            if (!fm.name) {
-              issues.push({
-                severity: 'error',
-                code: 'COMMAND_MISSING_NAME',
-                message: 'Command frontmatter missing "name" field',
-              });
-            }
-            if (!fm.description) {
-              issues.push({
-                severity: 'error',
-                code: 'COMMAND_MISSING_DESCRIPTION',
-                message: 'Command frontmatter missing "description" field',
-              });
-            }
           }
-        } catch (e) {
-          issues.push({
-            severity: 'error',
-            code: 'COMMAND_READ_ERROR',
-            message: `Failed to read command file: ${e.message}`,
-          });
-        }
-        
-        if (issues.length > 0) {
-          results.push({ file: path.relative(pluginDir, file), issues });
         }
+      } catch (e) {
+        issues.push({
+          severity: 'error',
+          id: 'plugin-command-read-error',
+          message: `Failed to read command file: ${e.message}`,
+        });
+      }
+      
+      if (issues.length > 0) {
+        results.push({ file, issues });
       }
     }
   }
@@ -387,23 +376,22 @@ async function validateComponentFrontmatter(pluginDir) {
 }
 
 // Validate hooks configuration
-function validateHooks(pluginDir) {
+function validateHooks(project) {
   const issues = [];
-  const hooksPath = path.join(pluginDir, 'hooks', 'hooks.json');
+  const hooksPath = path.join('hooks', 'hooks.json');
   
-  if (!fs.existsSync(hooksPath)) {
+  if (!project.exists(hooksPath)) {
     // Hooks are optional, so just return empty
     return issues;
   }
   
   let hooks;
   try {
-    const content = fs.readFileSync(hooksPath, 'utf8');
-    hooks = JSON.parse(content);
+    hooks = JSON.parse(readText(project, hooksPath));
   } catch (e) {
     issues.push({
       severity: 'error',
-      code: 'HOOKS_INVALID_JSON',
+      id: 'plugin-hooks-invalid-json',
       message: `Invalid JSON in hooks/hooks.json: ${e.message}`,
     });
     return issues;
@@ -415,7 +403,7 @@ function validateHooks(pluginDir) {
       if (!VALID_HOOK_EVENTS.has(eventName)) {
         issues.push({
           severity: 'error',
-          code: 'HOOKS_INVALID_EVENT',
+          id: 'plugin-hooks-invalid-event',
           message: `Invalid hook event name: "${eventName}"`,
           hint: `Valid events: ${Array.from(VALID_HOOK_EVENTS).join(', ')}`,
         });
@@ -427,23 +415,22 @@ function validateHooks(pluginDir) {
 }
 
 // Validate MCP configuration
-function validateMCP(pluginDir) {
+function validateMCP(project) {
   const issues = [];
-  const mcpPath = path.join(pluginDir, '.mcp.json');
+  const mcpPath = '.mcp.json';
   
-  if (!fs.existsSync(mcpPath)) {
+  if (!project.exists(mcpPath)) {
     // MCP config is optional
     return issues;
   }
   
   let mcp;
   try {
-    const content = fs.readFileSync(mcpPath, 'utf8');
-    mcp = JSON.parse(content);
+    mcp = JSON.parse(readText(project, mcpPath));
   } catch (e) {
     issues.push({
       severity: 'error',
-      code: 'MCP_INVALID_JSON',
+      id: 'plugin-mcp-invalid-json',
       message: `Invalid JSON in .mcp.json: ${e.message}`,
     });
     return issues;
@@ -457,7 +444,7 @@ function validateMCP(pluginDir) {
       if (!config.command && !config.url) {
         issues.push({
           severity: 'warning',
-          code: 'MCP_SERVER_NO_ENDPOINT',
+          id: 'plugin-mcp-server-no-endpoint',
           message: `MCP server "${serverName}" has neither "command" nor "url" field`,
         });
       }
@@ -468,23 +455,22 @@ function validateMCP(pluginDir) {
 }
 
 // Validate marketplace.json
-function validateMarketplace(pluginDir) {
+function validateMarketplace(project) {
   const issues = [];
-  const marketplacePath = path.join(pluginDir, '.cursor-plugin', 'marketplace.json');
+  const marketplacePath = path.join('.cursor-plugin', 'marketplace.json');
   
-  if (!fs.existsSync(marketplacePath)) {
+  if (!project.exists(marketplacePath)) {
     // Marketplace file is optional
     return issues;
   }
   
   let marketplace;
   try {
-    const content = fs.readFileSync(marketplacePath, 'utf8');
-    marketplace = JSON.parse(content);
+    marketplace = JSON.parse(readText(project, marketplacePath));
   } catch (e) {
     issues.push({
       severity: 'error',
-      code: 'MARKETPLACE_INVALID_JSON',
+      id: 'plugin-marketplace-invalid-json',
       message: `Invalid JSON in marketplace.json: ${e.message}`,
     });
     return issues;
@@ -494,13 +480,13 @@ function validateMarketplace(pluginDir) {
   if (!marketplace.name) {
     issues.push({
       severity: 'error',
-      code: 'MARKETPLACE_NAME_REQUIRED',
+      id: 'plugin-marketplace-name-required',
       message: 'marketplace.json must have a "name" field',
     });
   } else if (!MARKETPLACE_NAME_PATTERN.test(marketplace.name)) {
     issues.push({
       severity: 'error',
-      code: 'MARKETPLACE_NAME_INVALID',
+      id: 'plugin-marketplace-name-invalid',
       message: `Marketplace name "${marketplace.name}" must be lowercase kebab-case (no periods)`,
     });
   }
@@ -509,7 +495,7 @@ function validateMarketplace(pluginDir) {
   if (!marketplace.owner || !marketplace.owner.name) {
     issues.push({
       severity: 'error',
-      code: 'MARKETPLACE_OWNER_REQUIRED',
+      id: 'plugin-marketplace-owner-required',
       message: 'marketplace.json must have "owner.name" field',
     });
   }
@@ -518,7 +504,7 @@ function validateMarketplace(pluginDir) {
   if (!Array.isArray(marketplace.plugins) || marketplace.plugins.length === 0) {
     issues.push({
       severity: 'error',
-      code: 'MARKETPLACE_PLUGINS_REQUIRED',
+      id: 'plugin-marketplace-plugins-required',
       message: 'marketplace.json "plugins" must be a non-empty array',
     });
     return issues;
@@ -530,7 +516,7 @@ function validateMarketplace(pluginDir) {
     if (!plugin || typeof plugin !== 'object') {
       issues.push({
         severity: 'error',
-        code: 'MARKETPLACE_PLUGIN_INVALID',
+        id: 'plugin-marketplace-plugin-invalid',
         message: `Plugin entry ${index} must be an object`,
       });
       continue;
@@ -539,14 +525,14 @@ function validateMarketplace(pluginDir) {
     if (!plugin.name) {
       issues.push({
         severity: 'error',
-        code: 'MARKETPLACE_PLUGIN_NAME_REQUIRED',
+        id: 'plugin-marketplace-plugin-name-required',
         message: `Plugin entry ${index} missing "name" field`,
       });
     } else {
       if (seenNames.has(plugin.name)) {
         issues.push({
           severity: 'error',
-          code: 'MARKETPLACE_PLUGIN_DUPLICATE',
+          id: 'plugin-marketplace-plugin-duplicate',
           message: `Duplicate plugin name in marketplace: "${plugin.name}"`,
         });
       }
@@ -556,13 +542,13 @@ function validateMarketplace(pluginDir) {
     if (!plugin.source) {
       issues.push({
         severity: 'error',
-        code: 'MARKETPLACE_PLUGIN_SOURCE_REQUIRED',
+        id: 'plugin-marketplace-plugin-source-required',
         message: `Plugin "${plugin.name || index}" missing "source" field`,
       });
     } else if (!isSafeRelativePath(plugin.source)) {
       issues.push({
         severity: 'error',
-        code: 'MARKETPLACE_PLUGIN_SOURCE_UNSAFE',
+        id: 'plugin-marketplace-plugin-source-unsafe',
         message: `Plugin "${plugin.name || index}" source path is unsafe (must be relative, no "..")`,
       });
     }
@@ -571,29 +557,29 @@ function validateMarketplace(pluginDir) {
   return issues;
 }
 
-// Main lint function
-async function lintPlugin(dir) {
+// Main lint function. `options.config` and `options.project` (the shared
+// project model) are loaded when omitted.
+async function lintPlugin(dir, options) {
+  const config = (options && options.config) || loadConfig(dir);
+  const project = (options && options.project) || loadProject(dir, { config });
   const results = [];
   
   // Check if this looks like a plugin directory
-  const pluginManifestPath = path.join(dir, '.cursor-plugin', 'plugin.json');
-  const marketplaceManifestPath = path.join(dir, '.cursor-plugin', 'marketplace.json');
-  
-  if (!fs.existsSync(pluginManifestPath) && !fs.existsSync(marketplaceManifestPath)) {
+  if (!project.exists(path.join('.cursor-plugin', 'plugin.json')) && !project.exists(path.join('.cursor-plugin', 'marketplace.json'))) {
     results.push({
       file: dir,
       issues: [{
         severity: 'error',
-        code: 'NOT_A_PLUGIN',
+        id: 'plugin-not-a-plugin',
         message: 'No .cursor-plugin/plugin.json or .cursor-plugin/marketplace.json found',
         hint: 'This does not appear to be a Cursor plugin directory',
       }],
     });
-    return results;
+    return results.map(r => ({ file: r.file, issues: applyConfig(normalizeIssues(r.issues), config) }));
   }
   
   // Validate manifest
-  const manifestIssues = await validateManifest(dir);
+  const manifestIssues = await validateManifest(project);
   if (manifestIssues.length > 0) {
     results.push({
       file: '.cursor-plugin/plugin.json',
@@ -602,11 +588,11 @@ async function lintPlugin(dir) {
   }
   
   // Validate component frontmatter
-  const componentResults = await validateComponentFrontmatter(dir);
+  const componentResults = await validateComponentFrontmatter(project);
   results.push(...componentResults);
   
   // Validate hooks
-  const hooksIssues = validateHooks(dir);
+  const hooksIssues = validateHooks(project);
   if (hooksIssues.length > 0) {
     results.push({
       file: 'hooks/hooks.json',
@@ -615,7 +601,7 @@ async function lintPlugin(dir) {
   }
   
   // Validate MCP config
-  const mcpIssues = validateMCP(dir);
+  const mcpIssues = validateMCP(project);
   if (mcpIssues.length > 0) {
     results.push({
       file: '.mcp.json',
@@ -624,7 +610,7 @@ async function lintPlugin(dir) {
   }
   
   // Validate marketplace manifest if present
-  const marketplaceIssues = validateMarketplace(dir);
+  const marketplaceIssues = validateMarketplace(project);
   if (marketplaceIssues.length > 0) {
     results.push({
       file: '.cursor-plugin/marketplace.json',
@@ -632,7 +618,7 @@ async function lintPlugin(dir) {
     });
   }
   
-  return results;
+  return results.map(r => ({ file: r.file, issues: applyConfig(normalizeIssues(r.issues), config) }));
 }
 
 module.exports = { lintPlugin };
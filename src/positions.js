@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Source locations for lint issues.
+ * Every issue carries line, column, endLine and endColumn (1-based; endColumn
+ * points one past the last character, ESLint-style). Linters build a locator
+ * over the file text and spread its ranges into the issues they push; anything
+ * left unplaced falls back to its line, or to the first line of the file.
+ * Project-level issues reported against a directory carry no range.
+ */
+
+// Build a locator over file content (line endings are normalized to \n).
+function createLocator(content) {
+  content = (content || '').replace(/\r\n?/g, '\n');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const fmMatch = content.match(/^---\n[\s\S]*?\n---\n?/);
+  const bodyStart = fmMatch ? fmMatch[0].length : 0;
+  const fmEnd = fmMatch ? fmMatch[0].replace(/\n$/, '').length : 0;
+
+  function position(offset) {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+  }
+
+  function lineText(n) {
+    const start = lineStarts[n - 1];
+    const next = n < lineStarts.length ? lineStarts[n] - 1 : content.length;
+    return content.slice(start, next);
+  }
+
+  function range(start, end) {
+    const s = position(Math.max(0, Math.min(start, content.length)));
+    const e = position(Math.max(start, Math.min(end, content.length)));
+    return { line: s.line, column: s.column, endLine: e.line, endColumn: e.column };
+  }
+
+  // Whole line n, without leading indentation.
+  function line(n) {
+    if (!n || n < 1 || n > lineStarts.length) return null;
+    const text = lineText(n);
+    const indent = text.length - text.trimStart().length;
+    const start = lineStarts[n - 1];
+    return range(start + (indent === text.length ? 0 : indent), start + text.length);
+  }
+
+  // From column c of line n to the end of that line.
+  function at(n, c) {
+    if (!n || n < 1 || n > lineStarts.length) return null;
+    const text = lineText(n);
+    const start = lineStarts[n - 1];
+    return range(start + Math.min(Math.max((c || 1) - 1, 0), text.length), start + text.length);
+  }
+
+  function search(pattern, from, to) {
+    const haystack = content.slice(from, to);
+    if (pattern instanceof RegExp) {
+      const re = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+      const m = re.exec(haystack);
+      if (!m) return null;
+      return range(from + m.index, from + m.index + m[0].length);
+    }
+    if (!pattern) return null;
+    let idx = haystack.indexOf(pattern);
+    if (idx === -1) idx = haystack.toLowerCase().indexOf(String(pattern).toLowerCase());
+    if (idx === -1) return null;
+    return range(from + idx, from + idx + pattern.length);
+  }
+
+  // Frontmatter "key:" line, from the key to the end of its inline value.
+  function key(name) {
+    if (!fmMatch) return null;
+    const re = new RegExp('^' + name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '\\s*:.*$', 'm');
+    return search(re, 0, fmEnd);
+  }
+
+  // A single glob entry inside the globs value (inline, flow or block list).
+  function glob(pattern) {
+    const keyRange = key('globs');
+    if (!keyRange) return null;
+    const from = lineStarts[keyRange.line - 1];
+    let to = lineStarts[keyRange.line] !== undefined ? lineStarts[keyRange.line] - 1 : fmEnd;
+    for (let n = keyRange.line + 1; n <= lineStarts.length && lineStarts[n - 1] < fmEnd; n++) {
+      if (!/^\s/.test(lineText(n))) break;
+      to = lineStarts[n - 1] + lineText(n).length;
+    }
+    return search(pattern, from + 'globs'.length, to) || keyRange;
+  }
+
+  function frontmatter() {
+    if (!fmMatch) return null;
+    return range(0, fmEnd);
+  }
+
+  // First non-blank line of the body.
+  function body() {
+    const first = position(bodyStart).line;
+    for (let n = first; n <= lineStarts.length; n++) {
+      if (lineText(n).trim()) return line(n);
+    }
+    return null;
+  }
+
+  function file() {
+    return line(1) || range(0, 0);
+  }
+
+  // Range of a JSON member by key path: the key itself, or its value with part 'value'.
+  let jsonSpans = null;
+  function json(keyPath, part) {
+    if (!jsonSpans) jsonSpans = indexJson(content);
+    const span = jsonSpans[keyPath.join('\0')];
+    if (!span) return null;
+    const r = part === 'value' ? span.value : span.key;
+    return range(r[0], r[1]);
+  }
+
+  return {
+    bodyStart,
+    range,
+    line,
+    at,
+    key,
+    glob,
+    frontmatter,
+    body,
+    file,
+    json,
+    // First match anywhere in the file.
+    find: function(pattern) { return search(pattern, 0, content.length); },
+    // First match in the rule body (after frontmatter).
+    inBody: function(pattern) { return search(pattern, bodyStart, content.length); },
+  };
+}
+
+// Offsets of every key and value in a JSON document, keyed by path
+// ('\0'-joined; array items use their index). Best effort on invalid input.
+function indexJson(content) {
+  const spans = {};
+  let i = 0;
+
+  function skipSpace() {
+    while (i < content.length && /\s/.test(content[i])) i++;
+  }
+
+  function readString() {
+    const start = i++;
+    while (i < content.length && content[i] !== '"') {
+      if (content[i] === '\\') i++;
+      i++;
+    }
+    i++;
+    return [start, i];
+  }
+
+  function readValue(keyPath) {
+    skipSpace();
+    const start = i;
+    const c = content[i];
+    if (c === '{') {
+      i++;
+      skipSpace();
+      while (i < content.length && content[i] !== '}') {
+        skipSpace();
+        if (content[i] !== '"') break;
+        const keySpan = readString();
+        const childPath = keyPath.concat(JSON.parse(content.slice(keySpan[0], keySpan[1])));
+        skipSpace();
+        i++; // :
+        const valueSpan = readValue(childPath);
+        spans[childPath.join('\0')] = { key: keySpan, value: valueSpan };
+        skipSpace();
+        if (content[i] === ',') i++;
+      }
+      i++;
+    } else if (c === '[') {
+      i++;
+      skipSpace();
+      let index = 0;
+      while (i < content.length && content[i] !== ']') {
+        const childPath = keyPath.concat(String(index++));
+        const valueSpan = readValue(childPath);
+        spans[childPath.join('\0')] = { key: valueSpan, value: valueSpan };
+        skipSpace();
+        if (content[i] === ',') i++;
+        else if (content[i] !== ']') break;
+      }
+      i++;
+    } else if (c === '"') {
+      readString();
+    } else {
+      while (i < content.length && !/[\s,\]}]/.test(content[i])) i++;
+    }
+    return [start, Math.min(i, content.length)];
+  }
+
+  try {
+    readValue([]);
+  } catch (e) { /* partial index is fine */ }
+  return spans;
+}
+
+// Fill in ranges for issues that didn't set one.
+function locateIssues(issues, loc) {
+  for (const issue of issues) {
+    if (issue.column) continue;
+    const r = (issue.line && loc.line(issue.line)) || loc.file();
+    issue.line = r.line;
+    issue.column = r.column;
+    issue.endLine = r.endLine;
+    issue.endColumn = r.endColumn;
+  }
+  return issues;
+}
+
+module.exports = { createLocator, locateIssues };
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * PR context report for `cursor-doctor pr-context --base=<ref>`: the rules a
+ * change set triggers. Every file changed between the base and head refs is
+ * resolved the way `which` resolves one file; the report aggregates the
+ * rules triggered, the changed files per rule, the token load per file and
+ * the changed files no scoped rule covers, and renders as a PR comment.
+ */
+
+const path = require('path');
+const { loadProject } = require('./project');
+const { changedFiles } = require('./changed');
+const { whichRules } = require('./which');
+
+/**
+ * The report for changes between `options.base` and `options.head` (default
+ * HEAD): { base, head, files, rules, uncovered, worstCase, conflicts,
+ * ruleFilesChanged }. Rules are read from the working tree, so run it with
+ * the head checked out. Rule files themselves are counted, not resolved.
+ */
+function prContext(dir, options) {
+  const base = options && options.base;
+  const head = (options && options.head) || 'HEAD';
+  if (!base) throw new Error('pr-context needs a base ref, e.g. --base=main');
+  const project = (options && options.project) || loadProject(dir);
+
+  const changed = [...changedFiles(project.root, { since: base, head })]
+    .map(f => path.relative(project.root, f).split(path.sep).join('/'))
+    .sort();
+  const isRuleFile = f => /(^|\/)\.cursor\//.test(f) || f === '.cursorrules';
+  const targets = changed.filter(f => !isRuleFile(f));
+  const resolved = whichRules(project.root, targets, { project });
+
+  const rules = new Map();
+  const conflicts = new Map();
+  const files = resolved.files.map(target => {
+    for (const r of target.rules) {
+      if (!rules.has(r.file)) rules.set(r.file, { file: r.file, tier: r.tier, tokens: r.tokens, globs: new Set(), files: [] });
+      const entry = rules.get(r.file);
+      entry.files.push(target.file);
+      if (r.glob) entry.globs.add(r.glob);
+    }
+    for (const c of target.conflicts) {
+      const key = c.a + '\0' + c.b;
+      if (!conflicts.has(key)) conflicts.set(key, { a: c.a, b: c.b, conflicts: c.conflicts, files: [] });
+      conflicts.get(key).files.push(target.file);
+    }
+    return {
+      file: target.file,
+      rules: target.rules.map(r => r.file),
+      tokens: target.tokens,
+      scoped: target.rules.some(r => r.tier === 'glob'),
+    };
+  });
+
+  const worstCase = files.reduce((worst, f) => (!worst || f.tokens > worst.tokens ? { file: f.file, tokens: f.tokens } : worst), null);
+  return {
+    base,
+    head,
+    files,
+    rules: [...rules.values()]
+      .map(r => Object.assign(r, { globs: [...r.globs] }))
+      .sort((a, b) => b.files.length - a.files.length || a.file.localeCompare(b.file)),
+    uncovered: files.filter(f => !f.scoped).map(f => f.file),
+    worstCase,
+    conflicts: [...conflicts.values()],
+    ruleFilesChanged: changed.filter(isRuleFile),
+  };
+}
+
+function code(text) {
+  return '`' + String(text).replace(/`/g, '\'') + '`';
+}
+
+// Inline markdown list of paths, shortened past `limit`
+function pathList(paths, limit) {
+  const shown = paths.slice(0, limit).map(code).join(', ');
+  return paths.length > limit ? shown + ' and ' + (paths.length - limit) + ' more' : shown;
+}
+
+/** The report as markdown for a PR comment. */
+function formatPrContextMarkdown(report) {
+  const lines = ['## Cursor rules for this change', ''];
+  const range = code(report.base + '...' + report.head);
+  if (report.files.length === 0) {
+    lines.push('No changed files outside the rules themselves (' + range + ').');
+  } else {
+    lines.push('**' + report.files.length + '** changed file(s) in ' + range + ' trigger **' + report.rules.length + '** rule(s). ' +
+      'Heaviest load: **' + report.worstCase.tokens + ' tokens** of rules for ' + code(report.worstCase.file) + '.');
+  }
+
+  if (report.rules.length > 0) {
+    lines.push('', '| Rule | Loaded by | Tokens | Changed files |', '|------|-----------|-------:|--------------:|');
+    for (const r of report.rules) {
+      const scope = r.tier === 'always' ? 'always' : r.globs.map(code).join(', ');
+      lines.push('| ' + code(r.file) + ' | ' + scope + ' | ' + r.tokens + ' | ' + r.files.length + ' |');
+    }
+
+    lines.push('', '<details><summary>Rules per changed file</summary>', '', '| File | Rules | Tokens |', '|------|-------|-------:|');
+    for (const f of report.files.slice().sort((a, b) => b.tokens - a.tokens || a.file.localeCompare(b.file))) {
+      lines.push('| ' + code(f.file) + ' | ' + (f.rules.length > 0 ? f.rules.map(code).join(', ') : '—') + ' | ' + f.tokens + ' |');
+    }
+    lines.push('', '</details>');
+  }
+
+  if (report.uncovered.length > 0) {
+    lines.push('', '### Not covered by a scoped rule', '');
+    lines.push('Only always-on rules (if any) load for ' + pathList(report.uncovered, 20) + '.');
+  }
+
+  if (report.conflicts.length > 0) {
+    lines.push('', '### Conflicting rules', '');
+    for (const c of report.conflicts) {
+      lines.push('- ' + code(c.a) + ' vs ' + code(c.b) + ': ' + c.conflicts.join('; ') + ' (' + pathList(c.files, 3) + ')');
+    }
+  }
+
+  if (report.ruleFilesChanged.length > 0) {
+    lines.push('', 'This change also edits ' + report.ruleFilesChanged.length + ' rule file(s); ' +
+      code('npx cursor-doctor diff ' + report.base + '..' + report.head) + ' shows what changed.');
+  }
+
+  lines.push('', '<sub>Generated by [cursor-doctor](https://github.com/nedcodes-ok/cursor-doctor)</sub>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { prContext, formatPrContextMarkdown };
@@ -0,0 +1,343 @@
+'use strict';
+
+/**
+ * ProjectModel — the project as the analyzers see it, read from disk once.
+ * `doctor` and `audit` build one model and hand it to every analyzer as
+ * `options.project`; an analyzer called on its own loads a model for its
+ * directory. Rule files are read and parsed up front. Context files, skills,
+ * manifests, the file tree and the detected stack load on first use.
+ *
+ *   root, config
+ *   ruleDirs          — findRuleDirs() entries
+ *   rules             — findRuleFiles() entries plus content, frontmatter,
+ *                       body, size, globs, alwaysApply, tier, description
+ *   rule(filePath)    — the rule loaded from filePath, or undefined
+ *   contextFiles      — CLAUDE.md, AGENTS.md, .cursorrules, ... at the root
+ *   skills            — SKILL.md files from the skills directories
+ *   read(rel)         — file content relative to root, or null; cached
+ *   exists(rel)       — cached fs.existsSync relative to root
+ *   list(rel)         — cached entry names of a directory relative to root,
+ *                       directories with a trailing '/'; [] when unreadable
+ *   packageJson, deps — parsed package.json and its merged dependencies
+ *   files             — project files as posix paths relative to root
+ *   stack             — detectStack() for this project
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontmatter } = require('./frontmatter');
+const { findRuleDirs, SKIP_DIRS, MAX_DEPTH } = require('./discovery');
+const { loadConfig } = require('./config');
+
+const CONTEXT_FILES = [
+  'AGENTS.md', 'CLAUDE.md', 'COPILOT.md', 'CURSOR.md',
+  'CONTEXT.md', 'RULES.md', 'INSTRUCTIONS.md', 'SYSTEM.md',
+  '.cursorrules', 'CONVENTIONS.md',
+];
+
+const SKILL_DIRS = [
+  path.join('.claude', 'skills'),
+  path.join('.cursor', 'skills'),
+  'skills',
+];
+
+/** A rule's globs: value as a list, from a YAML list or a comma-separated string. */
+function parseGlobs(globVal) {
+  if (!globVal) return [];
+  if (typeof globVal === 'string') {
+    const trimmed = globVal.trim();
+    if (trimmed.startsWith('[')) {
+      return trimmed.slice(1, -1).split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    }
+    return trimmed.split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+  }
+  if (Array.isArray(globVal)) return globVal;
+  return [];
+}
+
+/** Rule content after the frontmatter block (LF or CRLF), or all of it without one. */
+function getBody(content) {
+  const match = content.match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n)?/);
+  if (!match) return content;
+  return content.slice(match[0].length);
+}
+
+function loadRule(entry, content) {
+  const frontmatter = parseFrontmatter(content);
+  const data = frontmatter.found && frontmatter.data ? frontmatter.data : null;
+  const globs = data ? parseGlobs(data.globs) : [];
+  const alwaysApply = !!data && data.alwaysApply === true;
+  return Object.assign({}, entry, {
+    content,
+    frontmatter,
+    body: getBody(content),
+    size: Buffer.byteLength(content, 'utf-8'),
+    globs,
+    alwaysApply,
+    tier: alwaysApply ? 'always' : globs.length > 0 ? 'glob' : 'manual',
+    description: data && typeof data.description === 'string' && data.description ? data.description : null,
+  });
+}
+
+// Files under root, skipping hidden entries and the directories discovery skips
+function walkFiles(root) {
+  const files = [];
+  function walk(d, rel, depth) {
+    let entries;
+    try { entries = fs.readdirSync(d, { withFileTypes: true }); } catch (e) { return; }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+      const full = path.join(d, entry.name);
+      const relPath = rel ? rel + '/' + entry.name : entry.name;
+      let isDir = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        try {
+          const stat = fs.statSync(full);
+          isDir = stat.isDirectory();
+          isFile = stat.isFile();
+        } catch (e) { continue; }
+      }
+      if (isDir && depth < MAX_DEPTH) walk(full, relPath, depth + 1);
+      else if (isFile) files.push(relPath);
+    }
+  }
+  walk(root, '', 0);
+  return files;
+}
+
+/**
+ * Build the model for `dir`. `options.config` skips loading the config.
+ * `options.readFile(fullPath)` replaces disk reads (content or null), e.g.
+ * to lint what is staged in git instead of the working tree.
+ */
+function loadProject(dir, options) {
+  const root = path.resolve(dir);
+  const config = (options && options.config) || loadConfig(root);
+  const readFile = (options && options.readFile) || (full => fs.readFileSync(full, 'utf-8'));
+  const reads = new Map();
+  const existing = new Map();
+  const listings = new Map();
+  let contextFiles, skills, packageJson, files, stack;
+
+  function read(rel) {
+    const full = path.resolve(root, rel);
+    if (!reads.has(full)) {
+      let content = null;
+      try { content = readFile(full); } catch (e) {}
+      reads.set(full, content);
+    }
+    return reads.get(full);
+  }
+
+  function exists(rel) {
+    const full = path.resolve(root, rel);
+    if (!existing.has(full)) existing.set(full, reads.get(full) != null || fs.existsSync(full));
+    return existing.get(full);
+  }
+
+  function list(rel) {
+    const full = path.resolve(root, rel);
+    if (!listings.has(full)) {
+      const names = [];
+      let entries = [];
+      try { entries = fs.readdirSync(full, { withFileTypes: true }); } catch (e) {}
+      for (const entry of entries) {
+        let isDir = entry.isDirectory();
+        if (entry.isSymbolicLink()) {
+          try { isDir = fs.statSync(path.join(full, entry.name)).isDirectory(); } catch (e) { continue; }
+        }
+        names.push(isDir ? entry.name + '/' : entry.name);
+      }
+      listings.set(full, names);
+    }
+    return listings.get(full);
+  }
+
+  const ruleDirs = findRuleDirs(root);
+  const rules = [];
+  const rulesByPath = new Map();
+  for (const ruleDir of ruleDirs) {
+    for (const name of ruleDir.files) {
+      const filePath = path.join(ruleDir.dir, name);
+      const content = read(filePath);
+      // Unreadable rules stay out of the model; lint reports them from disk
+      if (content === null) continue;
+      const rule = loadRule({
+        path: filePath,
+        name,
+        label: ruleDir.package === '' ? name : path.relative(root, filePath).split(path.sep).join('/'),
+        dir: ruleDir.dir,
+        package: ruleDir.package,
+        packageRoot: ruleDir.packageRoot,
+      }, content);
+      rules.push(rule);
+      rulesByPath.set(filePath, rule);
+    }
+  }
+
+  return {
+    root,
+    config,
+    ruleDirs,
+    rules,
+    rule(filePath) {
+      return rulesByPath.get(path.resolve(filePath));
+    },
+    read,
+    exists,
+    list,
+    get contextFiles() {
+      if (!contextFiles) {
+        contextFiles = [];
+        for (const name of CONTEXT_FILES) {
+          const content = read(name);
+          if (content === null) continue;
+          contextFiles.push({ name, path: path.join(root, name), content, size: Buffer.byteLength(content, 'utf-8') });
+        }
+      }
+      return contextFiles;
+    },
+    get skills() {
+      if (!skills) {
+        skills = [];
+        for (const skillDir of SKILL_DIRS) {
+          let entries;
+          try { entries = fs.readdirSync(path.join(root, skillDir), { withFileTypes: true }); } catch (e) { continue; }
+          for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const file = path.join(skillDir, entry.name, 'SKILL.md');
+            const content = read(file);
+            if (content !== null) skills.push({ file, path: path.join(root, file), content });
+          }
+        }
+      }
+      return skills;
+    },
+    get packageJson() {
+      if (packageJson === undefined) {
+        packageJson = null;
+        const content = read('package.json');
+        if (content !== null) {
+          try { packageJson = JSON.parse(content) || null; } catch (e) {}
+        }
+      }
+      return packageJson;
+    },
+    get deps() {
+      const pkg = this.packageJson;
+      return pkg ? Object.assign({}, pkg.dependencies, pkg.devDependencies) : {};
+    },
+    get files() {
+      if (!files) files = walkFiles(root);
+      return files;
+    },
+    get stack() {
+      if (!stack) stack = detectStack(this);
+      return stack;
+    },
+  };
+}
+
+// ── Stack detection ──────────────────────────────────────────────────────────
+
+// package.json dependencies → stack IDs
+const NPM_STACK = {
+  react: ['react'], 'react-dom': ['react'],
+  next: ['nextjs', 'react'],
+  vue: ['vue'], nuxt: ['nuxt', 'vue'],
+  '@angular/core': ['angular'],
+  svelte: ['svelte'], '@sveltejs/kit': ['sveltekit', 'svelte'],
+  express: ['express'], fastify: ['fastify'], '@nestjs/core': ['nestjs'],
+  typescript: ['typescript'], '@types/node': ['typescript'],
+  jest: ['jest'], '@jest/core': ['jest'], vitest: ['vitest'],
+  '@testing-library/react': ['testing-library'],
+  redux: ['redux'], '@reduxjs/toolkit': ['redux'], zustand: ['zustand'], recoil: ['recoil'], mobx: ['mobx'],
+  axios: ['axios'], '@tanstack/react-query': ['react-query'], 'react-query': ['react-query'], swr: ['swr'],
+  graphql: ['graphql'], '@apollo/client': ['graphql'],
+  tailwindcss: ['tailwind'], 'styled-components': ['styled-components'], '@emotion/react': ['emotion'],
+  prisma: ['prisma'], '@prisma/client': ['prisma'], drizzle: ['drizzle'], 'drizzle-orm': ['drizzle'],
+  webpack: ['webpack'], vite: ['vite'], turbo: ['turbo'], nx: ['nx'],
+  'better-sqlite3': ['sqlite'], sqlite3: ['sqlite'], pg: ['postgresql'], postgres: ['postgresql'],
+  'aws-sdk': ['aws'], '@aws-sdk/client-s3': ['aws'],
+};
+
+/**
+ * Languages, frameworks and tools used by the project, from manifests and
+ * config files.
+ * Returns { ids, deps, packageManager }:
+ *   ids            — stack IDs ('typescript', 'nextjs', 'django', 'docker', ...)
+ *   deps           — package.json dependencies with their version ranges
+ *   packageManager — 'npm' | 'pnpm' | 'yarn' | 'bun' for Node projects, else null
+ */
+function detectStack(project) {
+  const ids = new Set();
+  const exists = project.exists;
+  const text = (files) => files.map(f => project.read(f) || '').join('\n').toLowerCase();
+  const rootFiles = project.list('').filter(f => !f.endsWith('/'));
+
+  const deps = project.deps;
+  for (const dep of Object.keys(deps)) {
+    for (const id of NPM_STACK[dep] || []) ids.add(id);
+  }
+  if (project.read('package.json') !== null) ids.add('javascript');
+  if (exists('tsconfig.json')) {
+    ids.add('typescript');
+    ids.add('tsconfig');
+  }
+
+  if (exists('requirements.txt') || exists('pyproject.toml') || exists('setup.py')) ids.add('python');
+  if (ids.has('python')) {
+    const pyDeps = text(['requirements.txt', 'pyproject.toml']);
+    for (const id of ['django', 'flask', 'fastapi', 'pytest']) {
+      if (pyDeps.includes(id)) ids.add(id);
+    }
+    if (exists('manage.py')) ids.add('django');
+  }
+
+  if (exists('Gemfile')) ids.add('ruby');
+  if (text(['Gemfile']).includes('rails') || exists(path.join('config', 'routes.rb'))) ids.add('rails');
+
+  if (exists('composer.json')) ids.add('php');
+  if (exists('go.mod')) ids.add('go');
+  if (exists('Cargo.toml')) ids.add('rust');
+
+  if (exists('pom.xml') || exists('build.gradle') || exists('build.gradle.kts')) ids.add('java');
+  if (exists('build.gradle.kts')) ids.add('kotlin');
+  const jvmBuild = text(['pom.xml', 'build.gradle', 'build.gradle.kts']);
+  if (jvmBuild.includes('spring')) ids.add('spring');
+  if (jvmBuild.includes('spring-boot')) ids.add('spring-boot');
+
+  if (exists('Package.swift')) ids.add('swift');
+  if (exists('mix.exs')) ids.add('elixir');
+  if (exists('build.sbt')) ids.add('scala');
+  if (rootFiles.some(f => f.endsWith('.csproj') || f.endsWith('.sln'))) ids.add('csharp');
+  if ((exists('CMakeLists.txt') || exists('Makefile')) && rootFiles.some(f => /\.(cpp|cc|cxx|hpp|h)$/.test(f))) ids.add('cpp');
+  if (exists('pubspec.yaml')) ids.add('flutter');
+
+  if (ids.has('go')) ids.add('gotest');
+  if (ids.has('rust')) ids.add('cargotest');
+
+  if (['.eslintrc', '.eslintrc.js', '.eslintrc.json'].some(exists)) ids.add('eslint');
+  if (['.prettierrc', '.prettierrc.js', '.prettierrc.json'].some(exists)) ids.add('prettier');
+  if (exists('.git')) ids.add('git');
+  if (['Dockerfile', 'docker-compose.yml', 'docker-compose.yaml'].some(exists)) ids.add('docker');
+  if (exists('k8s') || exists('kubernetes')) ids.add('kubernetes');
+  if (rootFiles.some(f => f.endsWith('.tf'))) ids.add('terraform');
+  if (exists('deno.json') || exists('deno.jsonc')) ids.add('deno');
+  if (exists(path.join('.github', 'workflows')) || exists('.gitlab-ci.yml')) ids.add('ci-cd');
+  if (project.list('').some(f => f.includes('nginx'))) ids.add('nginx');
+  if (exists('serverless.yml') || exists('template.yaml')) ids.add('aws');
+
+  let packageManager = null;
+  if (project.packageJson) {
+    if (exists('pnpm-lock.yaml')) packageManager = 'pnpm';
+    else if (exists('yarn.lock')) packageManager = 'yarn';
+    else if (exists('bun.lockb')) packageManager = 'bun';
+    else packageManager = 'npm';
+  }
+
+  return { ids: Array.from(ids), deps, packageManager };
+}
+
+module.exports = { loadProject, detectStack, parseGlobs, getBody, CONTEXT_FILES, SKILL_DIRS };
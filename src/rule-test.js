@@ -2,6 +2,7 @@ const fs = require('fs');
 const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
 const https = require('https');
+const { getBody } = require('./project');
 
 // ─── Provider Abstraction ──────────────────────────────────────────────────
 
@@ -156,14 +157,6 @@ function callLLM(provider, systemPrompt, userPrompt) {
 
 // ─── Rule Testing ──────────────────────────────────────────────────────────
 
-
-function getBody(content) {
-  var normalized = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  var match = normalized.match(/^---\n[\s\S]*?\n---\n?/);
-  if (!match) return content;
-  return content.slice(match[0].length);
-}
-
 // Test a single rule against a code snippet
 async function testRule(ruleContent, codeSnippet, options) {
   options = options || {};
@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * SARIF 2.1.0 output (`--format=sarif`) for GitHub code scanning and other
+ * SARIF viewers. lint and check report lint results, conflicts reports
+ * cross-format conflicts, and verify reports verify: block violations.
+ * Each run lists the rules it reports against (title, docs link, default
+ * level) and every result points at a file region relative to the project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { getCheck, issueFingerprints } = require('./checks');
+const { fixContent } = require('./autofix');
+const { relativePath } = require('./formatters/paths');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const INFORMATION_URI = 'https://github.com/nedcodes-ok/cursor-doctor';
+const VERSION = require('../package.json').version;
+
+// cursor-doctor severities → SARIF levels
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+function level(severity) {
+  return LEVELS[severity] || 'warning';
+}
+
+// Region for a 1-based position; endColumn is exclusive in both formats
+function region(pos) {
+  if (!pos.line) return undefined;
+  const r = { startLine: pos.line };
+  if (pos.column) r.startColumn = pos.column;
+  if (pos.endLine) r.endLine = pos.endLine;
+  if (pos.endColumn) r.endColumn = pos.endColumn;
+  return r;
+}
+
+function physicalLocation(dir, file, pos) {
+  const loc = { artifactLocation: { uri: relativePath(dir, file), uriBaseId: '%SRCROOT%' } };
+  const r = region(pos || {});
+  if (r) loc.region = r;
+  return { physicalLocation: loc };
+}
+
+/**
+ * Collects rule descriptors in first-use order and hands out ruleIndex values.
+ * `describe(id, sample)` builds the descriptor the first time an ID appears.
+ */
+function ruleTable(describe) {
+  const rules = [];
+  const index = new Map();
+  return {
+    rules,
+    indexOf(id, sample) {
+      if (!index.has(id)) {
+        index.set(id, rules.length);
+        rules.push(describe(id, sample));
+      }
+      return index.get(id);
+    },
+  };
+}
+
+function describeCheck(id, issue) {
+  const check = getCheck(id);
+  const rule = {
+    id,
+    name: id,
+    shortDescription: { text: check ? check.title : issue.message },
+    defaultConfiguration: { level: level(check ? check.severity : issue.severity) },
+    properties: { category: check ? check.category : (issue.category || 'custom'), fixable: check ? check.fixable : issue.fixable === true },
+  };
+  if (issue.docsUrl) rule.helpUri = issue.docsUrl;
+  return rule;
+}
+
+function sarifLog(dir, rules, results) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: { driver: { name: 'cursor-doctor', version: VERSION, informationUri: INFORMATION_URI, rules } },
+      originalUriBaseIds: { '%SRCROOT%': { uri: pathToFileURL(dir + path.sep).href } },
+      results,
+    }],
+  };
+}
+
+/**
+ * Smallest single replacement that turns `before` into `after`: the lines
+ * between their common prefix and common suffix.
+ */
+function replacement(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let tail = 0;
+  while (tail < a.length - start && tail < b.length - start && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const deletedRegion = { startLine: start + 1, startColumn: 1 };
+  let inserted = b.slice(start, b.length - tail).join('\n');
+  if (tail > 0) {
+    // Replace whole lines, up to the start of the first unchanged one
+    deletedRegion.endLine = a.length - tail + 1;
+    deletedRegion.endColumn = 1;
+    if (b.length - tail > start) inserted += '\n';
+  } else {
+    deletedRegion.endLine = a.length;
+    deletedRegion.endColumn = a[a.length - 1].length + 1;
+  }
+  return { deletedRegion, insertedContent: { text: inserted } };
+}
+
+// The `fix` command's edit for one .mdc file, as a SARIF fix (or null)
+async function fileFix(dir, filePath, config) {
+  if (!filePath.endsWith('.mdc')) return null;
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  } catch (e) {
+    return null;
+  }
+  const fixed = await fixContent(filePath, content, config);
+  if (fixed.skip || fixed.content === content) return null;
+  return {
+    description: { text: 'cursor-doctor fix: ' + fixed.changes.join('; ') },
+    artifactChanges: [{
+      artifactLocation: { uri: relativePath(dir, filePath), uriBaseId: '%SRCROOT%' },
+      replacements: [replacement(content, fixed.content)],
+    }],
+  };
+}
+
+/**
+ * SARIF log for lintProject results. Fixable issues in .mdc files carry the
+ * edit `cursor-doctor fix` would make to that file (options.config selects
+ * the fixers, as for `fix`).
+ */
+async function lintToSarif(dir, results, options) {
+  const config = options && options.config;
+  const table = ruleTable(describeCheck);
+  const sarifResults = [];
+
+  for (const r of results) {
+    const fingerprints = issueFingerprints(relativePath(dir, r.file), r.issues);
+    let fix;
+    for (let i = 0; i < r.issues.length; i++) {
+      const issue = r.issues[i];
+      const result = {
+        ruleId: issue.id,
+        ruleIndex: table.indexOf(issue.id, issue),
+        level: level(issue.severity),
+        message: { text: issue.hint ? issue.message + '\n' + issue.hint : issue.message },
+        locations: [physicalLocation(dir, r.file, issue)],
+        partialFingerprints: { 'cursorDoctor/v1': fingerprints[i] },
+      };
+      if (issue.fixable && config) {
+        if (fix === undefined) fix = await fileFix(dir, r.file, config);
+        if (fix) result.fixes = [fix];
+      }
+      sarifResults.push(result);
+    }
+  }
+
+  return sarifLog(dir, table.rules, sarifResults);
+}
+
+/**
+ * SARIF log for a crossConflictReport: each conflict is reported on the first
+ * file, with the contradicting line in the second as a related location.
+ */
+function conflictsToSarif(dir, report) {
+  const table = ruleTable(() => ({
+    id: 'cross-format-conflict',
+    name: 'cross-format-conflict',
+    shortDescription: { text: 'Instruction files give contradictory directives' },
+    defaultConfiguration: { level: 'error' },
+    properties: { category: 'conflicts', fixable: false },
+  }));
+
+  const results = report.conflicts.map(c => ({
+    ruleId: 'cross-format-conflict',
+    ruleIndex: table.indexOf('cross-format-conflict'),
+    level: level(c.severity),
+    message: { text: c.message + '\n' + c.hint },
+    locations: [physicalLocation(dir, c.fileA, { line: c.lineA })],
+    relatedLocations: [Object.assign({ id: 1, message: { text: c.directiveB } }, physicalLocation(dir, c.fileB, { line: c.lineB }))],
+  }));
+
+  return sarifLog(dir, table.rules, results);
+}
+
+/**
+ * SARIF log for verifyProject results: one rule per violation type, with
+ * the rule file that declared the verify: block as a related location.
+ */
+function verifyToSarif(dir, results) {
+  const table = ruleTable(id => ({
+    id,
+    name: id,
+    shortDescription: { text: 'Code does not satisfy a rule\'s verify: block (' + id.slice('verify/'.length) + ')' },
+    defaultConfiguration: { level: 'error' },
+    properties: { category: 'verify', fixable: false },
+  }));
+
+  const rulePaths = new Map(results.rules.map(rule => [rule.file, rule.path]));
+  const sarifResults = results.violations.map(v => ({
+    ruleId: 'verify/' + v.type,
+    ruleIndex: table.indexOf('verify/' + v.type),
+    level: level(v.severity || 'error'),
+    message: { text: v.message },
+    locations: [physicalLocation(dir, v.file, { line: v.line })],
+    relatedLocations: [Object.assign({ id: 1, message: { text: 'verify: block declared here' } }, physicalLocation(dir, rulePaths.get(v.ruleFile) || v.ruleFile))],
+  }));
+
+  return sarifLog(dir, table.rules, sarifResults);
+}
+
+module.exports = { SARIF_VERSION, lintToSarif, conflictsToSarif, verifyToSarif };
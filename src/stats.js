@@ -1,48 +1,18 @@
-const fs = require('fs');
-const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
+const { loadProject } = require('./project');
 
 function estimateTokens(text) {
   return Math.ceil(text.length / 4);
 }
 
 
-function parseGlobs(globVal) {
-  if (!globVal) return [];
-  if (typeof globVal === 'string') {
-    const trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      return trimmed.slice(1, -1).split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
-    }
-    return trimmed.split(',').map(g => g.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
-  }
-  if (Array.isArray(globVal)) return globVal;
-  return [];
-}
-
-function getProjectFileExtensions(dir) {
+// Extensions of the project's source files
+function getProjectFileExtensions(project) {
   const extensions = new Set();
-  const ignoreDirs = new Set(['node_modules', '.git', '.next', 'dist', 'build', '.cursor', '__pycache__', '.venv', 'venv']);
-  
-  function walk(d, depth) {
-    if (depth > 3) return; // don't go too deep
-    try {
-      for (const entry of fs.readdirSync(d)) {
-        if (ignoreDirs.has(entry)) continue;
-        const full = path.join(d, entry);
-        try {
-          const stat = fs.statSync(full);
-          if (stat.isDirectory()) {
-            walk(full, depth + 1);
-          } else {
-            const ext = path.extname(entry);
-            if (ext) extensions.add(ext);
-          }
-        } catch {}
-      }
-    } catch {}
+  for (const file of project.files) {
+    const ext = path.extname(file);
+    if (ext) extensions.add(ext);
   }
-  walk(dir, 0);
   return extensions;
 }
 
@@ -72,7 +42,8 @@ const EXT_TO_CATEGORY = {
   '.mdc': [],
 };
 
-function showStats(dir) {
+function showStats(dir, options) {
+  const project = (options && options.project) || loadProject(dir, options);
   const stats = {
     mdcFiles: [],
     hasCursorrules: false,
@@ -86,69 +57,36 @@ function showStats(dir) {
   };
 
   // .cursorrules
-  const cursorrules = path.join(dir, '.cursorrules');
-  if (fs.existsSync(cursorrules)) {
+  const cursorrules = project.contextFiles.find(f => f.name === '.cursorrules');
+  if (cursorrules) {
     stats.hasCursorrules = true;
-    const content = fs.readFileSync(cursorrules, 'utf-8');
-    stats.cursorrulesTokens = estimateTokens(content);
+    stats.cursorrulesTokens = estimateTokens(cursorrules.content);
     stats.totalTokens += stats.cursorrulesTokens;
   }
 
-  // .cursor/rules/*.mdc
-  const rulesDir = path.join(dir, '.cursor', 'rules');
-  if (fs.existsSync(rulesDir) && fs.statSync(rulesDir).isDirectory()) {
-    for (const entry of fs.readdirSync(rulesDir)) {
-      if (!entry.endsWith('.mdc')) continue;
-      const filePath = path.join(rulesDir, entry);
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const tokens = estimateTokens(content);
-      const fm = parseFrontmatter(content);
-      
-      let tier = 'manual';
-      let globs = [];
-      if (fm.found && fm.data) {
-        globs = parseGlobs(fm.data.globs);
-        if (fm.data.alwaysApply === true) tier = 'always';
-        else if (globs.length > 0) tier = 'glob';
-      }
-      
-      stats.tiers[tier]++;
-      stats.totalTokens += tokens;
-      stats.mdcFiles.push({ file: entry, tokens, tier, globs });
-      
-      // Track covered extensions from globs
-      for (const g of globs) {
-        const extMatch = g.match(/\*\.(\w+)$/);
-        if (extMatch) stats.coveredExtensions.add('.' + extMatch[1]);
-      }
+  // .cursor/rules/**/*.mdc, including nested package rule directories
+  for (const rule of project.rules) {
+    const tokens = estimateTokens(rule.content);
+    stats.tiers[rule.tier]++;
+    stats.totalTokens += tokens;
+    stats.mdcFiles.push({ file: rule.label, tokens, tier: rule.tier, globs: rule.globs, package: rule.package });
+    
+    // Track covered extensions from globs
+    for (const g of rule.globs) {
+      const extMatch = g.match(/\*\.(\w+)$/);
+      if (extMatch) stats.coveredExtensions.add('.' + extMatch[1]);
     }
   }
 
   // Skill files
-  const skillDirs = [
-    path.join(dir, '.claude', 'skills'),
-    path.join(dir, '.cursor', 'skills'),
-    path.join(dir, 'skills'),
-  ];
-  for (const sd of skillDirs) {
-    if (!fs.existsSync(sd)) continue;
-    try {
-      for (const entry of fs.readdirSync(sd)) {
-        const sub = path.join(sd, entry);
-        if (fs.statSync(sub).isDirectory()) {
-          const skillMd = path.join(sub, 'SKILL.md');
-          if (fs.existsSync(skillMd)) {
-            const content = fs.readFileSync(skillMd, 'utf-8');
-            stats.skillFiles.push({ file: path.relative(dir, skillMd), tokens: estimateTokens(content) });
-            stats.totalTokens += estimateTokens(content);
-          }
-        }
-      }
-    } catch {}
+  for (const skill of project.skills) {
+    const tokens = estimateTokens(skill.content);
+    stats.skillFiles.push({ file: skill.file, tokens });
+    stats.totalTokens += tokens;
   }
 
   // Coverage analysis
-  stats.projectExtensions = getProjectFileExtensions(dir);
+  stats.projectExtensions = getProjectFileExtensions(project);
   
   // Check if any alwaysApply rules exist (they cover all file types)
   const hasAlwaysApply = stats.mdcFiles.some(f => f.tier === 'always');
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Inline suppression comments in .mdc rule bodies.
+ *
+ *   <!-- cursor-doctor-disable-next-line vague-rule -->
+ *   <!-- cursor-doctor-disable xml-tags, negation-without-alternative -->
+ *   <!-- cursor-doctor-disable -- whole file is a deliberate example -->
+ *
+ * `disable-next-line` silences the listed checks on the following line;
+ * `disable` silences them for the whole file. No IDs means every check.
+ * Anything after ` -- ` is a free-form reason. A directive must sit on its
+ * own line outside code fences.
+ *
+ * Directive lines are lifted out of the content before the checks run, so
+ * they never trip body checks (commented-out, todo-comments, ...). Issue
+ * lines are mapped back to the original file afterwards.
+ */
+
+const { getCheck, resolveCheckId } = require('./checks');
+
+const DIRECTIVE_LINE = /^\s*<!--\s*cursor-doctor-(disable-next-line|disable)\b([\s\S]*?)-->\s*$/;
+
+// Split "a, b c -- reason" into check IDs, resolving aliases.
+function parseIds(text) {
+  const spec = text.split(/\s--\s|^--\s/)[0];
+  return spec.split(/[\s,]+/).filter(Boolean).map(resolveCheckId);
+}
+
+/**
+ * Find directives and strip their lines from `content`.
+ * Returns { content, directives, lineMap } where lineMap[i] is the original
+ * 1-based line number of stripped line i + 1.
+ */
+function parseSuppressions(content) {
+  const lines = content.split('\n');
+  const fmMatch = content.match(/^---\n[\s\S]*?\n---\n?/);
+  const bodyFirstLine = fmMatch ? fmMatch[0].replace(/\n$/, '').split('\n').length + 1 : 1;
+
+  const kept = [];
+  const lineMap = [];
+  const directives = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i];
+    if (i + 1 >= bodyFirstLine) {
+      if (/^\s*```/.test(text)) inFence = !inFence;
+      const m = !inFence && text.match(DIRECTIVE_LINE);
+      if (m) {
+        const indent = text.length - text.trimStart().length;
+        directives.push({
+          kind: m[1],
+          ids: parseIds(m[2].trim()),
+          // Stripped index of the line that follows; resolved to an original line below
+          next: kept.length,
+          line: i + 1,
+          column: indent + 1,
+          endLine: i + 1,
+          endColumn: text.trimEnd().length + 1,
+        });
+        continue;
+      }
+    }
+    kept.push(text);
+    lineMap.push(i + 1);
+  }
+
+  for (const d of directives) {
+    d.targetLine = d.kind === 'disable-next-line' && d.next < lineMap.length ? lineMap[d.next] : null;
+    d.used = new Set();
+  }
+
+  return { content: kept.join('\n'), directives, lineMap };
+}
+
+function mapLine(lineMap, n) {
+  if (!n) return n;
+  if (n - 1 < lineMap.length) return lineMap[n - 1];
+  return lineMap.length ? lineMap[lineMap.length - 1] : n;
+}
+
+function covers(directive, issue) {
+  if (directive.kind === 'disable-next-line' && issue.line !== directive.targetLine) return false;
+  if (directive.ids.length === 0) return true;
+  return directive.ids.includes(issue.id);
+}
+
+/**
+ * Map issue lines back to the original file, drop suppressed issues and
+ * report directives (or IDs within them) that suppressed nothing.
+ * `isCustomId` recognises project-defined check IDs in those reports.
+ */
+function applySuppressions(issues, suppressions, isCustomId) {
+  const { directives, lineMap } = suppressions;
+  if (directives.length === 0) return issues;
+
+  const out = [];
+  for (const issue of issues) {
+    issue.line = mapLine(lineMap, issue.line);
+    issue.endLine = mapLine(lineMap, issue.endLine);
+    let suppressed = false;
+    for (const d of directives) {
+      if (!covers(d, issue)) continue;
+      d.used.add(d.ids.length === 0 ? '*' : issue.id);
+      suppressed = true;
+    }
+    if (!suppressed) out.push(issue);
+  }
+
+  for (const d of directives) {
+    const range = { line: d.line, column: d.column, endLine: d.endLine, endColumn: d.endColumn };
+    const scope = d.kind === 'disable-next-line' ? 'on the next line' : 'in this file';
+    if (d.ids.length === 0) {
+      if (d.used.size === 0) {
+        out.push({ id: 'unused-suppression', severity: 'warning', message: `Unused suppression: no issues ${scope}`, ...range, hint: 'Remove the cursor-doctor-' + d.kind + ' comment.' });
+      }
+      continue;
+    }
+    for (const id of d.ids) {
+      if (d.used.has(id)) continue;
+      out.push({
+        id: 'unused-suppression',
+        severity: 'warning',
+        message: `Unused suppression: no ${id} issue ${scope}`,
+        ...range,
+        hint: getCheck(id) || (isCustomId && isCustomId(id))
+          ? `Remove ${id} from the cursor-doctor-${d.kind} comment.`
+          : `"${id}" is not a cursor-doctor check ID. See docs/checks.md for the list.`,
+      });
+    }
+  }
+
+  return out;
+}
+
+module.exports = { parseSuppressions, applySuppressions, DIRECTIVE_LINE };
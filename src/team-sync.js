@@ -3,17 +3,10 @@ const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { getBody } = require('./project');
 
 var TEAM_CONFIG_FILE = '.cursor-doctor-team.json';
 
-
-function getBody(content) {
-  var normalized = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-  var match = normalized.match(/^---\n[\s\S]*?\n---\n?/);
-  if (!match) return content;
-  return content.slice(match[0].length);
-}
-
 function hashContent(content) {
   // Simple hash for drift detection (no crypto dependency needed for this)
   var hash = 0;
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Failure thresholds for `check`, from the "thresholds" object in
+ * .cursor-doctor.json and the matching command-line flags:
+ *
+ *   {
+ *     "thresholds": {
+ *       "failOn": "warning",   // --fail-on=error|warning|info
+ *       "maxWarnings": 10,     // --max-warnings=N
+ *       "minGrade": "B",       // --min-grade=A..F
+ *       "minScore": 80         // --min-score=0..100 (doctor's percentage)
+ *     }
+ *   }
+ *
+ * Without any thresholds `check` keeps its default gate (fail on a D or F
+ * grade). With thresholds, lint issues at or above `failOn` (default
+ * "error") are a lint failure and the other limits are threshold failures,
+ * each with its own exit code.
+ */
+
+const EXIT_CODES = Object.freeze({ ok: 0, lint: 1, crash: 2, threshold: 3 });
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+const KEYS = ['failOn', 'maxWarnings', 'minGrade', 'minScore'];
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validated thresholds ({ failOn, maxWarnings, minGrade, minScore }, unset
+ * keys left out). `source` names where they came from for error messages.
+ */
+function normalizeThresholds(raw, source) {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid thresholds in ${source}: expected an object with ${KEYS.join(', ')}.`);
+  }
+  const out = {};
+  for (const key of Object.keys(raw)) {
+    if (!KEYS.includes(key)) throw new Error(`Unknown threshold "${key}" in ${source}. Valid thresholds: ${KEYS.join(', ')}.`);
+  }
+  if (raw.failOn !== undefined) {
+    if (!SEVERITIES.includes(raw.failOn)) throw new Error(`Invalid failOn "${raw.failOn}" in ${source}. Use "error", "warning" or "info".`);
+    out.failOn = raw.failOn;
+  }
+  if (raw.maxWarnings !== undefined) {
+    if (!isCount(raw.maxWarnings)) throw new Error(`Invalid maxWarnings "${raw.maxWarnings}" in ${source}. Use a whole number of 0 or more.`);
+    out.maxWarnings = raw.maxWarnings;
+  }
+  if (raw.minGrade !== undefined) {
+    const grade = String(raw.minGrade).toUpperCase();
+    if (!GRADES.includes(grade)) throw new Error(`Invalid minGrade "${raw.minGrade}" in ${source}. Use one of ${GRADES.join(', ')}.`);
+    out.minGrade = grade;
+  }
+  if (raw.minScore !== undefined) {
+    if (typeof raw.minScore !== 'number' || !(raw.minScore >= 0 && raw.minScore <= 100)) {
+      throw new Error(`Invalid minScore "${raw.minScore}" in ${source}. Use a number from 0 to 100.`);
+    }
+    out.minScore = raw.minScore;
+  }
+  return out;
+}
+
+/**
+ * Thresholds from command-line args (--fail-on=, --max-warnings=,
+ * --min-grade=, --min-score=) layered over the config's.
+ */
+function resolveThresholds(config, args) {
+  const flags = {};
+  const flag = name => {
+    const arg = args.find(a => a.startsWith('--' + name + '='));
+    return arg === undefined ? undefined : arg.slice(name.length + 3);
+  };
+  const number = (name, value) => {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (value === '' || Number.isNaN(n)) throw new Error(`--${name} needs a number, got "${value}"`);
+    return n;
+  };
+  if (flag('fail-on') !== undefined) flags.failOn = flag('fail-on');
+  if (flag('max-warnings') !== undefined) flags.maxWarnings = number('max-warnings', flag('max-warnings'));
+  if (flag('min-grade') !== undefined) flags.minGrade = flag('min-grade');
+  if (flag('min-score') !== undefined) flags.minScore = number('min-score', flag('min-score'));
+  return Object.assign({}, config && config.thresholds, normalizeThresholds(flags, 'command-line flags'));
+}
+
+function hasThresholds(thresholds) {
+  return KEYS.some(key => thresholds[key] !== undefined);
+}
+
+/** Issue counts by severity, skipping verbose-only issues like lint does. */
+function countIssues(results) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const r of results) {
+    for (const issue of r.issues) {
+      if (issue.verboseOnly) continue;
+      counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Apply thresholds to lintProject results and the doctor report. Returns
+ * { exitCode, counts, failures: [{ kind: 'lint'|'threshold', message }] }.
+ */
+function evaluateThresholds(thresholds, results, report) {
+  const counts = countIssues(results);
+  const failures = [];
+
+  if (!hasThresholds(thresholds)) {
+    if (report.grade === 'D' || report.grade === 'F') failures.push({ kind: 'lint', message: `Grade ${report.grade} (${report.percentage}%)` });
+  } else {
+    const failOn = thresholds.failOn || 'error';
+    const failing = SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1);
+    const total = failing.reduce((n, sev) => n + counts[sev], 0);
+    if (total > 0) failures.push({ kind: 'lint', message: `${total} issue${total === 1 ? '' : 's'} at ${failOn} level or above (--fail-on=${failOn})` });
+    if (thresholds.maxWarnings !== undefined && counts.warning > thresholds.maxWarnings) {
+      failures.push({ kind: 'threshold', message: `${counts.warning} warnings, more than the maximum of ${thresholds.maxWarnings}` });
+    }
+    if (thresholds.minGrade !== undefined && GRADES.indexOf(report.grade) > GRADES.indexOf(thresholds.minGrade)) {
+      failures.push({ kind: 'threshold', message: `Grade ${report.grade} is below the minimum grade ${thresholds.minGrade}` });
+    }
+    if (thresholds.minScore !== undefined && report.percentage < thresholds.minScore) {
+      failures.push({ kind: 'threshold', message: `Score ${report.percentage}% is below the minimum score ${thresholds.minScore}%` });
+    }
+  }
+
+  // Lint failures take precedence over threshold failures
+  let exitCode = EXIT_CODES.ok;
+  if (failures.some(f => f.kind === 'lint')) exitCode = EXIT_CODES.lint;
+  else if (failures.length > 0) exitCode = EXIT_CODES.threshold;
+  return { exitCode, counts, failures };
+}
+
+module.exports = { EXIT_CODES, normalizeThresholds, resolveThresholds, hasThresholds, evaluateThresholds };
@@ -1,7 +1,6 @@
 const fs = require('fs');
-const { parseFrontmatter } = require('./frontmatter');
 const path = require('path');
-const { showStats } = require('./stats');
+const { loadProject } = require('./project');
 
 // Cursor's approximate context window size in tokens
 const CONTEXT_WINDOW_TOKENS = 120000;
@@ -12,25 +11,6 @@ function estimateTokens(text) {
 }
 
 
-function parseGlobs(globVal) {
-  if (!globVal) return [];
-  if (typeof globVal === 'string') {
-    const trimmed = globVal.trim();
-    if (trimmed.startsWith('[')) {
-      return trimmed.slice(1, -1).split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-    }
-    return trimmed.split(',').map(function(g) { return g.trim().replace(/^["']|["']$/g, ''); }).filter(Boolean);
-  }
-  if (Array.isArray(globVal)) return globVal;
-  return [];
-}
-
-function getBody(content) {
-  const match = content.match(/^---\n[\s\S]*?\n---\n?/);
-  if (!match) return content;
-  return content.slice(match[0].length);
-}
-
 // Map glob patterns to human-readable file type categories
 function classifyGlobs(globs) {
   var categories = new Set();
@@ -194,54 +174,44 @@ function groupByFileType(rules) {
   return groups;
 }
 
-// Load all rule files with full metadata
-function loadRulesWithTokens(dir) {
+// Rules with their token costs
+function loadRulesWithTokens(project) {
   var rules = [];
-  var rulesDir = path.join(dir, '.cursor', 'rules');
   
-  if (!fs.existsSync(rulesDir)) return rules;
-  
-  var entries = fs.readdirSync(rulesDir).filter(function(f) { return f.endsWith('.mdc'); });
-  
-  for (var i = 0; i < entries.length; i++) {
-    var file = entries[i];
-    var filePath = path.join(rulesDir, file);
-    var content = fs.readFileSync(filePath, 'utf-8');
-    var fm = parseFrontmatter(content);
-    var body = getBody(content);
-    var tokens = estimateTokens(content);
-    var globs = fm.data ? parseGlobs(fm.data.globs) : [];
-    var alwaysApply = fm.data && fm.data.alwaysApply === true;
+  for (var i = 0; i < project.rules.length; i++) {
+    var rule = project.rules[i];
+    var tokens = estimateTokens(rule.content);
     
     rules.push({
-      file: file,
+      file: rule.label,
       tokens: tokens,
-      bodyTokens: estimateTokens(body),
-      fmTokens: tokens - estimateTokens(body),
-      globs: globs,
-      alwaysApply: alwaysApply,
-      tier: alwaysApply ? 'always' : (globs.length > 0 ? 'glob' : 'manual'),
-      body: body,
-      description: fm.data && fm.data.description ? fm.data.description : null,
+      bodyTokens: estimateTokens(rule.body),
+      fmTokens: tokens - estimateTokens(rule.body),
+      globs: rule.globs,
+      alwaysApply: rule.alwaysApply,
+      tier: rule.tier,
+      body: rule.body,
+      description: rule.description,
+      package: rule.package,
     });
   }
   
   return rules;
 }
 
-// Load context files (CLAUDE.md, AGENTS.md, .cursorrules)
-function loadContextFiles(dir) {
+// Context files loaded into every request (CLAUDE.md, AGENTS.md, .cursorrules)
+var LOADED_CONTEXT_FILES = ['CLAUDE.md', 'AGENTS.md', '.cursorrules', 'COPILOT.md', 'CURSOR.md', 'CONVENTIONS.md'];
+
+function loadContextFiles(project) {
   var files = [];
-  var contextFileNames = ['CLAUDE.md', 'AGENTS.md', '.cursorrules', 'COPILOT.md', 'CURSOR.md', 'CONVENTIONS.md'];
   
-  for (var i = 0; i < contextFileNames.length; i++) {
-    var name = contextFileNames[i];
-    var filePath = path.join(dir, name);
-    if (fs.existsSync(filePath)) {
-      var content = fs.readFileSync(filePath, 'utf-8');
+  for (var i = 0; i < LOADED_CONTEXT_FILES.length; i++) {
+    var name = LOADED_CONTEXT_FILES[i];
+    var contextFile = project.contextFiles.find(function(f) { return f.name === name; });
+    if (contextFile) {
       files.push({
         file: name,
-        tokens: estimateTokens(content),
+        tokens: estimateTokens(contextFile.content),
         type: 'context',
       });
     }
@@ -302,22 +272,40 @@ function loadHistory(dir) {
 function analyzeTokenBudget(dir, options) {
   options = options || {};
   var isPro = !!options.pro;
+  var project = options.project || loadProject(dir, options);
   
-  var rules = loadRulesWithTokens(dir);
-  var contextFiles = loadContextFiles(dir);
+  var rules = loadRulesWithTokens(project);
+  var contextFiles = loadContextFiles(project);
   
   // Basic totals
   var alwaysLoadedTokens = 0;
   var conditionalTokens = 0;
+  var packageAlways = {};
   
   for (var i = 0; i < rules.length; i++) {
-    if (rules[i].tier === 'always') {
-      alwaysLoadedTokens += rules[i].tokens;
+    var rule = rules[i];
+    if (rule.tier !== 'always') {
+      conditionalTokens += rule.tokens;
+    } else if (!rule.package) {
+      alwaysLoadedTokens += rule.tokens;
     } else {
-      conditionalTokens += rules[i].tokens;
+      packageAlways[rule.package] = (packageAlways[rule.package] || 0) + rule.tokens;
     }
   }
   
+  // A nested package's alwaysApply rules only load for files in that package:
+  // count the heaviest package as always loaded and the rest as conditional
+  var packages = Object.keys(packageAlways).sort().map(function(pkg) {
+    return { package: pkg, alwaysLoadedTokens: packageAlways[pkg] };
+  });
+  var heaviestPackage = 0;
+  for (var i = 0; i < packages.length; i++) {
+    heaviestPackage = Math.max(heaviestPackage, packages[i].alwaysLoadedTokens);
+    conditionalTokens += packages[i].alwaysLoadedTokens;
+  }
+  alwaysLoadedTokens += heaviestPackage;
+  conditionalTokens -= heaviestPackage;
+  
   var contextFileTokens = 0;
   for (var i = 0; i < contextFiles.length; i++) {
     contextFileTokens += contextFiles[i].tokens;
@@ -338,6 +326,7 @@ function analyzeTokenBudget(dir, options) {
     contextWindowSize: CONTEXT_WINDOW_TOKENS,
     rules: rules,
     contextFiles: contextFiles,
+    packages: packages,
     ruleCount: rules.length,
     tiers: {
       always: rules.filter(function(r) { return r.tier === 'always'; }).length,
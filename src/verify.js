@@ -1,15 +1,148 @@
 const fs = require('fs');
 const { parseFrontmatter } = require("./frontmatter");
 const path = require('path');
+const { findRuleFiles, SKIP_DIRS } = require('./discovery');
+const { parseGlobs } = require('./project');
+const { matchGlob } = require('./which');
+
+// One of these sets what a block checks; the rest refine it
+const KINDS = ['pattern', 'antipattern', 'required', 'forbidden'];
+const BLOCK_KEYS = KINDS.concat(['message', 'severity', 'flags', 'multiline', 'exclude', 'minCount', 'maxCount', 'replace']);
+const SEVERITIES = ['error', 'warning', 'info'];
+
+function blockKind(block) {
+  return KINDS.find(kind => block[kind] != null) || null;
+}
+
+// YAML numbers arrive as strings ("3")
+function isCount(value) {
+  const n = Number(value);
+  return value !== '' && value !== true && value !== false && Number.isInteger(n) && n >= 0;
+}
+
+// pattern/antipattern as a RegExp. flags: adds to multiline mode ('m'),
+// which only multiline: false turns off
+function blockRegExp(block, kind, global) {
+  let flags = block.flags != null ? String(block.flags) : '';
+  if (block.multiline !== false && !flags.includes('m')) flags += 'm';
+  return new RegExp(String(block[kind]), global ? flags + 'g' : flags);
+}
+
+function globList(value) {
+  return (Array.isArray(value) ? value : parseGlobs(String(value))).map(String);
+}
+
+// Why one block can't run as written: [{ id, field, message }]
+function blockProblems(block) {
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    return [{ id: 'verify-invalid-block', field: null, message: 'expected a mapping with pattern, antipattern, required or forbidden' }];
+  }
+  const problems = [];
+  const problem = (id, field, message) => problems.push({ id, field, message });
+  const kinds = KINDS.filter(kind => block[kind] != null);
+  if (kinds.length === 0) problem('verify-invalid-block', null, 'needs one of pattern, antipattern, required or forbidden');
+  if (kinds.length > 1) problem('verify-invalid-block', kinds[1], 'sets both ' + kinds[0] + ' and ' + kinds[1] + '; use one per block');
+  if (kinds.length > 0 && String(block[kinds[0]]) === '') problem('verify-invalid-block', kinds[0], kinds[0] + ' is empty');
+  for (const key of Object.keys(block)) {
+    if (!BLOCK_KEYS.includes(key)) problem('verify-invalid-block', key, 'unknown key "' + key + '"');
+  }
+  if (block.severity != null && !SEVERITIES.includes(block.severity)) problem('verify-invalid-block', 'severity', 'severity must be error, warning or info');
+  for (const field of ['minCount', 'maxCount']) {
+    if (block[field] != null && !isCount(block[field])) problem('verify-invalid-block', field, field + ' must be a whole number');
+  }
+  if (block.replace != null && kinds[0] !== 'antipattern' && kinds[0] !== 'forbidden') {
+    problem('verify-invalid-block', 'replace', 'replace only applies to antipattern and forbidden blocks');
+  }
+  for (const field of ['flags', 'multiline']) {
+    if (block[field] != null && (kinds[0] === 'required' || kinds[0] === 'forbidden')) {
+      problem('verify-invalid-block', field, field + ' only applies to pattern and antipattern blocks');
+    }
+  }
+  if (block.multiline != null && block.multiline !== true && block.multiline !== false) {
+    problem('verify-invalid-block', 'multiline', 'multiline must be true or false');
+  } else if (block.multiline === false && String(block.flags || '').includes('m')) {
+    problem('verify-invalid-block', 'multiline', 'multiline: false contradicts the m flag');
+  }
+  if (block.flags != null && !/^[imsu]*$/.test(String(block.flags))) {
+    problem('verify-invalid-regex', 'flags', 'invalid regex flags "' + block.flags + '" (use i, m, s and u)');
+  } else {
+    for (const kind of ['pattern', 'antipattern']) {
+      if (block[kind] == null) continue;
+      try {
+        blockRegExp(block, kind, false);
+      } catch (e) {
+        problem('verify-invalid-regex', kind, 'invalid ' + kind + ' regex: ' + e.message);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Problems in a rule's verify: value as [{ id, index, field, message }]:
+ * regexes and flags that don't compile (verify-invalid-regex) and blocks
+ * verify can't run as written (verify-invalid-block). verify skips the
+ * blocks these name and lint reports them.
+ */
+function validateVerifyBlocks(verify) {
+  if (!Array.isArray(verify)) {
+    return [{ id: 'verify-invalid-block', index: null, field: null, message: 'verify: must be a list of blocks' }];
+  }
+  const problems = [];
+  verify.forEach((block, index) => {
+    for (const p of blockProblems(block)) {
+      problems.push({ id: p.id, index, field: p.field, message: 'verify block ' + (index + 1) + ': ' + p.message });
+    }
+  });
+  return problems;
+}
+
+/**
+ * The 1-based frontmatter line of a verify: block's field (or of the block,
+ * or of the verify: key), for locating lint issues. Null without one.
+ */
+function verifyFieldLine(content, index, field) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  if (lines[0] !== '---') return null;
+  const end = lines.indexOf('---', 1);
+  const verifyLine = lines.findIndex((line, n) => n > 0 && n < end && /^verify\s*:/.test(line));
+  if (end === -1 || verifyLine === -1) return null;
+
+  // Blocks start with "-" at the indentation of the first item under verify:
+  let itemIndent = null;
+  let block = -1;
+  let blockLine = null;
+  for (let n = verifyLine + 1; n < end; n++) {
+    const text = lines[n];
+    if (/^\S/.test(text) && !/^-(\s|$)/.test(text)) break;
+    const item = text.match(/^(\s*)-(\s|$)/);
+    if (item && (itemIndent === null || item[1].length === itemIndent)) {
+      itemIndent = item[1].length;
+      block++;
+      if (block > index) break;
+      if (block === index) blockLine = n + 1;
+    }
+    if (block === index && field && new RegExp('^\\s*(-\\s+)?' + field + '\\s*:').test(text)) return n + 1;
+  }
+  return blockLine || verifyLine + 1;
+}
 
 /**
  * Verify codebase files against rules with verify: blocks
- * Zero dependencies — uses simple YAML parsing and manual glob
+ * Zero dependencies — verify: blocks come from the shared frontmatter parser.
+ * Each rule is checked against the files its globs match (every file when
+ * it has none), using the same glob matching as `cursor-doctor which`.
+ * Blocks with problems (see validateVerifyBlocks) are skipped and listed in
+ * `invalid`; `options.fix` rewrites antipattern and forbidden matches that
+ * have a replace: template and lists the files it changed in `fixed`.
  */
-async function verifyProject(projectPath) {
+async function verifyProject(projectPath, options) {
+  const fix = !!(options && options.fix);
   const results = {
     rules: [],
     violations: [],
+    invalid: [],
+    fixed: [],
     stats: {
       rulesWithVerify: 0,
       filesChecked: 0,
@@ -18,26 +151,27 @@ async function verifyProject(projectPath) {
     }
   };
 
-  const mdcDir = path.join(projectPath, '.cursor', 'rules');
-  if (!fs.existsSync(mdcDir)) {
-    return results;
-  }
-
-  const mdcFiles = fs.readdirSync(mdcDir).filter(f => f.endsWith('.mdc'));
-
-  for (const file of mdcFiles) {
-    const fullPath = path.join(mdcDir, file);
+  for (const ruleFile of findRuleFiles(projectPath)) {
+    const fullPath = ruleFile.path;
     const content = fs.readFileSync(fullPath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     const frontmatter = parseFrontmatter(content);
     
-    if (!frontmatter.data || !frontmatter.data.verify) {
+    if (!frontmatter.data || !Array.isArray(frontmatter.data.verify)) {
       continue;
     }
 
+    for (const problem of validateVerifyBlocks(frontmatter.data.verify)) {
+      results.invalid.push(Object.assign({ ruleFile: ruleFile.label, path: fullPath }, problem));
+    }
+
+    const globs = parseGlobs(frontmatter.data.globs).map(String);
     results.rules.push({
-      file,
-      globs: frontmatter.data.globs || ['**/*'],
-      verify: frontmatter.data.verify
+      file: ruleFile.label,
+      path: fullPath,
+      globs: globs.length > 0 ? globs : ['**/*'],
+      verify: frontmatter.data.verify,
+      // Globs in nested package rules are relative to the package
+      root: ruleFile.packageRoot
     });
     results.stats.rulesWithVerify++;
   }
@@ -47,10 +181,10 @@ async function verifyProject(projectPath) {
   }
 
   for (const rule of results.rules) {
-    const globs = Array.isArray(rule.globs) ? rule.globs : [rule.globs];
-    const matchingFiles = findFiles(projectPath, globs);
-
-    for (const file of matchingFiles) {
+    for (const local of findFiles(rule.root, rule.globs)) {
+      const file = path.relative(projectPath, path.join(rule.root, local)).split(path.sep).join('/');
+      // Per-block exclude globs are relative to the same root as the rule's globs
+      const blocks = rule.verify.filter(block => !(block && block.exclude != null && globList(block.exclude).some(g => matchGlob(local, g))));
       results.stats.filesChecked++;
       const fullPath = path.join(projectPath, file);
       
@@ -61,14 +195,24 @@ async function verifyProject(projectPath) {
         continue;
       }
 
-      let content;
+      let raw;
       try {
-        content = fs.readFileSync(fullPath, 'utf-8').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        raw = fs.readFileSync(fullPath, 'utf-8');
       } catch (e) {
         continue;
       }
+      let content = raw.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+      if (fix) {
+        const fixedFile = fixContent(content, blocks);
+        if (fixedFile.fixes > 0) {
+          content = fixedFile.content;
+          fs.writeFileSync(fullPath, raw.includes('\r\n') ? content.replace(/\n/g, '\r\n') : content, 'utf-8');
+          results.fixed.push({ file, ruleFile: rule.file, fixes: fixedFile.fixes });
+        }
+      }
 
-      const fileViolations = checkFile(file, content, rule.verify, rule.file);
+      const fileViolations = checkFile(file, content, blocks, rule.file);
       
       if (fileViolations.length > 0) {
         results.stats.filesWithViolations++;
@@ -81,166 +225,157 @@ async function verifyProject(projectPath) {
   return results;
 }
 
-function checkFile(filePath, content, verifyBlocks, ruleFile) {
-  const violations = [];
-
-  for (const block of verifyBlocks) {
-    if (block.pattern) {
-      try {
-        const regex = new RegExp(block.pattern, 'm');
-        if (!regex.test(content)) {
-          violations.push({
-            file: filePath,
-            ruleFile,
-            type: 'missing-pattern',
-            message: block.message || `Missing required pattern: ${block.pattern}`,
-            pattern: block.pattern
-          });
-        }
-      } catch (e) {}
+// Where a block's pattern or string occurs: [{ index, text }]
+function findMatches(content, block, kind) {
+  const matches = [];
+  if (kind === 'pattern' || kind === 'antipattern') {
+    const regex = blockRegExp(block, kind, true);
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      matches.push({ index: match.index, text: match[0] });
+      if (match[0] === '') regex.lastIndex++;
     }
-
-    if (block.antipattern) {
-      try {
-        const regex = new RegExp(block.antipattern, 'gm');
-        let match;
-        while ((match = regex.exec(content)) !== null) {
-          const lineNum = content.substring(0, match.index).split('\n').length;
-          violations.push({
-            file: filePath,
-            ruleFile,
-            type: 'antipattern',
-            message: block.message || `Forbidden pattern found: ${block.antipattern}`,
-            pattern: block.antipattern,
-            line: lineNum,
-            match: match[0].substring(0, 50) + (match[0].length > 50 ? '...' : '')
-          });
-        }
-      } catch (e) {}
-    }
-
-    if (block.required) {
-      if (!content.includes(block.required)) {
-        violations.push({
-          file: filePath,
-          ruleFile,
-          type: 'missing-required',
-          message: block.message || `Missing required string: "${block.required}"`,
-          required: block.required
-        });
-      }
-    }
-
-    if (block.forbidden) {
-      const index = content.indexOf(block.forbidden);
-      if (index !== -1) {
-        const lineNum = content.substring(0, index).split('\n').length;
-        violations.push({
-          file: filePath,
-          ruleFile,
-          type: 'forbidden',
-          message: block.message || `Forbidden string found: "${block.forbidden}"`,
-          forbidden: block.forbidden,
-          line: lineNum
-        });
-      }
+  } else {
+    const needle = String(block[kind]);
+    let index = content.indexOf(needle);
+    while (index !== -1) {
+      matches.push({ index, text: needle });
+      index = content.indexOf(needle, index + needle.length);
     }
   }
-
-  return violations;
+  return matches;
 }
 
-/**
- * Simple frontmatter parser that handles verify blocks
- */
+function lineOf(content, index) {
+  return content.substring(0, index).split('\n').length;
+}
 
 /**
- * Minimal YAML parser for frontmatter with verify blocks
+ * Violations of verify blocks in one file. pattern and required must occur
+ * at least minCount times (default 1); antipattern and forbidden at most
+ * maxCount times (default 0), and each occurrence past that is reported at
+ * its line. Blocks with problems are skipped.
  */
-function parseSimpleYaml(text) {
-  const data = {};
-  const lines = text.split('\n');
-  let currentKey = null;
-  let currentList = null;
-  let currentItem = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Top-level key: value
-    const kvMatch = line.match(/^(\w+):\s*(.+)$/);
-    if (kvMatch) {
-      currentKey = kvMatch[1];
-      currentList = null;
-      currentItem = null;
-      let val = kvMatch[2].trim();
-      // Handle arrays like ["*.ts", "*.tsx"]
-      if (val.startsWith('[') && val.endsWith(']')) {
-        data[currentKey] = val.slice(1, -1).split(',').map(s => s.trim().replace(/^["']|["']$/g, ''));
-      } else if (val === 'true') {
-        data[currentKey] = true;
-      } else if (val === 'false') {
-        data[currentKey] = false;
-      } else {
-        data[currentKey] = unquote(val);
-      }
-      continue;
-    }
+function checkFile(filePath, content, verifyBlocks, ruleFile) {
+  const violations = [];
 
-    // Top-level key with no value (starts a block)
-    const blockMatch = line.match(/^(\w+):$/);
-    if (blockMatch) {
-      currentKey = blockMatch[1];
-      currentList = [];
-      currentItem = null;
-      data[currentKey] = currentList;
-      continue;
-    }
+  for (const block of verifyBlocks) {
+    if (blockProblems(block).length > 0) continue;
+    const kind = blockKind(block);
+    const value = String(block[kind]);
+    const severity = block.severity || 'error';
+    const matches = findMatches(content, block, kind);
 
-    // List item start
-    if (currentList !== null && line.match(/^\s+-\s+\w+:/)) {
-      const itemMatch = line.match(/^\s+-\s+(\w+):\s*(.+)$/);
-      if (itemMatch) {
-        currentItem = {};
-        let val = unquote(itemMatch[2].trim());
-        currentItem[itemMatch[1]] = val;
-        currentList.push(currentItem);
-      }
+    if (kind === 'pattern' || kind === 'required') {
+      const minCount = block.minCount != null ? Number(block.minCount) : 1;
+      if (matches.length >= minCount) continue;
+      const what = kind === 'pattern' ? 'pattern' : 'string';
+      const shown = kind === 'pattern' ? value : `"${value}"`;
+      violations.push({
+        file: filePath,
+        ruleFile,
+        type: kind === 'pattern' ? 'missing-pattern' : 'missing-required',
+        severity,
+        message: block.message || (minCount === 1
+          ? `Missing required ${what}: ${shown}`
+          : `Expected at least ${minCount} matches of ${what} ${shown}, found ${matches.length}`),
+        [kind]: value,
+        count: matches.length
+      });
       continue;
     }
 
-    // Continuation of list item
-    if (currentItem && line.match(/^\s+\w+:/)) {
-      const contMatch = line.match(/^\s+(\w+):\s*(.+)$/);
-      if (contMatch) {
-        let val = unquote(contMatch[2].trim());
-        currentItem[contMatch[1]] = val;
+    const maxCount = block.maxCount != null ? Number(block.maxCount) : 0;
+    const what = kind === 'antipattern' ? 'pattern' : 'string';
+    const shown = kind === 'antipattern' ? value : `"${value}"`;
+    for (const match of matches.slice(maxCount)) {
+      const violation = {
+        file: filePath,
+        ruleFile,
+        type: kind,
+        severity,
+        message: block.message || (maxCount === 0
+          ? `Forbidden ${what} found: ${shown}`
+          : `Forbidden ${what} found: ${shown} (${matches.length} found, at most ${maxCount} allowed)`),
+        line: lineOf(content, match.index),
+        fixable: block.replace != null
+      };
+      if (kind === 'antipattern') {
+        violation.pattern = value;
+        violation.match = match.text.substring(0, 50) + (match.text.length > 50 ? '...' : '');
+      } else {
+        violation.forbidden = value;
       }
-      continue;
+      violations.push(violation);
     }
   }
 
-  return data;
+  return violations;
+}
+
+// A replace: template for one regex match: $&, $1, $<name>, $`, $' and $$ as in String.prototype.replace
+function expandReplacement(template, args) {
+  const hasGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+  const end = hasGroups ? args.length - 3 : args.length - 2;
+  const match = args[0];
+  const captures = args.slice(1, end);
+  const offset = args[end];
+  const input = args[end + 1];
+  const groups = hasGroups ? args[args.length - 1] : null;
+  return template.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return match;
+    if (what === '`') return input.slice(0, offset);
+    if (what === '\'') return input.slice(offset + match.length);
+    if (name !== undefined) return groups && groups[name] != null ? groups[name] : '';
+    let n = Number(what);
+    let rest = '';
+    if ((n < 1 || n > captures.length) && what.length === 2) {
+      n = Number(what[0]);
+      rest = what[1];
+    }
+    if (n < 1 || n > captures.length) return token;
+    return (captures[n - 1] == null ? '' : captures[n - 1]) + rest;
+  });
 }
 
 /**
- * Remove quotes and handle escape sequences
+ * Content with the replace: templates of antipattern and forbidden blocks
+ * applied to the occurrences checkFile would report: { content, fixes }.
  */
-function unquote(val) {
-  if ((val.startsWith('"') && val.endsWith('"')) || (val.startsWith("'") && val.endsWith("'"))) {
-    val = val.slice(1, -1);
-    // Handle YAML escape sequences in double-quoted strings
-    val = val.replace(/\\\\/g, '\\');
+function fixContent(content, verifyBlocks) {
+  let fixes = 0;
+  for (const block of verifyBlocks) {
+    if (block == null || block.replace == null || blockProblems(block).length > 0) continue;
+    const kind = blockKind(block);
+    const maxCount = block.maxCount != null ? Number(block.maxCount) : 0;
+    const template = String(block.replace);
+    let seen = 0;
+    if (kind === 'antipattern') {
+      content = content.replace(blockRegExp(block, kind, true), function() {
+        if (seen++ < maxCount) return arguments[0];
+        fixes++;
+        return expandReplacement(template, Array.from(arguments));
+      });
+    } else {
+      const parts = content.split(String(block[kind]));
+      content = parts.reduce((out, part, i) => {
+        if (i === 0) return part;
+        if (seen++ < maxCount) return out + String(block[kind]) + part;
+        fixes++;
+        return out + template + part;
+      }, '');
+    }
   }
-  return val;
+  return { content, fixes };
 }
 
 /**
- * Simple file finder matching glob patterns
+ * Files under baseDir matching any of the glob patterns, as posix paths
+ * relative to it. Skips the rules themselves and generated directories.
  */
 function findFiles(baseDir, patterns) {
   const files = [];
-  const ignore = ['node_modules', '.git', '.cursor'];
   
   function walk(dir, rel) {
     let entries;
@@ -251,11 +386,11 @@ function findFiles(baseDir, patterns) {
     }
     
     for (const entry of entries) {
-      if (ignore.includes(entry.name)) continue;
+      if (entry.name === '.cursor' || SKIP_DIRS.has(entry.name)) continue;
       if (entry.isSymbolicLink()) continue; // Skip symlinks for security
       
       const fullPath = path.join(dir, entry.name);
-      const relPath = rel ? path.join(rel, entry.name) : entry.name;
+      const relPath = rel ? rel + '/' + entry.name : entry.name;
       
       if (entry.isDirectory()) {
         walk(fullPath, relPath);
@@ -274,20 +409,4 @@ function findFiles(baseDir, patterns) {
   return files;
 }
 
-/**
- * Simple glob matching (supports *, **, and extensions like *.ts)
- */
-function matchGlob(filePath, pattern) {
-  // Simple extension match: *.ts, *.tsx, etc.
-  if (pattern.startsWith('*.')) {
-    return filePath.endsWith(pattern.slice(1));
-  }
-  // **/*.ext
-  if (pattern.startsWith('**/')) {
-    return matchGlob(filePath, pattern.slice(3));
-  }
-  // Direct match
-  return filePath === pattern;
-}
-
-module.exports = { verifyProject, checkFile };
+module.exports = { verifyProject, checkFile, fixContent, validateVerifyBlocks, verifyFieldLine };
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Watch mode (`cursor-doctor watch`): fs.watch on the rules directories,
+ * the root context files (CLAUDE.md, AGENTS.md, .cursorrules), .cursor/mcp.json
+ * and the skills directories. Changes are debounced into one re-run.
+ *
+ * Each run lints through an in-memory cache (see cache.js), so per-file checks
+ * only re-run for files whose content changed and conflict pairs only for
+ * rules that changed; the cross-file pass and the doctor grade are rebuilt
+ * from a fresh project model every time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lintProject } = require('./index');
+const { doctor } = require('./doctor');
+const { openCache } = require('./cache');
+const { loadConfig } = require('./config');
+const { loadProject, SKILL_DIRS } = require('./project');
+
+// Entries of the project root and .cursor/ that trigger a run
+const ROOT_NAMES = ['CLAUDE.md', 'AGENTS.md', '.cursorrules', '.cursor', 'skills', '.claude'];
+const CURSOR_NAMES = ['rules', 'mcp.json', 'skills'];
+
+function isDirectory(dir) {
+  try { return fs.statSync(dir).isDirectory(); } catch (e) { return false; }
+}
+
+// dir and its subdirectories
+function withSubdirs(dir, out) {
+  if (!isDirectory(dir)) return out;
+  out.push(dir);
+  let entries = [];
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) {}
+  for (const entry of entries) {
+    if (entry.isDirectory()) withSubdirs(path.join(dir, entry.name), out);
+  }
+  return out;
+}
+
+/**
+ * Directories to watch, mapped to the entry names that matter in them
+ * (null for all). fs.watch isn't recursive on every platform, so rule and
+ * skill subfolders are listed one by one.
+ */
+function watchTargets(dir, project) {
+  const targets = new Map();
+  targets.set(dir, ROOT_NAMES);
+  if (isDirectory(path.join(dir, '.cursor'))) targets.set(path.join(dir, '.cursor'), CURSOR_NAMES);
+  for (const ruleDir of project.ruleDirs) {
+    for (const d of withSubdirs(ruleDir.dir, [])) targets.set(d, null);
+  }
+  for (const skillDir of SKILL_DIRS) {
+    for (const d of withSubdirs(path.join(dir, skillDir), [])) targets.set(d, null);
+  }
+  if (isDirectory(path.join(dir, '.claude'))) targets.set(path.join(dir, '.claude'), ['skills']);
+  return targets;
+}
+
+/**
+ * Lint `dir` now and again after every change. `options.onUpdate` receives
+ * { results, report, changed, ms } after each run (changed is the list of
+ * paths that triggered it; empty for the first run) and `options.onError`
+ * any error a run throws. `options.debounce` is the quiet period in ms
+ * (default 200). Returns { close, run }; `run()` lints immediately.
+ */
+function watchProject(dir, options) {
+  options = options || {};
+  dir = path.resolve(dir);
+  const config = options.config || loadConfig(dir);
+  const cache = openCache(dir, config, { memory: true });
+  const debounce = options.debounce === undefined ? 200 : options.debounce;
+  const watchers = new Map();
+  let pending = new Set();
+  let timer = null;
+  let running = null;
+  let closed = false;
+
+  function schedule(filePath) {
+    if (closed) return;
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(run, debounce);
+  }
+
+  function sync(project) {
+    const targets = watchTargets(dir, project);
+    for (const [d, watcher] of watchers) {
+      if (!targets.has(d)) { watcher.close(); watchers.delete(d); }
+    }
+    for (const [d, names] of targets) {
+      if (watchers.has(d)) continue;
+      let watcher;
+      try {
+        watcher = fs.watch(d, (event, name) => {
+          const entry = name ? String(name) : null;
+          if (names && entry && !names.includes(entry)) return;
+          schedule(entry ? path.join(d, entry) : d);
+        });
+      } catch (e) {
+        continue; // Removed since it was listed; the next sync catches up
+      }
+      // A watched directory that goes away ends its watcher
+      watcher.on('error', () => { watcher.close(); watchers.delete(d); schedule(d); });
+      watchers.set(d, watcher);
+    }
+  }
+
+  async function lintOnce(changed) {
+    const started = Date.now();
+    const project = loadProject(dir, { config });
+    sync(project);
+    const results = await lintProject(dir, { config, cache, project });
+    const report = await doctor(dir, { config, cache, project });
+    return { results, report, changed, ms: Date.now() - started };
+  }
+
+  // Runs never overlap: changes during a run are picked up by the next one
+  async function run() {
+    clearTimeout(timer);
+    timer = null;
+    if (closed) return;
+    while (running) {
+      await running;
+      if (timer || closed) return;
+    }
+    const changed = Array.from(pending).sort();
+    pending = new Set();
+    running = lintOnce(changed).then(
+      update => { if (!closed && options.onUpdate) options.onUpdate(update); },
+      err => { if (!closed && options.onError) options.onError(err); }
+    );
+    await running;
+    running = null;
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+  }
+
+  return { close, run };
+}
+
+module.exports = { watchProject, watchTargets };
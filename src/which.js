@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Rule resolution for `cursor-doctor which <path>...`: the rules Cursor
+ * attaches when the agent works on a file, why each one matched, in load
+ * order (see order.js), with their combined tokens and the conflicting
+ * directives among them. Nested rules only apply to files in their own
+ * sub-project, and their globs are matched relative to it.
+ */
+
+const path = require('path');
+const { loadProject } = require('./project');
+const { showLoadOrder } = require('./order');
+const { extractDirectives, findDirectiveConflicts } = require('./directives');
+
+/**
+ * A RegExp for a rule glob. Supports `**`, `*`, `?`, `{a,b}` and `[...]`;
+ * a pattern without a slash matches the file name at any depth (`*.ts`), and
+ * a trailing slash matches everything under a directory (`src/`).
+ */
+function globToRegExp(glob) {
+  let pattern = glob.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  if (pattern.endsWith('/')) pattern += '**';
+  if (!pattern.includes('/')) pattern = '**/' + pattern;
+
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      const atStart = i === 0 || pattern[i - 1] === '/';
+      if (atStart && pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else if (atStart && i + 2 === pattern.length) {
+        re += '.*';
+        i += 1;
+      } else {
+        re += '[^/]*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      braces++;
+      re += '(?:';
+    } else if (ch === '}' && braces > 0) {
+      braces--;
+      re += ')';
+    } else if (ch === ',' && braces > 0) {
+      re += '|';
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        re += '\\[';
+      } else {
+        re += '[' + pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = close;
+      }
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/**
+ * Whether a posix path relative to the glob's base matches the rule glob.
+ * `which`, `pr-context` and `perf` all match rule globs through this.
+ */
+function matchGlob(file, glob) {
+  try {
+    return globToRegExp(glob).test(file);
+  } catch (e) {
+    return false; // An unbalanced pattern matches nothing; lint reports bad globs
+  }
+}
+
+/**
+ * The rules attached for each target file. `targets` are paths relative to
+ * `dir` (or absolute). Returns { files: [...] } with one entry per target:
+ *   file       — posix path relative to the project root
+ *   exists     — whether the file is on disk (a new file resolves the same)
+ *   rules      — attached rules in load order: { order, file, tier, reason,
+ *                glob, tokens, description }
+ *   tokens     — total tokens the attached rules inject
+ *   conflicts  — [{ a, b, conflicts }] contradicting directives between two
+ *                attached rules
+ *   requestable — rules with a description the agent may pull in on its own
+ * or { error } when a target is outside the project.
+ */
+function whichRules(dir, targets, options) {
+  const project = (options && options.project) || loadProject(dir);
+  const root = project.root;
+  const order = showLoadOrder(root, { project }).rules;
+  const byLabel = new Map(project.rules.map(r => [r.label, r]));
+  const cursorrules = project.read('.cursorrules');
+
+  const directivesCache = new Map();
+  function directivesOf(label) {
+    if (!directivesCache.has(label)) {
+      const text = label === '.cursorrules' ? cursorrules : byLabel.get(label).body;
+      directivesCache.set(label, extractDirectives(text));
+    }
+    return directivesCache.get(label);
+  }
+
+  const files = [];
+  for (const target of targets) {
+    const full = path.resolve(root, target);
+    const rel = path.relative(root, full).split(path.sep).join('/');
+    if (rel.startsWith('../') || rel === '..' || path.isAbsolute(rel)) {
+      return { error: 'Not inside the project: ' + target };
+    }
+
+    const rules = [];
+    const requestable = [];
+    for (const entry of order) {
+      const pkg = entry.package || '';
+      // Nested rules apply only inside their sub-project, with globs relative to it
+      if (pkg && !(rel + '/').startsWith(pkg + '/')) continue;
+      const local = pkg ? rel.slice(pkg.length + 1) : rel;
+      let reason = null;
+      let glob = null;
+      if (entry.file === '.cursorrules') {
+        reason = 'legacy .cursorrules, always loaded';
+      } else if (entry.tier === 'always') {
+        reason = 'alwaysApply: true';
+      } else if (entry.tier === 'glob') {
+        glob = entry.globs.find(g => matchGlob(local, String(g))) || null;
+        if (glob) reason = 'matches ' + glob;
+      }
+      if (reason) {
+        rules.push({ order: rules.length + 1, file: entry.file, tier: entry.tier, reason, glob, tokens: entry.tokens, description: entry.description || null });
+      } else if (entry.tier === 'manual' && entry.description && entry.description !== '(no frontmatter)') {
+        requestable.push({ file: entry.file, description: entry.description });
+      }
+    }
+
+    const conflicts = [];
+    for (let i = 0; i < rules.length; i++) {
+      for (let j = i + 1; j < rules.length; j++) {
+        const found = findDirectiveConflicts(directivesOf(rules[i].file), directivesOf(rules[j].file));
+        if (found.length > 0) conflicts.push({ a: rules[i].file, b: rules[j].file, conflicts: found });
+      }
+    }
+
+    files.push({
+      file: rel,
+      exists: project.exists(rel),
+      rules,
+      tokens: rules.reduce((sum, r) => sum + r.tokens, 0),
+      conflicts,
+      requestable,
+    });
+  }
+  return { files };
+}
+
+module.exports = { whichRules, matchGlob, globToRegExp };
@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * YAML subset parser — zero dependencies.
+ * Covers what rule frontmatter and verify: blocks use: block mappings and
+ * sequences (including lists of maps), plain, 'single' and "double" quoted
+ * scalars with escapes, block scalars (| and >, with chomping and indentation
+ * indicators), flow sequences that may span lines, and comments.
+ *
+ * Deliberately lenient where Cursor is: `*`, `&`, `!` and `{` start plain
+ * scalars (no aliases, anchors, tags or flow mappings) so unquoted globs like
+ * `*.ts` or `src/{a,b}/*` read as written, and a flow-looking value with
+ * text after the closing bracket (`[id]/page.tsx`) stays a plain string.
+ * Unknown escapes in double quotes ("\.ts$") are kept as written.
+ * Plain scalars resolve true/false and null; numbers stay strings.
+ *
+ * Errors carry the 1-based line and column of the offending text.
+ *
+ * `options.lenient` keeps what the old line-based frontmatter parser
+ * tolerated, so a rule Cursor loads today doesn't become a syntax error:
+ * the document is read as a mapping and lines that aren't "key: value" are
+ * skipped, a repeated key keeps its last value, and a flow sequence that
+ * doesn't close (`globs: ["a", "b"`) stays a plain string.
+ */
+
+const IGNORABLE = /^\s*(#.*)?$/;
+
+const ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\u0085', _: '\u00a0', L: '\u2028', P: '\u2029',
+};
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+function yamlError(message, line, column) {
+  const err = new Error(message);
+  err.line = line;
+  err.column = column;
+  return err;
+}
+
+function indentOf(text) {
+  return text.length - text.replace(/^[ \t]+/, '').length;
+}
+
+function isSeqItem(content) {
+  return /^-(\s|$)/.test(content);
+}
+
+// Drop a trailing " # comment" from plain text.
+function stripComment(text) {
+  const m = text.match(/(^|[ \t])#/);
+  return (m ? text.slice(0, m.index) : text).trim();
+}
+
+function resolvePlain(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  return text;
+}
+
+// "key: value" split of a line's content, or null when it isn't a mapping entry.
+function splitKey(content) {
+  const quoted = content.match(/^"((?:[^"\\]|\\.)*)"[ \t]*:(?=[ \t]|$)/) || content.match(/^'((?:[^']|'')*)'[ \t]*:(?=[ \t]|$)/);
+  if (quoted) {
+    const key = content[0] === '"' ? quoted[1].replace(/\\(.)/g, (m, c) => ESCAPES[c] || c) : quoted[1].replace(/''/g, "'");
+    return { key, valueStart: quoted[0].length };
+  }
+  if (/^[-?:](\s|$)/.test(content) || /^["'#[{]/.test(content)) return null;
+  const m = content.match(/:(?=[ \t]|$)/);
+  if (!m) return null;
+  const key = content.slice(0, m.index).trim();
+  if (!key || /[ \t]#/.test(key)) return null;
+  return { key, valueStart: m.index + 1 };
+}
+
+// Fold block scalar lines: single breaks become spaces except around more-indented lines.
+function foldLines(lines) {
+  let out = '';
+  for (let k = 0; k < lines.length; k++) {
+    const line = lines[k];
+    const prev = lines[k - 1];
+    if (k === 0) out = line;
+    else if (line === '') out += '\n';
+    else if (prev === '') out += line;
+    else if (/^[ \t]/.test(line) || /^[ \t]/.test(prev)) out += '\n' + line;
+    else out += ' ' + line;
+  }
+  return out;
+}
+
+function setKey(map, key, value) {
+  Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Parse YAML text. Returns the document value (null for an empty document).
+ * Throws an Error with `line` and `column` on invalid input.
+ */
+function parseYaml(text, options) {
+  const lenient = !!(options && options.lenient);
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n').map(t => ({ text: t, indent: indentOf(t) }));
+  let i = 0;
+
+  function fail(message, lineIdx, column) {
+    throw yamlError(message, lineIdx + 1, column);
+  }
+
+  // Move to the next line with content (skipping blanks and comments).
+  function nextLine() {
+    while (i < lines.length && IGNORABLE.test(lines[i].text)) i++;
+    return i < lines.length ? lines[i] : null;
+  }
+
+  function parseQuoted(li, ci) {
+    const quote = lines[li].text[ci];
+    const startLi = li;
+    const startCi = ci;
+    let out = '';
+    let j = ci + 1;
+    while (true) {
+      if (li >= lines.length) fail(`Unterminated ${quote === '"' ? 'double' : 'single'}-quoted string`, startLi, startCi + 1);
+      const text = lines[li].text;
+      let joined = false;
+      while (j < text.length) {
+        const c = text[j];
+        if (c === quote) {
+          if (quote === "'" && text[j + 1] === "'") { out += "'"; j += 2; continue; }
+          return { value: out, lineIdx: li, end: j + 1 };
+        }
+        if (quote === '"' && c === '\\') {
+          const e = text[j + 1];
+          if (e === undefined) { joined = true; break; }
+          const hex = HEX_ESCAPES[e] ? text.slice(j + 2, j + 2 + HEX_ESCAPES[e]) : '';
+          if (hex && hex.length === HEX_ESCAPES[e] && /^[0-9a-fA-F]+$/.test(hex)) {
+            out += String.fromCodePoint(parseInt(hex, 16));
+            j += 2 + hex.length;
+            continue;
+          }
+          if (e in ESCAPES) {
+            out += ESCAPES[e];
+            j += 2;
+            continue;
+          }
+          // Unknown escape ("\.ts$", "src\components"): keep it as written
+          out += c + e;
+          j += 2;
+          continue;
+        }
+        out += c;
+        j++;
+      }
+      // Line break inside the string: a single break folds to a space, blank lines to newlines
+      if (!joined) out = out.replace(/[ \t]+$/, '');
+      li++;
+      let breaks = 0;
+      while (li < lines.length && lines[li].text.trim() === '') { breaks++; li++; }
+      if (!joined) out += breaks ? '\n'.repeat(breaks) : ' ';
+      j = li < lines.length ? lines[li].indent : 0;
+    }
+  }
+
+  // Flow sequence starting at lines[li].text[ci] === '['; may span lines.
+  function parseFlowSequence(li, ci) {
+    const startLi = li;
+    const startCi = ci;
+    const items = [];
+    ci++;
+
+    function skipSpace() {
+      while (true) {
+        if (li >= lines.length) fail('Unterminated flow sequence; add the closing "]"', startLi, startCi + 1);
+        const text = lines[li].text;
+        while (ci < text.length && (text[ci] === ' ' || text[ci] === '\t')) ci++;
+        if (ci < text.length && !(text[ci] === '#' && (ci === 0 || /\s/.test(text[ci - 1])))) return;
+        li++;
+        ci = 0;
+      }
+    }
+
+    while (true) {
+      skipSpace();
+      let c = lines[li].text[ci];
+      if (c === ']') return { value: items, lineIdx: li, end: ci + 1 };
+      if (c === ',') fail('Empty entry in flow sequence', li, ci + 1);
+      if (c === '[') {
+        const nested = parseFlowSequence(li, ci);
+        items.push(nested.value);
+        li = nested.lineIdx;
+        ci = nested.end;
+      } else if (c === '"' || c === "'") {
+        const q = parseQuoted(li, ci);
+        items.push(q.value);
+        li = q.lineIdx;
+        ci = q.end;
+      } else {
+        // Plain entry runs to "," or "]" outside braces, so {ts,tsx} stays whole
+        const text = lines[li].text;
+        let j = ci;
+        let depth = 0;
+        for (; j < text.length; j++) {
+          const d = text[j];
+          if (d === '{') depth++;
+          else if (d === '}' && depth > 0) depth--;
+          else if (depth === 0 && (d === ',' || d === ']')) break;
+          else if (d === '#' && /\s/.test(text[j - 1])) break;
+        }
+        items.push(resolvePlain(text.slice(ci, j).trim()));
+        ci = j;
+      }
+      skipSpace();
+      c = lines[li].text[ci];
+      if (c === ',') { ci++; continue; }
+      if (c !== ']') fail('Expected "," or "]" in flow sequence', li, ci + 1);
+    }
+  }
+
+  function parseBlockScalar(col, parentIndent) {
+    const header = lines[i].text.slice(col);
+    const m = header.match(/^([|>])([+-]?)([1-9]?)([+-]?)[ \t]*(#.*)?$/);
+    if (!m || (m[2] && m[4])) fail('Invalid block scalar header; use |, >, |-, >-, |+ or >+', i, col + 1);
+    const folded = m[1] === '>';
+    const chomp = m[2] || m[4];
+    let contentIndent = m[3] ? Math.max(parentIndent, 0) + Number(m[3]) : null;
+    i++;
+
+    const raw = [];
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.text.trim() === '') { raw.push(''); i++; continue; }
+      if (contentIndent === null) {
+        if (line.indent <= parentIndent) break;
+        contentIndent = line.indent;
+      }
+      if (line.indent < contentIndent) break;
+      raw.push(line.text.slice(contentIndent));
+      i++;
+    }
+
+    let trailing = 0;
+    while (raw.length && raw[raw.length - 1] === '') { raw.pop(); trailing++; }
+    if (raw.length === 0) return chomp === '+' ? '\n'.repeat(trailing) : '';
+    const value = folded ? foldLines(raw) : raw.join('\n');
+    if (chomp === '-') return value;
+    if (chomp === '+') return value + '\n'.repeat(trailing + 1);
+    return value + '\n';
+  }
+
+  // Plain scalar starting at `col`; continues on lines indented past the parent.
+  function parsePlain(col, parentIndent) {
+    let value = stripComment(lines[i].text.slice(col));
+    let multiline = false;
+    let breaks = 0;
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (line.text.trim() === '') { breaks++; i++; continue; }
+      if (line.indent <= parentIndent || /^\s*#/.test(line.text)) break;
+      const content = line.text.slice(line.indent);
+      if (splitKey(content)) fail('Invalid YAML indentation', i, line.indent + 1);
+      value += (breaks ? '\n'.repeat(breaks) : ' ') + stripComment(content);
+      multiline = true;
+      breaks = 0;
+      i++;
+    }
+    return multiline ? value : resolvePlain(value);
+  }
+
+  // Value after "key:" or "- " on line i, starting at `col`.
+  function parseValue(col, parentIndent, inMapping) {
+    const text = lines[i].text;
+    const start = col + indentOf(text.slice(col));
+    const rest = text.slice(start);
+
+    if (rest === '' || rest[0] === '#') {
+      i++;
+      const next = nextLine();
+      if (next && next.indent > parentIndent) return parseBlock(next.indent, parentIndent);
+      // "key:" followed by "- item" lines at the key's own indentation
+      if (next && inMapping && next.indent === parentIndent && isSeqItem(next.text.slice(next.indent))) return parseSequence(parentIndent);
+      return null;
+    }
+    if (rest[0] === '|' || rest[0] === '>') return parseBlockScalar(start, parentIndent);
+    if (rest[0] === '"' || rest[0] === "'") {
+      const q = parseQuoted(i, start);
+      i = q.lineIdx;
+      const after = lines[i].text.slice(q.end);
+      if (!IGNORABLE.test(after)) fail('Unexpected text after quoted string', i, q.end + indentOf(after) + 1);
+      i++;
+      return q.value;
+    }
+    if (rest[0] === '[') {
+      let flow = null;
+      try {
+        flow = parseFlowSequence(i, start);
+      } catch (e) {
+        if (!lenient) throw e;
+      }
+      const after = flow ? lines[flow.lineIdx].text.slice(flow.end) : null;
+      if (flow && IGNORABLE.test(after)) {
+        i = flow.lineIdx + 1;
+        return flow.value;
+      }
+      if (flow && flow.lineIdx !== i) fail('Unexpected text after flow sequence', flow.lineIdx, flow.end + indentOf(after) + 1);
+    }
+    return parsePlain(start, parentIndent);
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    while (true) {
+      const line = nextLine();
+      if (!line || line.indent < indent) return map;
+      if (line.indent > indent) fail('Invalid YAML indentation', i, line.indent + 1);
+      const content = line.text.slice(indent);
+      const entry = splitKey(content);
+      if (!entry && lenient) { i++; continue; }
+      if (!entry) {
+        fail(isSeqItem(content) ? 'Unexpected list item; expected "key: value"' : 'Expected "key: value"', i, indent + 1);
+      }
+      if (!lenient && Object.prototype.hasOwnProperty.call(map, entry.key)) fail(`Duplicate key "${entry.key}"`, i, indent + 1);
+      setKey(map, entry.key, parseValue(indent + entry.valueStart, indent, true));
+    }
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    while (true) {
+      const line = nextLine();
+      if (!line || line.indent < indent) return items;
+      if (line.indent > indent) fail('Invalid YAML indentation', i, line.indent + 1);
+      const content = line.text.slice(indent);
+      // A key at the list's indentation ends a "key:\n- a" list
+      if (!isSeqItem(content)) return items;
+      const itemCol = indent + 1 + indentOf(content.slice(1));
+      const rest = line.text.slice(itemCol);
+      if (rest !== '' && rest[0] !== '#' && (isSeqItem(rest) || splitKey(rest))) {
+        // "- key: value" or "- - x": the item is a block node at the column after the dash
+        lines[i] = { text: line.text.slice(0, indent) + ' ' + line.text.slice(indent + 1), indent: itemCol };
+        items.push(parseBlock(itemCol, indent));
+      } else {
+        items.push(parseValue(indent + 1, indent, false));
+      }
+    }
+  }
+
+  function parseBlock(indent, parentIndent) {
+    const content = lines[i].text.slice(indent);
+    if (isSeqItem(content)) return parseSequence(indent);
+    if (splitKey(content)) return parseMapping(indent);
+    return parseValue(indent, parentIndent, false);
+  }
+
+  const first = nextLine();
+  if (!first) return null;
+  const value = lenient ? parseMapping(first.indent) : parseBlock(first.indent, -1);
+  const extra = nextLine();
+  if (extra) fail('Invalid YAML indentation', i, extra.indent + 1);
+  return value;
+}
+
+module.exports = { parseYaml };
@@ -14,7 +14,7 @@ const { parseVersion, versionGte, detectVersions } = require('../src/versions');
 const { analyzeTokenBudget } = require('../src/token-budget');
 const { showLoadOrder } = require('../src/order');
 const { migrate } = require('../src/migrate');
-const { verifyProject } = require('../src/verify');
+const { verifyProject, checkFile, fixContent, validateVerifyBlocks } = require('../src/verify');
 const { doctor } = require('../src/doctor');
 const { generateBadgeData, generateMarkdownBadge, generateHtmlBadge, generateShieldsEndpoint, generateShareUrl, GRADE_COLORS } = require('../src/badge');
 
@@ -2339,6 +2339,13 @@ Body`;
     assert.strictEqual(result.changes.length, 0);
   });
 
+  test('autofix: verify blocks are kept, unknown keys go with their nested lines', () => {
+    const input = '---\ndescription: Test\nglobs:\n  - "*.ts"\nverify:\n  - antipattern: "console\\\\.log"\n    message: Use the logger\nowners:\n  - name: platform\n---\nBody';
+    const result = fixUnknownFrontmatterKeys(input);
+    assert.strictEqual(result.content, '---\ndescription: Test\nglobs:\n  - "*.ts"\nverify:\n  - antipattern: "console\\\\.log"\n    message: Use the logger\n---\nBody');
+    assert.deepStrictEqual(result.changes, ['Removed unknown frontmatter key: owners']);
+  });
+
   // 7. Description contains "rule"
   test('autofix: "Rule for" stripped from description', () => {
     const input = `---
@@ -2507,6 +2514,15 @@ More content.`;
     assert.strictEqual(result.changes.length, 0);
   });
 
+  test('autofix: HTML comments keeps cursor-doctor suppression comments', () => {
+    const input = '---\ndescription: Test\nalwaysApply: true\n---\n<!-- cursor-doctor-disable xml-tags -->\nUse <b>bold</b>.\n<!-- Old rule -->\n';
+    const result = fixCommentedHTML(input);
+    assert(result.content.includes('<!-- cursor-doctor-disable xml-tags -->'));
+    assert(!result.content.includes('Old rule'));
+    const again = fixCommentedHTML(result.content);
+    assert.strictEqual(again.changes.length, 0, 'directive alone should not count as a change');
+  });
+
   // 13. Unclosed code blocks
   test('autofix: unclosed code blocks fixed', () => {
     const input = '---\ndescription: Test\nalwaysApply: true\n---\nExample:\n```\ncode here\n';
@@ -4770,6 +4786,1796 @@ Always write clean code.`);
     }
   });
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Check IDs and unified issue schema
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Check IDs');
+
+  const { CHECKS, normalizeIssue, matchesIgnore, needsManualFix } = require('../src/checks');
+
+  await asyncTest('check IDs: every lintMdcFile issue has a registered ID and full schema', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/bad.mdc', '---\ndescription: "rule"\nalwaysApply: "true"\nglobs: src\\\\*.ts\n---\nWrite clean code. TODO: finish this');
+    const result = await lintMdcFile(file);
+    assert(result.issues.length > 0, 'expected issues');
+    for (const issue of result.issues) {
+      assert(CHECKS[issue.id], 'unregistered check ID: ' + issue.id);
+      assert.strictEqual(issue.category, CHECKS[issue.id].category);
+      assert.strictEqual(typeof issue.fixable, 'boolean');
+      assert(issue.docsUrl.endsWith('#' + issue.id), 'docsUrl should anchor the ID');
+    }
+    assert(result.issues.some(i => i.id === 'boolean-strings'), 'should report boolean-strings');
+  });
+
+  test('check IDs: normalizeIssue keeps issue severity and is idempotent', () => {
+    const once = normalizeIssue({ id: 'vague-rule', severity: 'error', message: 'x' });
+    assert.strictEqual(once.severity, 'error');
+    assert.strictEqual(once.category, 'content');
+    assert.deepStrictEqual(normalizeIssue(once), once);
+    const custom = normalizeIssue({ id: 'my-check', severity: 'warning', message: 'y' });
+    assert.strictEqual(custom.category, 'custom');
+    assert.strictEqual(custom.fixable, false);
+    assert.strictEqual(custom.docsUrl, null);
+  });
+
+  test('check IDs: matchesIgnore accepts exact IDs and message patterns', () => {
+    const issue = { id: 'empty-globs', message: 'Globs array is empty' };
+    assert(matchesIgnore(issue, ['empty-globs']));
+    assert(matchesIgnore(issue, ['array is']));
+    assert(!matchesIgnore(issue, ['vague-rule']));
+  });
+
+  test('check IDs: every registered ID is documented in docs/checks.md', () => {
+    const doc = fs.readFileSync(path.join(__dirname, '..', 'docs', 'checks.md'), 'utf-8');
+    for (const id of Object.keys(CHECKS)) {
+      assert(doc.includes('### ' + id + '\n'), 'docs/checks.md missing ' + id);
+    }
+  });
+
+  await asyncTest('check IDs: lint --json includes id/category/fixable/docsUrl and --ignore matches IDs', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (args) => {
+      try {
+        return JSON.parse(execSync(`node ${cliPath} lint --json ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' }));
+      } catch (e) {
+        return JSON.parse(e.stdout);
+      }
+    };
+    const all = run('');
+    const issues = all.files.flatMap(f => [...f.errors, ...f.warnings, ...f.info]);
+    const vague = issues.find(i => i.id === 'vague-rule');
+    assert(vague, 'should report vague-rule');
+    assert.strictEqual(vague.category, 'content');
+    assert.strictEqual(typeof vague.fixable, 'boolean');
+    assert(vague.docsUrl.includes('#vague-rule'));
+
+    const ignored = run('--ignore=vague-rule');
+    const left = ignored.files.flatMap(f => [...f.errors, ...f.warnings, ...f.info]);
+    assert(!left.some(i => i.id === 'vague-rule'), 'vague-rule should be ignored by ID');
+  });
+
+  await asyncTest('check IDs: agents, MCP and plugin linters tag issues with IDs', async () => {
+    setupTestProject();
+    writeFixture('CLAUDE.md', 'You are an expert developer.\n');
+    writeFixture('.cursor/mcp.json', '{ "mcpServers": { "x": {} } }');
+    const agents = await lintAgentConfigs(TEST_PROJECT);
+    const mcp = await lintMcpConfigs(TEST_PROJECT);
+    const agentIssues = agents.flatMap(r => r.issues);
+    const mcpIssues = mcp.files.flatMap(r => r.issues);
+    assert(agentIssues.length > 0 && mcpIssues.length > 0, 'expected agent and MCP issues');
+    for (const issue of [...agentIssues, ...mcpIssues]) {
+      assert(CHECKS[issue.id], 'unregistered check ID: ' + issue.id);
+    }
+
+    const { lintPlugin } = require('../src/plugin');
+    const plugin = await lintPlugin(TEST_PROJECT);
+    assert.strictEqual(plugin[0].issues[0].id, 'plugin-not-a-plugin');
+    assert.strictEqual(plugin[0].issues[0].category, 'plugin');
+  });
+
+  test('check IDs: MCP lint_rules issues carry check IDs', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const response = callMcpServer({
+      jsonrpc: '2.0',
+      id: 40,
+      method: 'tools/call',
+      params: { name: 'lint_rules', arguments: { path: TEST_PROJECT } },
+    });
+    const data = JSON.parse(response.result.content[0].text);
+    const issues = data.files.flatMap(f => f.issues);
+    assert(issues.length > 0, 'expected issues');
+    assert(issues.every(i => CHECKS[i.id]), 'every issue should have a registered ID');
+  });
+
+  test('check IDs: only contradictions are left for manual fixing by the CLI', () => {
+    assert(needsManualFix(normalizeIssue({ id: 'self-contradiction', message: 'x' })));
+    assert(needsManualFix(normalizeIssue({ id: 'negation-without-alternative', message: 'x' })));
+    // Not fixable per the registry, but fix --preview and the fix hints keep counting it
+    const models = normalizeIssue({ id: 'model-names', message: 'x' });
+    assert.strictEqual(models.fixable, false);
+    assert(!needsManualFix(models));
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Issue positions
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Issue positions');
+
+  await asyncTest('positions: frontmatter keys, glob entries and body text get exact ranges', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/pos.mdc', '---\ndescription: Rule for stuff\nalwaysApply: "true"\nglobs:\n  - "*.ts"\n  - ./lib/\n---\n# Title\nPlease write clean code.\n');
+    const result = await lintMdcFile(file);
+    const byId = (id) => result.issues.find(i => i.id === id);
+    assert.deepStrictEqual(
+      ['line', 'column', 'endLine', 'endColumn'].map(k => byId('boolean-strings')[k]),
+      [3, 1, 3, 20]
+    );
+    const dotSlash = byId('glob-dot-slash');
+    assert.strictEqual(dotSlash.line, 6);
+    assert.strictEqual(dotSlash.column, 5);
+    assert.strictEqual(dotSlash.endColumn, 11);
+    const vague = byId('vague-rule');
+    assert.strictEqual(vague.line, 9);
+    assert.strictEqual(vague.column, 8);
+    assert.strictEqual(vague.endColumn, 24);
+    assert.strictEqual(byId('politeness').column, 1);
+    for (const issue of result.issues) {
+      assert(issue.line && issue.column && issue.endLine && issue.endColumn, 'missing range on ' + issue.id);
+    }
+  });
+
+  await asyncTest('positions: .cursorrules and skill issues have ranges', async () => {
+    setupTestProject();
+    writeFixture('.cursorrules', 'Intro\n  Keep it simple.\n');
+    writeFixture('.claude/skills/demo/SKILL.md', '---\nname: demo\ndescription: short\n---\nDo it.\n');
+    const results = await lintProject(TEST_PROJECT);
+    const rules = results.find(r => r.file.endsWith('.cursorrules'));
+    const vague = rules.issues.find(i => i.id === 'vague-rule');
+    assert.deepStrictEqual([vague.line, vague.column, vague.endColumn], [2, 3, 17]);
+    const skill = results.find(r => r.file.endsWith('SKILL.md'));
+    const short = skill.issues.find(i => i.id === 'skill-description-too-short');
+    assert.strictEqual(short.line, 3);
+  });
+
+  await asyncTest('positions: CLAUDE.md and MCP config issues point at the offending text', async () => {
+    setupTestProject();
+    writeFixture('CLAUDE.md', '# Project\n\nNotes.\n\nYou are an expert developer.\n');
+    writeFixture('.cursor/mcp.json', '{\n  "mcpServers": {\n    "db": { "command": "db-server", "env": { "TOKEN": "YOUR_TOKEN" } }\n  }\n}\n');
+    const agents = lintAgentConfigs(TEST_PROJECT);
+    const persona = agents[0].issues.find(i => i.id === 'agents-persona');
+    assert.deepStrictEqual([persona.line, persona.column], [5, 1]);
+    const mcp = lintMcpConfigs(TEST_PROJECT);
+    const placeholder = mcp.files[0].issues.find(i => i.id === 'mcp-env-placeholder');
+    assert.deepStrictEqual([placeholder.line, placeholder.column, placeholder.endColumn], [3, 55, 67]);
+  });
+
+  await asyncTest('positions: lint --json includes column, endLine and endColumn', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    let output;
+    try {
+      output = execSync(`node ${cliPath} lint --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    } catch (e) {
+      output = e.stdout;
+    }
+    const issues = JSON.parse(output).files.flatMap(f => [...f.errors, ...f.warnings, ...f.info]);
+    const vague = issues.find(i => i.id === 'vague-rule');
+    assert.deepStrictEqual([vague.line, vague.column, vague.endLine, vague.endColumn], [5, 1, 5, 17]);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Project config (.cursor-doctor.json)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Project config');
+
+  const { loadConfig, parseConfig } = require('../src/config');
+
+  await asyncTest('config: found by walking up, disables checks and overrides severity', async () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: { 'vague-rule': 'off', 'politeness': 'error' } }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nPlease write clean code.');
+    const config = loadConfig(path.join(TEST_PROJECT, '.cursor', 'rules'));
+    assert.strictEqual(config.path, path.join(TEST_PROJECT, '.cursor-doctor.json'));
+    const result = await lintMdcFile(file);
+    assert(!result.issues.some(i => i.id === 'vague-rule'), 'vague-rule should be off');
+    assert.strictEqual(result.issues.find(i => i.id === 'politeness').severity, 'error');
+  });
+
+  await asyncTest('config: threshold options and allowedKeys change what is reported', async () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: {
+      'description-too-short': { minChars: 30 },
+      'body-long': { severity: 'info', maxChars: 100 },
+      'unknown-frontmatter-key': { allowedKeys: ['owner'] },
+    } }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript rules\nowner: web-team\nalwaysApply: true\n---\n' + 'Use strict TypeScript types for all exported functions. '.repeat(3));
+    const result = await lintMdcFile(file);
+    const short = result.issues.find(i => i.id === 'description-too-short');
+    assert(short && short.message.includes('<30'), 'minChars should apply');
+    const long = result.issues.find(i => i.id === 'body-long');
+    assert(long && long.severity === 'info' && long.message.includes('>100'), 'maxChars and severity should apply');
+    assert(!result.issues.some(i => i.id === 'unknown-frontmatter-key'), 'owner should be allowed');
+  });
+
+  test('config: invalid entries are rejected with the config path', () => {
+    assert.throws(() => parseConfig('{ "checks": { "vague-rule": "loud" } }', 'x.json'), /Invalid severity "loud" for check "vague-rule" in x\.json/);
+    assert.throws(() => parseConfig('{ "checks": { "body-long": { "maxChar": 10 } } }', 'x.json'), /Unknown option "maxChar"/);
+    assert.throws(() => parseConfig('{ checks: 1 }', 'x.json'), /Invalid JSON in x\.json/);
+    assert.deepStrictEqual(parseConfig('{ "checks": { "my-custom": { "severity": "off" } } }', 'x.json').checks['my-custom'], { enabled: false });
+  });
+
+  await asyncTest('config: lint CLI honors the config and --config, and exits 2 on invalid JSON', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (args) => {
+      try {
+        return JSON.parse(execSync(`node ${cliPath} lint --json ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' }));
+      } catch (e) {
+        return JSON.parse(e.stdout);
+      }
+    };
+    const ids = (out) => out.files.flatMap(f => [...f.errors, ...f.warnings, ...f.info]).map(i => i.id);
+    assert(ids(run('')).includes('vague-rule'));
+    writeFixture('elsewhere.json', JSON.stringify({ checks: { 'vague-rule': 'off' } }));
+    assert(!ids(run('--config=elsewhere.json')).includes('vague-rule'), '--config should apply');
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: { 'vague-rule': 'off' } }));
+    assert(!ids(run('')).includes('vague-rule'), 'discovered config should apply');
+
+    writeFixture('.cursor-doctor.json', '{ "checks": ');
+    let status = 0;
+    let stderr = '';
+    try {
+      execSync(`node ${cliPath} lint`, { cwd: TEST_PROJECT, encoding: 'utf-8', stdio: 'pipe' });
+    } catch (e) {
+      status = e.status;
+      stderr = e.stderr;
+    }
+    assert.strictEqual(status, 2);
+    assert(stderr.includes('Invalid JSON in'), 'should name the broken config');
+  });
+
+  test('config: MCP lint_rules honors the project config', () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: { 'vague-rule': 'off' } }));
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const response = callMcpServer({
+      jsonrpc: '2.0',
+      id: 41,
+      method: 'tools/call',
+      params: { name: 'lint_rules', arguments: { path: TEST_PROJECT } },
+    });
+    const data = JSON.parse(response.result.content[0].text);
+    assert(!data.files.flatMap(f => f.issues).some(i => i.id === 'vague-rule'));
+  });
+
+  await asyncTest('config: autofix keeps allowed frontmatter keys', async () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: { 'unknown-frontmatter-key': { allowedKeys: ['owner'] } } }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nowner: web-team\nauthor: me\nalwaysApply: true\n---\nUse strict TypeScript types.\n');
+    const { autoFix } = require('../src/autofix');
+    await autoFix(TEST_PROJECT);
+    const fixed = fs.readFileSync(file, 'utf-8');
+    assert(fixed.includes('owner: web-team'), 'owner should be kept');
+    assert(!fixed.includes('author:'), 'author should be removed');
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Inline suppressions
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Inline suppressions');
+
+  await asyncTest('suppressions: disable-next-line and file-level disable silence the named checks', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/supp.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable xml-tags -->\nWrap answers in <answer format="json"> blocks.\n<!-- cursor-doctor-disable-next-line vague-rule -->\nWrite clean code.\nKeep it simple.\n');
+    const result = await lintMdcFile(file);
+    assert(!result.issues.some(i => i.id === 'xml-tags'), 'xml-tags should be disabled for the file');
+    const vague = result.issues.filter(i => i.id === 'vague-rule');
+    assert.strictEqual(vague.length, 1, 'only the unsuppressed line should be reported');
+    assert.strictEqual(vague[0].line, 9, 'lines should refer to the original file');
+    assert(!result.issues.some(i => i.id === 'commented-out' || i.id === 'todo-comments'), 'directives are not content');
+  });
+
+  await asyncTest('suppressions: unused suppressions and unknown IDs are reported at the comment', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/supp.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable-next-line politeness, no-such-check -->\nUse strict mode in tsconfig.json.\n');
+    const result = await lintMdcFile(file);
+    const unused = result.issues.filter(i => i.id === 'unused-suppression');
+    assert.strictEqual(unused.length, 2);
+    assert.deepStrictEqual([unused[0].line, unused[0].column], [5, 1]);
+    assert(unused[0].message.includes('politeness'));
+    assert(unused[1].hint.includes('not a cursor-doctor check ID'));
+  });
+
+  await asyncTest('suppressions: the documented alias vague works in comments and config', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/supp.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable-next-line vague -->\nWrite clean code.\nWrite clean code always.\n');
+    const result = await lintMdcFile(file);
+    assert.deepStrictEqual(result.issues.filter(i => i.id === 'vague-rule').map(i => i.line), [7]);
+    assert(!result.issues.some(i => i.id === 'unused-suppression'));
+    const config = parseConfig(JSON.stringify({ checks: { vague: 'off' } }), path.join(TEST_PROJECT, '.cursor-doctor.json'));
+    assert(!(await lintMdcFile(file, { config })).issues.some(i => i.id === 'vague-rule'));
+    assert.strictEqual(require('../src/explain').explainCheck('vague').id, 'vague-rule');
+  });
+
+  await asyncTest('suppressions: stacked directives, reasons and a bare disable', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/supp.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable-next-line vague-rule -- intentional example -->\n<!-- cursor-doctor-disable-next-line politeness -->\nPlease write clean code.\n');
+    const result = await lintMdcFile(file);
+    assert(!result.issues.some(i => ['vague-rule', 'politeness', 'unused-suppression'].includes(i.id)), 'both directives should target line 7');
+
+    const all = writeFixture('.cursor/rules/all.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable -->\nPlease write clean code.\n');
+    const allResult = await lintMdcFile(all);
+    assert.strictEqual(allResult.issues.length, 0);
+  });
+
+  await asyncTest('suppressions: comments inside code fences are not directives', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/supp.mdc', '---\ndescription: TypeScript conventions\nalwaysApply: true\n---\nUse strict TypeScript types for exported functions.\n\n```html\n<!-- cursor-doctor-disable-next-line vague-rule -->\n```\nWrite clean code.\n');
+    const result = await lintMdcFile(file);
+    assert(result.issues.some(i => i.id === 'vague-rule'));
+    assert(!result.issues.some(i => i.id === 'unused-suppression'));
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Nested rule discovery (subfolders and monorepo packages)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Nested rule discovery');
+
+  const { findRuleDirs, findRuleFiles, rollupByPackage } = require('../src/discovery');
+  const { showStats } = require('../src/stats');
+
+  function setupMonorepo() {
+    setupTestProject();
+    writeFixture('.cursor/rules/base.mdc', '---\ndescription: Base conventions\nalwaysApply: true\n---\nUse tabs for indentation.\n');
+    writeFixture('.cursor/rules/typescript/naming.mdc', '---\ndescription: TypeScript naming\nglobs: ["**/*.ts"]\n---\nUse camelCase for local variables.\n');
+    writeFixture('packages/web/.cursor/rules/format.mdc', '---\ndescription: Web formatting\nalwaysApply: true\n---\nUse spaces for indentation in every file.\n');
+    writeFixture('packages/api/.cursor/rules/api.mdc', '---\ndescription: API handlers\nalwaysApply: true\n---\nUse tabs for indentation. Return JSON errors from every handler.\n');
+    writeFixture('node_modules/dep/.cursor/rules/ignored.mdc', '---\ndescription: Vendored\nalwaysApply: true\n---\nIgnore me.\n');
+  }
+
+  test('discovery: finds subfolder and nested package rules, skipping node_modules', () => {
+    setupMonorepo();
+    const dirs = findRuleDirs(TEST_PROJECT);
+    assert.deepStrictEqual(dirs.map(d => d.package), ['', 'packages/api', 'packages/web']);
+    assert.deepStrictEqual(dirs[0].files, ['base.mdc', 'typescript/naming.mdc']);
+    const labels = findRuleFiles(TEST_PROJECT).map(f => f.label);
+    assert.deepStrictEqual(labels, ['base.mdc', 'typescript/naming.mdc', 'packages/api/.cursor/rules/api.mdc', 'packages/web/.cursor/rules/format.mdc']);
+  });
+
+  await asyncTest('discovery: lintProject lints nested rules and scopes conflicts per package', async () => {
+    setupMonorepo();
+    const results = await lintProject(TEST_PROJECT);
+    assert(results.some(r => r.file.endsWith(path.join('typescript', 'naming.mdc'))), 'subfolder rule should be linted');
+    assert(results.some(r => r.file.endsWith(path.join('packages', 'web', '.cursor', 'rules', 'format.mdc'))), 'package rule should be linted');
+    const conflictResults = results.filter(r => r.issues.some(i => i.id === 'semantic-conflict'));
+    assert.strictEqual(conflictResults.length, 1, 'only web conflicts with the root rules');
+    assert.strictEqual(conflictResults[0].file, path.join(TEST_PROJECT, 'packages', 'web', '.cursor', 'rules') + path.sep);
+    assert(conflictResults[0].issues[0].message.includes('packages/web/.cursor/rules/format.mdc'));
+
+    const rollup = rollupByPackage(TEST_PROJECT, results);
+    assert.deepStrictEqual(rollup.map(p => [p.package, p.rules]), [['', 2], ['packages/api', 1], ['packages/web', 1]]);
+    assert(rollup[2].errors >= 1, 'web conflict should count toward packages/web');
+  });
+
+  await asyncTest('discovery: stats, load order, token budget and verify see nested rules', async () => {
+    setupMonorepo();
+    writeFixture('.cursor/rules/typescript/verify.mdc', '---\ndescription: No console\nglobs: ["*.ts"]\nverify:\n  - antipattern: "console\\\\.log"\n---\nUse the logger.\n');
+    writeFixture('packages/web/src/app.ts', 'console.log("hi");\n');
+    const stats = showStats(TEST_PROJECT);
+    assert(stats.mdcFiles.some(f => f.file === 'packages/api/.cursor/rules/api.mdc' && f.package === 'packages/api'));
+    const order = showLoadOrder(TEST_PROJECT);
+    assert(order.rules.some(r => r.file === 'typescript/naming.mdc'));
+
+    const budget = analyzeTokenBudget(TEST_PROJECT);
+    const tokens = (label) => budget.rules.find(r => r.file === label).tokens;
+    const heaviest = Math.max(tokens('packages/web/.cursor/rules/format.mdc'), tokens('packages/api/.cursor/rules/api.mdc'));
+    assert.strictEqual(budget.alwaysLoadedTokens, tokens('base.mdc') + heaviest, 'only the heaviest package counts as always loaded');
+    assert.deepStrictEqual(budget.packages.map(p => p.package), ['packages/api', 'packages/web']);
+
+    const verify = await verifyProject(TEST_PROJECT);
+    assert(verify.rules.some(r => r.file === 'typescript/verify.mdc'), 'verify should read subfolder rules');
+    assert.strictEqual(verify.stats.filesChecked, 1, 'package source files should be checked');
+  });
+
+  await asyncTest('discovery: lint --json and scan --json include the package roll-up', async () => {
+    setupMonorepo();
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (cmd) => {
+      try {
+        return JSON.parse(execSync(`node ${cliPath} ${cmd} --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' }));
+      } catch (e) {
+        return JSON.parse(e.stdout);
+      }
+    };
+    const lint = run('lint');
+    assert.deepStrictEqual(lint.packages.map(p => p.package), ['', 'packages/api', 'packages/web']);
+    assert(lint.files.some(f => f.path === path.join('packages', 'web', '.cursor', 'rules', 'format.mdc')));
+    const scan = run('scan');
+    assert.strictEqual(scan.packages.length, 3);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Custom check plugins
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Custom check plugins');
+
+  // Each test writes its plugin under a fresh name; require() caches modules by path
+  const writePlugin = (name) => writeFixture('tools/' + name + '.js', `module.exports = {
+  name: 'acme',
+  checks: [{
+    id: 'acme/adr-link',
+    title: 'Rule does not link an ADR',
+    options: { prefix: 'ADR-' },
+    check(ctx) {
+      if (ctx.body.includes(ctx.options.prefix)) return [];
+      return [{ message: 'No ' + ctx.options.prefix + ' link in ' + require('path').basename(ctx.filePath), hint: ctx.project.ruleFiles.length + ' rules', ...ctx.locate.body() }];
+    },
+    fix(content, ctx) { return content.trimEnd() + '\\n\\nSee ' + ctx.options.prefix + '0001.\\n'; },
+  }, {
+    id: 'acme/boom',
+    check() { throw new Error('kaboom'); },
+  }],
+};
+`);
+
+  await asyncTest('plugins: checks get frontmatter, body and options and honour config and suppressions', async () => {
+    setupTestProject();
+    writePlugin('plugin-a');
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/plugin-a.js'], checks: { 'acme/adr-link': { severity: 'error', prefix: 'RFC-' } } }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\nUse camelCase for variables.\n');
+    const result = await lintMdcFile(file);
+    const issue = result.issues.find(i => i.id === 'acme/adr-link');
+    assert(issue, 'plugin issue should be reported');
+    assert.strictEqual(issue.severity, 'error');
+    assert.strictEqual(issue.category, 'custom');
+    assert.strictEqual(issue.fixable, true);
+    assert.strictEqual(issue.message, 'No RFC- link in test.mdc');
+    assert.strictEqual(issue.hint, '1 rules');
+    assert.strictEqual(issue.line, 5);
+    const failed = result.issues.find(i => i.id === 'custom-check-failed');
+    assert(failed && failed.message.includes('acme/boom threw: kaboom'), 'throwing check should be reported, not crash');
+
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\n<!-- cursor-doctor-disable acme/adr-link, acme/other -->\nUse camelCase for variables.\n');
+    const suppressed = await lintMdcFile(file);
+    assert(!suppressed.issues.some(i => i.id === 'acme/adr-link'), 'suppression should apply');
+    const unused = suppressed.issues.find(i => i.id === 'unused-suppression');
+    assert(unused.hint.includes('is not a cursor-doctor check ID'), 'only unregistered IDs are unknown');
+
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/plugin-a.js'], checks: { 'acme/adr-link': 'off', 'acme/boom': 'off' } }));
+    const off = await lintMdcFile(file, { content: '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\nUse camelCase.\n' });
+    assert(!off.issues.some(i => i.category === 'custom'), 'disabled plugin checks should not run');
+  });
+
+  test('plugins: MCP lint_file runs plugin checks', () => {
+    setupTestProject();
+    writePlugin('plugin-b');
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/plugin-b.js'], checks: { 'acme/boom': 'off' } }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\nUse camelCase for variables.\n');
+    const response = callMcpServer({
+      jsonrpc: '2.0',
+      id: 42,
+      method: 'tools/call',
+      params: { name: 'lint_file', arguments: { path: file } },
+    });
+    const data = JSON.parse(response.result.content[0].text);
+    assert(data.issues.some(i => i.id === 'acme/adr-link' && i.message === 'No ADR- link in test.mdc'), 'plugin issue should reach MCP clients');
+  });
+
+  await asyncTest('plugins: fix applies plugin fixers only where the check fails', async () => {
+    setupTestProject();
+    writePlugin('plugin-c');
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/plugin-c.js'] }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\nUse camelCase for variables.\n');
+    const linked = writeFixture('.cursor/rules/linked.mdc', '---\ndescription: API error handling\nalwaysApply: true\n---\nFollow ADR-0002 for errors.\n');
+    const { autoFix } = require('../src/autofix');
+    const results = await autoFix(TEST_PROJECT);
+    assert(fs.readFileSync(file, 'utf-8').endsWith('See ADR-0001.\n'));
+    assert(!fs.readFileSync(linked, 'utf-8').includes('ADR-0001'), 'passing files are left alone');
+    assert(results.fixed.some(f => f.file === 'test.mdc' && f.changes.includes('acme/adr-link: Rule does not link an ADR')));
+  });
+
+  await asyncTest('plugins: fix skips a check that throws and keeps the other fixers', async () => {
+    setupTestProject();
+    writePlugin('plugin-d');
+    writeFixture('tools/plugin-broken.js', "module.exports = { checks: [{ id: 'broken/boom', check() { throw new Error('kaboom'); }, fix(content) { return content + 'broken'; } }] };");
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/plugin-broken.js', './tools/plugin-d.js'] }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming conventions\nalwaysApply: true\n---\nUse camelCase for variables.\n');
+    const { autoFix } = require('../src/autofix');
+    const results = await autoFix(TEST_PROJECT);
+    const content = fs.readFileSync(file, 'utf-8');
+    assert(content.endsWith('See ADR-0001.\n') && !content.includes('broken'));
+    assert(results.fixed.some(f => f.file === 'test.mdc' && f.changes.includes('acme/adr-link: Rule does not link an ADR')));
+  });
+
+  test('plugins: invalid plugins fail with the config path and exit 2 from the CLI', () => {
+    setupTestProject();
+    const { loadCustomChecks } = require('../src/custom-checks');
+    writeFixture('tools/clash.js', "module.exports = { checks: [{ id: 'vague-rule', check() {} }] };");
+    const configPath = path.join(TEST_PROJECT, '.cursor-doctor.json');
+    assert.throws(() => loadCustomChecks(parseConfig(JSON.stringify({ plugins: ['./tools/clash.js'] }), configPath)), /Invalid plugin "\.\/tools\/clash\.js" in .*already a built-in check/);
+    assert.throws(() => loadCustomChecks(parseConfig(JSON.stringify({ plugins: ['./tools/missing.js'] }), configPath)), /module not found/);
+
+    writeFixture('.cursor-doctor.json', JSON.stringify({ plugins: ['./tools/missing.js'] }));
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    let status = 0;
+    let stderr = '';
+    try {
+      execSync(`node ${cliPath} lint`, { cwd: TEST_PROJECT, encoding: 'utf-8', stdio: 'pipe' });
+    } catch (e) {
+      status = e.status;
+      stderr = e.stderr;
+    }
+    assert.strictEqual(status, 2);
+    assert(stderr.includes('Invalid plugin "./tools/missing.js"'));
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Declarative custom checks
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Declarative custom checks');
+
+  await asyncTest('customChecks: forbid and require patterns on body, description and globs', async () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({ customChecks: [
+      { id: 'team/examples', target: 'body', pattern: '^## Examples', flags: 'm', mode: 'require', message: 'Rule has no ## Examples section' },
+      { id: 'team/no-any', target: 'body', pattern: '\\bany\\b', message: 'Mentions {match}', severity: 'error' },
+      { id: 'team/desc-case', target: 'description', pattern: '^[A-Z]', mode: 'require', message: 'Description must start uppercase' },
+      { id: 'team/no-js', target: 'globs', pattern: '\\.js$', message: 'Glob {match} targets JS' },
+    ] }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: typescript naming\nglobs: src/**/*.ts, src/**/*.js\n---\n\nNever use any. Avoid any.\n');
+    const issues = (await lintMdcFile(file)).issues.filter(i => i.category === 'custom');
+    const byId = (id) => issues.filter(i => i.id === id);
+    assert.strictEqual(byId('team/examples').length, 1);
+    assert.strictEqual(byId('team/examples')[0].line, 6);
+    assert.deepStrictEqual(byId('team/no-any').map(i => [i.severity, i.message, i.line, i.column]), [['error', 'Mentions any', 6, 11], ['error', 'Mentions any', 6, 22]]);
+    assert.strictEqual(byId('team/desc-case')[0].line, 2);
+    assert.deepStrictEqual(byId('team/no-js').map(i => [i.message, i.line, i.column]), [['Glob src/**/*.js targets JS', 3, 21]]);
+
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming\nglobs: src/**/*.ts\n---\n\nUse camelCase.\n\n## Examples\n\n`userName`\n');
+    assert(!(await lintMdcFile(file)).issues.some(i => i.category === 'custom'), 'template-conforming rule is clean');
+  });
+
+  await asyncTest('customChecks: config severities, "off" and suppressions apply', async () => {
+    setupTestProject();
+    writeFixture('.cursor-doctor.json', JSON.stringify({
+      customChecks: [
+        { id: 'team/no-todo', target: 'body', pattern: 'FIXME', message: 'FIXME left in rule' },
+        { id: 'team/examples', target: 'body', pattern: '^## Examples', flags: 'm', mode: 'require', message: 'Rule has no ## Examples section' },
+      ],
+      checks: { 'team/no-todo': 'info', 'team/examples': 'off' },
+    }));
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming\nalwaysApply: true\n---\nFIXME tighten this.\n<!-- cursor-doctor-disable-next-line team/no-todo -->\nFIXME and this.\n');
+    const issues = (await lintMdcFile(file)).issues.filter(i => i.category === 'custom');
+    assert.deepStrictEqual(issues.map(i => [i.id, i.severity, i.line]), [['team/no-todo', 'info', 5]]);
+  });
+
+  test('customChecks: invalid entries name the check and the config file', () => {
+    const { loadCustomChecks } = require('../src/custom-checks');
+    const load = (entry) => loadCustomChecks(parseConfig(JSON.stringify({ customChecks: [entry] }), 'x.json'));
+    const base = { id: 'team/x', target: 'body', pattern: 'x', message: 'x' };
+    assert.throws(() => load(Object.assign({}, base, { pattern: '(' })), /Invalid custom check "team\/x" in x\.json: invalid pattern/);
+    assert.throws(() => load(Object.assign({}, base, { target: 'title' })), /"target" must be one of body, description, globs/);
+    assert.throws(() => load(Object.assign({}, base, { id: 'vague-rule' })), /already a built-in check/);
+    assert.throws(() => load(Object.assign({}, base, { mode: 'never' })), /"mode" must be "forbid" or "require"/);
+    assert.strictEqual(load(base)[0].severity, 'warning');
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // YAML frontmatter parser
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## YAML frontmatter parser');
+
+  const { parseYaml } = require('../src/yaml');
+
+  test('yaml: block scalars, multi-line flow sequences, escapes and comments', () => {
+    const fm = parseFrontmatter([
+      '---',
+      '# team rule',
+      'description: >-',
+      '  TypeScript naming',
+      '  conventions',
+      'globs: [',
+      '  "src/**/*.ts",  # sources',
+      '  src/**/*.{ts,tsx},',
+      ']',
+      'alwaysApply: false # scoped by globs',
+      'owner: "say \\"hi\\""',
+      "note: 'it''s fine'",
+      '---',
+      'Body',
+    ].join('\n'));
+    assert.strictEqual(fm.error, null);
+    assert.deepStrictEqual(fm.data, {
+      description: 'TypeScript naming conventions',
+      globs: ['src/**/*.ts', 'src/**/*.{ts,tsx}'],
+      alwaysApply: false,
+      owner: 'say "hi"',
+      note: "it's fine",
+    });
+    assert.strictEqual(parseYaml('body: |\n  line one\n  line two\n').body, 'line one\nline two\n');
+  });
+
+  test('yaml: lists of maps and Cursor-style unquoted globs', () => {
+    const data = parseYaml('verify:\n  - pattern: "^import"\n    message: Use ES imports\n  - antipattern: console\\.log\nglobs: *.ts, [id]/page.tsx');
+    assert.deepStrictEqual(data.verify, [{ pattern: '^import', message: 'Use ES imports' }, { antipattern: 'console\\.log' }]);
+    assert.strictEqual(data.globs, '*.ts, [id]/page.tsx');
+  });
+
+  test('yaml: errors carry line and column', () => {
+    const cases = [
+      ['a: 1\na: 2', /Duplicate key "a"/, 2, 1],
+      ['globs: ["a", "b"', /Unterminated flow sequence/, 1, 8],
+      ['description: "x" trailing', /Unexpected text after quoted string/, 1, 18],
+      ['description: Test\n  invalid: nested', /Invalid YAML indentation/, 2, 3],
+    ];
+    for (const [text, message, line, column] of cases) {
+      assert.throws(() => parseYaml(text), (e) => message.test(e.message) && e.line === line && e.column === column);
+    }
+  });
+
+  test('yaml: frontmatter keeps the old parser\'s tolerance', () => {
+    const fm = parseFrontmatter('---\ndescription: Old rule\nglobs:\nnotes go here\nalwaysApply: true\nalwaysApply: false\nextra: ["a", "b"\n---\nBody');
+    assert.strictEqual(fm.error, null);
+    assert.deepStrictEqual(fm.data, { description: 'Old rule', globs: [], alwaysApply: false, extra: '["a", "b"' });
+    assert.deepStrictEqual(parseFrontmatter('---\njust text\n---\nBody').data, {});
+  });
+
+  await asyncTest('yaml: frontmatter-syntax points at the offending line and column', async () => {
+    setupTestProject();
+    const file = writeFixture('.cursor/rules/test.mdc', '---\ndescription: TypeScript naming\nalwaysApply: true\nowner: "team\n---\nUse camelCase.\n');
+    const issue = (await lintMdcFile(file)).issues.find(i => i.id === 'frontmatter-syntax');
+    assert(issue, 'unterminated quote should be a syntax error');
+    assert.strictEqual(issue.message, 'YAML frontmatter error: Unterminated double-quoted string');
+    assert.deepStrictEqual([issue.line, issue.column, issue.endLine, issue.endColumn], [4, 8, 4, 13]);
+  });
+
+  await asyncTest('yaml: verify reads list-of-map blocks through the shared parser', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/no-console.mdc', '---\ndescription: No console logging\nglobs: ["**/*.ts"]\nverify:\n  - antipattern: "console\\\\.log"\n    message: Use the logger\n---\nUse the logger.\n');
+    writeFixture('src/app.ts', 'console.log("hi");\n');
+    const results = await verifyProject(TEST_PROJECT);
+    assert.strictEqual(results.stats.rulesWithVerify, 1);
+    assert.deepStrictEqual(results.violations.map(v => [v.file, v.message, v.line]), [['src/app.ts', 'Use the logger', 1]]);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Lint cache
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Lint cache');
+
+  const { openCache, CACHE_FILE } = require('../src/cache');
+
+  await asyncTest('cache: unchanged rules reuse file and conflict results', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: Semicolon style\nalwaysApply: true\n---\nAlways use semicolons.\n');
+    writeFixture('.cursor/rules/b.mdc', '---\ndescription: Formatting style\nalwaysApply: true\n---\nNever use semicolons.\n');
+    const fresh = await lintProject(TEST_PROJECT, { cache: true });
+    const cachePath = path.join(TEST_PROJECT, CACHE_FILE);
+    assert(fs.existsSync(cachePath), 'cache file should be written');
+    assert.deepStrictEqual(await lintProject(TEST_PROJECT, { cache: true }), fresh, 'cached run should match');
+
+    // Prove reuse: doctored entries come back as long as the content hashes match
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    data.files['.cursor/rules/a.mdc'].issues = [{ id: 'vague-rule', severity: 'info', message: 'from cache' }];
+    for (const key of Object.keys(data.pairs)) data.pairs[key] = [{ id: 'conflicting-rules', severity: 'error', message: 'pair from cache' }];
+    fs.writeFileSync(cachePath, JSON.stringify(data));
+    const cache = openCache(TEST_PROJECT, loadConfig(TEST_PROJECT));
+    const cached = await lintProject(TEST_PROJECT, { cache });
+    const messages = cached.flatMap(r => r.issues.map(i => i.message));
+    assert(messages.includes('from cache') && messages.includes('pair from cache'));
+    assert.deepStrictEqual(cache.stats, { hits: 2, misses: 0 });
+
+    // Editing a rule re-lints it and re-runs its pairs
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: Semicolon style\nalwaysApply: true\n---\nAlways use semicolons at line ends.\n');
+    const edited = (await lintProject(TEST_PROJECT, { cache: true })).flatMap(r => r.issues.map(i => i.message));
+    assert(!edited.includes('from cache') && !edited.includes('pair from cache'));
+  });
+
+  await asyncTest('cache: a config change or new version discards the cache', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.\n');
+    await lintProject(TEST_PROJECT, { cache: true });
+    const cachePath = path.join(TEST_PROJECT, CACHE_FILE);
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    data.files['.cursor/rules/a.mdc'].issues = [];
+    fs.writeFileSync(cachePath, JSON.stringify(data));
+    writeFixture('.cursor-doctor.json', JSON.stringify({ checks: { 'politeness': 'off' } }));
+    const ids = (await lintProject(TEST_PROJECT, { cache: true })).flatMap(r => r.issues.map(i => i.id));
+    assert(ids.includes('vague-rule'), 'stale entries should not survive a config change');
+
+    const again = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    again.version = '0.0.0';
+    again.files['.cursor/rules/a.mdc'].issues = [];
+    fs.writeFileSync(cachePath, JSON.stringify(again));
+    const ids2 = (await lintProject(TEST_PROJECT, { cache: true })).flatMap(r => r.issues.map(i => i.id));
+    assert(ids2.includes('vague-rule'), 'stale entries should not survive an upgrade');
+  });
+
+  await asyncTest('cache: creating a referenced file invalidates missing-file-reference', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API handlers\nalwaysApply: true\n---\nFollow the pattern in src/api/handler.ts for new endpoints.\n');
+    const ids = async () => (await lintProject(TEST_PROJECT, { cache: true })).flatMap(r => r.issues.map(i => i.id));
+    assert((await ids()).includes('missing-file-reference'));
+    // Rule paths resolve against the directory above .cursor/rules
+    writeFixture('.cursor/src/api/handler.ts', 'export {};\n');
+    assert(!(await ids()).includes('missing-file-reference'), 'cached result should not outlive the missing file');
+    fs.unlinkSync(path.join(TEST_PROJECT, '.cursor/src/api/handler.ts'));
+    assert((await ids()).includes('missing-file-reference'));
+  });
+
+  test('cache: lint --cache and --cache-location from the CLI', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/test.mdc', '---\ndescription: Test rule\nalwaysApply: true\n---\nWrite clean code.');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (args) => {
+      try {
+        return execSync(`node ${cliPath} lint --json ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+      } catch (e) {
+        return e.stdout;
+      }
+    };
+    const plain = run('');
+    assert(!fs.existsSync(path.join(TEST_PROJECT, CACHE_FILE)), 'cache is opt-in');
+    assert.strictEqual(run('--cache'), plain);
+    assert.strictEqual(run('--cache'), plain);
+    assert(fs.existsSync(path.join(TEST_PROJECT, CACHE_FILE)));
+    assert.strictEqual(run('--cache-location=tmp/lint-cache.json'), plain);
+    assert(fs.existsSync(path.join(TEST_PROJECT, 'tmp', 'lint-cache.json')));
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Project model
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Project model');
+
+  const { loadProject } = require('../src/project');
+  const { describeStack } = require('../src/audit');
+  const { stackFlags } = require('../src/init');
+
+  await asyncTest('project: analyzers read rules from the shared model', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/testing.mdc', '---\ndescription: Testing\nalwaysApply: true\n---\nWrite tests for every change.\n');
+    writeFixture('CLAUDE.md', '# Project\nUse the logger.\n');
+    const project = loadProject(TEST_PROJECT);
+    const rule = project.rules[0];
+    assert.strictEqual(rule.label, 'testing.mdc');
+    assert.strictEqual(rule.tier, 'always');
+    assert.strictEqual(project.rule(rule.path), rule);
+    assert.deepStrictEqual(project.contextFiles.map(f => f.name), ['CLAUDE.md']);
+
+    // Later disk changes are invisible to analyzers handed the model
+    writeFixture('.cursor/rules/testing.mdc', '---\ndescription: Testing\nglobs: ["*.ts"]\n---\n' + 'Write tests. '.repeat(100));
+    writeFixture('CLAUDE.md', '# Project\n' + 'Use the logger. '.repeat(100));
+    const stats = showStats(TEST_PROJECT, { project });
+    const budget = analyzeTokenBudget(TEST_PROJECT, { project });
+    assert.strictEqual(stats.mdcFiles[0].tier, 'always');
+    assert.strictEqual(budget.rules[0].tier, 'always');
+    assert.strictEqual(budget.contextFileTokens, Math.ceil('# Project\nUse the logger.\n'.length / 4 * 1.1));
+    const report = await doctor(TEST_PROJECT, { project });
+    assert(report.checks.some(c => c.name === 'alwaysApply usage' && c.detail.startsWith('1 always-active')));
+  });
+
+  test('project: one stack detection feeds coverage, audit and init', () => {
+    setupTestProject();
+    writeFixture('package.json', JSON.stringify({ dependencies: { next: '^14.0.0' }, devDependencies: { vitest: '^1.0.0' } }));
+    writeFixture('requirements.txt', 'fastapi==0.110.0\n');
+    writeFixture('go.mod', 'module example.com/server\n');
+    writeFixture('scripts/release.rb', 'puts 1\n');
+    const project = loadProject(TEST_PROJECT);
+    for (const id of ['nextjs', 'react', 'vitest', 'javascript', 'python', 'fastapi', 'go']) {
+      assert(project.stack.ids.includes(id), 'should detect ' + id);
+    }
+    assert(!project.stack.ids.includes('ruby'), 'source file extensions are not a stack signal');
+    assert.deepStrictEqual(detectStack(TEST_PROJECT), project.stack.ids);
+
+    const audit = describeStack(project.stack);
+    assert.deepStrictEqual(audit.frameworks, ['Next.js ^14.0.0', 'React']);
+    assert.deepStrictEqual(audit.languages, ['JavaScript', 'Python', 'Go']);
+    assert.strictEqual(audit.packageManager, 'npm');
+
+    const flags = stackFlags(project.stack, project.files);
+    assert(flags.frameworks.nextjs && flags.frameworks.react && flags.languages.go);
+    assert(flags.languages.ruby, 'init also picks languages from file extensions');
+    assert(flags.testing.vitest && flags.testing.gotest && flags.testing.hasTests);
+  });
+
+  await asyncTest('project: root stack checks, MCP and plugin lint go through the model', async () => {
+    setupTestProject();
+    writeFixture('App.csproj', '<Project />\n');
+    writeFixture('main.tf', 'terraform {}\n');
+    writeFixture('nginx/site.conf', 'server {}\n');
+    writeFixture('.cursor/mcp.json', '{ "mcpServers": {} }\n');
+    writeFixture('.cursor-plugin/plugin.json', JSON.stringify({ name: 'acme-plugin' }));
+    writeFixture('rules/style.mdc', '---\ndescription: Style\n---\nBody\n');
+    const readFile = full => (full.endsWith('mcp.json') ? '' : full.endsWith('style.mdc') ? 'No frontmatter\n' : fs.readFileSync(full, 'utf-8'));
+    const project = loadProject(TEST_PROJECT, { readFile });
+    Object.defineProperty(project, 'files', { get() { throw new Error('stack detection should not walk the tree'); } });
+    for (const id of ['csharp', 'terraform', 'nginx']) assert(project.stack.ids.includes(id), 'should detect ' + id);
+
+    const mcp = lintMcpConfigs(TEST_PROJECT, { project });
+    assert(mcp.files[0].issues.some(i => i.id === 'mcp-empty-file'), 'MCP lint should read the model');
+    const { lintPlugin } = require('../src/plugin');
+    const plugin = await lintPlugin(TEST_PROJECT, { project });
+    assert.deepStrictEqual(plugin.map(r => [r.file, r.issues[0].id]), [[path.join('rules', 'style.mdc'), 'plugin-rule-missing-frontmatter']]);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SARIF output
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## SARIF output');
+
+  const { conflictsToSarif, verifyToSarif } = require('../src/sarif');
+  const { crossConflictReport } = require('../src/cross-conflicts');
+
+  test('sarif: lint --format=sarif reports rules, regions and fixes', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API conventions for handlers\nalwaysApply: "true"\n---\n\nReturn typed errors from every handler.\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    let out;
+    try {
+      out = execSync(`node ${cliPath} lint --format=sarif`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    } catch (e) {
+      out = e.stdout;
+    }
+    const log = JSON.parse(out);
+    assert.strictEqual(log.version, '2.1.0');
+    const run = log.runs[0];
+    assert.strictEqual(run.tool.driver.name, 'cursor-doctor');
+    const result = run.results.find(r => r.ruleId === 'boolean-strings');
+    assert(result, 'quoted boolean should be reported');
+    const rule = run.tool.driver.rules[result.ruleIndex];
+    assert.strictEqual(rule.id, 'boolean-strings');
+    assert.strictEqual(rule.shortDescription.text, 'Quoted boolean in frontmatter');
+    assert.strictEqual(rule.defaultConfiguration.level, 'error');
+    assert(rule.helpUri.endsWith('#boolean-strings'));
+    assert.strictEqual(result.level, 'error');
+    const loc = result.locations[0].physicalLocation;
+    assert.strictEqual(loc.artifactLocation.uri, '.cursor/rules/api.mdc');
+    assert.strictEqual(loc.region.startLine, 3);
+
+    const change = result.fixes[0].artifactChanges[0];
+    assert.strictEqual(change.artifactLocation.uri, '.cursor/rules/api.mdc');
+    assert.deepStrictEqual(change.replacements, [{
+      deletedRegion: { startLine: 3, startColumn: 1, endLine: 4, endColumn: 1 },
+      insertedContent: { text: 'alwaysApply: true\n' },
+    }]);
+  });
+
+  test('sarif: conflicts and verify results point at file lines', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/style.mdc', '---\ndescription: Code style\nalwaysApply: true\n---\n# Style\nAlways use semicolons.\n');
+    writeFixture('CLAUDE.md', '# Project\n\nNever use semicolons.\n');
+    const conflicts = conflictsToSarif(TEST_PROJECT, crossConflictReport(TEST_PROJECT)).runs[0];
+    const conflict = conflicts.results[0];
+    assert(conflict, 'semicolon directives should conflict');
+    assert.strictEqual(conflicts.tool.driver.rules[0].id, 'cross-format-conflict');
+    assert.deepStrictEqual(conflict.locations[0].physicalLocation.region, { startLine: 6 });
+    assert.strictEqual(conflict.relatedLocations[0].physicalLocation.artifactLocation.uri, 'CLAUDE.md');
+    assert.deepStrictEqual(conflict.relatedLocations[0].physicalLocation.region, { startLine: 3 });
+
+    const verify = verifyToSarif(TEST_PROJECT, {
+      rules: [{ file: 'api.mdc', path: path.join(TEST_PROJECT, '.cursor', 'rules', 'api.mdc') }],
+      violations: [{ file: 'src/api.ts', ruleFile: 'api.mdc', type: 'forbidden', message: 'No console.log', line: 4 }],
+    }).runs[0];
+    assert.strictEqual(verify.tool.driver.rules[0].id, 'verify/forbidden');
+    assert.deepStrictEqual(verify.results[0].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/api.ts', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 4 },
+    });
+    assert.strictEqual(verify.results[0].relatedLocations[0].physicalLocation.artifactLocation.uri, '.cursor/rules/api.mdc');
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // JUnit and Code Climate reports
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## JUnit and Code Climate reports');
+
+  const { toJunit } = require('../src/junit');
+  const { toCodeClimate } = require('../src/codeclimate');
+  const { issueFingerprints } = require('../src/checks');
+
+  await asyncTest('junit: one test case per file, one failure per issue', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/clean.mdc', '---\ndescription: Error handling for API routes\nalwaysApply: true\n---\nReturn typed errors from every handler.\n');
+    writeFixture('.cursor/rules/loose.mdc', '---\ndescription: Loose rules & <tips>\nalwaysApply: "true"\n---\nTry to write good code.\n');
+    const results = await lintProject(TEST_PROJECT);
+    const xml = toJunit(TEST_PROJECT, results);
+    assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert(xml.includes('<testcase classname="cursor-doctor" name=".cursor/rules/clean.mdc" file=".cursor/rules/clean.mdc" />'));
+    const loose = results.find(r => r.file.endsWith('loose.mdc'));
+    const failures = xml.match(/<failure type="[^"]+"/g);
+    assert.strictEqual(failures.length, loose.issues.length);
+    assert(xml.includes('<failure type="boolean-strings"'));
+    assert(xml.includes('Fingerprint: ' + issueFingerprints('.cursor/rules/loose.mdc', loose.issues)[0]));
+    assert(xml.includes('tests="2" failures="1"'));
+    assert(!/<tips>/.test(xml), 'text should be escaped');
+  });
+
+  test('codeclimate: fingerprints survive line shifts and match SARIF', () => {
+    const issue = { id: 'vague-rule', severity: 'warning', category: 'content', message: 'Vague rule', line: 5, endLine: 5 };
+    const file = path.join(TEST_PROJECT, '.cursor', 'rules', 'a.mdc');
+    const [entry] = toCodeClimate(TEST_PROJECT, [{ file, issues: [issue] }]);
+    assert.deepStrictEqual(entry.location, { path: '.cursor/rules/a.mdc', lines: { begin: 5, end: 5 } });
+    assert.strictEqual(entry.severity, 'minor');
+    assert.deepStrictEqual(entry.categories, ['Clarity']);
+    const [moved] = toCodeClimate(TEST_PROJECT, [{ file, issues: [Object.assign({}, issue, { line: 9, endLine: 9 })] }]);
+    assert.strictEqual(moved.fingerprint, entry.fingerprint);
+    const twice = toCodeClimate(TEST_PROJECT, [{ file, issues: [issue, issue] }]);
+    assert.notStrictEqual(twice[0].fingerprint, twice[1].fingerprint);
+    assert.strictEqual(twice[0].fingerprint, entry.fingerprint);
+
+    // Project-wide issues name the project root the same way in every report
+    const [root] = toCodeClimate(TEST_PROJECT, [{ file: TEST_PROJECT, issues: [issue] }]);
+    assert.strictEqual(root.location.path, '.');
+    const { baselineEntries } = require('../src/baseline');
+    assert.strictEqual(baselineEntries(TEST_PROJECT, [{ file: TEST_PROJECT, issues: [issue] }])[0].fingerprint, root.fingerprint);
+  });
+
+  test('junit/codeclimate: lint and check --format from the CLI', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: "true"\nalwaysApply: "true"\n---\nTry to write good code.\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (args) => {
+      try {
+        return { out: execSync(`node ${cliPath} ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8', stdio: 'pipe' }), status: 0 };
+      } catch (e) {
+        return { out: e.stdout, status: e.status };
+      }
+    };
+    const junit = run('lint --format=junit');
+    assert.strictEqual(junit.status, 1);
+    assert(junit.out.includes('<testcase classname="cursor-doctor" name=".cursor/rules/a.mdc"'));
+    const cc = run('check --format=codeclimate');
+    const entries = JSON.parse(cc.out);
+    assert(entries.some(e => e.check_name === 'boolean-strings' && e.severity === 'major'));
+    const sarif = JSON.parse(run('lint --format=sarif').out).runs[0].results;
+    const fp = entries.find(e => e.check_name === 'boolean-strings').fingerprint;
+    assert.strictEqual(sarif.find(r => r.ruleId === 'boolean-strings').partialFingerprints['cursorDoctor/v1'], fp);
+    assert.strictEqual(run('lint --format=tap').status, 2);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Formatters
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Formatters');
+
+  const { loadFormatter, runFormatter } = require('../src/formatters');
+
+  test('formatters: --format=<module> gets lint results and the scan report', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: "true"\nalwaysApply: "true"\n---\nTry to write good code.\n');
+    writeFixture('tools/tap.js', [
+      'module.exports = function(results, context) {',
+      '  if (context.command === "scan") return "grade " + results.grade;',
+      '  const issues = results.flatMap(r => r.issues.map(i => i.id + " " + require("path").relative(context.cwd, r.file)));',
+      '  return ["1.." + issues.length].concat(issues.map((s, n) => "not ok " + (n + 1) + " " + s)).join("\\n");',
+      '};',
+    ].join('\n'));
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = (args) => {
+      try {
+        return { out: execSync(`node ${cliPath} ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8', stdio: 'pipe' }), status: 0 };
+      } catch (e) {
+        return { out: e.stdout, err: e.stderr, status: e.status };
+      }
+    };
+    const lint = run('lint --format=./tools/tap.js');
+    assert.strictEqual(lint.status, 1);
+    assert(/^1\.\.\d+\n/.test(lint.out));
+    assert(lint.out.includes('not ok 1 '));
+    assert(lint.out.includes('boolean-strings .cursor/rules/a.mdc'));
+    assert(!lint.out.includes('cursor-doctor v'), 'custom output replaces the console report');
+    assert(/^grade [A-F]\n$/.test(run('scan --format=./tools/tap.js').out));
+
+    const missing = run('lint --format=./tools/nope.js');
+    assert.strictEqual(missing.status, 2);
+    assert(missing.err.includes('Unknown --format "./tools/nope.js"'));
+    assert.strictEqual(run('scan --format=sarif').status, 2);
+  });
+
+  await asyncTest('formatters: the console formatter renders lint and scan output', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/a.mdc', '---\ndescription: "true"\nalwaysApply: "true"\n---\nTry to write good code.\n');
+    const formatter = loadFormatter('console');
+    const context = { command: 'lint', format: 'console', cwd: TEST_PROJECT, color: false, verbose: false, quiet: false };
+    const results = await lintProject(TEST_PROJECT);
+    const text = await runFormatter(formatter, results, context);
+    assert(text.includes('.cursor/rules/a.mdc  ('));
+    assert(text.includes('Frontmatter uses boolean strings (line 3, col 1)'));
+    const quiet = await runFormatter(formatter, results, Object.assign({}, context, { quiet: true }));
+    assert.strictEqual(quiet.split('\n').length, 2, 'quiet mode keeps only the summary');
+    const report = await doctor(TEST_PROJECT);
+    assert(/Cursor Health: [A-F]/.test(await runFormatter(formatter, report, Object.assign({}, context, { command: 'scan' }))));
+
+    await assert.rejects(runFormatter(() => 42, results, context), /returned number, expected a string/);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HTML audit report
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## HTML audit report');
+
+  const { fullAudit, redundancyClusters } = require('../src/audit');
+  const { formatAuditHtml } = require('../src/audit-html');
+
+  test('audit: redundant pairs join into clusters', () => {
+    const pair = (fileA, fileB) => ({ fileA, fileB, overlapPct: 90, sharedLines: 4 });
+    const clusters = redundancyClusters([pair('a.mdc', 'b.mdc'), pair('c.mdc', 'd.mdc'), pair('b.mdc', 'c.mdc'), pair('x.mdc', 'y.mdc')]);
+    assert.deepStrictEqual(clusters.map(c => c.files), [['a.mdc', 'b.mdc', 'c.mdc', 'd.mdc'], ['x.mdc', 'y.mdc']]);
+    assert.strictEqual(clusters[0].pairs.length, 3);
+  });
+
+  await asyncTest('audit: --html report is one offline page with every section', async () => {
+    setupTestProject();
+    const shared = '- Validate every request body with zod schemas\n- Return typed errors from each handler\n- Log failures with the request id attached\n';
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API handler conventions\nglobs: ["*.ts"]\n---\n' + shared + '- Always use semicolons in handlers\n');
+    writeFixture('.cursor/rules/api-copy.mdc', '---\ndescription: API handler conventions (copy)\nglobs: ["*.ts"]\n---\n' + shared + '- Never use semicolons in handlers\n');
+    writeFixture('.cursor/rules/loose.mdc', '---\ndescription: "<b>loose</b>"\nalwaysApply: "true"\n---\nTry to write good code.\n');
+
+    const report = await fullAudit(TEST_PROJECT);
+    assert(/^[A-F]$/.test(report.grade));
+    assert.strictEqual(report.rules.length, 3);
+    assert(report.conflicts[0].excerpts[0].a.includes('semicolons'));
+    const html = formatAuditHtml(report, TEST_PROJECT);
+    assert(html.startsWith('<!DOCTYPE html>'));
+    assert(!/(src|href)="(https?:)?\/\//.test(html), 'no external assets');
+    assert(html.includes(`<span class="grade" style="background:`));
+    assert.strictEqual((html.match(/<tbody>[\s\S]*<\/tbody>/)[0].match(/<tr>/g) || []).length, report.issues.length);
+    assert(html.includes('<th data-sort="number">Severity</th>'));
+    assert(html.includes('<span class="bar tier-glob"'));
+    assert(html.includes('<pre>- Always use semicolons in handlers</pre>'));
+    assert(/<summary>(api\.mdc, api-copy\.mdc|api-copy\.mdc, api\.mdc)<\/summary>/.test(html));
+    assert(html.includes('<details id="rule-loose.mdc">'));
+    assert(html.includes('&lt;b&gt;loose&lt;/b&gt;') && !html.includes('<b>loose</b>'));
+
+    // From the CLI (audit is a Pro command)
+    const home = path.join(TEST_PROJECT, 'home');
+    fs.mkdirSync(home, { recursive: true });
+    fs.writeFileSync(path.join(home, '.cursor-doctor-license'), 'a'.repeat(64));
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const out = execSync(`node ${cliPath} audit --html=out/report.html`, { cwd: TEST_PROJECT, encoding: 'utf-8', env: Object.assign({}, process.env, { HOME: home, CURSOR_DOCTOR_NO_UPDATE_CHECK: '1' }) });
+    assert(out.includes('Audit report written to'));
+    assert(fs.readFileSync(path.join(TEST_PROJECT, 'out', 'report.html'), 'utf-8').includes('id="issues"'));
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Git-aware linting (--changed / --since)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Git-aware linting');
+
+  const { changedFiles } = require('../src/changed');
+
+  function writeChangedFixtures() {
+    setupTestProject();
+    const shared = '- Validate every request body with zod schemas\n- Return typed errors from each handler\n- Log failures with the request id attached\n';
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API handler conventions\nglobs: ["*.ts"]\n---\n' + shared + '- Always use semicolons in handlers\n');
+    writeFixture('.cursor/rules/loose.mdc', '---\ndescription: Loose style rule\nalwaysApply: true\n---\nTry to write good code.\n');
+  }
+
+  function addConflictingRule() {
+    const shared = '- Validate every request body with zod schemas\n- Return typed errors from each handler\n- Log failures with the request id attached\n';
+    return writeFixture('.cursor/rules/api-copy.mdc', '---\ndescription: API handler conventions, strict\nglobs: ["*.ts"]\n---\n' + shared + '- Never use semicolons in handlers\n');
+  }
+
+  await asyncTest('lintProject: options.changed limits per-file checks but not comparisons', async () => {
+    writeChangedFixtures();
+    const changedRule = addConflictingRule();
+    const results = await lintProject(TEST_PROJECT, { changed: new Set([changedRule]) });
+    const files = results.map(r => path.relative(TEST_PROJECT, r.file));
+    assert(files.includes(path.join('.cursor', 'rules', 'api-copy.mdc')));
+    assert(!files.includes(path.join('.cursor', 'rules', 'loose.mdc')), 'unchanged rules are not linted');
+    const ids = results.reduce((all, r) => all.concat(r.issues.map(i => i.id)), []);
+    assert(ids.includes('conflicting-rules'), 'changed rule is compared with unchanged ones');
+    assert(ids.includes('duplicate-rules'));
+
+    const none = await lintProject(TEST_PROJECT, { changed: new Set() });
+    assert.deepStrictEqual(none, []);
+  });
+
+  test('lint --changed and --since=<ref> lint what git reports', () => {
+    writeChangedFixtures();
+    const git = cmd => execSync('git ' + cmd, { cwd: TEST_PROJECT, stdio: 'pipe' });
+    git('init -q');
+    git('-c user.email=t@example.com -c user.name=t commit -q --allow-empty -m root');
+    git('branch base');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m rules');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = flags => execSync(`node ${cliPath} lint ${flags} --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+
+    let out = execSync(`node ${cliPath} lint --changed`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    assert(out.includes('No changed rule files'));
+
+    addConflictingRule();
+    let paths;
+    try { run('--changed'); assert.fail('expected exit 1'); } catch (e) { paths = JSON.parse(e.stdout).files.map(f => f.path); }
+    assert(paths.includes('.cursor/rules/api-copy.mdc'));
+    assert(!paths.includes('.cursor/rules/api.mdc'));
+
+    fs.unlinkSync(path.join(TEST_PROJECT, '.cursor', 'rules', 'api-copy.mdc'));
+    paths = JSON.parse(run('--since=base')).files.map(f => f.path);
+    assert(paths.includes('.cursor/rules/api.mdc') && paths.includes('.cursor/rules/loose.mdc'));
+
+    assert.deepStrictEqual(Array.from(changedFiles(TEST_PROJECT, { since: 'base' })).sort(),
+      ['api.mdc', 'loose.mdc'].map(f => path.join(TEST_PROJECT, '.cursor', 'rules', f)));
+    assert.throws(() => changedFiles(TEST_PROJECT, { since: 'no-such-ref' }), /Unknown git ref/);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Staged linting and the pre-commit hook
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Staged linting and hook');
+
+  const { HOOK_SCRIPT } = require('../src/hook');
+
+  test('lint --staged lints the index, not the working tree', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/good.mdc', '---\ndescription: TypeScript naming conventions\nglobs: ["**/*.ts"]\n---\n- Name React components in PascalCase.\n');
+    writeFixture('.cursor/rules/other.mdc', '---\ndescription: Broken rule that is not staged\nalwaysApply: "true"\n---\nx\n');
+    const git = cmd => execSync('git ' + cmd, { cwd: TEST_PROJECT, stdio: 'pipe' });
+    git('init -q');
+    git('add .cursor/rules/good.mdc');
+    // The working-tree copy is broken; the staged one is fine
+    writeFixture('.cursor/rules/good.mdc', '---\ndescription: x\nglobs: [\n---\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const out = JSON.parse(execSync(`node ${cliPath} lint --staged --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' }));
+    const paths = out.files.map(f => f.path);
+    assert(paths.includes('.cursor/rules/good.mdc'));
+    assert(!paths.includes('.cursor/rules/other.mdc'), 'unstaged files are not linted');
+    assert.strictEqual(out.files.find(f => f.path === '.cursor/rules/good.mdc').errors.length, 0);
+  });
+
+  test('hook install|uninstall manages only its own pre-commit hook', () => {
+    setupTestProject();
+    execSync('git init -q', { cwd: TEST_PROJECT, stdio: 'pipe' });
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    // Ignore a core.hooksPath set in the environment
+    const env = Object.assign({}, process.env, { GIT_CONFIG_COUNT: '0' });
+    const hook = args => execSync(`node ${cliPath} hook ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8', env });
+    const hookFile = path.join(TEST_PROJECT, '.git', 'hooks', 'pre-commit');
+
+    assert(hook('install').includes('Installed pre-commit hook'));
+    assert.strictEqual(fs.readFileSync(hookFile, 'utf-8'), HOOK_SCRIPT);
+    assert(fs.statSync(hookFile).mode & 0o100, 'hook is executable');
+    assert(hook('install').includes('Updated'));
+    assert(hook('uninstall').includes('Removed'));
+    assert(!fs.existsSync(hookFile));
+
+    fs.writeFileSync(hookFile, '#!/bin/sh\nnpm test\n');
+    assert.throws(() => hook('install'), e => e.status === 1 && e.stdout.includes('already exists'));
+    assert.throws(() => hook('uninstall'), e => e.status === 1 && e.stdout.includes('leaving it alone'));
+    assert.strictEqual(fs.readFileSync(hookFile, 'utf-8'), '#!/bin/sh\nnpm test\n');
+  });
+
+  test('hook: scripts/pre-commit-hook.sh matches the installed hook', () => {
+    assert.strictEqual(fs.readFileSync(path.join(__dirname, '..', 'scripts', 'pre-commit-hook.sh'), 'utf-8'), HOOK_SCRIPT);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Watch mode
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Watch mode');
+
+  const { watchProject, watchTargets } = require('../src/watch');
+
+  test('watch: targets rule folders, skills and the context files', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/ts/naming.mdc', '---\ndescription: Naming\nglobs: ["*.ts"]\n---\nUse camelCase.\n');
+    writeFixture('.claude/skills/deploy/SKILL.md', '---\nname: deploy\ndescription: Deploy\n---\nSteps.\n');
+    const targets = watchTargets(TEST_PROJECT, loadProject(TEST_PROJECT));
+    assert(targets.get(TEST_PROJECT).includes('CLAUDE.md') && targets.get(TEST_PROJECT).includes('AGENTS.md'));
+    assert(targets.get(path.join(TEST_PROJECT, '.cursor')).includes('mcp.json'));
+    assert(targets.has(path.join(TEST_PROJECT, '.cursor', 'rules', 'ts')));
+    assert(targets.has(path.join(TEST_PROJECT, '.claude', 'skills', 'deploy')));
+  });
+
+  await asyncTest('watch: re-lints after a debounced burst of changes', async () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/tabs.mdc', '---\ndescription: Indentation style\nalwaysApply: true\n---\n- Use tabs for indentation\n');
+    const updates = [];
+    const errors = [];
+    let notify = null;
+    const watcher = watchProject(TEST_PROJECT, {
+      debounce: 50,
+      onUpdate: update => { updates.push(update); if (notify) notify(); },
+      onError: err => errors.push(err),
+    });
+    try {
+      await watcher.run();
+      assert.strictEqual(updates.length, 1);
+      assert.deepStrictEqual(updates[0].changed, []);
+      assert(/^[A-F]$/.test(updates[0].report.grade));
+
+      const next = new Promise((resolve, reject) => {
+        notify = resolve;
+        setTimeout(() => reject(new Error('no update after change')), 5000);
+      });
+      writeFixture('.cursor/rules/spaces.mdc', '---\ndescription: Spacing style\nalwaysApply: true\n---\n- Use spaces for indentation\n');
+      fs.appendFileSync(path.join(TEST_PROJECT, '.cursor', 'rules', 'spaces.mdc'), '- Keep lines short\n');
+      await next;
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert.strictEqual(updates.length, 2, 'one run per burst');
+      assert(updates[1].changed.includes(path.join(TEST_PROJECT, '.cursor', 'rules', 'spaces.mdc')));
+      const ids = updates[1].results.reduce((all, r) => all.concat(r.issues.map(i => i.id)), []);
+      assert(ids.includes('semantic-conflict'), 'cross-file pass sees the new rule');
+      assert.deepStrictEqual(errors, []);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Issue baseline
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## Issue baseline');
+
+  const { baselineEntries, compareBaseline } = require('../src/baseline');
+
+  await asyncTest('baseline: fingerprints survive line shifts and spot new issues', async () => {
+    setupTestProject();
+    const rule = '---\ndescription: Component conventions\nglobs: ["*.tsx"]\n---\n- Try to keep components small\n';
+    const rulePath = writeFixture('.cursor/rules/components.mdc', rule);
+    const before = baselineEntries(TEST_PROJECT, await lintProject(TEST_PROJECT));
+    const weak = before.find(e => e.id === 'weak-language');
+    assert(weak, 'fixture has a weak-language issue');
+    assert.strictEqual(weak.file, '.cursor/rules/components.mdc');
+    assert.strictEqual(weak.excerpt, '- Try to keep components small');
+
+    // Shift the body down: same fingerprints
+    fs.writeFileSync(rulePath, rule.replace('---\n- Try', '---\n\n# Components\n\n- Try'));
+    const comparison = compareBaseline(TEST_PROJECT, await lintProject(TEST_PROJECT), before);
+    assert.strictEqual(comparison.fresh, 0);
+    assert.deepStrictEqual(comparison.fixed, []);
+
+    // Weak language in another rule is new; removing the old one marks it fixed
+    fs.writeFileSync(rulePath, rule.replace('- Try to keep components small', '- Keep components small'));
+    writeFixture('.cursor/rules/hooks.mdc', '---\ndescription: Hook conventions\nglobs: ["*.ts"]\n---\n- Maybe use hooks\n');
+    const next = compareBaseline(TEST_PROJECT, await lintProject(TEST_PROJECT), before);
+    assert(next.results.every(r => r.file.endsWith('hooks.mdc')));
+    assert(next.results[0].issues.some(i => i.id === 'weak-language'));
+    assert.deepStrictEqual(next.fixed.map(e => e.fingerprint), [weak.fingerprint]);
+
+    // Baseline and CI report fingerprints agree
+    const { issueFingerprints } = require('../src/checks');
+    const results = await lintProject(TEST_PROJECT);
+    const hooks = results.find(r => r.file.endsWith('hooks.mdc'));
+    assert.deepStrictEqual(baselineEntries(TEST_PROJECT, [hooks]).map(e => e.fingerprint), issueFingerprints('.cursor/rules/hooks.mdc', hooks.issues));
+  });
+
+  test('lint --write-baseline and check --baseline', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/components.mdc', '---\ndescription: Component conventions\nglobs: ["*.tsx"]\n---\n- Try to keep components small\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = cmd => execSync(`node ${cliPath} ${cmd}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+
+    assert.throws(() => run('check --baseline'), e => e.status === 2 && e.stderr.includes('lint --write-baseline'));
+    assert(run('lint --write-baseline').includes('Baseline written to .cursor-doctor-baseline.json'));
+    const saved = JSON.parse(fs.readFileSync(path.join(TEST_PROJECT, '.cursor-doctor-baseline.json'), 'utf-8'));
+    assert.strictEqual(saved.format, 2);
+    assert(saved.issues.every(e => e.fingerprint && e.file && e.id && e.excerpt));
+    assert(run('check --baseline').includes('No new issues'));
+
+    writeFixture('.cursor/rules/more.mdc', '---\ndescription: More conventions\nglobs: ["*.tsx"]\n---\n- Maybe add tests\n');
+    assert.throws(() => run('check --baseline'), e => e.status === 1 && e.stdout.includes('more.mdc:5') && !e.stdout.includes('components.mdc:5'));
+    const json = JSON.parse(execSync(`node ${cliPath} check --baseline --json || true`, { cwd: TEST_PROJECT, encoding: 'utf-8', shell: true }));
+    assert(json.newIssues.some(f => f.path.endsWith('more.mdc')));
+    assert(!json.newIssues.some(f => f.path.endsWith('components.mdc')));
+    assert(json.known > 0);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // check thresholds
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## check thresholds');
+
+  const { EXIT_CODES, resolveThresholds, evaluateThresholds } = require('../src/thresholds');
+
+  test('thresholds: flags override config and are validated', () => {
+    const config = parseConfig(JSON.stringify({ thresholds: { maxWarnings: 5, minGrade: 'c' } }), 'cfg.json');
+    assert.deepStrictEqual(config.thresholds, { maxWarnings: 5, minGrade: 'C' });
+    assert.deepStrictEqual(resolveThresholds(config, ['--max-warnings=0', '--min-score=80']), { maxWarnings: 0, minGrade: 'C', minScore: 80 });
+    assert.throws(() => resolveThresholds(config, ['--fail-on=fatal']), /Invalid failOn "fatal"/);
+    assert.throws(() => resolveThresholds(config, ['--max-warnings=lots']), /--max-warnings needs a number/);
+    assert.throws(() => parseConfig('{"thresholds":{"maxWarning":1}}', 'cfg.json'), /Unknown threshold "maxWarning" in cfg.json/);
+  });
+
+  test('thresholds: lint failures, threshold failures and the default gate', () => {
+    const results = [{ file: 'a.mdc', issues: [
+      { id: 'x', severity: 'warning', message: 'w1' },
+      { id: 'x', severity: 'warning', message: 'w2' },
+      { id: 'y', severity: 'info', message: 'i', verboseOnly: true },
+    ] }];
+    const report = { grade: 'C', percentage: 72 };
+    assert.strictEqual(evaluateThresholds({}, results, report).exitCode, EXIT_CODES.ok);
+    assert.strictEqual(evaluateThresholds({}, results, { grade: 'D', percentage: 60 }).exitCode, EXIT_CODES.lint);
+    assert.strictEqual(evaluateThresholds({ maxWarnings: 2 }, results, report).exitCode, EXIT_CODES.ok);
+    assert.strictEqual(evaluateThresholds({ maxWarnings: 1 }, results, report).exitCode, EXIT_CODES.threshold);
+    assert.strictEqual(evaluateThresholds({ minGrade: 'B' }, results, report).exitCode, EXIT_CODES.threshold);
+    assert.strictEqual(evaluateThresholds({ minScore: 72 }, results, report).exitCode, EXIT_CODES.ok);
+    assert.strictEqual(evaluateThresholds({ failOn: 'info' }, results, report).exitCode, EXIT_CODES.lint, 'verbose-only issues are skipped but warnings fail');
+    const both = evaluateThresholds({ failOn: 'warning', minScore: 90 }, results, report);
+    assert.strictEqual(both.exitCode, EXIT_CODES.lint, 'lint failures win');
+    assert.deepStrictEqual(both.failures.map(f => f.kind), ['lint', 'threshold']);
+    assert.deepStrictEqual(both.counts, { error: 0, warning: 2, info: 0 });
+  });
+
+  test('check: threshold flags set distinct exit codes', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/components.mdc', '---\ndescription: Component conventions\nglobs: ["*.tsx"]\n---\n- Try to keep components small\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const status = flags => {
+      try { execSync(`node ${cliPath} check ${flags}`, { cwd: TEST_PROJECT, stdio: 'pipe' }); return 0; } catch (e) { return e.status; }
+    };
+    assert.strictEqual(status(''), 0);
+    assert.strictEqual(status('--fail-on=warning'), 1);
+    assert.strictEqual(status('--max-warnings=0'), 3);
+    assert.strictEqual(status('--min-score=100'), 3);
+    assert.strictEqual(status('--min-grade=F'), 0);
+    assert.strictEqual(status('--min-grade=Q'), 2);
+    writeFixture('.cursor-doctor.json', JSON.stringify({ thresholds: { maxWarnings: 0 } }));
+    assert.strictEqual(status(''), 3);
+    assert.strictEqual(status('--max-warnings=10'), 0);
+  });
+
+  test('check: thresholds apply to new issues with --baseline', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/components.mdc', '---\ndescription: Component conventions\nglobs: ["*.tsx"]\n---\n- Try to keep components small\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const status = flags => {
+      try { execSync(`node ${cliPath} check --baseline ${flags}`, { cwd: TEST_PROJECT, stdio: 'pipe' }); return 0; } catch (e) { return e.status; }
+    };
+    execSync(`node ${cliPath} lint --write-baseline`, { cwd: TEST_PROJECT, stdio: 'pipe' });
+    writeFixture('.cursor/rules/more.mdc', '---\ndescription: More conventions\nglobs: ["*.tsx"]\n---\n- Maybe add tests\n');
+    assert.strictEqual(status(''), 1);
+    assert.strictEqual(status('--fail-on=error'), 0, 'a new warning passes --fail-on=error');
+    assert.strictEqual(status('--fail-on=error --max-warnings=0'), 3);
+    assert.strictEqual(status('--fail-on=error --max-warnings=5'), 0, 'only new warnings count');
+    assert.strictEqual(status('--fail-on=warning'), 1);
+    const json = JSON.parse(execSync(`node ${cliPath} check --baseline --fail-on=error --max-warnings=0 --json || true`, { cwd: TEST_PROJECT, encoding: 'utf-8', shell: true }));
+    assert.strictEqual(json.thresholds.exitCode, 3);
+  });
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // explain
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  console.log('\n## explain');
+
+  const { explainCheck, listChecks, suggestChecks, explainMarkdown } = require('../src/explain');
+
+  test('explain: every check is documented', () => {
+    const { CHECKS: table } = require('../src/checks');
+    for (const id of Object.keys(table)) {
+      const check = table[id];
+      assert(check.description && check.rationale, id + ' needs a description and rationale');
+      for (const key of ['bad', 'good']) {
+        if (check[key] !== undefined) assert(Array.isArray(check[key]) && check[key].every(l => typeof l === 'string'), id + '.' + key + ' must be an array of lines');
+      }
+    }
+    const entry = explainCheck('body-long');
+    assert.strictEqual(entry.severity, 'warning');
+    assert.deepStrictEqual(entry.options, { maxChars: 2000 });
+    assert(entry.docsUrl.endsWith('#body-long'));
+    assert.strictEqual(typeof explainCheck('negation-without-alternative').bad, 'string');
+    assert.strictEqual(explainCheck('no-such-check'), null);
+    assert(suggestChecks('negation').includes('negation-without-alternative'));
+    assert.strictEqual(listChecks().length, Object.keys(table).length);
+    assert(explainMarkdown(explainCheck('unclosed-code-block')).includes('````\n```ts'), 'examples with fences get a longer fence');
+  });
+
+  test('explain: custom checks and project settings', () => {
+    const config = parseConfig(JSON.stringify({
+      checks: { 'body-long': { maxChars: 3000 }, 'vague-rule': 'off' },
+      customChecks: [{ id: 'team/no-lodash', target: 'body', pattern: 'lodash', message: 'Use native array methods' }],
+    }), path.join(TEST_PROJECT, '.cursor-doctor.json'));
+    assert.deepStrictEqual(explainCheck('body-long', config).configured, { enabled: true, severity: null, options: { maxChars: 3000 } });
+    assert.strictEqual(explainCheck('vague-rule', config).configured.enabled, false);
+    const custom = explainCheck('team/no-lodash', config);
+    assert.strictEqual(custom.category, 'custom');
+    assert.strictEqual(custom.title, 'Use native array methods');
+    assert(listChecks(config).some(c => c.id === 'team/no-lodash'));
+  });
+
+  test('explain: CLI prints docs, JSON and suggestions', () => {
+    setupTestProject();
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = cmd => execSync(`node ${cliPath} ${cmd}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    const text = run('explain negation-without-alternative');
+    assert(text.includes('Negation without an alternative'));
+    assert(text.includes('Why it matters'));
+    assert(text.includes('Use date-fns instead of moment.js.'));
+    const json = JSON.parse(run('explain body-long --json'));
+    assert.strictEqual(json.id, 'body-long');
+    assert.deepStrictEqual(json.options, { maxChars: 2000 });
+    const list = JSON.parse(run('explain --list --json'));
+    assert(list.some(c => c.id === 'mcp-hardcoded-secret' && c.category === 'mcp'));
+    assert(run('explain --list').includes('plugin-manifest-missing'));
+    assert.throws(() => run('explain negation'), e => e.status === 1 && e.stdout.includes('Did you mean: ') && e.stdout.includes('negation-without-alternative'));
+  });
+
+  await asyncTest('explain: LSP hover explains the diagnostics under the cursor', async () => {
+    const { spawn } = require('child_process');
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'lsp.js')], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const send = msg => {
+      const body = JSON.stringify(msg);
+      server.stdin.write('Content-Length: ' + Buffer.byteLength(body) + '\r\n\r\n' + body);
+    };
+    const waitFor = (what, matches) => new Promise((resolve, reject) => {
+      let out = '';
+      const timer = setTimeout(() => reject(new Error('no ' + what)), 10000);
+      server.stdout.on('data', chunk => {
+        out += chunk;
+        const match = out.split(/Content-Length: \d+\r\n\r\n/).map(b => { try { return JSON.parse(b); } catch (e) { return null; } }).find(m => m && matches(m));
+        if (match) { clearTimeout(timer); resolve(match); }
+      });
+    });
+    const response = id => waitFor('response to request ' + id, m => m.id === id);
+    try {
+      const uri = require('url').pathToFileURL(path.join(TEST_PROJECT, '.cursor', 'rules', 'dates.mdc')).href;
+      send({ id: 1, method: 'initialize', params: {} });
+      assert.strictEqual((await response(1)).result.capabilities.hoverProvider, true);
+      const published = waitFor('diagnostics', m => m.method === 'textDocument/publishDiagnostics');
+      send({ method: 'textDocument/didOpen', params: { textDocument: { uri, version: 1, text: '---\ndescription: Date handling\nalwaysApply: true\n---\nDon\'t use moment.js for dates.\n' } } });
+      await published;
+      send({ id: 2, method: 'textDocument/hover', params: { textDocument: { uri }, position: { line: 4, character: 3 } } });
+      const hover = await response(2);
+      assert.strictEqual(hover.result.contents.kind, 'markdown');
+      assert(hover.result.contents.value.includes('**negation-without-alternative**'));
+      send({ id: 3, method: 'textDocument/hover', params: { textDocument: { uri }, position: { line: 2, character: 0 } } });
+      assert.strictEqual((await response(3)).result, null);
+    } finally {
+      server.kill();
+    }
+  });
+
+  console.log('\n## diff');
+
+  const { diffSnapshot, saveSnapshot, compareStates, parseRange } = require('../src/diff');
+
+  test('diff: compareStates reports scope, globs, directives and always-on tokens', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API\nglobs: src/**\n---\nAlways use zod for validation.\nNever use any.\n');
+    writeFixture('.cursor/rules/gone.mdc', '---\nalwaysApply: true\n---\nPrefer pnpm.\n');
+    writeFixture('packages/web/.cursor/rules/ui.mdc', '---\nglobs: "*.tsx"\n---\nUse tailwind.\n');
+    assert.strictEqual(diffSnapshot(TEST_PROJECT).error, 'No snapshot found. Run cursor-doctor diff --save first.');
+    const saved = saveSnapshot(TEST_PROJECT);
+    assert.deepStrictEqual(Object.keys(saved.state.rules).sort(), ['api.mdc', 'gone.mdc', 'packages/web/.cursor/rules/ui.mdc']);
+
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API\nalwaysApply: true\nglobs: lib/**\n---\nAlways use zod for validation.\nNever use console.log.\n');
+    fs.unlinkSync(path.join(TEST_PROJECT, '.cursor', 'rules', 'gone.mdc'));
+    writeFixture('.cursor/rules/tests.mdc', '---\nalwaysApply: true\n---\nUse vitest for tests.\n');
+    const changes = diffSnapshot(TEST_PROJECT);
+    assert(changes.hasChanges);
+    assert.deepStrictEqual(changes.added.map(r => [r.file, r.tier, r.directives]), [['tests.mdc', 'always', ['use vitest for tests']]]);
+    assert.deepStrictEqual(changes.removed.map(r => r.file), ['gone.mdc']);
+    assert.deepStrictEqual(changes.unchanged, ['packages/web/.cursor/rules/ui.mdc']);
+    const api = changes.modified[0];
+    assert.strictEqual(api.file, 'api.mdc');
+    assert.deepStrictEqual(api.tier, { from: 'glob', to: 'always' });
+    assert.deepStrictEqual(api.globs, { added: ['lib/**'], removed: ['src/**'] });
+    assert.deepStrictEqual(api.directives, { added: ['never console'], removed: ['never any'] });
+    const goneTokens = saved.state.rules['gone.mdc'].tokens;
+    assert.strictEqual(changes.alwaysOnTokens.before, goneTokens);
+    assert.strictEqual(changes.alwaysOnTokens.delta, changes.alwaysOnTokens.after - goneTokens);
+    assert(changes.alwaysOnTokens.delta > 0);
+
+    // Snapshots from older versions recorded only hash, tokens and lines
+    const legacy = { rules: { 'api.mdc': { hash: 'x', tokens: 10, lines: 3 } }, cursorrules: null };
+    const fromLegacy = compareStates(legacy, saved.state);
+    assert.strictEqual(fromLegacy.alwaysOnTokens.delta, null);
+    assert.deepStrictEqual(fromLegacy.modified[0].globs, { added: [], removed: [] });
+    assert.strictEqual(fromLegacy.modified[0].tier, null);
+
+    assert.deepStrictEqual(parseRange('main'), { from: 'main', to: null });
+    assert.deepStrictEqual(parseRange('main..feature'), { from: 'main', to: 'feature' });
+    assert.deepStrictEqual(parseRange('HEAD~2..'), { from: 'HEAD~2', to: 'HEAD' });
+    assert.deepStrictEqual(parseRange('main...feature'), { from: 'main', to: 'feature', mergeBase: true });
+    assert.deepStrictEqual(parseRange('main...'), { from: 'main', to: 'HEAD', mergeBase: true });
+  });
+
+  test('diff <ref> and <ref>..<ref> compare committed rule sets', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API\nglobs: src/**\n---\nNever use any.\n');
+    writeFixture('.cursorrules', 'Use tabs.\n');
+    const git = cmd => execSync('git ' + cmd, { cwd: TEST_PROJECT, stdio: 'pipe' });
+    git('init -q');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m one');
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API\nalwaysApply: true\n---\nNever use any.\nAlways use zod for validation.\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = args => execSync(`node ${cliPath} diff ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+
+    let out = JSON.parse(run('HEAD --json'));
+    assert.strictEqual(out.modified.length, 1);
+    assert.deepStrictEqual(out.modified[0].tier, { from: 'glob', to: 'always' });
+    assert.deepStrictEqual(out.modified[0].directives.added, ['use zod for validation']);
+    assert.deepStrictEqual(out.unchanged, ['.cursorrules']);
+
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m two');
+    assert.deepStrictEqual(JSON.parse(run('HEAD~1..HEAD --json')).modified.map(r => r.file), ['api.mdc']);
+    assert(run('HEAD').includes('No rule changes'));
+    const text = run('HEAD~1..');
+    assert(text.includes('scope: glob'));
+    assert(text.includes('Always-on tokens:'));
+    assert.throws(() => run('no-such-ref'), e => e.status === 2 && e.stderr.includes('Unknown git ref for diff: no-such-ref'));
+
+    // a...b diffs b against its merge-base with a, ignoring later commits on a
+    git('branch main-line HEAD~1');
+    git('checkout -q -b feature');
+    writeFixture('.cursor/rules/db.mdc', '---\ndescription: DB\nglobs: db/**\n---\nUse transactions.\n');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m feature');
+    git('checkout -q main-line');
+    writeFixture('.cursor/rules/ui.mdc', '---\ndescription: UI\nglobs: ui/**\n---\nUse tokens.\n');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m ui');
+    const threeDot = JSON.parse(run('main-line...feature --json'));
+    assert.deepStrictEqual(threeDot.added.map(r => r.file), ['db.mdc']);
+    assert.deepStrictEqual(threeDot.modified.map(r => r.file), ['api.mdc']);
+    assert.deepStrictEqual(threeDot.removed, [], 'rules added on main-line since the branch point are not removals');
+    assert.deepStrictEqual(JSON.parse(run('main-line..feature --json')).removed.map(r => r.file), ['ui.mdc']);
+    assert(run('main-line...feature').includes('merge-base of main-line'));
+    assert.throws(() => run('main-line...nope'), e => e.status === 2 && e.stderr.includes('Unknown git ref for diff: nope'));
+  });
+
+  console.log('\n## which');
+
+  const { whichRules, matchGlob } = require('../src/which');
+
+  test('which: matchGlob follows Cursor glob syntax', () => {
+    assert(matchGlob('src/a.ts', '*.ts'), 'slash-less patterns match at any depth');
+    assert(matchGlob('a.ts', '**/*.ts'));
+    assert(matchGlob('src/deep/a.tsx', 'src/**/*.{ts,tsx}'));
+    assert(matchGlob('src/deep/a.ts', 'src/**'));
+    assert(matchGlob('src/deep/a.ts', 'src/'));
+    assert(matchGlob('src/a.ts', './src/*.ts'));
+    assert(!matchGlob('src/deep/a.ts', 'src/*.ts'));
+    assert(!matchGlob('lib/a.ts', 'src/**'));
+    assert(matchGlob('src/a1.ts', 'src/a?.ts') && matchGlob('src/ab.ts', 'src/a[bc].ts'));
+    assert(!matchGlob('src/a.ts', 'src/{a'), 'unbalanced patterns match nothing');
+  });
+
+  test('which: attached rules, reasons, load order, tokens and conflicts', () => {
+    setupTestProject();
+    writeFixture('.cursorrules', 'Use tabs.\n');
+    writeFixture('.cursor/rules/base.mdc', '---\ndescription: Base\nalwaysApply: true\n---\nWrite small functions.\n');
+    writeFixture('.cursor/rules/ts.mdc', '---\ndescription: TS\nglobs: "*.ts"\n---\nUse semicolons.\n');
+    writeFixture('.cursor/rules/src.mdc', '---\ndescription: Src\nglobs: src/**\n---\nNever use semicolons.\n');
+    writeFixture('.cursor/rules/deploy.mdc', '---\ndescription: Deployment steps\n---\nRun the deploy script.\n');
+    writeFixture('packages/web/.cursor/rules/web.mdc', '---\ndescription: Web\nglobs: src/*.tsx\n---\nUse tailwind.\n');
+    writeFixture('src/api.ts', 'export {};\n');
+
+    const result = whichRules(TEST_PROJECT, ['src/api.ts', 'packages/web/src/App.tsx', 'src/App.tsx']);
+    const [api, app, rootApp] = result.files;
+    assert.strictEqual(api.exists, true);
+    assert.deepStrictEqual(api.rules.map(r => r.file), ['base.mdc', '.cursorrules', 'src.mdc', 'ts.mdc']);
+    assert.deepStrictEqual(api.rules.map(r => r.order), [1, 2, 3, 4]);
+    assert.strictEqual(api.rules[2].glob, 'src/**');
+    assert.strictEqual(api.rules[0].reason, 'alwaysApply: true');
+    assert.strictEqual(api.tokens, api.rules.reduce((sum, r) => sum + r.tokens, 0));
+    assert.deepStrictEqual(api.conflicts.map(c => [c.a, c.b]), [['src.mdc', 'ts.mdc']]);
+    assert.deepStrictEqual(api.requestable.map(r => r.file), ['deploy.mdc']);
+
+    assert.strictEqual(app.exists, false);
+    assert(app.rules.some(r => r.file === 'packages/web/.cursor/rules/web.mdc' && r.glob === 'src/*.tsx'), 'nested globs are relative to the sub-project');
+    assert(!rootApp.rules.some(r => r.file === 'packages/web/.cursor/rules/web.mdc'), 'nested rules stay inside their sub-project');
+    assert(rootApp.rules.some(r => r.file === 'src.mdc'));
+
+    assert(whichRules(TEST_PROJECT, ['../elsewhere.ts']).error.includes('Not inside the project'));
+
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const out = execSync(`node ${cliPath} which src/api.ts`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    assert(out.includes('matches src/**'));
+    assert(out.includes('src.mdc vs ts.mdc'));
+    assert.strictEqual(JSON.parse(execSync(`node ${cliPath} which src/api.ts --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' })).files[0].rules.length, 4);
+  });
+
+  console.log('\n## pr-context');
+
+  const { prContext, formatPrContextMarkdown } = require('../src/pr-context');
+
+  test('pr-context: perf matches rule globs the same way as which and pr-context', () => {
+    const { globMatch } = require('../src/performance');
+    const cases = [
+      ['src/*.ts', 'src/deep/a.ts'], ['src/*.ts', 'src/a.ts'], ['**/*.{ts,tsx}', 'a/b.tsx'],
+      ['*.ts', 'src/a.ts'], ['src/', 'src/a/b.js'], ['docs/**/*.md', 'src/docs/a.md'], ['[ab].js', 'lib/c.js'],
+    ];
+    for (const [glob, file] of cases) {
+      assert.strictEqual(globMatch(glob, file), matchGlob(file, glob), glob + ' vs ' + file);
+    }
+    assert(!globMatch('src/*.ts', 'src/deep/a.ts'), '* stays within one directory');
+  });
+
+  test('pr-context: aggregates the rules a change set triggers', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/base.mdc', '---\ndescription: Base\nalwaysApply: true\n---\nWrite small functions.\n');
+    writeFixture('.cursor/rules/ts.mdc', '---\ndescription: TS\nglobs: "*.ts"\n---\nUse semicolons.\n');
+    writeFixture('.cursor/rules/api.mdc', '---\ndescription: API\nglobs: src/api/**\n---\nNever use semicolons.\n');
+    writeFixture('README.md', '# Demo\n');
+    const git = cmd => execSync('git ' + cmd, { cwd: TEST_PROJECT, stdio: 'pipe' });
+    git('init -q');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m base');
+    git('branch base');
+    writeFixture('src/api/users.ts', 'export {};\n');
+    writeFixture('src/util.ts', 'export {};\n');
+    writeFixture('scripts/deploy.sh', 'echo deploy\n');
+    writeFixture('.cursor/rules/sh.mdc', '---\ndescription: Shell\nglobs: "*.sh"\n---\nUse set -e.\n');
+    git('add -A');
+    git('-c user.email=t@example.com -c user.name=t commit -q -m change');
+    writeFixture('src/uncommitted.ts', 'export {};\n');
+
+    const report = prContext(TEST_PROJECT, { base: 'base' });
+    assert.deepStrictEqual(report.files.map(f => f.file), ['scripts/deploy.sh', 'src/api/users.ts', 'src/util.ts'], 'only committed changes between the refs');
+    assert.deepStrictEqual(report.ruleFilesChanged, ['.cursor/rules/sh.mdc']);
+    const byRule = {};
+    for (const r of report.rules) byRule[r.file] = r.files;
+    assert.strictEqual(report.rules[0].file, 'base.mdc');
+    assert.strictEqual(byRule['base.mdc'].length, 3);
+    assert.deepStrictEqual(byRule['ts.mdc'], ['src/api/users.ts', 'src/util.ts']);
+    assert.deepStrictEqual(byRule['sh.mdc'], ['scripts/deploy.sh']);
+    assert.strictEqual(report.worstCase.file, 'src/api/users.ts');
+    assert.deepStrictEqual(report.uncovered, []);
+    assert.deepStrictEqual(report.conflicts.map(c => [c.a, c.b, c.files]), [['api.mdc', 'ts.mdc', ['src/api/users.ts']]]);
+
+    const md = formatPrContextMarkdown(report);
+    assert(md.startsWith('## Cursor rules for this change'));
+    assert(md.includes('| `ts.mdc` | `*.ts` |'));
+    assert(md.includes('`npx cursor-doctor diff base..HEAD`'));
+    assert(md.includes('### Conflicting rules'));
+
+    fs.unlinkSync(path.join(TEST_PROJECT, '.cursor', 'rules', 'sh.mdc'));
+    assert.deepStrictEqual(prContext(TEST_PROJECT, { base: 'base' }).uncovered, ['scripts/deploy.sh']);
+
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const out = execSync(`node ${cliPath} pr-context --base=base`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+    assert(out.includes('### Not covered by a scoped rule'));
+    assert.strictEqual(JSON.parse(execSync(`node ${cliPath} pr-context --base=base --head=base --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' })).files.length, 0);
+    assert.throws(() => execSync(`node ${cliPath} pr-context`, { cwd: TEST_PROJECT, stdio: 'pipe' }), e => e.status === 2 && String(e.stderr).includes('--base=main'));
+  });
+
+  console.log('\n## verify command');
+
+  test('verify: CLI reports file:line violations for the files a rule\'s globs match', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/logging.mdc', '---\ndescription: Logging conventions\nglobs: src/**/*.ts\nverify:\n  - antipattern: "console\\\\.log"\n    message: Use the logger\n  - required: "use strict"\n---\nUse the logger.\n');
+    writeFixture('src/api/users.ts', '\'use strict\';\nconst id = 1;\nconsole.log(id);\n');
+    writeFixture('src/clean.ts', '\'use strict\';\n');
+    writeFixture('scripts/tool.ts', 'console.log(1);\n');
+    writeFixture('dist/bundle.ts', 'console.log(1);\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = args => execSync(`node ${cliPath} verify ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+
+    let failure;
+    try { run(''); assert.fail('expected exit 1'); } catch (e) { failure = e; }
+    assert.strictEqual(failure.status, 1);
+    assert(failure.stdout.includes('src/api/users.ts:3  Use the logger'));
+    assert(!failure.stdout.includes('scripts/tool.ts'), 'files outside the globs are not checked');
+    assert(!failure.stdout.includes('dist/'), 'generated directories are skipped');
+
+    try { run('--json'); assert.fail('expected exit 1'); } catch (e) { failure = e; }
+    const json = JSON.parse(failure.stdout);
+    assert.deepStrictEqual(json.violations.map(v => [v.file, v.type, v.line]), [['src/api/users.ts', 'antipattern', 3]]);
+    assert.strictEqual(json.stats.filesChecked, 2);
+
+    try { run('--format=sarif'); assert.fail('expected exit 1'); } catch (e) { failure = e; }
+    assert.strictEqual(JSON.parse(failure.stdout).runs[0].results[0].ruleId, 'verify/antipattern');
+
+    // An unsupported format is a usage error, reported before anything runs
+    try { run('--format=junit'); assert.fail('expected exit 1'); } catch (e) { failure = e; }
+    assert.strictEqual(failure.status, 1);
+    assert(failure.stderr.includes('Usage: cursor-doctor verify') && failure.stderr.includes('--format=junit'));
+    assert.strictEqual(failure.stdout, '');
+
+    writeFixture('src/api/users.ts', '\'use strict\';\nlogger.info(1);\n');
+    assert(run('').includes('No violations'));
+
+    // verify: is a known key, so lint leaves it alone
+    let lintOut;
+    try { lintOut = execSync(`node ${cliPath} lint --json`, { cwd: TEST_PROJECT, encoding: 'utf-8' }); } catch (e) { lintOut = e.stdout; }
+    assert(!lintOut.includes('unknown-frontmatter-key'), 'verify is not an unknown key');
+  });
+
+  test('verify: MCP verify_rules returns violations', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/todo.mdc', '---\ndescription: No TODOs\nglobs: ["*.js"]\nverify:\n  - forbidden: "TODO"\n    message: Resolve TODOs before merging\n---\nResolve TODOs.\n');
+    writeFixture('lib/index.js', '// TODO: later\n');
+    const request = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'verify_rules', arguments: { path: TEST_PROJECT } } };
+    const response = JSON.parse(execSync(`node src/mcp-server.js`, { cwd: path.join(__dirname, '..'), input: JSON.stringify(request) + '\n', encoding: 'utf-8' }).trim());
+    const data = JSON.parse(response.result.content[0].text);
+    assert(data.summary.includes('1 violation(s)'));
+    assert.deepStrictEqual(data.violations.map(v => [v.file, v.line, v.message]), [['lib/index.js', 1, 'Resolve TODOs before merging']]);
+  });
+
+  test('verify: exclude, severity, counts and --fix replacements', () => {
+    setupTestProject();
+    writeFixture('.cursor/rules/logging.mdc', '---\ndescription: Logging conventions\nglobs: ["**/*.js"]\nverify:\n  - antipattern: "console\\\\.log\\\\((.*)\\\\)"\n    replace: "logger.debug($1)"\n    exclude: ["scripts/**"]\n  - required: "use strict"\n    severity: warning\n  - forbidden: "eslint-disable"\n    maxCount: 1\n    severity: info\n---\nUse the logger.\n');
+    writeFixture('src/a.js', '\'use strict\';\nconsole.log(1);\n// eslint-disable\n// eslint-disable\n');
+    writeFixture('scripts/tool.js', '\'use strict\';\nconsole.log(2);\n');
+    const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+    const run = args => execSync(`node ${cliPath} verify ${args}`, { cwd: TEST_PROJECT, encoding: 'utf-8' });
+
+    let failure;
+    try { run('--json'); assert.fail('expected exit 1'); } catch (e) { failure = e; }
+    const json = JSON.parse(failure.stdout);
+    assert.deepStrictEqual(json.violations.map(v => [v.file, v.line, v.severity, !!v.fixable]), [
+      ['src/a.js', 2, 'error', true],
+      ['src/a.js', 4, 'info', false],
+    ]);
+
+    const out = run('--fix');
+    assert(out.includes('src/a.js  fixed 1 match(es)'));
+    assert.strictEqual(fs.readFileSync(path.join(TEST_PROJECT, 'src/a.js'), 'utf-8'), '\'use strict\';\nlogger.debug(1);\n// eslint-disable\n// eslint-disable\n');
+    assert.strictEqual(fs.readFileSync(path.join(TEST_PROJECT, 'scripts/tool.js'), 'utf-8'), '\'use strict\';\nconsole.log(2);\n', 'excluded files are left alone');
+
+    // Warnings and info alone don't fail the run
+    writeFixture('src/b.js', 'logger.info(1);\n');
+    assert(run('').includes('Missing required string: "use strict"'));
+  });
+
+  test('verify: flags, minCount and replacement templates', () => {
+    assert.deepStrictEqual(
+      fixContent('a = foo(1);\nb = foo(22);\n', [{ antipattern: 'foo\\((?<n>\\d+)\\)', replace: 'bar($<n>, $&)' }]),
+      { content: 'a = bar(1, foo(1));\nb = bar(22, foo(22));\n', fixes: 2 });
+    assert.deepStrictEqual(fixContent('a\nb\n', [{ antipattern: 'a.b', flags: 's', replace: 'ab' }]).content, 'ab\n');
+    assert.deepStrictEqual(validateVerifyBlocks([{ pattern: 'x', flags: 'g' }]).map(p => p.id), ['verify-invalid-regex']);
+    assert.deepStrictEqual(validateVerifyBlocks([{ required: 'x', replace: 'y', minCount: 'two' }]).map(p => p.field), ['minCount', 'replace']);
+  });
+
+  test('verify: flags keep ^ and $ matching per line unless multiline: false', () => {
+    const content = 'const a = 1;\ntodo: tidy up\n';
+    const lines = blocks => checkFile('a.js', content, blocks, 'r.mdc').map(v => v.line);
+    assert.deepStrictEqual(lines([{ antipattern: '^TODO', flags: 'i' }]), [2], 'flags add to the default m flag');
+    assert.deepStrictEqual(lines([{ antipattern: 'up$', flags: 'i' }]), [2]);
+    assert.deepStrictEqual(lines([{ antipattern: '^TODO', flags: 'i', multiline: false }]), []);
+    assert.deepStrictEqual(lines([{ antipattern: '^const', multiline: false }]), [1]);
+    assert.deepStrictEqual(lines([{ antipattern: '^todo', flags: 'im' }]), [2], 'an explicit m is not doubled');
+    assert.deepStrictEqual(validateVerifyBlocks([{ pattern: 'x', flags: 'm', multiline: false }, { forbidden: 'x', multiline: true }]).map(p => p.message), [
+      'verify block 1: multiline: false contradicts the m flag',
+      'verify block 2: multiline only applies to pattern and antipattern blocks',
+    ]);
+  });
+
+  await asyncTest('verify: lint reports invalid verify regexes and blocks on their line', async () => {
+    setupTestProject();
+    const filePath = writeFixture('.cursor/rules/bad-verify.mdc', '---\ndescription: Bad verify blocks\nglobs: ["**/*.js"]\nverify:\n  - antipattern: "console\\\\.log"\n  - pattern: "(["\n    message: Broken\n  - requierd: "x"\n---\nBody\n');
+    const result = await lintMdcFile(filePath);
+    const regex = result.issues.find(i => i.id === 'verify-invalid-regex');
+    assert(regex, 'invalid regex is reported');
+    assert.strictEqual(regex.severity, 'error');
+    assert.strictEqual(regex.line, 6);
+    assert(regex.message.startsWith('verify block 2: invalid pattern regex'));
+    const block = result.issues.filter(i => i.id === 'verify-invalid-block');
+    assert(block.length > 0 && block.every(i => i.severity === 'warning' && i.message.startsWith('verify block 3:')));
+    assert.strictEqual(block[0].line, 8);
+  });
+
   // ─────────────────────────────────────────────────────────────────────────────
   // getStarCTA A/B test variants
   // ─────────────────────────────────────────────────────────────────────────────